@@ -0,0 +1,63 @@
+// __tests__/helpers/autoReply.test.js
+const {
+  renderTemplate,
+  parseSchedule,
+  isValidTimezone,
+  isWithinHours,
+} = require("../../utils/autoReply");
+
+describe("Réponses rapides et mode absent", () => {
+  test("les variables connues sont remplacées, les autres conservées", () => {
+    expect(
+      renderTemplate("Bonjour {buyer_name}, {product_title} est dispo {x}", {
+        buyer_name: "Amina",
+        product_title: "Sac en cuir",
+      })
+    ).toBe("Bonjour Amina, Sac en cuir est dispo {x}");
+    expect(renderTemplate("Merci {buyer_name} !", {})).toBe("Merci !");
+  });
+
+  test("un horaire valide est normalisé, un horaire incohérent refusé", () => {
+    expect(
+      parseSchedule({
+        mon: [
+          ["14:00", "18:00"],
+          ["09:00", "12:30"],
+        ],
+        sun: [],
+      })
+    ).toEqual({
+      mon: [
+        ["09:00", "12:30"],
+        ["14:00", "18:00"],
+      ],
+    });
+    expect(parseSchedule({ fri: [["18:00", "24:00"]] })).toEqual({
+      fri: [["18:00", "24:00"]],
+    });
+    expect(parseSchedule({ mon: [["10:00", "09:00"]] })).toBeNull();
+    expect(
+      parseSchedule({
+        mon: [
+          ["09:00", "12:00"],
+          ["11:00", "13:00"],
+        ],
+      })
+    ).toBeNull();
+    expect(parseSchedule({ lundi: [["09:00", "12:00"]] })).toBeNull();
+    expect(parseSchedule([])).toBeNull();
+  });
+
+  test("les heures d'ouverture sont évaluées dans le fuseau du vendeur", () => {
+    const schedule = { mon: [["09:00", "18:00"]] };
+    // Lundi 2024-01-01 06:30 UTC = 09:30 à Kampala (UTC+3)
+    const date = new Date("2024-01-01T06:30:00Z");
+    expect(isWithinHours(schedule, "Africa/Kampala", date)).toBe(true);
+    expect(isWithinHours(schedule, "UTC", date)).toBe(false);
+    expect(
+      isWithinHours(schedule, "UTC", new Date("2024-01-01T18:00:00Z"))
+    ).toBe(false);
+    expect(isValidTimezone("Africa/Kampala")).toBe(true);
+    expect(isValidTimezone("Mars/Olympus")).toBe(false);
+  });
+});
@@ -0,0 +1,106 @@
+// __tests__/helpers/bus.e2e.test.js
+require("dotenv").config({ path: ".env.test" });
+
+const { createBus } = require("../../ws/bus");
+
+// Nécessite un Redis local (REDIS_URL ou redis://127.0.0.1:6379)
+const REDIS_URL = process.env.REDIS_URL || "redis://127.0.0.1:6379";
+const PREFIX = `test:ws:${process.pid}`;
+
+jest.setTimeout(20000);
+
+let a;
+let b;
+
+beforeAll(async () => {
+  // Deux "instances" du serveur sur le même Redis
+  a = createBus({ url: REDIS_URL, prefix: PREFIX });
+  b = createBus({ url: REDIS_URL, prefix: PREFIX });
+  await Promise.all([a.ready, b.ready]);
+});
+
+afterAll(async () => {
+  await a?.close();
+  await b?.close();
+});
+
+function nextEvent(bus, topic) {
+  return new Promise((resolve) => {
+    const off = bus.subscribe(topic, (d) => {
+      off();
+      resolve(d);
+    });
+  });
+}
+
+describe("Redis bus", () => {
+  test("un événement publié sur A est reçu par B", async () => {
+    const received = nextEvent(b, "user");
+    a.publish("user", {
+      user_id: "42",
+      payload: { type: "new_message", id: 1 },
+    });
+
+    await expect(received).resolves.toEqual({
+      user_id: "42",
+      payload: { type: "new_message", id: 1 },
+    });
+  });
+
+  test("une instance ne reçoit pas ses propres événements", async () => {
+    const onA = jest.fn();
+    const off = a.subscribe("chat:presence", onA);
+    const received = nextEvent(b, "chat:presence");
+
+    a.publish("chat:presence", { type: "user_online", user_id: "7" });
+    await received;
+    // Laisse le temps à un éventuel écho d'arriver
+    await new Promise((r) => setTimeout(r, 100));
+    off();
+
+    expect(onA).not.toHaveBeenCalled();
+  });
+
+  test("le hash de présence de A est visible depuis B puis supprimé à la fermeture", async () => {
+    const c = createBus({ url: REDIS_URL, prefix: PREFIX });
+    await c.ready;
+    await c.redis.hset(c.presenceKey, "99", 2);
+
+    const keys = await b.redis.keys(`${PREFIX}:presence:*`);
+    expect(keys).toContain(c.presenceKey);
+    expect(await b.redis.hget(c.presenceKey, "99")).toBe("2");
+
+    await c.close();
+    expect(await b.redis.exists(c.presenceKey)).toBe(0);
+  });
+
+  test("les instances vivantes sont enregistrées, le hash expire dès l'écriture", async () => {
+    const c = createBus({ url: REDIS_URL, prefix: PREFIX });
+    await c.ready;
+    await c.redis
+      .multi()
+      .hset(c.presenceKey, "99", 1)
+      .expire(c.presenceKey, 90)
+      .exec();
+
+    expect(await b.peerPresenceKeys()).toContain(c.presenceKey);
+    expect(await b.peerPresenceKeys()).not.toContain(b.presenceKey);
+    expect(await b.redis.ttl(c.presenceKey)).toBeGreaterThan(0);
+
+    await c.close();
+    expect(await b.peerPresenceKeys()).not.toContain(c.presenceKey);
+  });
+
+  test("sans REDIS_URL le bus est local et inactif", async () => {
+    const local = createBus({ url: "" });
+    const fn = jest.fn();
+    local.subscribe("user", fn);
+    local.publish("user", { user_id: "1", payload: {} });
+
+    expect(local.enabled).toBe(false);
+    expect(local.redis).toBeNull();
+    await expect(local.peerPresenceKeys()).resolves.toEqual([]);
+    expect(fn).not.toHaveBeenCalled();
+    await local.close();
+  });
+});
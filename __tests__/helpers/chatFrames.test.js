@@ -0,0 +1,169 @@
+// __tests__/helpers/chatFrames.test.js
+const { validateFrame } = require("../../ws/chatFrames");
+
+describe("Validation des frames /ws/chat", () => {
+  test("une frame valide est normalisée (ids en nombres, alias)", () => {
+    const out = validateFrame({
+      type: "message",
+      receiver_id: "12",
+      content: "Bonjour",
+      temp_id: "tmp-1",
+    });
+    expect(out.ok).toBe(true);
+    expect(out.type).toBe("message_send");
+    expect(out.frame.receiver_id).toBe(12);
+  });
+
+  test("une frame qui n'est pas un objet est rejetée", () => {
+    expect(validateFrame([1, 2])).toMatchObject({
+      ok: false,
+      code: "invalid_frame",
+    });
+    expect(validateFrame({ content: "x" })).toMatchObject({
+      ok: false,
+      code: "invalid_frame",
+    });
+  });
+
+  test("un type inconnu renvoie unknown_type avec le temp_id", () => {
+    expect(validateFrame({ type: "nope", temp_id: "t" })).toEqual({
+      ok: false,
+      code: "unknown_type",
+      message: 'Unknown frame type "nope"',
+      ref: null,
+      temp_id: "t",
+    });
+  });
+
+  test("message_send sans contenu ni image échoue avec le temp_id en ref", () => {
+    const out = validateFrame({
+      type: "message_send",
+      thread_id: 9,
+      content: "   ",
+      temp_id: "tmp-42",
+    });
+    expect(out).toMatchObject({
+      ok: false,
+      code: "invalid_payload",
+      ref: "tmp-42",
+      temp_id: "tmp-42",
+    });
+  });
+
+  test("message_send exige thread_id ou receiver_id", () => {
+    const out = validateFrame({ type: "message_send", content: "Salut" });
+    expect(out.ok).toBe(false);
+    expect(out.message).toMatch(/thread_id, receiver_id/);
+  });
+
+  test("les champs mal typés sont signalés", () => {
+    expect(
+      validateFrame({ type: "message_edit", message_id: "abc", content: "x" })
+    ).toMatchObject({
+      ok: false,
+      message: "message_id: must be a positive integer id",
+    });
+    expect(
+      validateFrame({ type: "message_edit", message_id: 5, content: 42 })
+    ).toMatchObject({
+      ok: false,
+      ref: 5,
+      message: "content: must be a string",
+    });
+    expect(
+      validateFrame({ type: "group_create", member_ids: [3, "x"] })
+    ).toMatchObject({ ok: false, code: "invalid_payload" });
+  });
+
+  test("history_request refuse before_id et after_id ensemble", () => {
+    const out = validateFrame({
+      type: "history_request",
+      thread_id: 9,
+      before_id: 10,
+      after_id: 2,
+      ref: "h1",
+    });
+    expect(out).toMatchObject({ ok: false, ref: "h1" });
+  });
+
+  test("sync accepte un curseur ou une carte de threads", () => {
+    expect(validateFrame({ type: "sync", cursor: 4100 }).ok).toBe(true);
+    expect(validateFrame({ type: "sync", threads: { 9: 981 } }).ok).toBe(true);
+    expect(validateFrame({ type: "sync", cursor: -1 }).ok).toBe(false);
+    expect(validateFrame({ type: "sync", threads: [9] }).ok).toBe(false);
+  });
+
+  test("les messages structurés exigent extra_data, pas de contenu", () => {
+    expect(
+      validateFrame({
+        type: "message_send",
+        receiver_id: 12,
+        kind: "offer",
+        extra_data: { product_id: 42, amount: 80000 },
+      }).ok
+    ).toBe(true);
+    expect(
+      validateFrame({ type: "message_send", receiver_id: 12, kind: "product" })
+    ).toMatchObject({
+      ok: false,
+      message: "extra_data is required for product",
+    });
+    expect(
+      validateFrame({
+        type: "message_send",
+        receiver_id: 12,
+        kind: "coupon",
+        content: "x",
+      })
+    ).toMatchObject({ ok: false, code: "invalid_payload" });
+  });
+
+  test("expires_in et send_at : bornes et messages texte uniquement", () => {
+    expect(
+      validateFrame({
+        type: "message_send",
+        thread_id: 9,
+        content: "Code : 4821",
+        expires_in: 300,
+        send_at: "2025-11-09T08:00:00Z",
+      }).ok
+    ).toBe(true);
+    expect(
+      validateFrame({
+        type: "message_send",
+        thread_id: 9,
+        content: "x",
+        expires_in: 5,
+      })
+    ).toMatchObject({ ok: false, message: "expires_in: must be >= 30" });
+    expect(
+      validateFrame({
+        type: "message_send",
+        thread_id: 9,
+        kind: "product",
+        extra_data: { product_id: 42 },
+        send_at: "2025-11-09T08:00:00Z",
+      })
+    ).toMatchObject({
+      ok: false,
+      message: "expires_in and send_at are only allowed on text messages",
+    });
+  });
+
+  test("offer_respond : action connue, montant requis pour une contre-offre", () => {
+    expect(
+      validateFrame({ type: "offer_respond", offer_id: "57", action: "accept" })
+    ).toMatchObject({ ok: true, frame: { offer_id: 57 } });
+    expect(
+      validateFrame({ type: "offer_respond", offer_id: 57, action: "counter" })
+    ).toMatchObject({ ok: false, ref: 57 });
+    expect(
+      validateFrame({
+        type: "offer_respond",
+        offer_id: 57,
+        action: "counter",
+        amount: "70",
+      })
+    ).toMatchObject({ ok: false, message: "amount: must be a number" });
+  });
+});
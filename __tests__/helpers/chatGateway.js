@@ -0,0 +1,43 @@
+// __tests__/helpers/chatGateway.js
+// Passerelle /ws/chat branchée sur un faux serveur WebSocket.
+// Le fichier de test mocke db/mysql et les dépôts (jest.mock) avant l'appel.
+const { EventEmitter } = require("events");
+
+// Laisse le gestionnaire asynchrone d'une trame aller jusqu'au bout
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+function startGateway() {
+  const wss = new EventEmitter();
+  wss.clients = new Set();
+  require("../../ws/chat")(wss);
+
+  // Socket authentifiée comme `userId` (identité posée par server.js)
+  function connect(userId) {
+    const ws = new EventEmitter();
+    ws.readyState = 1;
+    ws.frames = [];
+    ws.send = (raw) => ws.frames.push(JSON.parse(raw));
+    ws.close = () => (ws.readyState = 3);
+    ws.terminate = ws.close;
+    ws.ping = () => {};
+    wss.clients.add(ws);
+    wss.emit("connection", ws, { wsUserId: userId, headers: {} });
+    return ws;
+  }
+
+  async function send(ws, frame) {
+    ws.emit("message", JSON.stringify(frame));
+    await flush();
+  }
+
+  function close() {
+    for (const ws of wss.clients) ws.emit("close");
+    wss.emit("close");
+  }
+
+  return { connect, send, close };
+}
+
+const framesOf = (ws, type) => ws.frames.filter((f) => f.type === type);
+
+module.exports = { startGateway, framesOf, flush };
@@ -0,0 +1,39 @@
+// __tests__/helpers/chatIdentity.test.js
+jest.mock("../../db/mysql", () => ({ query: jest.fn(async () => [[]]) }));
+jest.mock("../../repositories/ChatBlockRepository");
+jest.mock("../../repositories/ChatThreadRepository");
+
+const pool = require("../../db/mysql");
+const ChatBlockRepository = require("../../repositories/ChatBlockRepository");
+const { startGateway, framesOf } = require("./chatGateway");
+
+let gateway;
+beforeAll(() => {
+  ChatBlockRepository.prototype.getSeparatedIds.mockResolvedValue(new Set());
+  gateway = startGateway();
+});
+afterAll(() => gateway.close());
+
+describe("Identité liée à la socket", () => {
+  test("une trame au nom d'un autre utilisateur est refusée", async () => {
+    const ws = gateway.connect("7");
+    pool.query.mockClear();
+
+    await gateway.send(ws, {
+      type: "message_send",
+      sender_id: 8,
+      receiver_id: 9,
+      content: "bonjour",
+      temp_id: "t1",
+    });
+
+    const [error] = framesOf(ws, "error");
+    expect(error).toMatchObject({ code: "identity_mismatch", temp_id: "t1" });
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test("une connexion sans identité vérifiée est fermée", () => {
+    const ws = gateway.connect(null);
+    expect(ws.readyState).toBe(3);
+  });
+});
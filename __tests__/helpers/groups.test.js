@@ -0,0 +1,132 @@
+// __tests__/helpers/groups.test.js
+jest.mock("../../db/mysql", () => ({ query: jest.fn(async () => [[]]) }));
+jest.mock("../../repositories/ChatThreadRepository");
+jest.mock("../../repositories/ChatBlockRepository");
+
+const ChatThreadRepository = require("../../repositories/ChatThreadRepository");
+const ChatBlockRepository = require("../../repositories/ChatBlockRepository");
+const { startGateway, framesOf } = require("./chatGateway");
+
+const { GroupError } = jest.requireActual(
+  "../../repositories/ChatThreadRepository"
+);
+const threads = ChatThreadRepository.prototype;
+const group = { id: 30, is_group: 1, title: "Commande #1042" };
+
+let gateway;
+beforeAll(() => {
+  ChatBlockRepository.prototype.getSeparatedIds.mockResolvedValue(new Set());
+  // l'automock remplace aussi la classe d'erreur exposée en statique
+  ChatThreadRepository.GroupError = GroupError;
+  gateway = startGateway();
+});
+afterAll(() => gateway.close());
+beforeEach(() => jest.clearAllMocks());
+
+describe("Erreurs des groupes", () => {
+  test("groupe introuvable ou action non permise : codes fixes", async () => {
+    const ws = gateway.connect("7");
+    threads.getThread.mockResolvedValueOnce(null);
+    await gateway.send(ws, {
+      type: "group_add_member",
+      thread_id: 30,
+      user_id: 12,
+    });
+
+    threads.getThread.mockResolvedValueOnce(group);
+    threads.getParticipant.mockResolvedValueOnce({ role: "member" });
+    await gateway.send(ws, {
+      type: "group_add_member",
+      thread_id: 30,
+      user_id: 12,
+    });
+
+    expect(framesOf(ws, "error")).toEqual([
+      expect.objectContaining({ code: "not_found", thread_id: 30 }),
+      expect.objectContaining({ code: "forbidden", thread_id: 30 }),
+    ]);
+    expect(framesOf(ws, "group_error")).toHaveLength(0);
+  });
+
+  test("groupe complet : group_full", async () => {
+    const ws = gateway.connect("7");
+    threads.getThread.mockResolvedValueOnce(group);
+    threads.getParticipant.mockResolvedValueOnce({ role: "owner" });
+    threads.addMember.mockRejectedValueOnce(
+      new GroupError("group_full", "A group cannot exceed 50 members")
+    );
+    await gateway.send(ws, {
+      type: "group_add_member",
+      thread_id: 30,
+      user_id: 12,
+    });
+
+    expect(framesOf(ws, "error")[0]).toMatchObject({
+      code: "group_full",
+      thread_id: 30,
+    });
+  });
+
+  test("une erreur MySQL n'est jamais renvoyée au client", async () => {
+    const ws = gateway.connect("7");
+    const spy = jest.spyOn(console, "error").mockImplementation(() => {});
+    threads.createGroup.mockRejectedValueOnce(
+      new Error("ER_NO_SUCH_TABLE: Table 'chat.chat_threads' doesn't exist")
+    );
+    await gateway.send(ws, { type: "group_create", member_ids: [12, 31] });
+    spy.mockRestore();
+
+    const [error] = framesOf(ws, "error");
+    expect(error.code).toBe("internal_error");
+    expect(JSON.stringify(ws.frames)).not.toMatch(/ER_NO_SUCH_TABLE/);
+  });
+});
+
+describe("Blocages dans les groupes", () => {
+  const blocks = ChatBlockRepository.prototype;
+
+  test("pas de groupe avec un utilisateur bloqué", async () => {
+    const ws = gateway.connect("7");
+    blocks.getSeparatedIds.mockResolvedValueOnce(new Set(["31"]));
+    await gateway.send(ws, { type: "group_create", member_ids: [12, 31] });
+
+    expect(framesOf(ws, "error")[0]).toMatchObject({ code: "blocked" });
+    expect(threads.createGroup).not.toHaveBeenCalled();
+  });
+
+  test("pas d'ajout d'un utilisateur bloqué", async () => {
+    const ws = gateway.connect("7");
+    threads.getThread.mockResolvedValueOnce(group);
+    threads.getParticipant.mockResolvedValueOnce({ role: "owner" });
+    blocks.isSeparated.mockResolvedValueOnce(true);
+    await gateway.send(ws, {
+      type: "group_add_member",
+      thread_id: 30,
+      user_id: 31,
+    });
+
+    expect(blocks.isSeparated).toHaveBeenCalledWith(7, 31);
+    expect(framesOf(ws, "error")[0]).toMatchObject({
+      code: "blocked",
+      thread_id: 30,
+    });
+    expect(threads.addMember).not.toHaveBeenCalled();
+  });
+
+  test("pas de message direct à un utilisateur bloqué", async () => {
+    const ws = gateway.connect("7");
+    blocks.isSeparated.mockResolvedValueOnce(true);
+    await gateway.send(ws, {
+      type: "message_send",
+      receiver_id: 31,
+      content: "bonjour",
+      temp_id: "t1",
+    });
+
+    expect(framesOf(ws, "error")[0]).toMatchObject({
+      code: "blocked",
+      temp_id: "t1",
+    });
+    expect(threads.findDirectThread).not.toHaveBeenCalled();
+  });
+});
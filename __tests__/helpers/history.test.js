@@ -0,0 +1,89 @@
+// __tests__/helpers/history.test.js
+jest.mock("../../db/mysql", () => ({ query: jest.fn(async () => [[]]) }));
+
+const pool = require("../../db/mysql");
+const ChatMessageRepository = require("../../repositories/ChatMessageRepository");
+
+const { parseHistoryCursor } = ChatMessageRepository;
+const chatMessages = new ChatMessageRepository();
+
+// Lignes renvoyées par MySQL pour la requête d'historique
+const rows = (ids) =>
+  ids.map((id) => ({ id, thread_id: 9, content: `#${id}` }));
+const historyCall = () =>
+  pool.query.mock.calls.find(([sql]) => /ORDER BY id/.test(sql));
+
+beforeEach(() => {
+  pool.query.mockReset();
+  pool.query.mockResolvedValue([[]]);
+});
+
+describe("Curseur d'historique", () => {
+  test("query string ou trame : before_id, after_id, limit", () => {
+    expect(parseHistoryCursor({})).toEqual({
+      beforeId: null,
+      afterId: null,
+      limit: 50,
+    });
+    expect(parseHistoryCursor({ before_id: "120", limit: "20" })).toEqual({
+      beforeId: 120,
+      afterId: null,
+      limit: 20,
+    });
+    expect(parseHistoryCursor({ after_id: 80, before_id: "" })).toMatchObject({
+      afterId: 80,
+    });
+  });
+
+  test("valeurs invalides refusées", () => {
+    for (const input of [
+      { before_id: 1, after_id: 2 },
+      { before_id: "abc" },
+      { after_id: 0 },
+      { before_id: 1.5 },
+      { limit: 0 },
+      { limit: 201 },
+    ]) {
+      expect(parseHistoryCursor(input)).toBeNull();
+    }
+  });
+});
+
+describe("Pages d'historique", () => {
+  test("dernière page : la plus récente, en ordre croissant", async () => {
+    pool.query.mockResolvedValueOnce([rows([105, 104, 103])]);
+    const out = await chatMessages.listThreadMessages(9, { limit: 2 });
+
+    expect(out.messages.map((m) => m.id)).toEqual([104, 105]);
+    expect(out.has_more).toBe(true);
+    const [sql, params] = historyCall();
+    expect(sql).toMatch(/ORDER BY id DESC/);
+    expect(params).toEqual([9, 3]);
+  });
+
+  test("before_id : messages plus anciens, sans suite au début", async () => {
+    pool.query.mockResolvedValueOnce([rows([102, 101])]);
+    const out = await chatMessages.listThreadMessages(9, {
+      beforeId: 103,
+      limit: 2,
+    });
+
+    expect(out.messages.map((m) => m.id)).toEqual([101, 102]);
+    expect(out.has_more).toBe(false);
+    expect(historyCall()[0]).toMatch(/id < \?/);
+  });
+
+  test("after_id : messages plus récents, dans l'ordre", async () => {
+    pool.query.mockResolvedValueOnce([rows([104, 105, 106])]);
+    const out = await chatMessages.listThreadMessages(9, {
+      afterId: 103,
+      limit: 2,
+    });
+
+    expect(out.messages.map((m) => m.id)).toEqual([104, 105]);
+    expect(out.has_more).toBe(true);
+    const [sql, params] = historyCall();
+    expect(sql).toMatch(/id > \?[\s\S]*ORDER BY id ASC/);
+    expect(params).toEqual([9, 103, 3]);
+  });
+});
@@ -0,0 +1,144 @@
+// __tests__/helpers/inbox.test.js
+jest.mock("../../db/mysql", () => ({ query: jest.fn(async () => [[]]) }));
+jest.mock("../../repositories/ChatMessageRepository");
+jest.mock("../../repositories/ModerationRepository");
+jest.mock("../../ws/chatEvents");
+
+const express = require("express");
+const request = require("supertest");
+const pool = require("../../db/mysql");
+const ChatThreadRepository = require("../../repositories/ChatThreadRepository");
+const { signJwt } = require("./jwt");
+
+const app = express();
+app.use(express.json());
+app.use("/api/messages", require("../../routes/messages"));
+
+const asUser = (id) => ({ Authorization: `Bearer ${signJwt({ id })}` });
+const threads = new ChatThreadRepository();
+
+// Ligne renvoyée par la requête de listInbox
+const row = (fields) => ({
+  thread_id: 12,
+  is_group: 0,
+  title: null,
+  last_message_id: 100,
+  other_user_id: 8,
+  sender_id: 8,
+  kind: "text",
+  content: "Toujours disponible ?",
+  image_urls: null,
+  product_id: null,
+  deleted: 0,
+  last_activity_at: "2026-10-19T10:00:00.000Z",
+  unread: 1,
+  muted_until: null,
+  archived: 0,
+  pinned: 0,
+  ...fields,
+});
+
+beforeEach(() => {
+  pool.query.mockReset();
+  pool.query.mockResolvedValue([[]]);
+});
+
+describe("Aperçu du dernier message", () => {
+  test("un message supprimé ne montre ni texte ni images", () => {
+    const preview = ChatThreadRepository.lastMessagePreview(
+      row({ deleted: 1, image_urls: '["/uploads/a.jpg"]', product_id: 4 })
+    );
+
+    expect(preview).toMatchObject({
+      type: "deleted",
+      excerpt: null,
+      image_count: 0,
+      product_id: null,
+    });
+  });
+
+  test("des images sans texte donnent un aperçu image", () => {
+    const preview = ChatThreadRepository.lastMessagePreview(
+      row({ content: "  ", image_urls: '["/uploads/a.jpg","/uploads/b.jpg"]' })
+    );
+
+    expect(preview).toMatchObject({ type: "image", image_count: 2 });
+  });
+
+  test("un long texte est tronqué", () => {
+    const preview = ChatThreadRepository.lastMessagePreview(
+      row({ content: "a".repeat(200) })
+    );
+
+    expect(preview.excerpt).toBe("a".repeat(120) + "…");
+  });
+});
+
+describe("Curseurs de la boîte de réception", () => {
+  test("le curseur distingue les conversations épinglées", () => {
+    expect(ChatThreadRepository.parseInboxCursor("0:42")).toEqual({
+      pinned: true,
+      lastMessageId: 42,
+    });
+    expect(ChatThreadRepository.parseInboxCursor("1:42")).toEqual({
+      pinned: false,
+      lastMessageId: 42,
+    });
+    expect(ChatThreadRepository.parseInboxCursor("2:42")).toBe(null);
+    expect(ChatThreadRepository.parseInboxCursor("1:0")).toBe(null);
+  });
+
+  test("la page suivante repart après la dernière conversation", async () => {
+    pool.query.mockResolvedValueOnce([
+      [
+        row({ thread_id: 12, last_message_id: 100, pinned: 1 }),
+        row({ thread_id: 13, last_message_id: 90 }),
+        row({ thread_id: 14, last_message_id: 80 }),
+      ],
+    ]);
+    const page = await threads.listInbox(7, { limit: 2 });
+
+    expect(page.threads.map((t) => t.thread_id)).toEqual([12, 13]);
+    expect(page).toMatchObject({ has_more: true, next_cursor: "1:90" });
+  });
+
+  test("après une conversation épinglée, les autres suivent", async () => {
+    await threads.listInbox(7, { cursor: "0:100" });
+
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toMatch(/OR p\.pinned_at IS NULL/);
+    expect(params).toContain(100);
+  });
+});
+
+describe("GET /api/messages/inbox", () => {
+  test("un curseur invalide est refusé", async () => {
+    const res = await request(app)
+      .get("/api/messages/inbox?cursor=abc")
+      .set(asUser(7));
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: "Curseur invalide" });
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test("la dernière page n'a pas de curseur", async () => {
+    pool.query.mockResolvedValueOnce([[row({ unread: "3" })]]);
+    const res = await request(app).get("/api/messages/inbox").set(asUser(7));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      has_more: false,
+      next_cursor: null,
+      threads: [
+        {
+          thread_id: 12,
+          is_group: false,
+          other_user_id: 8,
+          unread: 3,
+          last_message: { id: 100, type: "text" },
+        },
+      ],
+    });
+  });
+});
@@ -0,0 +1,17 @@
+// __tests__/helpers/jwt.js
+// JWT HS256 signé comme par le backend PHP (secret par défaut des tests)
+const crypto = require("crypto");
+
+const SECRET = "change_me";
+
+function signJwt(payload, secret = SECRET) {
+  const b64u = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64url");
+  const input = `${b64u({ alg: "HS256", typ: "JWT" })}.${b64u(payload)}`;
+  const sig = crypto
+    .createHmac("sha256", secret)
+    .update(input)
+    .digest("base64url");
+  return `${input}.${sig}`;
+}
+
+module.exports = { SECRET, signJwt };
@@ -0,0 +1,119 @@
+// __tests__/helpers/messageChecks.test.js
+jest.mock("../../db/mysql", () => ({ query: jest.fn(async () => [[]]) }));
+jest.mock("../../repositories/ChatThreadRepository");
+jest.mock("../../repositories/ChatBlockRepository");
+jest.mock("../../repositories/ChatMessageRepository");
+jest.mock("../../repositories/ChatTeamInboxRepository");
+jest.mock("../../repositories/ModerationRepository");
+
+const pool = require("../../db/mysql");
+const ChatThreadRepository = require("../../repositories/ChatThreadRepository");
+const ChatBlockRepository = require("../../repositories/ChatBlockRepository");
+const ChatMessageRepository = require("../../repositories/ChatMessageRepository");
+const ChatTeamInboxRepository = require("../../repositories/ChatTeamInboxRepository");
+const ModerationRepository = require("../../repositories/ModerationRepository");
+const { startGateway, framesOf } = require("./chatGateway");
+
+const createdThread = () =>
+  pool.query.mock.calls.some(([sql]) => /INSERT INTO chat_threads/.test(sql));
+
+let gateway;
+beforeAll(() => {
+  ChatBlockRepository.prototype.getSeparatedIds.mockResolvedValue(new Set());
+  ChatBlockRepository.prototype.isSeparated.mockResolvedValue(false);
+  ChatTeamInboxRepository.prototype.getThreadStaff.mockResolvedValue(new Map());
+  ChatThreadRepository.prototype.findDirectThread.mockResolvedValue(null);
+  ChatThreadRepository.prototype.getMemberIds.mockResolvedValue([7, 9]);
+  gateway = startGateway();
+});
+afterAll(() => gateway.close());
+beforeEach(() => {
+  pool.query.mockClear();
+  ModerationRepository.prototype.moderate.mockReset();
+  ModerationRepository.prototype.moderateEdit.mockReset();
+});
+
+describe("Premier message d'une conversation", () => {
+  test("une citation invalide ne crée pas la conversation", async () => {
+    const ws = gateway.connect("7");
+    await gateway.send(ws, {
+      type: "message_send",
+      receiver_id: 9,
+      content: "bonjour",
+      reply_to_message_id: 40,
+      temp_id: "t1",
+    });
+
+    expect(framesOf(ws, "error")[0]).toMatchObject({
+      code: "invalid_reply",
+      temp_id: "t1",
+    });
+    expect(framesOf(ws, "new_thread")).toHaveLength(0);
+    expect(createdThread()).toBe(false);
+  });
+
+  test("un message rejeté par la modération ne crée pas la conversation", async () => {
+    ModerationRepository.prototype.moderate.mockResolvedValue({
+      action: "reject",
+      reasons: ["contact_details"],
+    });
+    const ws = gateway.connect("7");
+    await gateway.send(ws, {
+      type: "message_send",
+      receiver_id: 9,
+      content: "Envoie via mobile money au 0772 123 456",
+      temp_id: "t2",
+    });
+
+    expect(framesOf(ws, "error")[0]).toMatchObject({
+      code: "moderation_rejected",
+      temp_id: "t2",
+    });
+    expect(framesOf(ws, "new_thread")).toHaveLength(0);
+    expect(createdThread()).toBe(false);
+  });
+});
+
+describe("Modération des modifications", () => {
+  test("une modification refusée n'est pas modérée", async () => {
+    ChatMessageRepository.prototype.checkEdit.mockResolvedValue({
+      status: "forbidden",
+    });
+    const ws = gateway.connect("7");
+    await gateway.send(ws, {
+      type: "message_edit",
+      message_id: 50,
+      content: "Payez par MoMo svp",
+    });
+
+    expect(framesOf(ws, "error")[0]).toMatchObject({
+      code: "forbidden",
+      ref: 50,
+    });
+    expect(ModerationRepository.prototype.moderateEdit).not.toHaveBeenCalled();
+    expect(ChatMessageRepository.prototype.editMessage).not.toHaveBeenCalled();
+  });
+
+  test("une modification rejetée n'est pas enregistrée", async () => {
+    ChatMessageRepository.prototype.checkEdit.mockResolvedValue({
+      status: "ok",
+      message: { id: 50, thread_id: 9, sender_id: 7 },
+    });
+    ModerationRepository.prototype.moderateEdit.mockResolvedValue({
+      action: "reject",
+      reasons: ["contact_details"],
+    });
+    const ws = gateway.connect("7");
+    await gateway.send(ws, {
+      type: "message_edit",
+      message_id: 50,
+      content: "Envoie via mobile money au 0772 123 456",
+    });
+
+    expect(framesOf(ws, "error")[0]).toMatchObject({
+      code: "moderation_rejected",
+      ref: 50,
+    });
+    expect(ChatMessageRepository.prototype.editMessage).not.toHaveBeenCalled();
+  });
+});
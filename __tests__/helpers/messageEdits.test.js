@@ -0,0 +1,117 @@
+// __tests__/helpers/messageEdits.test.js
+jest.mock("../../db/mysql", () => ({
+  query: jest.fn(async () => [[]]),
+  getConnection: jest.fn(),
+}));
+
+const pool = require("../../db/mysql");
+const ChatMessageRepository = require("../../repositories/ChatMessageRepository");
+
+const chatMessages = new ChatMessageRepository();
+
+// Message 50 de l'utilisateur 7, envoyé il y a `age_sec` secondes
+const row = (extra = {}) => ({
+  id: 50,
+  thread_id: 9,
+  sender_id: 7,
+  sent_by: null,
+  content: "Bonjour",
+  deleted: 0,
+  age_sec: 60,
+  ...extra,
+});
+
+function connectionWith(current) {
+  const conn = {
+    query: jest.fn(async (sql) => {
+      if (/FOR UPDATE/.test(sql)) return [[current]];
+      if (/FROM chat_messages WHERE id/.test(sql)) {
+        return [[{ ...current, content: "Bonjour !", edited_at: new Date() }]];
+      }
+      return [{ affectedRows: 1 }];
+    }),
+    beginTransaction: jest.fn(),
+    commit: jest.fn(),
+    rollback: jest.fn(),
+    release: jest.fn(),
+  };
+  pool.getConnection.mockResolvedValue(conn);
+  return conn;
+}
+
+beforeEach(() => jest.clearAllMocks());
+
+const edit = (content = "Bonjour !", editorId = 7) =>
+  chatMessages.editMessage({ messageId: 50, editorId, content });
+
+const revisionWrites = (conn) =>
+  conn.query.mock.calls.filter(([sql]) => /chat_message_revisions/.test(sql));
+
+describe("Fenêtre de modification", () => {
+  test("modifiable pendant CHAT_EDIT_WINDOW_SEC (15 min par défaut)", async () => {
+    connectionWith(row({ age_sec: 899 }));
+    expect((await edit()).status).toBe("ok");
+
+    const conn = connectionWith(row({ age_sec: 901 }));
+    expect((await edit()).status).toBe("expired");
+    expect(conn.rollback).toHaveBeenCalled();
+    expect(revisionWrites(conn)).toHaveLength(0);
+  });
+
+  test("message supprimé, d'un autre ou contenu vide : refusé", async () => {
+    connectionWith(row({ deleted: 1 }));
+    expect((await edit()).status).toBe("deleted");
+
+    connectionWith(row());
+    expect((await edit("Bonjour !", 8)).status).toBe("forbidden");
+    expect((await edit("   ")).status).toBe("invalid");
+
+    connectionWith(undefined);
+    expect((await edit()).status).toBe("not_found");
+  });
+
+  test("checkEdit donne le même verdict sans rien écrire", async () => {
+    pool.query.mockResolvedValueOnce([[row({ age_sec: 901 })]]);
+    expect(
+      await chatMessages.checkEdit({
+        messageId: 50,
+        editorId: 7,
+        content: "Bonjour !",
+      })
+    ).toMatchObject({ status: "expired", message: { id: 50 } });
+    expect(pool.getConnection).not.toHaveBeenCalled();
+  });
+});
+
+describe("Révisions", () => {
+  test("l'ancien contenu est conservé avec l'auteur de la modification", async () => {
+    const conn = connectionWith(row({ sent_by: 20, sender_id: 8 }));
+    const out = await edit("  Bonjour !  ", 20);
+
+    expect(out.status).toBe("ok");
+    expect(revisionWrites(conn)[0][1]).toEqual([50, 20, "Bonjour"]);
+    expect(conn.query).toHaveBeenCalledWith(
+      expect.stringMatching(/SET content = \?, edited_at = NOW\(\)/),
+      ["Bonjour !", 50]
+    );
+    expect(conn.commit).toHaveBeenCalled();
+  });
+
+  test("même contenu : aucune révision", async () => {
+    const conn = connectionWith(row());
+    expect((await edit(" Bonjour ")).status).toBe("unchanged");
+    expect(revisionWrites(conn)).toHaveLength(0);
+  });
+
+  test("les révisions sont listées de la plus ancienne à la plus récente", async () => {
+    pool.query.mockResolvedValueOnce([[{ id: 1 }, { id: 2 }]]);
+    expect(await chatMessages.listRevisions("50")).toEqual([
+      { id: 1 },
+      { id: 2 },
+    ]);
+    expect(pool.query).toHaveBeenCalledWith(
+      expect.stringMatching(/WHERE message_id = \?\s+ORDER BY id ASC/),
+      [50]
+    );
+  });
+});
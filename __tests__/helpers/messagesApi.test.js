@@ -0,0 +1,110 @@
+// __tests__/helpers/messagesApi.test.js
+jest.mock("../../db/mysql", () => ({ query: jest.fn(async () => [[]]) }));
+jest.mock("../../repositories/ChatMessageRepository");
+jest.mock("../../repositories/ModerationRepository");
+jest.mock("../../repositories/ChatThreadRepository");
+jest.mock("../../ws/chatEvents");
+
+const express = require("express");
+const request = require("supertest");
+const ChatMessageRepository = require("../../repositories/ChatMessageRepository");
+const ModerationRepository = require("../../repositories/ModerationRepository");
+const ChatThreadRepository = require("../../repositories/ChatThreadRepository");
+const chatEvents = require("../../ws/chatEvents");
+const { signJwt } = require("./jwt");
+
+const app = express();
+app.use(express.json());
+app.use("/api/messages", require("../../routes/messages"));
+
+const asUser = (id) => ({ Authorization: `Bearer ${signJwt({ id })}` });
+const messages = ChatMessageRepository.prototype;
+const moderation = ModerationRepository.prototype;
+
+const current = { id: 50, thread_id: 9, sender_id: 7, content: "Bonjour" };
+
+beforeEach(() => jest.clearAllMocks());
+
+describe("PATCH /api/messages/:messageId", () => {
+  test("la modification est diffusée et son lien déplié", async () => {
+    const edited = {
+      ...current,
+      content: "Voir https://example.com/sac",
+      edited_at: "2026-10-19T10:00:00.000Z",
+    };
+    messages.checkEdit.mockResolvedValue({ status: "ok", message: current });
+    moderation.moderateEdit.mockResolvedValue({
+      action: "allow",
+      content: edited.content,
+      decisionId: 3,
+    });
+    messages.editMessage.mockResolvedValue({ status: "ok", message: edited });
+
+    const res = await request(app)
+      .patch("/api/messages/50")
+      .set(asUser(7))
+      .send({ content: edited.content });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toMatchObject({ id: 50, content: edited.content });
+    expect(moderation.attachTarget).toHaveBeenCalledWith(3, 50);
+    expect(chatEvents.emitMessageEdited).toHaveBeenCalledWith(edited, 7);
+    expect(chatEvents.attachLinkPreview).toHaveBeenCalledWith(edited);
+  });
+
+  test("une modification refusée n'est ni modérée ni diffusée", async () => {
+    messages.checkEdit.mockResolvedValue({ status: "forbidden" });
+
+    const res = await request(app)
+      .patch("/api/messages/50")
+      .set(asUser(8))
+      .send({ content: "Payez par MoMo svp" });
+
+    expect(res.status).toBe(403);
+    expect(moderation.moderateEdit).not.toHaveBeenCalled();
+    expect(messages.editMessage).not.toHaveBeenCalled();
+    expect(chatEvents.emitMessageEdited).not.toHaveBeenCalled();
+  });
+
+  test("une modification rejetée par la modération répond 422", async () => {
+    messages.checkEdit.mockResolvedValue({ status: "ok", message: current });
+    moderation.moderateEdit.mockResolvedValue({
+      action: "reject",
+      reasons: ["contact_details"],
+    });
+
+    const res = await request(app)
+      .patch("/api/messages/50")
+      .set(asUser(7))
+      .send({ content: "Envoie via mobile money au 0772 123 456" });
+
+    expect(res.status).toBe(422);
+    expect(res.body.reasons).toEqual(["contact_details"]);
+    expect(messages.editMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe("GET /api/messages/revisions/:messageId", () => {
+  test("réservé aux membres de la conversation", async () => {
+    messages.getMessage.mockResolvedValue(current);
+    messages.listRevisions.mockResolvedValue([
+      { id: 1, editor_id: 7, content: "Bonjour" },
+    ]);
+    ChatThreadRepository.prototype.isMember.mockImplementation(
+      async (threadId, userId) => threadId === 9 && userId === 7
+    );
+
+    const denied = await request(app)
+      .get("/api/messages/revisions/50")
+      .set(asUser(31));
+    const res = await request(app)
+      .get("/api/messages/revisions/50")
+      .set(asUser(7));
+
+    expect(denied.status).toBe(403);
+    expect(res.body).toEqual({
+      message_id: 50,
+      revisions: [{ id: 1, editor_id: 7, content: "Bonjour" }],
+    });
+  });
+});
@@ -0,0 +1,69 @@
+// __tests__/helpers/moderation.test.js
+const {
+  CHECKS,
+  baseLocale,
+  createModerationPipeline,
+} = require("../../utils/moderation");
+
+const pipeline = createModerationPipeline();
+
+describe("Pipeline de modération", () => {
+  test("texte normal : autorisé tel quel (prix et dates ne sont pas des numéros)", () => {
+    const text = "Le sac est à 1 500 000 UGX, livraison le 2025-11-09 08:00";
+    expect(pipeline.moderate(text)).toEqual({
+      action: "allow",
+      content: text,
+      findings: [],
+    });
+  });
+
+  test("grossièretés et numéros de téléphone masqués", () => {
+    const out = pipeline.moderate("Quelle merde ! Appelle le +256 700 123 456");
+    expect(out.action).toBe("mask");
+    expect(out.content).toBe("Quelle ***** ! Appelle le **** *** *** ***");
+    expect(out.findings.map((f) => f.rule)).toEqual([
+      "profanity",
+      "contact_details",
+    ]);
+    // mots entiers seulement
+    expect(pipeline.moderate("Connardise").action).toBe("allow");
+  });
+
+  test("paiement hors plateforme : retenu, rejeté avec un numéro", () => {
+    expect(pipeline.moderate("Payez par MoMo svp").action).toBe("hold");
+    const out = pipeline.moderate("Envoie via mobile money au 0772 123 456");
+    expect(out.action).toBe("reject");
+    expect(out.content).toBe("Envoie via mobile money au **** *** ***");
+  });
+
+  test("liens répétés (message + historique récent) retenus", () => {
+    const history = ["www.promo.example/deal", "https://promo.example/deal/"];
+    expect(
+      pipeline.moderate("Go https://promo.example/deal", { history }).action
+    ).toBe("hold");
+    expect(pipeline.moderate("Go https://promo.example/deal").action).toBe(
+      "allow"
+    );
+    const many = [1, 2, 3, 4, 5, 6].map((i) => `https://s${i}.example`);
+    expect(pipeline.moderate(many.join(" ")).action).toBe("hold");
+  });
+
+  test("listes de mots par langue et contrôles remplaçables", () => {
+    const custom = createModerationPipeline({
+      checks: [CHECKS.profanity],
+      wordLists: { sw: { reject: ["mjinga"] }, en: { hold: ["scam"] } },
+    });
+    expect(custom.moderate("Wewe ni mjinga", { locale: "sw-KE" }).action).toBe(
+      "reject"
+    );
+    // liste swahili appliquée seulement à un auteur swahiliphone
+    expect(custom.moderate("Wewe ni mjinga", { locale: "fr" }).action).toBe(
+      "allow"
+    );
+    expect(custom.moderate("Is this a SCAM?").action).toBe("hold");
+    // contrôle des numéros retiré
+    expect(custom.moderate("+256 700 123 456").action).toBe("allow");
+    expect(baseLocale("fr-FR,fr;q=0.9,en;q=0.8")).toBe("fr");
+    expect(baseLocale(null)).toBeNull();
+  });
+});
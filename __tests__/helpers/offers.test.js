@@ -0,0 +1,78 @@
+// __tests__/helpers/offers.test.js
+jest.mock("../../db/mysql", () => ({ query: jest.fn() }));
+jest.mock("../../repositories/ChatThreadRepository");
+jest.mock("../../repositories/ChatBlockRepository");
+
+const pool = require("../../db/mysql");
+const ChatThreadRepository = require("../../repositories/ChatThreadRepository");
+const ChatBlockRepository = require("../../repositories/ChatBlockRepository");
+const ChatCommerceRepository = require("../../repositories/ChatCommerceRepository");
+const { startGateway, framesOf } = require("./chatGateway");
+
+const thread = { id: 9, user1_id: 7, user2_id: 8, is_group: 0 };
+const offer = {
+  id: 31,
+  thread_id: 9,
+  product_id: 5,
+  seller_id: 8,
+  proposer_id: 7,
+  recipient_id: 8,
+  amount: "40.00",
+  currency: "USD",
+  status: "pending",
+};
+const product = { id: 5, title: "Sac", price: 50, currency: "USD", user_id: 8 };
+
+// Base simulée : l'offre, le produit, et la transition de statut
+function fakeDb() {
+  pool.query.mockImplementation(async (sql) => {
+    if (/FROM chat_offers WHERE id = \?/.test(sql)) return [[offer]];
+    if (/image_url, user_id/.test(sql)) return [[product]];
+    if (/UPDATE chat_offers/.test(sql)) return [{ affectedRows: 1 }];
+    return [[]];
+  });
+}
+
+let gateway;
+beforeAll(() => {
+  ChatBlockRepository.prototype.getSeparatedIds.mockResolvedValue(new Set());
+  ChatThreadRepository.prototype.getThread.mockResolvedValue(thread);
+  ChatThreadRepository.prototype.getMemberIds.mockResolvedValue([7, 8]);
+  gateway = startGateway();
+});
+afterAll(() => gateway.close());
+beforeEach(() => {
+  pool.query.mockReset();
+  fakeDb();
+});
+
+describe("Contre-offres", () => {
+  test("la devise en minuscules est normalisée", async () => {
+    const out = await new ChatCommerceRepository().prepareMessage("offer", {
+      thread,
+      members: [7, 8],
+      senderId: 8,
+      extra: { product_id: 5, amount: 45, currency: "usd" },
+    });
+    expect(out.status).toBe("ok");
+    expect(out.offer).toMatchObject({ currency: "USD", recipientId: 7 });
+  });
+
+  test("une contre-offre invalide laisse l'offre en attente", async () => {
+    const ws = gateway.connect("8");
+    await gateway.send(ws, {
+      type: "offer_respond",
+      offer_id: 31,
+      action: "counter",
+      amount: 45,
+      currency: "U$D",
+    });
+
+    const [error] = framesOf(ws, "error");
+    expect(error).toMatchObject({ code: "invalid_payload", ref: 31 });
+    const updates = pool.query.mock.calls.filter(([sql]) =>
+      /UPDATE chat_offers/.test(sql)
+    );
+    expect(updates).toHaveLength(0);
+  });
+});
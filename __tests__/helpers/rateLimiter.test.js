@@ -0,0 +1,99 @@
+// __tests__/helpers/rateLimiter.test.js
+const {
+  clientAddress,
+  createRateLimiter,
+  getRateLimitMetrics,
+  parseLimitOverrides,
+} = require("../../utils/rateLimiter");
+
+// Horloge contrôlée par le test
+let clock = 0;
+const now = () => clock;
+
+beforeEach(() => {
+  clock = 1_000_000;
+});
+
+describe("Token bucket WebSocket", () => {
+  test("la rafale passe puis les frames suivantes sont limitées", () => {
+    const limiter = createRateLimiter("t1", { message_send: [3, 1] }, { now });
+    for (let i = 0; i < 3; i++) {
+      expect(limiter.consume("42", "message_send").ok).toBe(true);
+    }
+    const r = limiter.consume("42", "message_send");
+    expect(r.ok).toBe(false);
+    expect(r.retryAfterMs).toBe(1000);
+  });
+
+  test("les jetons se rechargent avec le temps", () => {
+    const limiter = createRateLimiter("t2", { typing: [2, 2] }, { now });
+    limiter.consume("42", "typing");
+    limiter.consume("42", "typing");
+    expect(limiter.consume("42", "typing").ok).toBe(false);
+    clock += 500;
+    expect(limiter.consume("42", "typing").ok).toBe(true);
+  });
+
+  test("les compteurs sont séparés par utilisateur et par type", () => {
+    const limiter = createRateLimiter(
+      "t3",
+      { message_send: [1, 1], "*": [1, 1] },
+      { now }
+    );
+    expect(limiter.consume("1", "message_send").ok).toBe(true);
+    expect(limiter.consume("2", "message_send").ok).toBe(true);
+    expect(limiter.consume("1", "typing").ok).toBe(true);
+    expect(limiter.consume("1", "echo").ok).toBe(false); // même seau `*`
+  });
+
+  test("trop de frames rejetées déclenchent la déconnexion", () => {
+    const limiter = createRateLimiter(
+      "t4",
+      { "*": [1, 1] },
+      { now, maxStrikes: 3, strikeWindowMs: 10_000 }
+    );
+    expect(limiter.strike("42")).toBe(false);
+    expect(limiter.strike("42")).toBe(false);
+    clock += 20_000; // fenêtre expirée
+    expect(limiter.strike("42")).toBe(false);
+    expect(limiter.strike("42")).toBe(false);
+    expect(limiter.strike("42")).toBe(true);
+  });
+
+  test("les métriques comptent les frames limitées et les déconnexions", () => {
+    const limiter = createRateLimiter("t5", { sync: [1, 0.5] }, { now });
+    limiter.consume("42", "sync");
+    limiter.consume("42", "sync");
+    limiter.recordDisconnect();
+    expect(getRateLimitMetrics().t5).toEqual({
+      limits: { sync: [1, 0.5] },
+      types: { sync: { allowed: 1, limited: 1 } },
+      limited: 1,
+      disconnects: 1,
+    });
+  });
+
+  test("WS_RATE_LIMITS est analysé, les entrées invalides ignorées", () => {
+    expect(
+      parseLimitOverrides(
+        "chat.message_send=10:0.5, likes.like:subscribe=50:5,oops"
+      )
+    ).toEqual({
+      chat: { message_send: [10, 0.5] },
+      likes: { "like:subscribe": [50, 5] },
+    });
+  });
+
+  test("X-Forwarded-For n'est lu qu'à travers des proxys de confiance", () => {
+    const req = {
+      socket: { remoteAddress: "10.0.0.5" },
+      headers: { "x-forwarded-for": "1.2.3.4, 203.0.113.9" },
+    };
+    // sans proxy de confiance, l'en-tête (falsifiable) est ignoré
+    expect(clientAddress(req, 0)).toBe("10.0.0.5");
+    // un proxy : l'adresse qu'il a ajoutée, pas celle écrite par le client
+    expect(clientAddress(req, 1)).toBe("203.0.113.9");
+    expect(clientAddress(req, 5)).toBe("1.2.3.4");
+    expect(clientAddress({ headers: {} }, 1)).toBe("");
+  });
+});
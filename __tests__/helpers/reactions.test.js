@@ -0,0 +1,139 @@
+// __tests__/helpers/reactions.test.js
+jest.mock("../../db/mysql", () => ({ query: jest.fn(async () => [[]]) }));
+jest.mock("../../repositories/ChatThreadRepository");
+jest.mock("../../repositories/ChatBlockRepository");
+jest.mock("../../repositories/ChatMessageRepository");
+jest.mock("../../repositories/ChatTeamInboxRepository");
+
+const pool = require("../../db/mysql");
+const ChatThreadRepository = require("../../repositories/ChatThreadRepository");
+const ChatBlockRepository = require("../../repositories/ChatBlockRepository");
+const ChatMessageRepository = require("../../repositories/ChatMessageRepository");
+const ChatTeamInboxRepository = require("../../repositories/ChatTeamInboxRepository");
+const { startGateway, framesOf } = require("./chatGateway");
+
+const RealMessages = jest.requireActual(
+  "../../repositories/ChatMessageRepository"
+);
+
+describe("Emojis acceptés", () => {
+  test("emojis simples, composés et avec teinte", () => {
+    for (const emoji of ["👍", "❤️", "👍🏽", "👩‍💻", "🇺🇬"]) {
+      expect(RealMessages.isValidEmoji(emoji)).toBe(true);
+    }
+  });
+
+  test("texte, chiffres et valeurs vides refusés", () => {
+    for (const emoji of ["ok", "1", "#", "", " 👍", null, "👍".repeat(20)]) {
+      expect(RealMessages.isValidEmoji(emoji)).toBe(false);
+    }
+  });
+});
+
+describe("Résumé des réactions", () => {
+  test("compte par emoji, dans l'ordre d'apparition, avec `me`", async () => {
+    pool.query.mockResolvedValueOnce([
+      [
+        { message_id: 50, emoji: "👍", count: 2, me: 1 },
+        { message_id: 50, emoji: "😂", count: "1", me: "0" },
+        { message_id: 51, emoji: "❤️", count: 1, me: 0 },
+      ],
+    ]);
+    const out = await new RealMessages().getReactionSummaries(
+      [50, "51", 50],
+      7
+    );
+
+    expect(pool.query.mock.calls[0][1]).toEqual([7, [50, 51]]);
+    expect(out.get(50)).toEqual([
+      { emoji: "👍", count: 2, me: true },
+      { emoji: "😂", count: 1, me: false },
+    ]);
+    expect(out.get(51)).toEqual([{ emoji: "❤️", count: 1, me: false }]);
+  });
+});
+
+describe("Trames reaction_add / reaction_remove", () => {
+  const messages = ChatMessageRepository.prototype;
+  const thread = { id: 9, user1_id: 7, user2_id: 8, is_group: 0 };
+  let gateway;
+
+  beforeAll(() => {
+    ChatBlockRepository.prototype.getSeparatedIds.mockResolvedValue(new Set());
+    ChatTeamInboxRepository.prototype.getThreadStaff.mockResolvedValue(
+      new Map()
+    );
+    ChatTeamInboxRepository.prototype.getActingShopId.mockResolvedValue(null);
+    ChatThreadRepository.prototype.getThread.mockResolvedValue(thread);
+    ChatThreadRepository.prototype.getMemberIds.mockResolvedValue([7, 8]);
+    ChatMessageRepository.isValidEmoji.mockReturnValue(true);
+    messages.getMessage.mockResolvedValue({ id: 50, thread_id: 9 });
+    messages.getReactionSummaries.mockResolvedValue(
+      new Map([[50, [{ emoji: "👍", count: 1, me: false }]]])
+    );
+    gateway = startGateway();
+  });
+  afterAll(() => gateway.close());
+  beforeEach(() => jest.clearAllMocks());
+
+  test("la réaction est diffusée aux membres avec les totaux", async () => {
+    messages.addReaction.mockResolvedValueOnce(true);
+    const ws = gateway.connect("7");
+    const other = gateway.connect("8");
+    await gateway.send(ws, {
+      type: "reaction_add",
+      message_id: 50,
+      emoji: "👍",
+    });
+
+    expect(messages.addReaction).toHaveBeenCalledWith(50, 7, "👍");
+    expect(framesOf(other, "reaction_update")[0]).toMatchObject({
+      message_id: 50,
+      user_id: 7,
+      action: "add",
+      reactions: [{ emoji: "👍", count: 1 }],
+    });
+  });
+
+  test("une réaction déjà présente n'est pas rediffusée", async () => {
+    messages.addReaction.mockResolvedValueOnce(false);
+    const ws = gateway.connect("7");
+    await gateway.send(ws, {
+      type: "reaction_add",
+      message_id: 50,
+      emoji: "👍",
+    });
+
+    expect(framesOf(ws, "reaction_update")).toHaveLength(0);
+  });
+
+  test("hors de la conversation ou message supprimé : refusé", async () => {
+    const outsider = gateway.connect("31");
+    await gateway.send(outsider, {
+      type: "reaction_remove",
+      message_id: 50,
+      emoji: "👍",
+    });
+    messages.getMessage.mockResolvedValueOnce({
+      id: 50,
+      thread_id: 9,
+      deleted: 1,
+    });
+    const ws = gateway.connect("7");
+    await gateway.send(ws, {
+      type: "reaction_add",
+      message_id: 50,
+      emoji: "👍",
+    });
+
+    expect(framesOf(outsider, "error")[0]).toMatchObject({
+      code: "forbidden",
+      ref: 50,
+    });
+    expect(framesOf(ws, "error")[0]).toMatchObject({
+      code: "message_deleted",
+      ref: 50,
+    });
+    expect(messages.removeReaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,87 @@
+// __tests__/helpers/receipts.test.js
+jest.mock("../../db/mysql", () => ({ query: jest.fn(async () => [[]]) }));
+jest.mock("../../repositories/ChatThreadRepository");
+jest.mock("../../repositories/ChatMessageRepository");
+jest.mock("../../repositories/ChatEventRepository");
+jest.mock("../../repositories/ChatTeamInboxRepository");
+jest.mock("../../ws/userState");
+
+const pool = require("../../db/mysql");
+const ChatThreadRepository = require("../../repositories/ChatThreadRepository");
+const ChatMessageRepository = require("../../repositories/ChatMessageRepository");
+const ChatEventRepository = require("../../repositories/ChatEventRepository");
+const ChatTeamInboxRepository = require("../../repositories/ChatTeamInboxRepository");
+const { sendToUser } = require("../../ws/userState");
+const { markDelivered, markReadUpTo } = require("../../ws/chatEvents");
+
+const threads = ChatThreadRepository.prototype;
+const messages = ChatMessageRepository.prototype;
+const group = { id: 30, is_group: 1 };
+
+// Trames envoyées à chaque utilisateur
+const sentTo = (uid) =>
+  sendToUser.mock.calls.filter(([id]) => id === uid).map(([, frame]) => frame);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  threads.getMemberIds.mockResolvedValue([7, 12, 31]);
+  ChatTeamInboxRepository.prototype.getThreadStaff.mockResolvedValue(new Map());
+  ChatEventRepository.prototype.append.mockResolvedValue(90);
+});
+
+describe("Accusés de réception et de lecture", () => {
+  test("reçu : curseur avancé, messages datés, les autres membres prévenus", async () => {
+    threads.advanceCursors.mockResolvedValue({ upToId: 55, changed: true });
+
+    const event = await markDelivered(group, 12, 60);
+
+    expect(threads.advanceCursors).toHaveBeenCalledWith(group, 12, {
+      upToId: 60,
+    });
+    expect(messages.markDelivered).toHaveBeenCalledWith(30, 12, 55);
+    expect(event).toMatchObject({
+      type: "message_delivered",
+      user_id: 12,
+      up_to_id: 55,
+      event_id: 90,
+    });
+    expect(sentTo(7)).toEqual([event]);
+    expect(sentTo(12)).toEqual([]);
+  });
+
+  test("lu : distinct du reçu, avec read_at", async () => {
+    threads.advanceCursors.mockResolvedValue({ upToId: 55, changed: true });
+
+    const event = await markReadUpTo(group, 12);
+
+    expect(threads.advanceCursors).toHaveBeenCalledWith(group, 12, {
+      upToId: null,
+      read: true,
+    });
+    expect(messages.markRead).toHaveBeenCalledWith(30, 12, 55);
+    expect(messages.markDelivered).not.toHaveBeenCalled();
+    expect(event).toMatchObject({ type: "messages_seen", seen_by: 12 });
+    expect(typeof event.read_at).toBe("string");
+  });
+
+  test("curseur déjà à jour : aucun événement", async () => {
+    threads.advanceCursors.mockResolvedValue({ upToId: 55, changed: false });
+
+    expect(await markReadUpTo(group, 12, 50)).toBeNull();
+    expect(await markDelivered(group, 12, 50)).toBeNull();
+    expect(sendToUser).not.toHaveBeenCalled();
+  });
+
+  test("lire un message le marque aussi reçu", async () => {
+    const RealMessages = jest.requireActual(
+      "../../repositories/ChatMessageRepository"
+    );
+    pool.query.mockResolvedValueOnce([{ affectedRows: 2 }]);
+
+    expect(await new RealMessages().markRead(30, 12, 55)).toBe(2);
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toMatch(/delivered_at = COALESCE\(delivered_at, NOW\(\)\)/);
+    expect(sql).toMatch(/sender_id != \?/);
+    expect(params).toEqual([30, 12, 55]);
+  });
+});
@@ -0,0 +1,79 @@
+// __tests__/helpers/replies.test.js
+jest.mock("../../db/mysql", () => ({ query: jest.fn(async () => [[]]) }));
+
+const pool = require("../../db/mysql");
+const ChatMessageRepository = require("../../repositories/ChatMessageRepository");
+
+const chatMessages = new ChatMessageRepository();
+
+// Messages cités, tels que stockés
+const quoted = [
+  {
+    id: 40,
+    sender_id: 8,
+    content: "x".repeat(130),
+    image_urls: null,
+    deleted: 0,
+  },
+  {
+    id: 41,
+    sender_id: 7,
+    content: "",
+    image_urls: '["/uploads/a.jpg","/uploads/b.jpg"]',
+    deleted: 0,
+  },
+  {
+    id: 42,
+    sender_id: 8,
+    content: "secret",
+    image_urls: '["/uploads/c.jpg"]',
+    deleted: 1,
+  },
+];
+
+beforeEach(() => {
+  pool.query.mockReset();
+  pool.query.mockImplementation(async (sql) =>
+    /FROM chat_messages WHERE id IN/.test(sql) ? [quoted] : [[]]
+  );
+});
+
+describe("Aperçu des messages cités", () => {
+  test("extrait tronqué, première image, rien d'un message supprimé", async () => {
+    const out = await chatMessages.getReplyPreviews([40, "41", 42, null, 40]);
+
+    expect(pool.query.mock.calls[0][1]).toEqual([[40, 41, 42]]);
+    expect(out.get(40)).toEqual({
+      id: 40,
+      sender_id: 8,
+      excerpt: "x".repeat(120) + "…",
+      image_url: null,
+      deleted: false,
+    });
+    expect(out.get(41)).toMatchObject({
+      excerpt: null,
+      image_url: "/uploads/a.jpg",
+    });
+    expect(out.get(42)).toEqual({
+      id: 42,
+      sender_id: 8,
+      excerpt: null,
+      image_url: null,
+      deleted: true,
+    });
+  });
+
+  test("sans citation : aucune requête", async () => {
+    expect((await chatMessages.getReplyPreviews([null, 0])).size).toBe(0);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test("l'historique porte l'aperçu du message cité", async () => {
+    const [reply, plain] = await chatMessages.hydrate([
+      { id: 60, thread_id: 9, content: "Oui", reply_to_message_id: 40 },
+      { id: 61, thread_id: 9, content: "Et ça ?", reply_to_message_id: null },
+    ]);
+    expect(reply.reply_to).toMatchObject({ id: 40, sender_id: 8 });
+    expect(plain.reply_to).toBeNull();
+  });
+});
@@ -0,0 +1,107 @@
+// __tests__/helpers/reports.e2e.test.js
+require("dotenv").config({ path: ".env.test" });
+
+const db = require("../../db/mysql");
+const { schemaSQL, truncateSQL } = require("./schema");
+const { runSchema } = require("./schemaRunner");
+const ReportRepository = require("../../repositories/ReportRepository");
+const FeedRepository = require("../../repositories/feedRepository")(db);
+
+// Nécessite MySQL (comme feed.e2e)
+jest.setTimeout(20000);
+
+const reports = new ReportRepository();
+const feed = new FeedRepository();
+
+beforeAll(async () => {
+  await runSchema(schemaSQL);
+});
+
+beforeEach(async () => {
+  await runSchema(truncateSQL);
+});
+
+afterAll(async () => {
+  try {
+    await db.pool.end();
+  } catch {}
+});
+
+describe("Instantané des signalements", () => {
+  test("un post supprimé par son auteur reste lisible dans le signalement", async () => {
+    const [post] = await db.query(
+      `INSERT INTO feed_posts (user_id, body) VALUES (5, 'Arnaque, payez ici')`
+    );
+    const out = await reports.create({
+      reporterId: 7,
+      targetType: "post",
+      targetId: post.insertId,
+      reason: "scam",
+    });
+    expect(out.status).toBe("ok");
+
+    const deleted = await feed.softDelete({ postId: post.insertId, userId: 5 });
+    expect(deleted.affected).toBe(1);
+
+    const report = await reports.get(out.id);
+    expect(report.reported_user_id).toBe(5);
+    expect(report.snapshot.post.body).toBe("Arnaque, payez ici");
+  });
+
+  test("un message modifié puis supprimé garde son contenu et ses versions", async () => {
+    const [thread] = await db.query(
+      `INSERT INTO chat_threads (user1_id, user2_id) VALUES (7, 8)`
+    );
+    const [msg] = await db.query(
+      `INSERT INTO chat_messages (thread_id, sender_id, content) VALUES (?, 8, 'insulte')`,
+      [thread.insertId]
+    );
+    await db.query(
+      `INSERT INTO chat_message_revisions (message_id, editor_id, content) VALUES (?, 8, 'pire')`,
+      [msg.insertId]
+    );
+    const out = await reports.create({
+      reporterId: 7,
+      targetType: "message",
+      targetId: msg.insertId,
+      reason: "harassment",
+    });
+    expect(out.status).toBe("ok");
+
+    // Comme DELETE /api/messages/delete/:id
+    await db.query(
+      `UPDATE chat_messages SET content = NULL, deleted = 1 WHERE id = ?`,
+      [msg.insertId]
+    );
+
+    const { snapshot } = await reports.get(out.id);
+    expect(snapshot.message.content).toBe("insulte");
+    expect(snapshot.revisions.map((r) => r.content)).toEqual(["pire"]);
+  });
+
+  test("un seul signalement ouvert par personne et par contenu", async () => {
+    const [thread] = await db.query(
+      `INSERT INTO chat_threads (user1_id, user2_id) VALUES (7, 8)`
+    );
+    const report = () =>
+      reports.create({
+        reporterId: 7,
+        targetType: "thread",
+        targetId: thread.insertId,
+        reason: "spam",
+      });
+
+    const first = await report();
+    expect(await report()).toEqual({ status: "duplicate", id: first.id });
+    expect(
+      (
+        await reports.create({
+          reporterId: 31,
+          targetType: "thread",
+          targetId: thread.insertId,
+          reason: "spam",
+        })
+      ).status
+    ).toBe("forbidden");
+  });
+});
@@ -0,0 +1,72 @@
+// __tests__/helpers/responseStats.test.js
+const {
+  median,
+  replayThread,
+  summarizeResponses,
+} = require("../../utils/responseStats");
+
+const at = (min) => new Date(Date.UTC(2024, 0, 1, 9, min)).toISOString();
+
+describe("Statistiques de réponse des vendeurs", () => {
+  test("la médiane gère les listes paires, impaires et vides", () => {
+    expect(median([30, 10, 20])).toBe(20);
+    expect(median([10, 20, 31, 40])).toBe(26);
+    expect(median([])).toBeNull();
+  });
+
+  test("le délai court depuis le plus ancien message sans réponse", () => {
+    const { state, latencies } = replayThread(
+      [
+        { sender_id: 12, created_at: at(0) },
+        { sender_id: 12, created_at: at(5) },
+        { sender_id: 42, created_at: at(20) },
+        { sender_id: 42, created_at: at(21) },
+        { sender_id: 12, created_at: at(30) },
+        { sender_id: 42, created_at: at(32) },
+      ],
+      [12, 42]
+    );
+    expect(state.responder_id).toBe(42);
+    expect(state.pending_since).toBeNull();
+    expect(latencies.map((l) => [l.seconds, l.is_first])).toEqual([
+      [1200, true],
+      [120, false],
+    ]);
+  });
+
+  test("les réponses automatiques ne comptent pas", () => {
+    const { state, latencies } = replayThread(
+      [
+        { sender_id: 12, created_at: at(0) },
+        { sender_id: 42, created_at: at(0), auto_reply: true },
+      ],
+      [12, 42]
+    );
+    expect(latencies).toEqual([]);
+    expect(state.first_response_at).toBeNull();
+  });
+
+  test("le badge dépend de la médiane du premier délai", () => {
+    const stats = summarizeResponses({
+      conversations: 4,
+      responded: 3,
+      firstLatencies: [600, 1800, 5400],
+      replyLatencies: [600, 1800, 5400, 60],
+    });
+    expect(stats).toEqual({
+      conversations: 4,
+      response_rate: 0.75,
+      first_response_median_sec: 1800,
+      reply_median_sec: 1200,
+      badge: "within_an_hour",
+    });
+    expect(
+      summarizeResponses({
+        conversations: 2,
+        responded: 2,
+        firstLatencies: [60, 60],
+        replyLatencies: [60, 60],
+      }).badge
+    ).toBeNull();
+  });
+});
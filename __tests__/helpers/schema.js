@@ -10,6 +10,7 @@ CREATE TABLE IF NOT EXISTS feed_posts (
   replies_count INT UNSIGNED NOT NULL DEFAULT 0,
   reposts_count INT UNSIGNED NOT NULL DEFAULT 0,
   is_deleted TINYINT(1) NOT NULL DEFAULT 0,
+  link_preview JSON NULL,
   created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
   updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   PRIMARY KEY (id),
@@ -43,6 +44,153 @@ CREATE TABLE IF NOT EXISTS feed_post_likes (
   CONSTRAINT fk_like_post FOREIGN KEY (post_id)
     REFERENCES feed_posts(id) ON DELETE CASCADE ON UPDATE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS link_previews (
+  url_hash CHAR(64) NOT NULL,
+  url VARCHAR(2048) NOT NULL,
+  status ENUM('ok','none') NOT NULL,
+  title VARCHAR(200) NULL,
+  description VARCHAR(500) NULL,
+  image_url VARCHAR(2048) NULL,
+  site_name VARCHAR(200) NULL,
+  error VARCHAR(32) NULL,
+  fetched_at DATETIME NOT NULL,
+  PRIMARY KEY (url_hash),
+  KEY idx_preview_fetched (fetched_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS moderation_decisions (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  target_type ENUM('message','post') NOT NULL,
+  target_id INT UNSIGNED NULL,
+  user_id INT UNSIGNED NOT NULL,
+  thread_id INT UNSIGNED NULL,
+  action ENUM('allow','mask','hold','reject') NOT NULL,
+  findings JSON NOT NULL,
+  content TEXT NULL,
+  payload JSON NULL,
+  review_status ENUM('none','pending','approved','rejected') NOT NULL DEFAULT 'none',
+  reviewed_by INT UNSIGNED NULL,
+  reviewed_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_moderation_review (review_status, id),
+  KEY idx_moderation_user (user_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  thread_id INT UNSIGNED NOT NULL,
+  sender_id INT UNSIGNED NOT NULL,
+  sent_by INT UNSIGNED NULL,
+  content TEXT NULL,
+  image_urls TEXT NULL,
+  product_id INT UNSIGNED NULL,
+  kind VARCHAR(16) NOT NULL DEFAULT 'text',
+  extra_data JSON NULL,
+  reply_to_message_id INT UNSIGNED NULL,
+  link_preview JSON NULL,
+  deleted TINYINT(1) NOT NULL DEFAULT 0,
+  edited_at DATETIME NULL,
+  expires_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_message_expires (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS chat_message_revisions (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  message_id INT UNSIGNED NOT NULL,
+  editor_id INT UNSIGNED NULL,
+  content TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_revision_message (message_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS chat_message_reactions (
+  message_id INT UNSIGNED NOT NULL,
+  user_id INT UNSIGNED NOT NULL,
+  emoji VARCHAR(32) NOT NULL,
+  PRIMARY KEY (message_id, user_id, emoji)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS chat_scheduled_messages (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  thread_id INT UNSIGNED NOT NULL,
+  sender_id INT UNSIGNED NOT NULL,
+  sent_by INT UNSIGNED NULL,
+  content TEXT NULL,
+  image_urls JSON NULL,
+  reply_to_message_id INT UNSIGNED NULL,
+  expires_in INT UNSIGNED NULL,
+  send_at DATETIME NOT NULL,
+  status ENUM('pending','sending','sent','cancelled','failed') NOT NULL DEFAULT 'pending',
+  message_id INT UNSIGNED NULL,
+  error VARCHAR(32) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_scheduled_status (status, send_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS chat_uploads (
+  file_name VARCHAR(64) NOT NULL,
+  user_id INT UNSIGNED NOT NULL,
+  ref_count INT NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (file_name),
+  KEY idx_upload_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS chat_threads (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user1_id INT UNSIGNED NULL,
+  user2_id INT UNSIGNED NULL,
+  is_group TINYINT(1) NOT NULL DEFAULT 0,
+  title VARCHAR(120) NULL,
+  created_by INT UNSIGNED NULL,
+  last_message_id INT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_thread_users (user1_id, user2_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS chat_thread_participants (
+  thread_id INT UNSIGNED NOT NULL,
+  user_id INT UNSIGNED NOT NULL,
+  role ENUM('owner','admin','member') NOT NULL DEFAULT 'member',
+  last_delivered_message_id INT UNSIGNED NULL,
+  last_read_message_id INT UNSIGNED NULL,
+  muted_until DATETIME NULL,
+  archived_at DATETIME NULL,
+  pinned_at DATETIME NULL,
+  joined_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  left_at DATETIME NULL,
+  PRIMARY KEY (thread_id, user_id),
+  KEY idx_participant_user (user_id, left_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS moderation_reports (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  reporter_id INT UNSIGNED NOT NULL,
+  target_type ENUM('message','thread','post') NOT NULL,
+  target_id INT UNSIGNED NOT NULL,
+  reported_user_id INT UNSIGNED NULL,
+  reason VARCHAR(32) NOT NULL,
+  details VARCHAR(1000) NULL,
+  snapshot JSON NOT NULL,
+  status ENUM('open','in_review','resolved','dismissed') NOT NULL DEFAULT 'open',
+  assignee_id INT UNSIGNED NULL,
+  resolution_note VARCHAR(1000) NULL,
+  resolved_by INT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  resolved_at DATETIME NULL,
+  PRIMARY KEY (id),
+  KEY idx_report_target (target_type, target_id),
+  KEY idx_report_status (status, id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 `;
 
 const truncateSQL = `
@@ -50,6 +198,16 @@ SET FOREIGN_KEY_CHECKS=0;
 TRUNCATE TABLE feed_post_likes;
 TRUNCATE TABLE feed_post_media;
 TRUNCATE TABLE feed_posts;
+TRUNCATE TABLE link_previews;
+TRUNCATE TABLE moderation_decisions;
+TRUNCATE TABLE chat_messages;
+TRUNCATE TABLE chat_message_revisions;
+TRUNCATE TABLE chat_message_reactions;
+TRUNCATE TABLE chat_scheduled_messages;
+TRUNCATE TABLE chat_uploads;
+TRUNCATE TABLE chat_threads;
+TRUNCATE TABLE chat_thread_participants;
+TRUNCATE TABLE moderation_reports;
 SET FOREIGN_KEY_CHECKS=1;
 `;
 
@@ -0,0 +1,45 @@
+// __tests__/helpers/searchText.test.js
+const {
+  escapeLike,
+  searchTerms,
+  booleanQuery,
+  highlightMatches,
+} = require("../../utils/searchText");
+
+describe("Recherche de messages", () => {
+  test("la requête est découpée en termes sans opérateurs ni accents", () => {
+    expect(searchTerms('+Taille -"XL" (été) taille*')).toEqual([
+      "taille",
+      "xl",
+      "ete",
+    ]);
+    expect(searchTerms("  ?! ")).toEqual([]);
+  });
+
+  test("seuls les termes assez longs passent en FULLTEXT", () => {
+    expect(booleanQuery(["taille", "xl", "ete"])).toBe("+taille* +ete*");
+    expect(booleanQuery(["xl"])).toBe("");
+  });
+
+  test("les correspondances sont surlignées en début de mot, sans accents", () => {
+    const out = highlightMatches("Le Café est fermé, recafé", ["cafe"]);
+    expect(out.snippet).toBe("Le Café est fermé, recafé");
+    expect(out.highlights).toEqual([[3, 7]]);
+  });
+
+  test("un long message est coupé autour de la première correspondance", () => {
+    const content = "a ".repeat(200) + "livraison demain " + "b ".repeat(200);
+    const { snippet, highlights } = highlightMatches(content, ["livraison"], {
+      snippetLength: 60,
+    });
+    expect(snippet.startsWith("…")).toBe(true);
+    expect(snippet.endsWith("…")).toBe(true);
+    const [s, e] = highlights[0];
+    expect(snippet.slice(s, e)).toBe("livraison");
+  });
+
+  test("les jokers LIKE sont échappés", () => {
+    expect(escapeLike("50%_off\\")).toBe("50\\%\\_off\\\\");
+    expect(escapeLike("xl")).toBe("xl");
+  });
+});
@@ -0,0 +1,135 @@
+// __tests__/helpers/sync.test.js
+jest.mock("../../db/mysql", () => ({ query: jest.fn(async () => [[]]) }));
+jest.mock("../../repositories/ChatEventRepository");
+jest.mock("../../repositories/ChatBlockRepository");
+
+const ChatEventRepository = require("../../repositories/ChatEventRepository");
+const ChatBlockRepository = require("../../repositories/ChatBlockRepository");
+const { buildSyncPage } = require("../../ws/chatEvents");
+
+const events = ChatEventRepository.prototype;
+
+// Événement du journal, tel que renvoyé par listForUser()
+const logged = (id, threadId, payload, extra = {}) => ({
+  id,
+  thread_id: threadId,
+  type: payload.type,
+  message_id: payload.id ?? null,
+  actor_id: payload.sender_id ?? null,
+  message_sender_id: payload.sender_id ?? null,
+  message_sent_by: null,
+  payload: { thread_id: threadId, ...payload },
+  ...extra,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  ChatBlockRepository.prototype.getSeparatedIds.mockResolvedValue(new Set());
+  events.deletedMessageIds.mockResolvedValue(new Set());
+});
+
+describe("Resynchronisation après reconnexion", () => {
+  test("sans curseur : rien à rejouer, curseur courant renvoyé", async () => {
+    events.latestCursor.mockResolvedValue(42);
+    expect(await buildSyncPage(7, {})).toEqual({
+      frames: [],
+      cursor: 42,
+      has_more: false,
+    });
+    expect(events.listForUser).not.toHaveBeenCalled();
+  });
+
+  test("les événements manqués sont rejoués dans l'ordre du journal", async () => {
+    events.listForUser.mockResolvedValue({
+      events: [
+        logged(11, 9, {
+          type: "new_message",
+          id: 50,
+          sender_id: 8,
+          content: "a",
+        }),
+        logged(12, 9, { type: "message_edited", id: 50, content: "b" }),
+        logged(13, 9, {
+          type: "new_message",
+          id: 51,
+          sender_id: 8,
+          content: "c",
+        }),
+      ],
+      has_more: true,
+    });
+
+    const page = await buildSyncPage(7, { cursor: 10, limit: 3 });
+
+    expect(events.listForUser).toHaveBeenCalledWith(7, {
+      afterId: 10,
+      limit: 3,
+    });
+    expect(page.frames.map((f) => [f.event_id, f.type])).toEqual([
+      [11, "new_message"],
+      [12, "message_edited"],
+      [13, "new_message"],
+    ]);
+    expect(page.frames.every((f) => f.replayed)).toBe(true);
+    expect(page).toMatchObject({ cursor: 13, has_more: true });
+  });
+
+  test("messages supprimés depuis vidés, auteurs bloqués ignorés", async () => {
+    events.listForUser.mockResolvedValue({
+      events: [
+        logged(21, 9, {
+          type: "new_message",
+          id: 50,
+          sender_id: 8,
+          content: "a",
+          image_urls: ["/uploads/x"],
+        }),
+        logged(22, 9, {
+          type: "new_message",
+          id: 51,
+          sender_id: 31,
+          content: "b",
+        }),
+      ],
+      has_more: false,
+    });
+    events.deletedMessageIds.mockResolvedValue(new Set([50]));
+    ChatBlockRepository.prototype.getSeparatedIds.mockResolvedValue(
+      new Set(["31"])
+    );
+
+    const page = await buildSyncPage(7, { cursor: 20 });
+
+    expect(page.frames).toHaveLength(1);
+    expect(page.frames[0]).toMatchObject({
+      id: 50,
+      content: null,
+      image_urls: [],
+      deleted: true,
+    });
+    expect(page.cursor).toBe(22);
+  });
+
+  test("reprise par conversation : ce que le client a déjà est sauté", async () => {
+    events.cursorForMessage.mockImplementation(async (threadId) =>
+      Number(threadId) === 9 ? 30 : 25
+    );
+    events.listForUser.mockResolvedValue({
+      events: [
+        logged(28, 9, { type: "new_message", id: 60, sender_id: 8 }),
+        logged(29, 12, { type: "new_message", id: 61, sender_id: 8 }),
+        logged(31, 9, { type: "new_message", id: 62, sender_id: 8 }),
+        logged(32, 15, { type: "new_message", id: 63, sender_id: 8 }),
+      ],
+      has_more: false,
+    });
+
+    const page = await buildSyncPage(7, { threads: { 9: 600, 12: 610 } });
+
+    expect(events.listForUser).toHaveBeenCalledWith(7, {
+      afterId: 25,
+      limit: undefined,
+    });
+    expect(page.frames.map((f) => f.event_id)).toEqual([29, 31, 32]);
+  });
+});
@@ -0,0 +1,156 @@
+// __tests__/helpers/teamInbox.test.js
+jest.mock("../../db/mysql", () => ({
+  query: jest.fn(async () => [[]]),
+  getConnection: jest.fn(),
+}));
+jest.mock("../../repositories/ChatThreadRepository");
+jest.mock("../../repositories/ChatBlockRepository");
+jest.mock("../../repositories/ChatMessageRepository");
+jest.mock("../../repositories/ChatEventRepository");
+jest.mock("../../repositories/ChatTeamInboxRepository");
+
+const pool = require("../../db/mysql");
+const ChatThreadRepository = require("../../repositories/ChatThreadRepository");
+const ChatBlockRepository = require("../../repositories/ChatBlockRepository");
+const ChatMessageRepository = require("../../repositories/ChatMessageRepository");
+const ChatTeamInboxRepository = require("../../repositories/ChatTeamInboxRepository");
+const { startGateway, framesOf } = require("./chatGateway");
+
+// Boutique 8, cliente 7, employé 20 (agent) et 21 (admin)
+const thread = { id: 9, user1_id: 7, user2_id: 8, is_group: 0 };
+
+describe("Attribution des conversations de boutique", () => {
+  const RealTeam = jest.requireActual(
+    "../../repositories/ChatTeamInboxRepository"
+  );
+  const team = new RealTeam();
+  const roles = { 20: "agent", 21: "admin", 22: "agent" };
+
+  beforeEach(() => {
+    team.getRole = async (shopId, userId) => roles[userId] || null;
+    team.getAssignment = jest.fn();
+  });
+
+  test("un agent prend une conversation libre, pas celle d'un collègue", async () => {
+    team.getAssignment.mockResolvedValue(null);
+    expect((await team.assign(thread, 8, 20, 20)).status).toBe("ok");
+
+    team.getAssignment.mockResolvedValue({ assigned_to: 22 });
+    expect((await team.assign(thread, 8, 20, 20)).status).toBe("forbidden");
+    expect((await team.assign(thread, 8, null, 20)).status).toBe("forbidden");
+  });
+
+  test("un agent n'attribue pas à un autre, un admin si", async () => {
+    team.getAssignment.mockResolvedValue(null);
+    expect((await team.assign(thread, 8, 22, 20)).status).toBe("forbidden");
+    expect((await team.assign(thread, 8, 22, 21)).status).toBe("ok");
+    expect((await team.assign(thread, 8, 7, 21)).status).toBe("invalid");
+  });
+});
+
+describe("Modification des messages écrits pour la boutique", () => {
+  const RealMessages = jest.requireActual(
+    "../../repositories/ChatMessageRepository"
+  );
+
+  // Connexion simulée : le message 50 de la boutique, écrit par l'employé 20
+  function connectionWith(row) {
+    const conn = {
+      query: jest.fn(async (sql) => {
+        if (/FOR UPDATE/.test(sql)) return [[row]];
+        if (/FROM chat_messages WHERE id/.test(sql)) return [[row]];
+        return [{ affectedRows: 1 }];
+      }),
+      beginTransaction: jest.fn(),
+      commit: jest.fn(),
+      rollback: jest.fn(),
+      release: jest.fn(),
+    };
+    pool.getConnection.mockResolvedValue(conn);
+    return conn;
+  }
+
+  const row = {
+    id: 50,
+    thread_id: 9,
+    sender_id: 8,
+    sent_by: 20,
+    content: "Bonjour",
+    deleted: 0,
+    age_sec: 10,
+  };
+
+  test("l'employé qui l'a écrit peut le modifier", async () => {
+    connectionWith(row);
+    const out = await new RealMessages().editMessage({
+      messageId: 50,
+      editorId: 20,
+      content: "Bonjour !",
+    });
+    expect(out.status).toBe("ok");
+  });
+
+  test("un autre employé ne le peut pas", async () => {
+    connectionWith(row);
+    const out = await new RealMessages().editMessage({
+      messageId: 50,
+      editorId: 22,
+      content: "Bonjour !",
+    });
+    expect(out.status).toBe("forbidden");
+  });
+});
+
+describe("Réactions des employés", () => {
+  let gateway;
+  beforeAll(() => {
+    ChatBlockRepository.prototype.getSeparatedIds.mockResolvedValue(new Set());
+    ChatThreadRepository.prototype.getThread.mockResolvedValue(thread);
+    ChatThreadRepository.prototype.getMemberIds.mockResolvedValue([7, 8]);
+    ChatTeamInboxRepository.prototype.getThreadStaff.mockResolvedValue(
+      new Map([[8, [20]]])
+    );
+    ChatTeamInboxRepository.prototype.getActingShopId.mockImplementation(
+      async (t, userId) => (userId === 20 ? 8 : null)
+    );
+    ChatMessageRepository.isValidEmoji.mockReturnValue(true);
+    ChatMessageRepository.prototype.getMessage.mockResolvedValue({
+      id: 50,
+      thread_id: 9,
+      sender_id: 7,
+    });
+    ChatMessageRepository.prototype.addReaction.mockResolvedValue(true);
+    ChatMessageRepository.prototype.getReactionSummaries.mockResolvedValue(
+      new Map()
+    );
+    gateway = startGateway();
+  });
+  afterAll(() => gateway.close());
+
+  test("un employé réagit au nom de la boutique", async () => {
+    const ws = gateway.connect("20");
+    await gateway.send(ws, {
+      type: "reaction_add",
+      message_id: 50,
+      emoji: "👍",
+    });
+
+    expect(ChatMessageRepository.prototype.addReaction).toHaveBeenCalledWith(
+      50,
+      8,
+      "👍"
+    );
+    const [update] = framesOf(ws, "reaction_update");
+    expect(update).toMatchObject({ message_id: 50, user_id: 8 });
+  });
+
+  test("un inconnu de la conversation est refusé", async () => {
+    const ws = gateway.connect("30");
+    await gateway.send(ws, {
+      type: "reaction_add",
+      message_id: 50,
+      emoji: "👍",
+    });
+    expect(framesOf(ws, "error")[0]).toMatchObject({ code: "forbidden" });
+  });
+});
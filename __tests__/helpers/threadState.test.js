@@ -0,0 +1,137 @@
+// __tests__/helpers/threadState.test.js
+jest.mock("../../db/mysql", () => ({ query: jest.fn(async () => [[]]) }));
+jest.mock("../../repositories/ChatMessageRepository");
+jest.mock("../../repositories/ModerationRepository");
+jest.mock("../../ws/chatEvents");
+
+const express = require("express");
+const request = require("supertest");
+const pool = require("../../db/mysql");
+const ChatThreadRepository = require("../../repositories/ChatThreadRepository");
+const { signJwt } = require("./jwt");
+
+const app = express();
+app.use(express.json());
+app.use("/api/messages", require("../../routes/messages"));
+
+const asUser = (id) => ({ Authorization: `Bearer ${signJwt({ id })}` });
+const threads = new ChatThreadRepository();
+const direct = { id: 9, user1_id: 7, user2_id: 8, is_group: 0 };
+
+const updates = () =>
+  pool.query.mock.calls.filter(([sql]) =>
+    /UPDATE chat_thread_participants/.test(sql)
+  );
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  pool.query.mockReset();
+  pool.query.mockResolvedValue([[]]);
+});
+
+describe("Filtres des conversations", () => {
+  test("les conversations archivées sont exclues par défaut", () => {
+    expect(ChatThreadRepository.parseThreadFilters({})).toEqual({
+      archived: "0",
+      muted: undefined,
+      pinned: undefined,
+    });
+    expect(ChatThreadRepository.threadStateCondition()).toBe(
+      "p.archived_at IS NULL"
+    );
+    expect(ChatThreadRepository.threadStateCondition({ archived: "all" })).toBe(
+      "1=1"
+    );
+  });
+
+  test("les filtres se combinent", () => {
+    expect(
+      ChatThreadRepository.threadStateCondition({
+        archived: "1",
+        muted: "1",
+        pinned: "1",
+      })
+    ).toBe(
+      "p.archived_at IS NOT NULL AND p.muted_until > NOW() AND p.pinned_at IS NOT NULL"
+    );
+  });
+
+  test("une valeur inattendue est refusée", () => {
+    expect(ChatThreadRepository.parseThreadFilters({ archived: "2" })).toBe(
+      null
+    );
+    expect(ChatThreadRepository.parseThreadFilters({ muted: "oui" })).toBe(
+      null
+    );
+    expect(ChatThreadRepository.parseThreadFilters({ pinned: "0" })).toBe(null);
+  });
+});
+
+describe("État d'une conversation", () => {
+  test("une sourdine sans fin est enregistrée jusqu'en 9999", async () => {
+    await threads.updateThreadState(direct, "7", { mutedUntil: "forever" });
+
+    const [[sql, params]] = updates();
+    expect(sql).toMatch(/SET muted_until = \?/);
+    expect(params).toEqual(["9999-12-31 23:59:59", 9, 7]);
+  });
+
+  test("les participants d'une conversation directe sont créés avant la mise à jour", async () => {
+    await threads.updateThreadState(direct, 7, { archived: true });
+
+    const sqls = pool.query.mock.calls.map(([sql]) => sql);
+    const insert = sqls.findIndex((sql) => /INSERT IGNORE/.test(sql));
+    const update = sqls.findIndex((sql) => /archived_at = COALESCE/.test(sql));
+    expect(insert).toBeGreaterThanOrEqual(0);
+    expect(update).toBeGreaterThan(insert);
+  });
+
+  test("au-delà de la limite, une conversation n'est pas épinglée", async () => {
+    pool.query.mockResolvedValueOnce([
+      [{ pinned: ChatThreadRepository.MAX_PINNED_THREADS }],
+    ]);
+    const out = await threads.updateThreadState(direct, 7, { pinned: true });
+
+    expect(out).toEqual({ status: "too_many_pinned" });
+    expect(updates()).toHaveLength(0);
+  });
+
+  test("seuls les membres en sourdine sont retournés", async () => {
+    pool.query.mockResolvedValueOnce([[{ user_id: "8" }]]);
+    const muted = await threads.getMutedMemberIds(9, [7, 8]);
+
+    expect([...muted]).toEqual([8]);
+    expect(pool.query.mock.calls[0][0]).toMatch(/muted_until > NOW\(\)/);
+  });
+});
+
+describe("PATCH /api/messages/thread/:threadId/state", () => {
+  test("une sourdine dans le passé est refusée", async () => {
+    const res = await request(app)
+      .patch("/api/messages/thread/9/state")
+      .set(asUser(7))
+      .send({ muted_until: "2020-01-01T00:00:00Z" });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: "État invalide" });
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+
+  test("trop de conversations épinglées renvoie 409", async () => {
+    jest
+      .spyOn(ChatThreadRepository.prototype, "getThread")
+      .mockResolvedValue(direct);
+    jest
+      .spyOn(ChatThreadRepository.prototype, "isMember")
+      .mockResolvedValue(true);
+    pool.query.mockResolvedValueOnce([[{ pinned: 99 }]]);
+
+    const res = await request(app)
+      .patch("/api/messages/thread/9/state")
+      .set(asUser(7))
+      .send({ pinned: true });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({ error: "Trop de conversations épinglées" });
+  });
+});
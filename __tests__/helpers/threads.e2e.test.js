@@ -0,0 +1,139 @@
+// __tests__/helpers/threads.e2e.test.js
+require("dotenv").config({ path: ".env.test" });
+
+const db = require("../../db/mysql");
+const { schemaSQL, truncateSQL } = require("./schema");
+const { runSchema } = require("./schemaRunner");
+const ChatThreadRepository = require("../../repositories/ChatThreadRepository");
+
+// Nécessite MySQL (comme feed.e2e)
+jest.setTimeout(20000);
+
+const threads = new ChatThreadRepository();
+
+async function post(threadId, senderId) {
+  const [res] = await db.query(
+    `INSERT INTO chat_messages (thread_id, sender_id, content) VALUES (?, ?, 'msg')`,
+    [threadId, senderId]
+  );
+  return res.insertId;
+}
+
+const sorted = (ids) => [...ids].sort((a, b) => a - b);
+
+beforeAll(async () => {
+  await runSchema(schemaSQL);
+});
+
+beforeEach(async () => {
+  await runSchema(truncateSQL);
+});
+
+afterAll(async () => {
+  try {
+    await db.pool.end();
+  } catch {}
+});
+
+describe("Groupes", () => {
+  test("le créateur est propriétaire, les autres membres (sans doublon)", async () => {
+    const id = await threads.createGroup({
+      creatorId: 7,
+      title: "Commande #1042",
+      memberIds: [12, 31, 12, 7],
+    });
+
+    expect(sorted(await threads.getMemberIds(id))).toEqual([7, 12, 31]);
+    expect((await threads.getParticipant(id, 7)).role).toBe("owner");
+    expect((await threads.getParticipant(id, 12)).role).toBe("member");
+    expect((await threads.getThread(id)).is_group).toBe(1);
+  });
+
+  test("moins de 2 membres : refusé", async () => {
+    await expect(
+      threads.createGroup({ creatorId: 7, memberIds: [7] })
+    ).rejects.toMatchObject({ code: "invalid_payload" });
+  });
+
+  test("un membre retiré quitte le groupe et peut y revenir", async () => {
+    const id = await threads.createGroup({ creatorId: 7, memberIds: [12] });
+
+    expect(await threads.removeMember(id, 12)).toBe(true);
+    expect(await threads.isMember(id, 12)).toBe(false);
+    expect(await threads.removeMember(id, 12)).toBe(false);
+
+    expect(await threads.addMember(id, 12)).toBe(true);
+    expect(await threads.addMember(id, 12)).toBe(false);
+    expect(await threads.isMember(id, 12)).toBe(true);
+  });
+});
+
+describe("Curseurs de lecture et non-lus par membre", () => {
+  test("les curseurs n'avancent que vers l'avant ; lu implique reçu", async () => {
+    const id = await threads.createGroup({ creatorId: 7, memberIds: [12] });
+    const first = await post(id, 7);
+    const last = await post(id, 7);
+
+    await threads.advanceCursors(id, 12, { read: true });
+    const back = await threads.advanceCursors(id, 12, { upToId: first });
+
+    expect(back.changed).toBe(false);
+    expect(await threads.getReceiptCursors(id)).toContainEqual({
+      user_id: 12,
+      last_delivered_message_id: last,
+      last_read_message_id: last,
+    });
+  });
+
+  test("chaque membre a ses propres non-lus", async () => {
+    const id = await threads.createGroup({
+      creatorId: 7,
+      memberIds: [12, 31],
+    });
+    const first = await post(id, 7);
+    await post(id, 7);
+    await post(id, 12);
+
+    await threads.advanceCursors(id, 12, { upToId: first, read: true });
+
+    expect(await threads.countGroupUnread(7)).toBe(1); // le message de 12
+    expect(await threads.countGroupUnread(12)).toBe(1); // ses propres exclus
+    expect(await threads.countGroupUnread(31)).toBe(3);
+  });
+
+  test("un nouveau membre ne reçoit pas l'historique comme non lu", async () => {
+    const id = await threads.createGroup({ creatorId: 7, memberIds: [12] });
+    await post(id, 7);
+    await post(id, 12);
+
+    await threads.addMember(id, 31);
+    expect(await threads.countGroupUnread(31)).toBe(0);
+
+    await post(id, 7);
+    expect(await threads.countGroupUnread(31)).toBe(1);
+  });
+
+  test("les conversations directes gardent leurs curseurs", async () => {
+    const [res] = await db.query(
+      `INSERT INTO chat_threads (user1_id, user2_id) VALUES (7, 12)`
+    );
+    const thread = await threads.getThread(res.insertId);
+    const last = await post(thread.id, 7);
+
+    const out = await threads.advanceCursors(thread, 12);
+
+    expect(out).toEqual({ upToId: last, changed: true });
+    expect(await threads.getReceiptCursors(thread)).toEqual([
+      {
+        user_id: 7,
+        last_delivered_message_id: null,
+        last_read_message_id: null,
+      },
+      {
+        user_id: 12,
+        last_delivered_message_id: last,
+        last_read_message_id: null,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+// __tests__/helpers/transcript.test.js
+const {
+  csvRow,
+  exportMessage,
+  resolveImageUrl,
+  createTranscriptWriter,
+} = require("../../utils/transcript");
+
+const meta = {
+  thread: { id: 9, is_group: false, title: null, created_at: null },
+  members: [
+    { user_id: 12, name: "Amina" },
+    { user_id: 42, name: "Boutique <Kivu>" },
+  ],
+  receipts: [
+    { user_id: 12, last_delivered_message_id: 2, last_read_message_id: 2 },
+    { user_id: 42, last_delivered_message_id: 1, last_read_message_id: 1 },
+  ],
+  exported_at: "2024-01-01T10:00:00.000Z",
+  exported_by: 12,
+};
+
+const messages = [
+  {
+    id: 1,
+    sender_id: 12,
+    content: "Bonjour, le sac est dispo ?",
+    image_urls: [],
+    created_at: "2024-01-01T09:00:00Z",
+    deleted: 0,
+  },
+  {
+    id: 2,
+    sender_id: 42,
+    kind: "product",
+    content: '=HYPERLINK("x")',
+    image_urls: [
+      "https://cdn.example/sac.jpg",
+      "/uploads/1700000000_ab12cd.jpg",
+      "javascript:alert(1)",
+    ],
+    product_id: 7,
+    extra_data: { product_id: 7 },
+    created_at: "2024-01-01T09:05:00Z",
+    deleted: 0,
+  },
+];
+
+const render = (format) => {
+  let out = "";
+  const writer = createTranscriptWriter(format, (chunk) => (out += chunk), {
+    baseUrl: "https://chat.example",
+  });
+  writer.start(meta);
+  messages.forEach((m) => writer.message(m));
+  writer.end();
+  return out;
+};
+
+describe("Export de conversation", () => {
+  test("les accusés de lecture viennent des curseurs des autres membres", () => {
+    expect(exportMessage(messages[0], meta.receipts).read_by).toEqual([42]);
+    expect(exportMessage(messages[1], meta.receipts).read_by).toEqual([12]);
+  });
+
+  test("le JSON est un document valide", () => {
+    const doc = JSON.parse(render("json"));
+    expect(doc.thread.id).toBe(9);
+    expect(doc.messages.map((m) => m.id)).toEqual([1, 2]);
+    expect(doc.messages[1].product_id).toBe(7);
+  });
+
+  test("le CSV échappe les guillemets et neutralise les formules", () => {
+    expect(csvRow(["a,b", 'dit "oui"', null])).toBe('"a,b","dit ""oui""",\r\n');
+    const lines = render("csv").split("\r\n");
+    expect(lines[0].startsWith("\ufeffid,created_at,sender_id")).toBe(true);
+    expect(lines[2]).toContain(`"'=HYPERLINK(""x"")"`);
+  });
+
+  test("le HTML échappe le contenu et ignore les URL non http", () => {
+    const html = render("html");
+    expect(html).toContain("Boutique &lt;Kivu&gt;");
+    expect(html).toContain('src="https://cdn.example/sac.jpg"');
+    expect(html).not.toContain("javascript:");
+    expect(html.endsWith("</body></html>")).toBe(true);
+  });
+
+  test("les images envoyées (URL relatives) pointent vers le serveur", () => {
+    expect(render("html")).toContain(
+      'src="https://chat.example/uploads/1700000000_ab12cd.jpg"'
+    );
+    // sans PUBLIC_BASE_URL : chemin relatif conservé, pas d'URL sans schéma
+    expect(resolveImageUrl("/uploads/a.png", null)).toBe("/uploads/a.png");
+    expect(resolveImageUrl("//evil.example/a.png", null)).toBeNull();
+    expect(
+      resolveImageUrl("data:image/png;base64,xx", "https://a.b")
+    ).toBeNull();
+  });
+});
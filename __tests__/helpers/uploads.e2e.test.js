@@ -0,0 +1,117 @@
+// __tests__/helpers/uploads.e2e.test.js
+require("dotenv").config({ path: ".env.test" });
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const db = require("../../db/mysql");
+const { schemaSQL, truncateSQL } = require("./schema");
+const { runSchema } = require("./schemaRunner");
+const ChatMessageRepository = require("../../repositories/ChatMessageRepository");
+const ChatUploadRepository = require("../../repositories/ChatUploadRepository");
+const ChatScheduledMessageRepository = require("../../repositories/ChatScheduledMessageRepository");
+const { UPLOAD_DIR } = require("../../utils/uploads");
+
+// Nécessite MySQL (comme feed.e2e)
+jest.setTimeout(20000);
+
+const chatMessages = new ChatMessageRepository();
+const uploads = new ChatUploadRepository();
+const scheduled = new ChatScheduledMessageRepository();
+const created = [];
+
+// Fichier stocké comme par POST /api/chat/upload (nom multer), envoyé par `userId`
+async function uploadAs(userId) {
+  const name = crypto.randomBytes(16).toString("hex");
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  fs.writeFileSync(path.join(UPLOAD_DIR, name), "png");
+  created.push(name);
+  await uploads.record(userId, [name]);
+  return `/uploads/${name}`;
+}
+
+const exists = (url) => fs.existsSync(path.join(UPLOAD_DIR, url.slice(9)));
+
+// Ce que fait ws/chat.js#deliverMessage
+async function expiredMessage(senderId, urls) {
+  await uploads.addRefs(urls);
+  await db.query(
+    `INSERT INTO chat_messages (thread_id, sender_id, content, image_urls, expires_at)
+     VALUES (1, ?, 'éphémère', ?, NOW() - INTERVAL 1 SECOND)`,
+    [senderId, JSON.stringify(urls)]
+  );
+}
+
+// Ce que fait ws/chat.js#purgeExpiredMessages pour les fichiers
+async function purge() {
+  for (const msg of await chatMessages.purgeExpired()) {
+    await uploads.releaseFiles(msg.image_urls, [msg.sender_id, msg.sent_by]);
+  }
+}
+
+beforeAll(async () => {
+  await runSchema(schemaSQL);
+});
+
+beforeEach(async () => {
+  await runSchema(truncateSQL);
+});
+
+afterAll(async () => {
+  for (const name of created) {
+    fs.rmSync(path.join(UPLOAD_DIR, name), { force: true });
+  }
+  try {
+    await db.pool.end();
+  } catch {}
+});
+
+describe("Fichiers des messages éphémères", () => {
+  test("le fichier envoyé par l'auteur est supprimé à l'expiration", async () => {
+    const url = await uploadAs(7);
+    await expiredMessage(7, [url]);
+    await purge();
+
+    expect(exists(url)).toBe(false);
+  });
+
+  test("le fichier d'un autre utilisateur n'est jamais supprimé", async () => {
+    const url = await uploadAs(8);
+    await expiredMessage(7, [url]);
+    await purge();
+
+    expect(exists(url)).toBe(true);
+  });
+
+  test("un fichier encore tenu par un autre message est conservé", async () => {
+    const url = await uploadAs(7);
+    await expiredMessage(7, [url]);
+    await uploads.addRefs([url]);
+    await db.query(
+      `INSERT INTO chat_messages (thread_id, sender_id, content, image_urls)
+       VALUES (2, 9, 'repris', ?)`,
+      [JSON.stringify([url])]
+    );
+    await purge();
+
+    expect(exists(url)).toBe(true);
+  });
+
+  test("un message programmé tient le fichier jusqu'à son annulation", async () => {
+    const url = await uploadAs(7);
+    const out = await scheduled.create({
+      threadId: 1,
+      senderId: 7,
+      imageUrls: [url],
+      sendAt: new Date(Date.now() + 3600 * 1000),
+    });
+    await expiredMessage(7, [url]);
+    await purge();
+    expect(exists(url)).toBe(true);
+
+    await scheduled.cancel(out.scheduled.id, 7);
+    await expiredMessage(7, [url]);
+    await purge();
+    expect(exists(url)).toBe(false);
+  });
+});
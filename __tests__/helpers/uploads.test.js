@@ -0,0 +1,75 @@
+// __tests__/helpers/uploads.test.js
+jest.mock("../../db/mysql", () => ({ query: jest.fn() }));
+
+const fs = require("fs");
+const pool = require("../../db/mysql");
+const { uploadFileName } = require("../../utils/uploads");
+const ChatUploadRepository = require("../../repositories/ChatUploadRepository");
+
+const MULTER_NAME = "0f3c2a9be1d44c8f9a7b6e5d4c3b2a19";
+
+describe("Fichiers d'images envoyées", () => {
+  test("seules les URL de nos propres uploads sont reconnues", () => {
+    expect(
+      uploadFileName(
+        "https://chat.softadastra.com/uploads/1731000000000_9f3a.jpg"
+      )
+    ).toBe("1731000000000_9f3a.jpg");
+    expect(uploadFileName("/uploads/1731000000000_ab12cd.webp?v=2")).toBe(
+      "1731000000000_ab12cd.webp"
+    );
+    expect(uploadFileName("https://cdn.example.com/photo.jpg")).toBeNull();
+    expect(uploadFileName("/uploads/avatar.png")).toBeNull();
+    expect(uploadFileName(null)).toBeNull();
+  });
+
+  test("les noms donnés par multer (POST /api/chat/upload) sont reconnus", () => {
+    expect(uploadFileName(`/uploads/${MULTER_NAME}`)).toBe(MULTER_NAME);
+    expect(uploadFileName(`/uploads/${MULTER_NAME}0`)).toBeNull();
+  });
+
+  test("les chemins détournés sont refusés", () => {
+    expect(uploadFileName("/uploads/../server.js")).toBeNull();
+    expect(uploadFileName("/uploads/%2e%2e%2fserver.js")).toBeNull();
+    expect(uploadFileName("/uploads/sub/1731000000000_9f3a.jpg")).toBeNull();
+  });
+});
+
+describe("Références aux fichiers envoyés", () => {
+  const uploads = new ChatUploadRepository();
+  const url = `/uploads/${MULTER_NAME}`;
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    jest.spyOn(fs.promises, "unlink").mockResolvedValue();
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test("une ligne compte une seule référence par fichier", async () => {
+    pool.query.mockResolvedValue([{ affectedRows: 1 }]);
+    await uploads.addRefs([url, url, "https://cdn.example.com/a.jpg"]);
+
+    expect(pool.query).toHaveBeenCalledTimes(1);
+    const [sql, params] = pool.query.mock.calls[0];
+    expect(sql).toMatch(/ref_count = ref_count \+ 1/);
+    expect(params).toEqual([[MULTER_NAME]]);
+  });
+
+  test("le fichier n'est supprimé que si la base le libère", async () => {
+    pool.query
+      .mockResolvedValueOnce([{ affectedRows: 1 }]) // dropRefs
+      .mockResolvedValueOnce([{ affectedRows: 0 }]); // encore tenu
+    expect(await uploads.releaseFiles([url], [7, null])).toBe(0);
+    expect(fs.promises.unlink).not.toHaveBeenCalled();
+
+    const [sql, params] = pool.query.mock.calls[1];
+    expect(sql).toMatch(/ref_count = 0 AND user_id IN/);
+    expect(params).toEqual([MULTER_NAME, [7]]);
+
+    pool.query
+      .mockResolvedValueOnce([{ affectedRows: 1 }])
+      .mockResolvedValueOnce([{ affectedRows: 1 }]);
+    expect(await uploads.releaseFiles([url], [7])).toBe(1);
+    expect(fs.promises.unlink).toHaveBeenCalledTimes(1);
+  });
+});
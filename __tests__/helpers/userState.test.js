@@ -0,0 +1,56 @@
+// __tests__/helpers/userState.test.js
+const {
+  addConnection,
+  removeConnection,
+  getDeviceCount,
+  isOnline,
+  getOnlineUserIds,
+  getClusterDeviceCounts,
+  sendToUser,
+} = require("../../ws/userState");
+
+// Faux appareil : garde les trames reçues
+function device(readyState = 1) {
+  return {
+    readyState,
+    frames: [],
+    send(raw) {
+      this.frames.push(raw);
+    },
+  };
+}
+
+describe("Plusieurs appareils par utilisateur", () => {
+  test("un deuxième appareil ne remplace pas le premier", async () => {
+    const phone = device();
+    const laptop = device();
+
+    expect(addConnection(7, phone)).toBe(1);
+    expect(addConnection("7", laptop)).toBe(2);
+    expect(addConnection(7, laptop)).toBe(2);
+    expect(getDeviceCount(7)).toBe(2);
+    expect((await getClusterDeviceCounts()).get("7")).toBe(2);
+
+    expect(removeConnection(7, phone)).toBe(1);
+    expect(isOnline(7)).toBe(true);
+    expect(removeConnection(7, laptop)).toBe(0);
+    expect(isOnline(7)).toBe(false);
+    expect(getOnlineUserIds()).not.toContain("7");
+    expect(removeConnection(7, laptop)).toBe(0);
+  });
+
+  test("un envoi atteint chaque appareil ouvert, sauf celui d'origine", () => {
+    const phone = device();
+    const laptop = device();
+    const closing = device(2);
+    for (const ws of [phone, laptop, closing]) addConnection(8, ws);
+
+    expect(sendToUser(8, { type: "ping" }, phone)).toBe(1);
+    expect(phone.frames).toHaveLength(0);
+    expect(closing.frames).toHaveLength(0);
+    expect(JSON.parse(laptop.frames[0])).toEqual({ type: "ping" });
+
+    expect(sendToUser(9, { type: "ping" })).toBe(0);
+    for (const ws of [phone, laptop, closing]) removeConnection(8, ws);
+  });
+});
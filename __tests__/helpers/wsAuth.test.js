@@ -0,0 +1,33 @@
+// __tests__/helpers/wsAuth.test.js
+const { wsResolveUserId } = require("../../utils/ws-auth");
+const { createWsTicket } = require("../../utils/ws-ticket");
+const { SECRET, signJwt: jwt } = require("./jwt");
+
+const upgrade = (query) => ({ url: `/ws/chat?${query}`, headers: {} });
+
+describe("Identité des connexions /ws/chat", () => {
+  const env = process.env.NODE_ENV;
+  afterEach(() => {
+    process.env.NODE_ENV = env;
+  });
+
+  test("un JWT signé donne l'identifiant de son porteur", () => {
+    expect(wsResolveUserId(upgrade(`token=${jwt({ id: 7 })}`))).toBe("7");
+    const forged = jwt({ id: 7 }).slice(0, -2) + "xx";
+    expect(wsResolveUserId(upgrade(`token=${forged}`))).toBeNull();
+  });
+
+  test("un ticket WS est accepté", () => {
+    const ticket = createWsTicket(12, SECRET);
+    expect(wsResolveUserId(upgrade(`ticket=${ticket}`))).toBe("12");
+  });
+
+  test("x-user-id n'est accepté que sous les tests", () => {
+    process.env.NODE_ENV = "development";
+    expect(wsResolveUserId(upgrade("x-user-id=7"))).toBeNull();
+    process.env.NODE_ENV = "production";
+    expect(wsResolveUserId(upgrade("x-user-id=7"))).toBeNull();
+    process.env.NODE_ENV = "test";
+    expect(wsResolveUserId(upgrade("x-user-id=7"))).toBe("7");
+  });
+});
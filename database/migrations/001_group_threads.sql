@@ -0,0 +1,21 @@
+-- Group conversations (see repositories/ChatThreadRepository.js).
+-- Direct threads keep user1_id / user2_id; group threads leave them NULL and
+-- list their members in chat_thread_participants.
+
+ALTER TABLE chat_threads
+  MODIFY user1_id INT UNSIGNED NULL,
+  MODIFY user2_id INT UNSIGNED NULL,
+  ADD COLUMN is_group TINYINT(1) NOT NULL DEFAULT 0,
+  ADD COLUMN title VARCHAR(120) NULL,
+  ADD COLUMN created_by INT UNSIGNED NULL;
+
+CREATE TABLE IF NOT EXISTS chat_thread_participants (
+  thread_id INT UNSIGNED NOT NULL,
+  user_id INT UNSIGNED NOT NULL,
+  role ENUM('owner','admin','member') NOT NULL DEFAULT 'member',
+  last_read_message_id INT UNSIGNED NULL,
+  joined_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  left_at DATETIME NULL,
+  PRIMARY KEY (thread_id, user_id),
+  KEY idx_participant_user (user_id, left_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
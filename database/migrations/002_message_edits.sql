@@ -0,0 +1,14 @@
+-- Message edits and their revisions (see repositories/ChatMessageRepository.js).
+
+ALTER TABLE chat_messages
+  ADD COLUMN edited_at DATETIME NULL;
+
+CREATE TABLE IF NOT EXISTS chat_message_revisions (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  message_id INT UNSIGNED NOT NULL,
+  editor_id INT UNSIGNED NOT NULL,
+  content TEXT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_revision_message (message_id, id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,10 @@
+-- Emoji reactions (see repositories/ChatMessageRepository.js).
+-- Binary collation: utf8mb4_unicode_ci compares many different emoji as equal.
+
+CREATE TABLE IF NOT EXISTS chat_message_reactions (
+  message_id INT UNSIGNED NOT NULL,
+  user_id INT UNSIGNED NOT NULL,
+  emoji VARCHAR(32) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (message_id, user_id, emoji)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
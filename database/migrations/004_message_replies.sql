@@ -0,0 +1,4 @@
+-- Replies quoting an earlier message of the same thread.
+
+ALTER TABLE chat_messages
+  ADD COLUMN reply_to_message_id INT UNSIGNED NULL;
@@ -0,0 +1,15 @@
+-- Event log replayed to resyncing clients (see repositories/ChatEventRepository.js).
+
+CREATE TABLE IF NOT EXISTS chat_thread_events (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  thread_id INT UNSIGNED NOT NULL,
+  type VARCHAR(32) NOT NULL,
+  message_id INT UNSIGNED NULL,
+  actor_id INT UNSIGNED NULL,
+  payload JSON NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_event_thread (thread_id, id),
+  KEY idx_event_message (message_id),
+  KEY idx_event_created (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
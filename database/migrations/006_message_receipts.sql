@@ -0,0 +1,9 @@
+-- Delivery and read receipts: per-member cursors and first delivery / read
+-- times (see ChatThreadRepository#advanceCursors).
+
+ALTER TABLE chat_thread_participants
+  ADD COLUMN last_delivered_message_id INT UNSIGNED NULL AFTER role;
+
+ALTER TABLE chat_messages
+  ADD COLUMN delivered_at DATETIME NULL,
+  ADD COLUMN read_at DATETIME NULL;
@@ -0,0 +1,9 @@
+-- Users blocked by each user (see repositories/ChatBlockRepository.js).
+
+CREATE TABLE IF NOT EXISTS chat_user_blocks (
+  blocker_id INT UNSIGNED NOT NULL,
+  blocked_id INT UNSIGNED NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (blocker_id, blocked_id),
+  KEY idx_block_blocked (blocked_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
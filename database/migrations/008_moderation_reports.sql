@@ -0,0 +1,22 @@
+-- Reports on messages, conversations and posts (see repositories/ReportRepository.js).
+
+CREATE TABLE IF NOT EXISTS moderation_reports (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  reporter_id INT UNSIGNED NOT NULL,
+  target_type ENUM('message','thread','post') NOT NULL,
+  target_id INT UNSIGNED NOT NULL,
+  reported_user_id INT UNSIGNED NULL,
+  reason VARCHAR(32) NOT NULL,
+  details VARCHAR(1000) NULL,
+  snapshot JSON NOT NULL,
+  status ENUM('open','in_review','resolved','dismissed') NOT NULL DEFAULT 'open',
+  assignee_id INT UNSIGNED NULL,
+  resolution_note VARCHAR(1000) NULL,
+  resolved_by INT UNSIGNED NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  resolved_at DATETIME NULL,
+  PRIMARY KEY (id),
+  KEY idx_report_target (target_type, target_id),
+  KEY idx_report_status (status, id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
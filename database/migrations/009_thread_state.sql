@@ -0,0 +1,6 @@
+-- Per-member mute, archive and pin state (see ChatThreadRepository#updateThreadState).
+
+ALTER TABLE chat_thread_participants
+  ADD COLUMN muted_until DATETIME NULL AFTER last_read_message_id,
+  ADD COLUMN archived_at DATETIME NULL AFTER muted_until,
+  ADD COLUMN pinned_at DATETIME NULL AFTER archived_at;
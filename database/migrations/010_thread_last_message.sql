@@ -0,0 +1,6 @@
+-- Newest message of each thread, read by the inbox (see ChatThreadRepository#listInbox).
+-- Then fill existing threads: node scripts/backfill-thread-last-message.js
+
+ALTER TABLE chat_threads
+  ADD COLUMN last_message_id INT UNSIGNED NULL,
+  ADD KEY idx_thread_last_message (last_message_id);
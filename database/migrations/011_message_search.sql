@@ -0,0 +1,6 @@
+-- FULLTEXT index required by message search (ChatMessageRepository#searchMessages,
+-- MATCH ... AGAINST fails with "Can't find FULLTEXT index" without it).
+-- Terms shorter than innodb_ft_min_token_size (3) are matched with LIKE instead.
+
+ALTER TABLE chat_messages
+  ADD FULLTEXT KEY ft_message_content (content);
@@ -0,0 +1,26 @@
+-- Structured messages (product cards, offers, checkout links) and price offers
+-- (see repositories/ChatCommerceRepository.js).
+
+ALTER TABLE chat_messages
+  ADD COLUMN kind VARCHAR(16) NOT NULL DEFAULT 'text',
+  ADD COLUMN extra_data JSON NULL;
+
+CREATE TABLE IF NOT EXISTS chat_offers (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  thread_id INT UNSIGNED NOT NULL,
+  message_id INT UNSIGNED NULL,
+  product_id INT UNSIGNED NOT NULL,
+  seller_id INT UNSIGNED NOT NULL,
+  proposer_id INT UNSIGNED NOT NULL,
+  recipient_id INT UNSIGNED NOT NULL,
+  amount DECIMAL(12,2) NOT NULL,
+  currency CHAR(3) NOT NULL,
+  status ENUM('pending','accepted','declined','countered','withdrawn') NOT NULL DEFAULT 'pending',
+  parent_offer_id INT UNSIGNED NULL,
+  responded_by INT UNSIGNED NULL,
+  responded_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_offer_thread (thread_id),
+  KEY idx_offer_message (message_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,32 @@
+-- Sellers' quick replies, away mode and auto-reply throttling
+-- (see repositories/ChatQuickReplyRepository.js).
+
+CREATE TABLE IF NOT EXISTS chat_quick_replies (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id INT UNSIGNED NOT NULL,
+  shortcut VARCHAR(32) NOT NULL,
+  title VARCHAR(80) NULL,
+  body TEXT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  UNIQUE KEY uq_quick_reply_shortcut (user_id, shortcut)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS chat_away_settings (
+  user_id INT UNSIGNED NOT NULL,
+  mode ENUM('off','away','schedule') NOT NULL DEFAULT 'off',
+  message TEXT NULL,
+  timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  schedule JSON NULL,
+  throttle_minutes INT NOT NULL DEFAULT 720,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS chat_auto_replies (
+  thread_id INT UNSIGNED NOT NULL,
+  user_id INT UNSIGNED NOT NULL,
+  sent_at DATETIME NOT NULL,
+  PRIMARY KEY (thread_id, user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
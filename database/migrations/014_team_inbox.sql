@@ -0,0 +1,36 @@
+-- Shared shop inboxes: staff, assignments, internal notes, and the staff
+-- member who wrote a message sent as the shop (see repositories/ChatTeamInboxRepository.js).
+
+CREATE TABLE IF NOT EXISTS chat_shop_staff (
+  shop_id INT UNSIGNED NOT NULL,
+  user_id INT UNSIGNED NOT NULL,
+  role ENUM('admin','agent') NOT NULL DEFAULT 'agent',
+  added_by INT UNSIGNED NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (shop_id, user_id),
+  KEY idx_staff_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS chat_thread_assignments (
+  thread_id INT UNSIGNED NOT NULL,
+  shop_id INT UNSIGNED NOT NULL,
+  assigned_to INT UNSIGNED NULL,
+  assigned_by INT UNSIGNED NOT NULL,
+  assigned_at DATETIME NOT NULL,
+  PRIMARY KEY (thread_id),
+  KEY idx_assignment_shop (shop_id, assigned_to)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS chat_thread_notes (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  thread_id INT UNSIGNED NOT NULL,
+  shop_id INT UNSIGNED NOT NULL,
+  author_id INT UNSIGNED NOT NULL,
+  body TEXT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_note_thread (thread_id, shop_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE chat_messages
+  ADD COLUMN sent_by INT UNSIGNED NULL AFTER sender_id;
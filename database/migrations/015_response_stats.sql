@@ -0,0 +1,25 @@
+-- Sellers' response-time metrics (see repositories/ChatResponseStatsRepository.js).
+-- Then backfill history: node scripts/recompute-response-stats.js
+
+CREATE TABLE IF NOT EXISTS chat_response_threads (
+  thread_id INT UNSIGNED NOT NULL,
+  responder_id INT UNSIGNED NOT NULL,
+  buyer_id INT UNSIGNED NOT NULL,
+  started_at DATETIME NOT NULL,
+  first_response_at DATETIME NULL,
+  pending_since DATETIME NULL,
+  PRIMARY KEY (thread_id),
+  KEY idx_response_responder (responder_id, started_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS chat_response_latencies (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  thread_id INT UNSIGNED NOT NULL,
+  responder_id INT UNSIGNED NOT NULL,
+  latency_sec INT UNSIGNED NOT NULL,
+  is_first TINYINT(1) NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL,
+  PRIMARY KEY (id),
+  KEY idx_latency_responder (responder_id, created_at),
+  KEY idx_latency_thread (thread_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
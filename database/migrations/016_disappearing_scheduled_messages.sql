@@ -0,0 +1,35 @@
+-- Disappearing messages, scheduled messages and uploaded image ownership
+-- (see ChatMessageRepository#purgeExpired, ChatScheduledMessageRepository
+-- and ChatUploadRepository).
+
+ALTER TABLE chat_messages
+  ADD COLUMN expires_at DATETIME NULL,
+  ADD KEY idx_message_expires (expires_at);
+
+CREATE TABLE IF NOT EXISTS chat_scheduled_messages (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  thread_id INT UNSIGNED NOT NULL,
+  sender_id INT UNSIGNED NOT NULL,
+  sent_by INT UNSIGNED NULL,
+  content TEXT NULL,
+  image_urls JSON NULL,
+  reply_to_message_id INT UNSIGNED NULL,
+  expires_in INT UNSIGNED NULL,
+  send_at DATETIME NOT NULL,
+  status ENUM('pending','sending','sent','cancelled','failed') NOT NULL DEFAULT 'pending',
+  message_id INT UNSIGNED NULL,
+  error VARCHAR(32) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_scheduled_status (status, send_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS chat_uploads (
+  file_name VARCHAR(64) NOT NULL,
+  user_id INT UNSIGNED NOT NULL,
+  ref_count INT NOT NULL DEFAULT 0,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (file_name),
+  KEY idx_upload_user (user_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
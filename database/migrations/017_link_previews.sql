@@ -0,0 +1,21 @@
+-- Link previews of chat messages and feed posts (see repositories/LinkPreviewRepository.js).
+
+CREATE TABLE IF NOT EXISTS link_previews (
+  url_hash CHAR(64) NOT NULL,
+  url VARCHAR(2048) NOT NULL,
+  status ENUM('ok','none') NOT NULL,
+  title VARCHAR(200) NULL,
+  description VARCHAR(500) NULL,
+  image_url VARCHAR(2048) NULL,
+  site_name VARCHAR(200) NULL,
+  error VARCHAR(32) NULL,
+  fetched_at DATETIME NOT NULL,
+  PRIMARY KEY (url_hash),
+  KEY idx_preview_fetched (fetched_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+ALTER TABLE chat_messages
+  ADD COLUMN link_preview JSON NULL;
+
+ALTER TABLE feed_posts
+  ADD COLUMN link_preview JSON NULL AFTER is_deleted;
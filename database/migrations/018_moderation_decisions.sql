@@ -0,0 +1,21 @@
+-- Moderation decisions on outgoing messages / posts, and held content to review
+-- (see repositories/ModerationRepository.js).
+
+CREATE TABLE IF NOT EXISTS moderation_decisions (
+  id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  target_type ENUM('message','post') NOT NULL,
+  target_id INT UNSIGNED NULL,
+  user_id INT UNSIGNED NOT NULL,
+  thread_id INT UNSIGNED NULL,
+  action ENUM('allow','mask','hold','reject') NOT NULL,
+  findings JSON NOT NULL,
+  content TEXT NULL,
+  payload JSON NULL,
+  review_status ENUM('none','pending','approved','rejected') NOT NULL DEFAULT 'none',
+  reviewed_by INT UNSIGNED NULL,
+  reviewed_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (id),
+  KEY idx_moderation_review (review_status, id),
+  KEY idx_moderation_user (user_id, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
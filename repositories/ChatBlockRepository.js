@@ -0,0 +1,130 @@
+/**
+ * @file repositories/ChatBlockRepository.js
+ * @description
+ * Repository for the chat block list: a user (typically a seller) can block
+ * another user, who then can no longer open a conversation with them, send
+ * them messages, or see their typing and presence.
+ *
+ * Blocking is one-directional in storage but enforced both ways by the
+ * gateway: two users are "separated" as soon as either one blocked the other.
+ *
+ * ## Responsibilities
+ * - Block / unblock a user and list the users someone blocked.
+ * - Tell whether two users are separated by a block (either direction).
+ * - List every user separated from a given user (presence filtering).
+ *
+ * ## Database Schema (simplified)
+ * - `chat_user_blocks`
+ *   - `blocker_id` INT, `blocked_id` INT  // PRIMARY KEY (blocker_id, blocked_id)
+ *   - `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP
+ *   - INDEX (blocked_id)
+ *
+ * @example
+ * const ChatBlockRepository = require('./repositories/ChatBlockRepository');
+ * const blocks = new ChatBlockRepository();
+ *
+ * await blocks.block(7, 12);               // seller 7 blocks buyer 12
+ * await blocks.isSeparated(12, 7);         // true
+ * const hidden = await blocks.getSeparatedIds(7); // Set { "12" }
+ *
+ * @see ws/chat.js — Enforcement on messages, typing and presence
+ * @see routes/messages.js — `/blocks` endpoints
+ * @version 1.0.0
+ * @license MIT
+ */
+
+const pool = require("../db/mysql");
+
+/**
+ * Repository for user-to-user chat blocks.
+ */
+class ChatBlockRepository {
+  /**
+   * Blocks a user. Blocking twice is a no-op.
+   *
+   * @async
+   * @param {number|string} blockerId - User who blocks.
+   * @param {number|string} blockedId - User being blocked.
+   * @returns {Promise<boolean>} `true` if a new block was created.
+   */
+  async block(blockerId, blockedId) {
+    const [res] = await pool.query(
+      `INSERT IGNORE INTO chat_user_blocks (blocker_id, blocked_id) VALUES (?, ?)`,
+      [Number(blockerId), Number(blockedId)]
+    );
+    return res.affectedRows > 0;
+  }
+
+  /**
+   * Removes a block.
+   *
+   * @async
+   * @param {number|string} blockerId - User who blocked.
+   * @param {number|string} blockedId - Blocked user.
+   * @returns {Promise<boolean>} `true` if a block was removed.
+   */
+  async unblock(blockerId, blockedId) {
+    const [res] = await pool.query(
+      `DELETE FROM chat_user_blocks WHERE blocker_id = ? AND blocked_id = ?`,
+      [Number(blockerId), Number(blockedId)]
+    );
+    return res.affectedRows > 0;
+  }
+
+  /**
+   * Lists the users blocked by a user, newest first.
+   *
+   * @async
+   * @param {number|string} blockerId - User ID.
+   * @returns {Promise<Array<{ user_id: number, created_at: string }>>}
+   */
+  async listBlocked(blockerId) {
+    const [rows] = await pool.query(
+      `SELECT blocked_id AS user_id, created_at
+       FROM chat_user_blocks
+       WHERE blocker_id = ?
+       ORDER BY created_at DESC`,
+      [Number(blockerId)]
+    );
+    return rows.map((r) => ({ ...r, user_id: Number(r.user_id) }));
+  }
+
+  /**
+   * Whether either user blocked the other.
+   *
+   * @async
+   * @param {number|string} a - User ID.
+   * @param {number|string} b - User ID.
+   * @returns {Promise<boolean>}
+   */
+  async isSeparated(a, b) {
+    const [rows] = await pool.query(
+      `SELECT 1 FROM chat_user_blocks
+       WHERE (blocker_id = ? AND blocked_id = ?)
+          OR (blocker_id = ? AND blocked_id = ?)
+       LIMIT 1`,
+      [Number(a), Number(b), Number(b), Number(a)]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Every user separated from `userId` by a block, in either direction.
+   *
+   * @async
+   * @param {number|string} userId - User ID.
+   * @returns {Promise<Set<string>>} User IDs as strings (socket `user_id` format).
+   */
+  async getSeparatedIds(userId) {
+    const uid = Number(userId);
+    const [rows] = await pool.query(
+      `SELECT blocked_id AS id FROM chat_user_blocks WHERE blocker_id = ?
+       UNION
+       SELECT blocker_id AS id FROM chat_user_blocks WHERE blocked_id = ?`,
+      [uid, uid]
+    );
+    return new Set(rows.map((r) => String(r.id)));
+  }
+}
+
+module.exports = ChatBlockRepository;
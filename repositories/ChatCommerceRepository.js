@@ -0,0 +1,465 @@
+/**
+ * @file repositories/ChatCommerceRepository.js
+ * @description
+ * Repository for the structured commerce messages of Softadastra Chat:
+ * product cards, price offers (and their negotiation state) and checkout
+ * links.
+ *
+ * ## Message kinds (`chat_messages.kind`)
+ * - `text` — regular message (may still carry a bare `extra_data.product_id`).
+ * - `product` — product card; `extra_data.product` is a snapshot of the
+ *   product taken at send time, so later catalog edits never rewrite history.
+ * - `offer` — price offer on a product (direct threads only);
+ *   `extra_data` = `{ offer_id, product, amount, currency, parent_offer_id }`.
+ *   The live state lives in `chat_offers` and is merged into history.
+ * - `checkout` — payment link sent by the seller, for an accepted offer or a
+ *   product at its list price; `extra_data` = `{ url, product, offer_id, amount, currency }`.
+ *
+ * ## Offer lifecycle
+ * ```
+ * pending ──accept───▶ accepted
+ *    ├────decline──▶ declined
+ *    ├────counter──▶ countered  (+ a new pending offer from the responder)
+ *    └────withdraw─▶ withdrawn  (proposer only)
+ * ```
+ * Only the recipient of a pending offer may accept, decline or counter it.
+ * Transitions are conditional updates on `status = 'pending'`, so two
+ * concurrent answers can never both win.
+ *
+ * ## Database Schema (simplified)
+ * - `chat_messages` (+ `kind` VARCHAR(16) DEFAULT 'text', `extra_data` JSON NULL)
+ * - `chat_offers`
+ *   - `id` INT AUTO_INCREMENT
+ *   - `thread_id` INT, `message_id` INT NULL   // INDEX (thread_id), INDEX (message_id)
+ *   - `product_id` INT, `seller_id` INT
+ *   - `proposer_id` INT, `recipient_id` INT
+ *   - `amount` DECIMAL(12,2), `currency` CHAR(3)
+ *   - `status` ENUM('pending','accepted','declined','countered','withdrawn') DEFAULT 'pending'
+ *   - `parent_offer_id` INT NULL               // offer this one counters
+ *   - `responded_by` INT NULL, `responded_at` DATETIME NULL
+ *   - `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP
+ * - Product catalog (read only, `CHAT_PRODUCTS_TABLE`):
+ *   `id, title, price, currency, image_url, user_id` (seller)
+ *
+ * ## Environment Variables
+ * - `CHAT_PRODUCTS_TABLE` — catalog table or view (default: `"products"`).
+ * - `CHAT_CHECKOUT_HOSTS` — comma-separated hosts checkout links may point
+ *   to, subdomains included (default: `"softadastra.com"`).
+ *
+ * @example
+ * const ChatCommerceRepository = require('./repositories/ChatCommerceRepository');
+ * const commerce = new ChatCommerceRepository();
+ *
+ * const out = await commerce.prepareMessage("offer", {
+ *   thread, members: [7, 12], senderId: 12,
+ *   extra: { product_id: 42, amount: 80000 },
+ * });
+ * if (out.status === "ok") { ... } // out.extraData, out.offer
+ *
+ * await commerce.respondToOffer(57, 7, "accept"); // { status: "ok", offer }
+ *
+ * @see ws/chat.js — `message_send` (`kind`) and `offer_respond` frames
+ * @version 1.0.0
+ * @license MIT
+ */
+
+const pool = require("../db/mysql");
+
+/**
+ * Catalog table queried for product snapshots.
+ * @type {string}
+ */
+const PRODUCTS_TABLE = process.env.CHAT_PRODUCTS_TABLE || "products";
+
+/**
+ * Hosts checkout links may point to.
+ * @type {string[]}
+ */
+const CHECKOUT_HOSTS = (process.env.CHAT_CHECKOUT_HOSTS || "softadastra.com")
+  .split(",")
+  .map((h) => h.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Message kinds accepted by `message_send`.
+ * @type {string[]}
+ */
+const MESSAGE_KINDS = ["text", "product", "offer", "checkout"];
+
+/**
+ * Answers to a pending offer.
+ * @type {string[]}
+ */
+const OFFER_ACTIONS = ["accept", "decline", "counter", "withdraw"];
+
+/**
+ * Offer status reached by each action.
+ * @type {Record<string, string>}
+ */
+const OFFER_TRANSITIONS = {
+  accept: "accepted",
+  decline: "declined",
+  counter: "countered",
+  withdraw: "withdrawn",
+};
+
+/**
+ * Largest amount a `DECIMAL(12,2)` column holds.
+ * @type {number}
+ */
+const MAX_AMOUNT = 9999999999.99;
+
+/**
+ * Normalizes an offer amount (positive, at most 2 decimals).
+ *
+ * @param {any} value - Candidate amount (number or numeric string).
+ * @returns {number|null} `null` when invalid.
+ */
+function parseAmount(value) {
+  const n =
+    typeof value === "string" && /^\d+(\.\d{1,2})?$/.test(value)
+      ? Number(value)
+      : value;
+  if (typeof n !== "number" || !Number.isFinite(n)) return null;
+  if (n <= 0 || n > MAX_AMOUNT) return null;
+  if (Math.abs(Math.round(n * 100) - n * 100) > 1e-6) return null;
+  return Math.round(n * 100) / 100;
+}
+
+/**
+ * Whether a URL is an acceptable checkout link (`https` on an allowed host).
+ *
+ * @param {any} url - Candidate URL.
+ * @returns {boolean}
+ */
+function isCheckoutUrl(url) {
+  if (typeof url !== "string" || url.length > 1000) return false;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  const host = parsed.hostname.toLowerCase();
+  return (
+    parsed.protocol === "https:" &&
+    !parsed.username &&
+    !parsed.password &&
+    CHECKOUT_HOSTS.some((h) => host === h || host.endsWith(`.${h}`))
+  );
+}
+
+/**
+ * Repository for product cards, offers and checkout links.
+ */
+class ChatCommerceRepository {
+  /**
+   * Snapshot of a catalog product, as embedded in messages.
+   *
+   * @async
+   * @param {number|string} productId - Product ID.
+   * @returns {Promise<{ id: number, title: string, price: number|null, currency: string|null, image_url: string|null, seller_id: number } | null>}
+   */
+  async getProductSnapshot(productId) {
+    const [rows] = await pool.query(
+      `SELECT id, title, price, currency, image_url, user_id
+       FROM ${PRODUCTS_TABLE} WHERE id = ? LIMIT 1`,
+      [Number(productId)]
+    );
+    const p = rows[0];
+    if (!p) return null;
+    return {
+      id: Number(p.id),
+      title: p.title,
+      price: p.price === null ? null : Number(p.price),
+      currency: p.currency || null,
+      image_url: p.image_url || null,
+      seller_id: Number(p.user_id),
+    };
+  }
+
+  /**
+   * Validates the `extra_data` of a structured message and builds what is
+   * stored with it.
+   *
+   * Resulting `status`:
+   * - `"ok"` — `extraData` to store, `productId`, and for offers the `offer`
+   *   row to create (see `createOffer()`).
+   * - `"invalid"` — bad payload (`message` says why).
+   * - `"not_found"` — unknown product or offer.
+   * - `"forbidden"` — the sender may not send this (not the seller, ...).
+   * - `"offer_closed"` — the referenced offer is not in the required state.
+   *
+   * @async
+   * @param {string} kind - `product` | `offer` | `checkout`.
+   * @param {Object} params
+   * @param {Object} params.thread - Thread row.
+   * @param {number[]} params.members - Active member IDs of the thread.
+   * @param {number} params.senderId - Sender.
+   * @param {Object} [params.extra] - Client `extra_data`.
+   * @param {number} [params.parentOfferId] - Offer being countered (internal).
+   * @returns {Promise<{ status: string, message?: string, extraData?: Object, productId?: number, offer?: Object }>}
+   */
+  async prepareMessage(
+    kind,
+    { thread, members, senderId, extra = {}, parentOfferId = null }
+  ) {
+    const invalid = (message) => ({ status: "invalid", message });
+
+    if (kind === "product") {
+      const productId = Number(extra?.product_id);
+      if (!(productId > 0)) return invalid("extra_data.product_id is required");
+      const product = await this.getProductSnapshot(productId);
+      if (!product) {
+        return { status: "not_found", message: "Product not found" };
+      }
+      return { status: "ok", productId, extraData: { product } };
+    }
+
+    if (kind === "offer") {
+      if (thread.is_group) {
+        return invalid("offers are only available in direct conversations");
+      }
+      const productId = Number(extra?.product_id);
+      if (!(productId > 0)) return invalid("extra_data.product_id is required");
+      const amount = parseAmount(extra?.amount);
+      if (amount === null) {
+        return invalid("extra_data.amount must be a positive amount");
+      }
+      const product = await this.getProductSnapshot(productId);
+      if (!product) {
+        return { status: "not_found", message: "Product not found" };
+      }
+      const currency = String(
+        extra?.currency || product.currency || ""
+      ).toUpperCase();
+      if (!/^[A-Z]{3}$/.test(currency)) {
+        return invalid("extra_data.currency must be an ISO 4217 code");
+      }
+      const recipientId = members.find((id) => id !== senderId);
+      if (![senderId, recipientId].includes(product.seller_id)) {
+        return {
+          status: "forbidden",
+          message: "Offers must involve the seller of the product",
+        };
+      }
+      return {
+        status: "ok",
+        productId,
+        extraData: {
+          product,
+          amount,
+          currency,
+          parent_offer_id: parentOfferId,
+        },
+        offer: {
+          threadId: Number(thread.id),
+          productId,
+          sellerId: product.seller_id,
+          proposerId: senderId,
+          recipientId,
+          amount,
+          currency,
+          parentOfferId,
+        },
+      };
+    }
+
+    if (kind === "checkout") {
+      if (!isCheckoutUrl(extra?.url)) {
+        return invalid("extra_data.url must be an https link to the shop");
+      }
+      const offerId = Number(extra?.offer_id) || null;
+      const productId = offerId ? null : Number(extra?.product_id) || null;
+      if (!offerId && !productId) {
+        return invalid(
+          "extra_data.offer_id or extra_data.product_id is required"
+        );
+      }
+
+      if (offerId) {
+        const offer = await this.getOffer(offerId);
+        if (!offer || Number(offer.thread_id) !== Number(thread.id)) {
+          return { status: "not_found", message: "Offer not found" };
+        }
+        if (Number(offer.seller_id) !== senderId) {
+          return {
+            status: "forbidden",
+            message: "Only the seller can send a checkout link",
+          };
+        }
+        if (offer.status !== "accepted") {
+          return { status: "offer_closed", message: "Offer is not accepted" };
+        }
+        const product = await this.getProductSnapshot(offer.product_id);
+        return {
+          status: "ok",
+          productId: Number(offer.product_id),
+          extraData: {
+            url: extra.url,
+            product,
+            offer_id: offerId,
+            amount: Number(offer.amount),
+            currency: offer.currency,
+          },
+        };
+      }
+
+      const product = await this.getProductSnapshot(productId);
+      if (!product) {
+        return { status: "not_found", message: "Product not found" };
+      }
+      if (product.seller_id !== senderId) {
+        return {
+          status: "forbidden",
+          message: "Only the seller can send a checkout link",
+        };
+      }
+      return {
+        status: "ok",
+        productId,
+        extraData: {
+          url: extra.url,
+          product,
+          offer_id: null,
+          amount: product.price,
+          currency: product.currency,
+        },
+      };
+    }
+
+    return invalid(`kind must be one of: ${MESSAGE_KINDS.join(", ")}`);
+  }
+
+  /**
+   * Creates a pending offer (its message is attached once inserted).
+   *
+   * @async
+   * @param {Object} offer - `offer` returned by `prepareMessage()`.
+   * @returns {Promise<number>} Offer ID.
+   */
+  async createOffer(offer) {
+    const [res] = await pool.query(
+      `INSERT INTO chat_offers
+         (thread_id, product_id, seller_id, proposer_id, recipient_id,
+          amount, currency, parent_offer_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        offer.threadId,
+        offer.productId,
+        offer.sellerId,
+        offer.proposerId,
+        offer.recipientId,
+        offer.amount,
+        offer.currency,
+        offer.parentOfferId,
+      ]
+    );
+    return res.insertId;
+  }
+
+  /**
+   * Links an offer to the message that carries it.
+   *
+   * @async
+   * @param {number} offerId - Offer ID.
+   * @param {number} messageId - Message ID.
+   * @returns {Promise<void>}
+   */
+  async attachMessage(offerId, messageId) {
+    await pool.query(`UPDATE chat_offers SET message_id = ? WHERE id = ?`, [
+      Number(messageId),
+      Number(offerId),
+    ]);
+  }
+
+  /**
+   * Retrieves an offer row by ID.
+   *
+   * @async
+   * @param {number|string} offerId - Offer ID.
+   * @returns {Promise<Object|null>}
+   */
+  async getOffer(offerId) {
+    const [rows] = await pool.query(
+      `SELECT id, thread_id, message_id, product_id, seller_id, proposer_id,
+              recipient_id, amount, currency, status, parent_offer_id,
+              responded_by, responded_at, created_at
+       FROM chat_offers WHERE id = ? LIMIT 1`,
+      [Number(offerId)]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Answers a pending offer.
+   *
+   * Resulting `status`:
+   * - `"ok"` — transition applied; `offer` holds the updated row.
+   * - `"invalid"` — unknown action.
+   * - `"not_found"` — no such offer.
+   * - `"forbidden"` — the user may not take this action on this offer.
+   * - `"offer_closed"` — the offer is no longer pending.
+   *
+   * A `counter` only closes the offer; the caller sends the counter-offer.
+   *
+   * @async
+   * @param {number|string} offerId - Offer ID.
+   * @param {number|string} userId - Acting user.
+   * @param {string} action - `accept` | `decline` | `counter` | `withdraw`.
+   * @returns {Promise<{ status: string, offer?: Object }>}
+   */
+  async respondToOffer(offerId, userId, action) {
+    if (!OFFER_TRANSITIONS[action]) return { status: "invalid" };
+    const uid = Number(userId);
+    const offer = await this.getOffer(offerId);
+    if (!offer) return { status: "not_found" };
+
+    const allowedUser =
+      action === "withdraw" ? offer.proposer_id : offer.recipient_id;
+    if (Number(allowedUser) !== uid) return { status: "forbidden", offer };
+    if (offer.status !== "pending") return { status: "offer_closed", offer };
+
+    const [res] = await pool.query(
+      `UPDATE chat_offers
+       SET status = ?, responded_by = ?, responded_at = NOW()
+       WHERE id = ? AND status = 'pending'`,
+      [OFFER_TRANSITIONS[action], uid, Number(offerId)]
+    );
+    if (!res.affectedRows) return { status: "offer_closed", offer };
+    return { status: "ok", offer: await this.getOffer(offerId) };
+  }
+
+  /**
+   * Current state of several offers (merged into message history).
+   *
+   * @async
+   * @param {number[]} offerIds - Offer IDs.
+   * @returns {Promise<Map<number, { status: string, responded_by: number|null, responded_at: string|null }>>}
+   */
+  async getOfferStates(offerIds) {
+    const ids = [...new Set(offerIds.filter(Boolean).map(Number))];
+    const out = new Map();
+    if (!ids.length) return out;
+    const [rows] = await pool.query(
+      `SELECT id, status, responded_by, responded_at
+       FROM chat_offers WHERE id IN (?)`,
+      [ids]
+    );
+    for (const r of rows) {
+      out.set(Number(r.id), {
+        status: r.status,
+        responded_by: r.responded_by === null ? null : Number(r.responded_by),
+        responded_at: r.responded_at,
+      });
+    }
+    return out;
+  }
+}
+
+ChatCommerceRepository.MESSAGE_KINDS = MESSAGE_KINDS;
+ChatCommerceRepository.OFFER_ACTIONS = OFFER_ACTIONS;
+ChatCommerceRepository.parseAmount = parseAmount;
+ChatCommerceRepository.isCheckoutUrl = isCheckoutUrl;
+
+module.exports = ChatCommerceRepository;
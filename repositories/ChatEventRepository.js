@@ -0,0 +1,273 @@
+/**
+ * @file repositories/ChatEventRepository.js
+ * @description
+ * Append-only log of the chat events pushed to thread members, used to
+ * replay what a client missed while it was offline (`sync` frame).
+ *
+ * Every logged event gets a monotonic `id` that doubles as the client's
+ * **global sync cursor**: live frames carry it as `event_id`, and a
+ * reconnecting client asks for everything after the last one it processed.
+ *
+ * ## Responsibilities
+ * - Append events (`new_message`, `messages_seen`, `message_delivered`,
+ *   `message_edited`, `message_deleted`, `message_preview`,
+ *   `reaction_update`) with their outbound payload.
+ * - List the events visible to a user after a cursor, in order: direct
+ *   threads they belong to, direct threads of the shops they are staff of
+ *   (since they joined the team), and group threads for the period they
+ *   were members.
+ * - Translate a per-thread "last seen message id" into an event cursor.
+ * - Scrub the logged payloads of a purged (disappearing) message.
+ * - Prune events older than the retention period.
+ *
+ * ## Database Schema (simplified)
+ * - `chat_thread_events`
+ *   - `id` BIGINT AUTO_INCREMENT       // global cursor
+ *   - `thread_id` INT                  // INDEX (thread_id, id)
+ *   - `type` VARCHAR(32)
+ *   - `message_id` INT NULL            // INDEX (message_id)
+ *   - `actor_id` INT NULL
+ *   - `payload` JSON                   // frame sent to clients (without event_id)
+ *   - `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP  // INDEX (created_at), pruning
+ *
+ * ## Environment Variables
+ * - `CHAT_EVENT_RETENTION_DAYS` — how long events are kept (default: `30`).
+ *
+ * @example
+ * const ChatEventRepository = require('./repositories/ChatEventRepository');
+ * const events = new ChatEventRepository();
+ *
+ * const eventId = await events.append({
+ *   threadId: 9, type: "message_edited", messageId: 981, actorId: 7,
+ *   payload: { type: "message_edited", id: 981, thread_id: 9, content: "…" },
+ * });
+ * const { events: missed, has_more } = await events.listForUser(12, { afterId: 4100 });
+ *
+ * @see ws/chatEvents.js — Logs then emits thread events
+ * @see ws/chat.js — `sync` frame
+ * @version 1.0.0
+ * @license MIT
+ */
+
+const pool = require("../db/mysql");
+
+/**
+ * Retention of the event log, in days.
+ * @type {number}
+ */
+const RETENTION_DAYS = parseInt(
+  process.env.CHAT_EVENT_RETENTION_DAYS || "30",
+  10
+);
+
+/**
+ * Page sizes of a replay.
+ * @type {number}
+ */
+const SYNC_PAGE_SIZE = 200;
+const SYNC_MAX_PAGE_SIZE = 500;
+
+/**
+ * Repository for the chat event log.
+ */
+class ChatEventRepository {
+  /**
+   * Appends an event to the log.
+   *
+   * @async
+   * @param {Object} params - Event.
+   * @param {number} params.threadId - Thread the event belongs to.
+   * @param {string} params.type - Frame type (`new_message`, ...).
+   * @param {number|null} [params.messageId] - Related message, if any.
+   * @param {number|null} [params.actorId] - User who caused the event.
+   * @param {Object} params.payload - Outbound frame.
+   * @returns {Promise<number>} The event ID (sync cursor).
+   */
+  async append({ threadId, type, messageId = null, actorId = null, payload }) {
+    const [res] = await pool.query(
+      `INSERT INTO chat_thread_events (thread_id, type, message_id, actor_id, payload)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        Number(threadId),
+        type,
+        messageId ? Number(messageId) : null,
+        actorId ? Number(actorId) : null,
+        JSON.stringify(payload),
+      ]
+    );
+    return res.insertId;
+  }
+
+  /**
+   * Latest event ID visible to a user (0 if none).
+   *
+   * @async
+   * @param {number|string} userId - User ID.
+   * @returns {Promise<number>}
+   */
+  async latestCursor(userId) {
+    const page = await this.listForUser(userId, {
+      afterId: 0,
+      limit: 1,
+      latest: true,
+    });
+    return page.events[0]?.id || 0;
+  }
+
+  /**
+   * Lists the events a user may see after a cursor, oldest first.
+   *
+   * @async
+   * @param {number|string} userId - Member (or shop staff) user ID.
+   * @param {Object} [options]
+   * @param {number} [options.afterId=0] - Exclusive cursor.
+   * @param {number} [options.limit=200] - Page size (max 500).
+   * @param {boolean} [options.latest=false] - Internal: newest first.
+   * @returns {Promise<{ events: Array<{ id, thread_id, type, message_id, actor_id, message_sender_id, message_sent_by, payload }>, has_more: boolean }>}
+   *          `message_sender_id` / `message_sent_by` are the author of the
+   *          related message, if any (block filtering).
+   */
+  async listForUser(
+    userId,
+    { afterId = 0, limit = SYNC_PAGE_SIZE, latest = false } = {}
+  ) {
+    const uid = Number(userId);
+    const size = Math.min(
+      Math.max(Number(limit) || SYNC_PAGE_SIZE, 1),
+      SYNC_MAX_PAGE_SIZE
+    );
+
+    const [rows] = await pool.query(
+      `SELECT e.id, e.thread_id, e.type, e.message_id, e.actor_id, e.payload,
+              m.sender_id AS message_sender_id, m.sent_by AS message_sent_by
+       FROM chat_thread_events e
+       JOIN chat_threads t ON t.id = e.thread_id
+       LEFT JOIN chat_messages m ON m.id = e.message_id
+       LEFT JOIN chat_thread_participants p
+         ON t.is_group = 1 AND p.thread_id = e.thread_id AND p.user_id = ?
+       WHERE e.id > ?
+         AND (
+           (t.is_group = 0 AND (t.user1_id = ? OR t.user2_id = ?))
+           OR (t.is_group = 0 AND EXISTS (
+                 SELECT 1 FROM chat_shop_staff s
+                 WHERE s.user_id = ? AND s.shop_id IN (t.user1_id, t.user2_id)
+                   AND e.created_at >= s.created_at))
+           OR (t.is_group = 1 AND p.user_id IS NOT NULL
+               AND e.created_at >= p.joined_at
+               AND (p.left_at IS NULL OR e.created_at <= p.left_at))
+         )
+       ORDER BY e.id ${latest ? "DESC" : "ASC"}
+       LIMIT ?`,
+      [uid, Number(afterId) || 0, uid, uid, uid, size + 1]
+    );
+
+    return {
+      events: rows.slice(0, size).map((r) => ({
+        ...r,
+        id: Number(r.id),
+        payload:
+          typeof r.payload === "string" ? JSON.parse(r.payload) : r.payload,
+      })),
+      has_more: rows.length > size,
+    };
+  }
+
+  /**
+   * Resolves the event cursor matching "last message seen" in a thread:
+   * the `new_message` event of that message, or — for messages older than
+   * the log — the last event logged before it was sent.
+   *
+   * @async
+   * @param {number|string} threadId - Thread ID.
+   * @param {number|string} messageId - Last message the client has.
+   * @returns {Promise<number>} Exclusive event cursor for that thread.
+   */
+  async cursorForMessage(threadId, messageId) {
+    const [[own]] = await pool.query(
+      `SELECT id FROM chat_thread_events
+       WHERE thread_id = ? AND type = 'new_message' AND message_id = ?
+       ORDER BY id ASC LIMIT 1`,
+      [Number(threadId), Number(messageId)]
+    );
+    if (own) return Number(own.id);
+
+    const [[before]] = await pool.query(
+      `SELECT COALESCE(MAX(e.id), 0) AS id
+       FROM chat_thread_events e
+       JOIN chat_messages m ON m.id = ?
+       WHERE e.thread_id = ? AND e.created_at <= m.created_at`,
+      [Number(messageId), Number(threadId)]
+    );
+    return Number(before?.id || 0);
+  }
+
+  /**
+   * Returns the IDs of the given messages that are now deleted, so their
+   * content can be scrubbed from replayed payloads.
+   *
+   * @async
+   * @param {Array<number|string>} messageIds - Message IDs.
+   * @returns {Promise<Set<number>>}
+   */
+  async deletedMessageIds(messageIds) {
+    const ids = [...new Set(messageIds.map(Number).filter(Boolean))];
+    if (!ids.length) return new Set();
+    const [rows] = await pool.query(
+      `SELECT id FROM chat_messages WHERE id IN (?) AND deleted = 1`,
+      [ids]
+    );
+    return new Set(rows.map((r) => Number(r.id)));
+  }
+
+  /**
+   * Removes the content of a purged message from the log: its own
+   * `new_message` / `message_edited` / `message_preview` payloads and the
+   * quoted previews of the replies to it. The events themselves are kept (sync cursors point at them).
+   *
+   * @async
+   * @param {number|string} threadId - Thread of the message.
+   * @param {number|string} messageId - Purged message.
+   * @returns {Promise<void>}
+   */
+  async scrubMessage(threadId, messageId) {
+    await pool.query(
+      `UPDATE chat_thread_events
+       SET payload = JSON_REPLACE(payload, '$.content', NULL, '$.image_urls', JSON_ARRAY())
+       WHERE message_id = ? AND type IN ('new_message', 'message_edited')`,
+      [Number(messageId)]
+    );
+    await pool.query(
+      `UPDATE chat_thread_events
+       SET payload = JSON_REPLACE(payload, '$.link_preview', NULL)
+       WHERE message_id = ? AND type = 'message_preview'`,
+      [Number(messageId)]
+    );
+    await pool.query(
+      `UPDATE chat_thread_events
+       SET payload = JSON_SET(payload, '$.reply_to.excerpt', NULL,
+         '$.reply_to.image_url', NULL, '$.reply_to.deleted', TRUE)
+       WHERE thread_id = ? AND type = 'new_message'
+         AND JSON_EXTRACT(payload, '$.reply_to.id') = ?`,
+      [Number(threadId), Number(messageId)]
+    );
+  }
+
+  /**
+   * Deletes events older than the retention period.
+   *
+   * @async
+   * @param {number} [days=CHAT_EVENT_RETENTION_DAYS] - Retention in days.
+   * @returns {Promise<number>} Number of deleted events.
+   */
+  async prune(days = RETENTION_DAYS) {
+    const [res] = await pool.query(
+      `DELETE FROM chat_thread_events
+       WHERE created_at < NOW() - INTERVAL ? DAY
+       LIMIT 10000`,
+      [Number(days)]
+    );
+    return res.affectedRows;
+  }
+}
+
+module.exports = ChatEventRepository;
@@ -0,0 +1,895 @@
+/**
+ * @file repositories/ChatMessageRepository.js
+ * @description
+ * Repository responsible for mutating existing chat messages within
+ * Softadastra Chat (edits and their revision history, emoji reactions).
+ *
+ * ## Responsibilities
+ * - Load a single message with its thread context.
+ * - Let the author edit a message within a configurable time window.
+ * - Keep every previous version of an edited message as a revision.
+ * - List the revision history of a message.
+ * - Add / remove emoji reactions and aggregate them per message.
+ * - Build compact quoted previews for replies (`reply_to_message_id`).
+ * - Page through a thread's history with `before_id` / `after_id` cursors.
+ * - Search the messages of the threads a user belongs to (FULLTEXT) and load
+ *   the messages around a hit ("jump to message").
+ * - Stamp `delivered_at` / `read_at` on messages received / read by others.
+ * - Purge disappearing messages once their `expires_at` is past.
+ * - Store the preview of the first link of a message (`link_preview`).
+ *
+ * ## Database Schema (simplified)
+ * - `chat_messages`
+ *   - `id` INT AUTO_INCREMENT
+ *   - `thread_id` INT, `sender_id` INT
+ *   - `sent_by` INT NULL               // staff member who wrote it as the shop (ChatTeamInboxRepository)
+ *   - `content` TEXT NULL
+ *   - `kind` VARCHAR(16) DEFAULT 'text', `extra_data` JSON NULL
+ *                                      // structured messages, see ChatCommerceRepository
+ *   - `deleted` TINYINT(1) DEFAULT 0
+ *   - `edited_at` DATETIME NULL        // last edit, NULL if never edited
+ *   - `reply_to_message_id` INT NULL   // quoted message (same thread)
+ *   - `delivered_at` DATETIME NULL     // first delivery to a recipient device
+ *   - `read_at` DATETIME NULL          // first read by a recipient
+ *   - `expires_at` DATETIME NULL       // disappearing message, INDEX (expires_at)
+ *   - `link_preview` JSON NULL         // `{ url, title, description, image_url, site_name }`
+ *   - `created_at` DATETIME
+ *   - FULLTEXT INDEX (content)
+ * - `chat_message_revisions`
+ *   - `id` INT AUTO_INCREMENT
+ *   - `message_id` INT                 // INDEX (message_id, id)
+ *   - `editor_id` INT
+ *   - `content` TEXT NULL              // content **before** the edit
+ *   - `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP
+ * - `chat_message_reactions`
+ *   - `message_id` INT, `user_id` INT, `emoji` VARCHAR(32)
+ *                                      // PRIMARY KEY (message_id, user_id, emoji)
+ *   - `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP
+ *
+ * ## Environment Variables
+ * - `CHAT_EDIT_WINDOW_SEC` — how long after sending a message can be edited
+ *   (default: `900`, `0` = no limit).
+ * - `CHAT_HISTORY_PAGE_SIZE` — default history page size (default: `50`,
+ *   capped at `CHAT_HISTORY_MAX_PAGE_SIZE` = 200).
+ *
+ * @example
+ * const ChatMessageRepository = require('./repositories/ChatMessageRepository');
+ * const messages = new ChatMessageRepository();
+ *
+ * const out = await messages.editMessage({ messageId: 981, editorId: 7, content: "Fixed typo" });
+ * if (out.status === "ok") console.log(out.message.edited_at);
+ *
+ * await messages.addReaction(981, 12, "👍");
+ * const summaries = await messages.getReactionSummaries([981], 12);
+ * // Map { 981 => [{ emoji: "👍", count: 1, me: true }] }
+ *
+ * // Latest page, then older messages while scrolling up
+ * const page = await messages.listThreadMessages(9, { viewerId: 7 });
+ * const older = await messages.listThreadMessages(9, {
+ *   viewerId: 7,
+ *   beforeId: page.messages[0].id,
+ * });
+ *
+ * @see db/mysql.js — MySQL pool configuration
+ * @see ws/chat.js — `message_edit` frame
+ * @see routes/messages.js — `PATCH /api/messages/:messageId`
+ * @version 1.0.0
+ * @license MIT
+ */
+
+const pool = require("../db/mysql");
+const ChatCommerceRepository = require("./ChatCommerceRepository");
+
+const commerce = new ChatCommerceRepository();
+const {
+  searchTerms,
+  booleanQuery,
+  highlightMatches,
+  escapeLike,
+  FULLTEXT_MIN_TERM_LENGTH,
+} = require("../utils/searchText");
+
+/**
+ * Edit window in seconds (`0` disables the limit).
+ * @type {number}
+ */
+const EDIT_WINDOW_SEC = parseInt(process.env.CHAT_EDIT_WINDOW_SEC || "900", 10);
+
+/**
+ * Columns an edit is checked against (see `editRefusal()`).
+ * @type {string}
+ */
+const EDIT_COLUMNS = `id, thread_id, sender_id, sent_by, content, deleted, edited_at, created_at,
+                TIMESTAMPDIFF(SECOND, created_at, NOW()) AS age_sec`;
+
+/**
+ * Maximum length of an edited message body.
+ * @type {number}
+ */
+const MAX_CONTENT_LENGTH = 5000;
+
+/**
+ * History page sizes.
+ * @type {number}
+ */
+const HISTORY_MAX_PAGE_SIZE = 200;
+const HISTORY_PAGE_SIZE = Math.min(
+  parseInt(process.env.CHAT_HISTORY_PAGE_SIZE || "50", 10) || 50,
+  HISTORY_MAX_PAGE_SIZE
+);
+
+/**
+ * Columns returned by the history APIs.
+ * @type {string}
+ */
+const HISTORY_COLUMNS = `id, sender_id, content, image_urls, seen, created_at, deleted,
+  product_id, reply_to_message_id, edited_at, delivered_at, read_at, kind, extra_data, sent_by,
+  expires_at, link_preview`;
+
+/**
+ * Search page sizes, query length and context window limits.
+ * @type {number}
+ */
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_MAX_PAGE_SIZE = 50;
+const SEARCH_MAX_QUERY_LENGTH = 200;
+const CONTEXT_MAX_MESSAGES = 50;
+
+/**
+ * Number of characters of the quoted message kept in a reply preview.
+ * @type {number}
+ */
+const REPLY_EXCERPT_LENGTH = 120;
+
+/**
+ * A reaction is a short sequence of emoji code points (incl. skin tones,
+ * ZWJ sequences and variation selectors).
+ * @type {RegExp}
+ */
+const EMOJI_RE =
+  /^(?:\p{Extended_Pictographic}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u;
+
+/**
+ * Whether a value is an acceptable reaction emoji.
+ *
+ * @param {any} emoji - Candidate value.
+ * @returns {boolean}
+ */
+function isValidEmoji(emoji) {
+  return (
+    typeof emoji === "string" &&
+    emoji.length > 0 &&
+    emoji.length <= 32 &&
+    !/^[0-9#*]+$/.test(emoji) &&
+    EMOJI_RE.test(emoji)
+  );
+}
+
+/**
+ * Whether a user wrote a message: its sender, or the staff member who
+ * wrote it as the shop (`sent_by`, shared team inbox).
+ *
+ * @param {{ sender_id: number, sent_by?: number|null }} message - Message row.
+ * @param {number|string} userId - User.
+ * @returns {boolean}
+ */
+function isAuthor(message, userId) {
+  const uid = Number(userId);
+  return Number(message.sender_id) === uid || Number(message.sent_by) === uid;
+}
+
+/**
+ * Why an edit cannot be applied, if it cannot (see `editMessage`).
+ *
+ * @param {Object|undefined} msg - Row selected with `EDIT_COLUMNS`.
+ * @param {number|string} editorId - User performing the edit.
+ * @param {string} next - Trimmed new content.
+ * @returns {string|null} Non-`ok` edit status, or `null` when allowed.
+ */
+function editRefusal(msg, editorId, next) {
+  if (!next || next.length > MAX_CONTENT_LENGTH) return "invalid";
+  if (!msg) return "not_found";
+  if (!isAuthor(msg, editorId)) return "forbidden";
+  if (msg.deleted) return "deleted";
+  if (EDIT_WINDOW_SEC > 0 && Number(msg.age_sec) > EDIT_WINDOW_SEC) {
+    return "expired";
+  }
+  if (msg.content === next) return "unchanged";
+  return null;
+}
+
+/**
+ * Normalizes history cursor input (query string or WS frame).
+ * `before_id` and `after_id` are mutually exclusive.
+ *
+ * @param {Object} [input]
+ * @param {any} [input.before_id] - Return messages older than this ID.
+ * @param {any} [input.after_id] - Return messages newer than this ID.
+ * @param {any} [input.limit] - Page size (1..200).
+ * @returns {{ beforeId: number|null, afterId: number|null, limit: number } | null}
+ *          `null` when the input is invalid.
+ */
+function parseHistoryCursor({ before_id, after_id, limit } = {}) {
+  const present = (v) => v !== undefined && v !== null && v !== "";
+  const beforeId = present(before_id) ? Number(before_id) : null;
+  const afterId = present(after_id) ? Number(after_id) : null;
+  const size = present(limit) ? Number(limit) : HISTORY_PAGE_SIZE;
+
+  if (beforeId !== null && afterId !== null) return null;
+  for (const id of [beforeId, afterId]) {
+    if (id !== null && !(Number.isInteger(id) && id > 0)) return null;
+  }
+  if (!Number.isInteger(size) || size < 1 || size > HISTORY_MAX_PAGE_SIZE) {
+    return null;
+  }
+  return { beforeId, afterId, limit: size };
+}
+
+/**
+ * Normalizes search input (query string).
+ *
+ * @param {Object} [input]
+ * @param {any} input.q - Search text (required, max 200 chars).
+ * @param {any} [input.thread_id] - Only this thread.
+ * @param {any} [input.with_user_id] - Only the direct thread with this user.
+ * @param {any} [input.from] - Only messages sent at or after this date (ISO 8601).
+ * @param {any} [input.to] - Only messages sent before this date (ISO 8601).
+ * @param {any} [input.before_id] - Next page: hits older than this message ID.
+ * @param {any} [input.limit] - Page size (1..50).
+ * @returns {{ terms: string[], threadId: number|null, withUserId: number|null, from: Date|null, to: Date|null, beforeId: number|null, limit: number } | null}
+ *          `null` when the input is invalid.
+ */
+function parseSearchParams({
+  q,
+  thread_id,
+  with_user_id,
+  from,
+  to,
+  before_id,
+  limit,
+} = {}) {
+  const present = (v) => v !== undefined && v !== null && v !== "";
+  const id = (v) => (present(v) ? Number(v) : null);
+  const date = (v) => (present(v) ? new Date(String(v)) : null);
+
+  if (typeof q !== "string" || q.length > SEARCH_MAX_QUERY_LENGTH) return null;
+  const terms = searchTerms(q);
+  if (!terms.length) return null;
+
+  const out = {
+    terms,
+    threadId: id(thread_id),
+    withUserId: id(with_user_id),
+    from: date(from),
+    to: date(to),
+    beforeId: id(before_id),
+    limit: present(limit) ? Number(limit) : SEARCH_PAGE_SIZE,
+  };
+  for (const v of [out.threadId, out.withUserId, out.beforeId]) {
+    if (v !== null && !(Number.isInteger(v) && v > 0)) return null;
+  }
+  for (const d of [out.from, out.to]) {
+    if (d !== null && isNaN(d.getTime())) return null;
+  }
+  if (
+    !Number.isInteger(out.limit) ||
+    out.limit < 1 ||
+    out.limit > SEARCH_MAX_PAGE_SIZE
+  ) {
+    return null;
+  }
+  return out;
+}
+
+/**
+ * Repository for chat message edits, revisions, reactions and history.
+ */
+class ChatMessageRepository {
+  /**
+   * Retrieves a message row by ID.
+   *
+   * @async
+   * @param {number|string} messageId - Message ID.
+   * @param {import("mysql2/promise").PoolConnection} [conn] - Optional connection (transactions).
+   * @returns {Promise<Object|null>} `{ id, thread_id, sender_id, content, deleted, edited_at, created_at }` or `null`.
+   */
+  async getMessage(messageId, conn = pool) {
+    const [rows] = await conn.query(
+      `SELECT id, thread_id, sender_id, sent_by, content, deleted, edited_at, created_at
+       FROM chat_messages WHERE id = ? LIMIT 1`,
+      [Number(messageId)]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Tells whether an edit would be allowed, without applying it: lets
+   * callers run costly or recorded steps (moderation) only for edits that
+   * can succeed. `editMessage` checks again when applying it.
+   *
+   * @async
+   * @param {Object} params - Same as `editMessage`.
+   * @param {number} params.messageId - Message to edit.
+   * @param {number} params.editorId - User performing the edit.
+   * @param {string} params.content - New content.
+   * @returns {Promise<{ status: string, message?: Object }>} `"ok"` or an
+   *          `editMessage` status; `message` is the current row when found.
+   */
+  async checkEdit({ messageId, editorId, content }) {
+    const next = typeof content === "string" ? content.trim() : "";
+    const [rows] = await pool.query(
+      `SELECT ${EDIT_COLUMNS} FROM chat_messages WHERE id = ? LIMIT 1`,
+      [Number(messageId)]
+    );
+    const status = editRefusal(rows[0], editorId, next) || "ok";
+    return rows[0] ? { status, message: rows[0] } : { status };
+  }
+
+  /**
+   * Edits the content of a message on behalf of its author: the sender, or
+   * the staff member who wrote it as the shop (`sent_by`).
+   * The previous content is stored in `chat_message_revisions`.
+   *
+   * Resulting `status`:
+   * - `"ok"` — edited; `message` holds the updated row.
+   * - `"invalid"` — empty or too long content.
+   * - `"not_found"` — no such message.
+   * - `"forbidden"` — the editor is not the author.
+   * - `"deleted"` — the message was deleted.
+   * - `"expired"` — the edit window is over.
+   * - `"unchanged"` — same content as the current one (nothing stored).
+   *
+   * @async
+   * @param {Object} params - Edit payload.
+   * @param {number} params.messageId - Message to edit.
+   * @param {number} params.editorId - User performing the edit.
+   * @param {string} params.content - New content.
+   * @returns {Promise<{ status: string, message?: Object }>}
+   */
+  async editMessage({ messageId, editorId, content }) {
+    const next = typeof content === "string" ? content.trim() : "";
+    if (!next || next.length > MAX_CONTENT_LENGTH) return { status: "invalid" };
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      const [rows] = await conn.query(
+        `SELECT ${EDIT_COLUMNS} FROM chat_messages WHERE id = ? FOR UPDATE`,
+        [Number(messageId)]
+      );
+      const msg = rows[0];
+
+      const status = editRefusal(msg, editorId, next);
+      if (status) {
+        await conn.rollback();
+        return { status };
+      }
+
+      await conn.query(
+        `INSERT INTO chat_message_revisions (message_id, editor_id, content)
+         VALUES (?, ?, ?)`,
+        [msg.id, Number(editorId), msg.content]
+      );
+      await conn.query(
+        `UPDATE chat_messages SET content = ?, edited_at = NOW() WHERE id = ?`,
+        [next, msg.id]
+      );
+
+      const message = await this.getMessage(msg.id, conn);
+      await conn.commit();
+      return { status: "ok", message };
+    } catch (e) {
+      try {
+        await conn.rollback();
+      } catch {}
+      throw e;
+    } finally {
+      conn.release();
+    }
+  }
+
+  /**
+   * Lists the previous versions of a message, oldest first.
+   *
+   * @async
+   * @param {number|string} messageId - Message ID.
+   * @returns {Promise<Object[]>} `{ id, editor_id, content, created_at }[]`
+   */
+  async listRevisions(messageId) {
+    const [rows] = await pool.query(
+      `SELECT id, editor_id, content, created_at
+       FROM chat_message_revisions
+       WHERE message_id = ?
+       ORDER BY id ASC`,
+      [Number(messageId)]
+    );
+    return rows;
+  }
+
+  /**
+   * Adds a reaction of a user to a message (idempotent).
+   *
+   * @async
+   * @param {number|string} messageId - Message ID.
+   * @param {number|string} userId - Reacting user.
+   * @param {string} emoji - Reaction emoji.
+   * @returns {Promise<boolean>} `true` if a new reaction was stored.
+   */
+  async addReaction(messageId, userId, emoji) {
+    const [res] = await pool.query(
+      `INSERT IGNORE INTO chat_message_reactions (message_id, user_id, emoji)
+       VALUES (?, ?, ?)`,
+      [Number(messageId), Number(userId), emoji]
+    );
+    return res.affectedRows > 0;
+  }
+
+  /**
+   * Removes a reaction of a user from a message.
+   *
+   * @async
+   * @param {number|string} messageId - Message ID.
+   * @param {number|string} userId - Reacting user.
+   * @param {string} emoji - Reaction emoji.
+   * @returns {Promise<boolean>} `true` if a reaction was removed.
+   */
+  async removeReaction(messageId, userId, emoji) {
+    const [res] = await pool.query(
+      `DELETE FROM chat_message_reactions
+       WHERE message_id = ? AND user_id = ? AND emoji = ?`,
+      [Number(messageId), Number(userId), emoji]
+    );
+    return res.affectedRows > 0;
+  }
+
+  /**
+   * Aggregates reactions of several messages.
+   *
+   * @async
+   * @param {Array<number|string>} messageIds - Message IDs.
+   * @param {number|string} [viewerId] - User for whom `me` is computed.
+   * @returns {Promise<Map<number, Array<{ emoji: string, count: number, me: boolean }>>>}
+   *          Only messages with at least one reaction are present.
+   */
+  async getReactionSummaries(messageIds, viewerId = null) {
+    const ids = [...new Set(messageIds.map(Number).filter(Boolean))];
+    const out = new Map();
+    if (!ids.length) return out;
+
+    const [rows] = await pool.query(
+      `SELECT message_id, emoji, COUNT(*) AS count,
+              MAX(user_id = ?) AS me, MIN(created_at) AS first_at
+       FROM chat_message_reactions
+       WHERE message_id IN (?)
+       GROUP BY message_id, emoji
+       ORDER BY message_id, first_at ASC`,
+      [Number(viewerId) || 0, ids]
+    );
+
+    for (const r of rows) {
+      const id = Number(r.message_id);
+      if (!out.has(id)) out.set(id, []);
+      out.get(id).push({
+        emoji: r.emoji,
+        count: Number(r.count),
+        me: !!Number(r.me),
+      });
+    }
+    return out;
+  }
+
+  /**
+   * Builds compact quoted previews of the given messages, used for replies.
+   * Deleted messages keep their sender but expose no content.
+   *
+   * @async
+   * @param {Array<number|string>} messageIds - Quoted message IDs.
+   * @returns {Promise<Map<number, { id: number, sender_id: number, excerpt: string|null, image_url: string|null, deleted: boolean }>>}
+   */
+  async getReplyPreviews(messageIds) {
+    const ids = [...new Set(messageIds.map(Number).filter(Boolean))];
+    const out = new Map();
+    if (!ids.length) return out;
+
+    const [rows] = await pool.query(
+      `SELECT id, sender_id, content, image_urls, deleted
+       FROM chat_messages WHERE id IN (?)`,
+      [ids]
+    );
+
+    for (const r of rows) {
+      let images = [];
+      try {
+        images = r.image_urls ? JSON.parse(r.image_urls) : [];
+      } catch {}
+      const deleted = !!r.deleted;
+      const text = deleted ? "" : String(r.content || "");
+      out.set(Number(r.id), {
+        id: Number(r.id),
+        sender_id: Number(r.sender_id),
+        excerpt: text
+          ? text.length > REPLY_EXCERPT_LENGTH
+            ? text.slice(0, REPLY_EXCERPT_LENGTH) + "…"
+            : text
+          : null,
+        image_url: !deleted && images.length ? images[0] : null,
+        deleted,
+      });
+    }
+    return out;
+  }
+
+  /**
+   * Shapes raw history rows for clients: parsed `image_urls`, product
+   * context or structured payload (offers with their current status),
+   * aggregated reactions as seen by `viewerId` and reply previews.
+   *
+   * @async
+   * @param {Object[]} rows - Rows selected with `HISTORY_COLUMNS`.
+   * @param {number|string} [viewerId] - Requesting user (drives `reactions[].me`).
+   * @returns {Promise<Object[]>}
+   */
+  async hydrate(rows, viewerId = null) {
+    const reactions = await this.getReactionSummaries(
+      rows.map((m) => m.id),
+      viewerId
+    );
+    const replies = await this.getReplyPreviews(
+      rows.map((m) => m.reply_to_message_id)
+    );
+    const structured = rows.map((m) =>
+      typeof m.extra_data === "string" ? JSON.parse(m.extra_data) : m.extra_data
+    );
+    const offers = await commerce.getOfferStates(
+      structured.map((x, i) => rows[i].kind === "offer" && x?.offer_id)
+    );
+    return rows.map((msg, i) => {
+      let extra_data = structured[i] || undefined;
+      if (extra_data && msg.kind === "offer") {
+        extra_data = {
+          ...extra_data,
+          ...offers.get(Number(extra_data.offer_id)),
+        };
+      }
+      if (!extra_data && msg.product_id) {
+        extra_data = { product_id: msg.product_id };
+      }
+      const link_preview =
+        typeof msg.link_preview === "string"
+          ? JSON.parse(msg.link_preview)
+          : msg.link_preview;
+      return {
+        ...msg,
+        kind: msg.kind || "text",
+        image_urls: msg.image_urls ? JSON.parse(msg.image_urls) : [],
+        extra_data,
+        link_preview: msg.deleted ? null : link_preview || null,
+        reactions: reactions.get(Number(msg.id)) || [],
+        reply_to: replies.get(Number(msg.reply_to_message_id)) || null,
+      };
+    });
+  }
+
+  /**
+   * Returns one page of a thread's history, always in ascending order.
+   *
+   * - No cursor: the latest `limit` messages; `has_more` = older ones exist.
+   * - `beforeId`: the `limit` messages right before it; `has_more` = even older ones exist.
+   * - `afterId`: the `limit` messages right after it; `has_more` = even newer ones exist.
+   *
+   * @async
+   * @param {number|string} threadId - Thread ID.
+   * @param {Object} [options]
+   * @param {number|null} [options.beforeId] - Exclusive upper bound.
+   * @param {number|null} [options.afterId] - Exclusive lower bound.
+   * @param {number} [options.limit] - Page size.
+   * @param {number|string} [options.viewerId] - Requesting user.
+   * @returns {Promise<{ messages: Object[], has_more: boolean }>}
+   */
+  async listThreadMessages(
+    threadId,
+    {
+      beforeId = null,
+      afterId = null,
+      limit = HISTORY_PAGE_SIZE,
+      viewerId = null,
+    } = {}
+  ) {
+    const size = Math.min(
+      Math.max(Number(limit) || 1, 1),
+      HISTORY_MAX_PAGE_SIZE
+    );
+    const forward = afterId !== null && afterId !== undefined;
+    const params = [Number(threadId)];
+    let where = "thread_id = ?";
+    if (forward) {
+      where += " AND id > ?";
+      params.push(Number(afterId));
+    } else if (beforeId !== null && beforeId !== undefined) {
+      where += " AND id < ?";
+      params.push(Number(beforeId));
+    }
+
+    const [rows] = await pool.query(
+      `SELECT ${HISTORY_COLUMNS}
+       FROM chat_messages
+       WHERE ${where}
+       ORDER BY id ${forward ? "ASC" : "DESC"}
+       LIMIT ?`,
+      [...params, size + 1]
+    );
+
+    const has_more = rows.length > size;
+    const page = rows.slice(0, size);
+    if (!forward) page.reverse();
+
+    return { messages: await this.hydrate(page, viewerId), has_more };
+  }
+
+  /**
+   * Searches the non-deleted messages of every thread the user belongs to
+   * (direct threads, and groups they are still a member of), newest first.
+   *
+   * Terms are matched as word prefixes; terms shorter than the FULLTEXT
+   * minimum token size fall back to `LIKE`. Each hit carries a snippet and
+   * the highlighted ranges, plus enough thread info to render it and to open
+   * it with `listMessageContext()`.
+   *
+   * @async
+   * @param {number|string} userId - Requesting user.
+   * @param {Object} params - Output of `parseSearchParams()`.
+   * @returns {Promise<{ results: Array<{ id: number, thread_id: number, sender_id: number, created_at: string, snippet: string, highlights: Array<[number, number]>, thread: { is_group: boolean, title: string|null, other_user_id: number|null } }>, next_before_id: number|null, has_more: boolean }>}
+   */
+  async searchMessages(
+    userId,
+    { terms, threadId, withUserId, from, to, beforeId, limit }
+  ) {
+    const uid = Number(userId);
+    const where = [];
+    const params = [uid, uid, uid, uid];
+
+    const match = booleanQuery(terms);
+    if (match) {
+      where.push("MATCH (m.content) AGAINST (? IN BOOLEAN MODE)");
+      params.push(match);
+    }
+    for (const t of terms.filter((t) => t.length < FULLTEXT_MIN_TERM_LENGTH)) {
+      where.push("m.content LIKE ? ESCAPE '\\\\'");
+      params.push(`%${escapeLike(t)}%`);
+    }
+    if (threadId) {
+      where.push("m.thread_id = ?");
+      params.push(threadId);
+    }
+    if (withUserId) {
+      where.push(
+        "t.is_group = 0 AND IF(t.user1_id = ?, t.user2_id, t.user1_id) = ?"
+      );
+      params.push(uid, withUserId);
+    }
+    if (from) {
+      where.push("m.created_at >= ?");
+      params.push(from);
+    }
+    if (to) {
+      where.push("m.created_at < ?");
+      params.push(to);
+    }
+    if (beforeId) {
+      where.push("m.id < ?");
+      params.push(beforeId);
+    }
+
+    const [rows] = await pool.query(
+      `SELECT m.id, m.thread_id, m.sender_id, m.content, m.created_at,
+              t.is_group, t.title,
+              IF(t.is_group = 1, NULL,
+                 IF(t.user1_id = ?, t.user2_id, t.user1_id)) AS other_user_id
+       FROM chat_messages m
+       JOIN chat_threads t ON t.id = m.thread_id
+       LEFT JOIN chat_thread_participants p
+         ON p.thread_id = t.id AND p.user_id = ?
+       WHERE m.deleted = 0
+         AND (
+           (t.is_group = 0 AND (t.user1_id = ? OR t.user2_id = ?))
+           OR (t.is_group = 1 AND p.user_id IS NOT NULL AND p.left_at IS NULL)
+         )
+         ${where.map((w) => `AND ${w}`).join("\n         ")}
+       ORDER BY m.id DESC
+       LIMIT ?`,
+      [...params, limit + 1]
+    );
+
+    const has_more = rows.length > limit;
+    const results = rows.slice(0, limit).map((r) => ({
+      id: Number(r.id),
+      thread_id: Number(r.thread_id),
+      sender_id: Number(r.sender_id),
+      created_at: r.created_at,
+      ...highlightMatches(r.content, terms),
+      thread: {
+        is_group: !!r.is_group,
+        title: r.title || null,
+        other_user_id:
+          r.other_user_id === null ? null : Number(r.other_user_id),
+      },
+    }));
+    return {
+      results,
+      next_before_id: has_more ? results[results.length - 1].id : null,
+      has_more,
+    };
+  }
+
+  /**
+   * Loads a message with the messages around it, in ascending order, so a
+   * client can open a thread at a search hit. Further pages are regular
+   * history pages: `before_id` = first message ID, `after_id` = last one.
+   *
+   * @async
+   * @param {Object} message - Anchor row (`getMessage()`).
+   * @param {Object} [options]
+   * @param {number} [options.before=10] - Messages before the anchor (max 50).
+   * @param {number} [options.after=10] - Messages after the anchor (max 50).
+   * @param {number|string} [options.viewerId] - Requesting user.
+   * @returns {Promise<{ anchor_id: number, thread_id: number, messages: Object[], has_more_before: boolean, has_more_after: boolean }>}
+   */
+  async listMessageContext(
+    message,
+    { before = 10, after = 10, viewerId = null } = {}
+  ) {
+    const threadId = Number(message.thread_id);
+    const anchorId = Number(message.id);
+    const nBefore = Math.min(
+      Math.max(Number(before) || 0, 0),
+      CONTEXT_MAX_MESSAGES
+    );
+    const nAfter = Math.min(
+      Math.max(Number(after) || 0, 0),
+      CONTEXT_MAX_MESSAGES
+    );
+
+    const [older] = await pool.query(
+      `SELECT ${HISTORY_COLUMNS} FROM chat_messages
+       WHERE thread_id = ? AND id <= ?
+       ORDER BY id DESC LIMIT ?`,
+      [threadId, anchorId, nBefore + 2]
+    );
+    const [newer] = await pool.query(
+      `SELECT ${HISTORY_COLUMNS} FROM chat_messages
+       WHERE thread_id = ? AND id > ?
+       ORDER BY id ASC LIMIT ?`,
+      [threadId, anchorId, nAfter + 1]
+    );
+
+    const rows = [
+      ...older.slice(0, nBefore + 1).reverse(),
+      ...newer.slice(0, nAfter),
+    ];
+    return {
+      anchor_id: anchorId,
+      thread_id: threadId,
+      messages: await this.hydrate(rows, viewerId),
+      has_more_before: older.length > nBefore + 1,
+      has_more_after: newer.length > nAfter,
+    };
+  }
+
+  /**
+   * Stamps `delivered_at` on the messages of other senders up to `upToId`.
+   * In groups this records the **first** delivery; per-member progress lives
+   * in the participants' cursors.
+   *
+   * @async
+   * @param {number|string} threadId - Thread ID.
+   * @param {number|string} recipientId - User who received the messages.
+   * @param {number} upToId - Last message delivered.
+   * @returns {Promise<number>} Number of newly stamped messages.
+   */
+  async markDelivered(threadId, recipientId, upToId) {
+    const [res] = await pool.query(
+      `UPDATE chat_messages SET delivered_at = NOW()
+       WHERE thread_id = ? AND sender_id != ? AND id <= ? AND delivered_at IS NULL`,
+      [Number(threadId), Number(recipientId), Number(upToId)]
+    );
+    return res.affectedRows;
+  }
+
+  /**
+   * Stamps `read_at` (and `delivered_at` if missing) on the messages of
+   * other senders up to `upToId`.
+   *
+   * @async
+   * @param {number|string} threadId - Thread ID.
+   * @param {number|string} readerId - User who read the messages.
+   * @param {number} upToId - Last message read.
+   * @returns {Promise<number>} Number of newly stamped messages.
+   */
+  async markRead(threadId, readerId, upToId) {
+    const [res] = await pool.query(
+      `UPDATE chat_messages
+       SET read_at = NOW(), delivered_at = COALESCE(delivered_at, NOW())
+       WHERE thread_id = ? AND sender_id != ? AND id <= ? AND read_at IS NULL`,
+      [Number(threadId), Number(readerId), Number(upToId)]
+    );
+    return res.affectedRows;
+  }
+
+  /**
+   * Purges disappearing messages whose `expires_at` is past: content,
+   * images, edit revisions and reactions are dropped and the message is
+   * marked deleted. Each message is claimed with a conditional update, so
+   * concurrent sweepers (several instances) never purge it twice.
+   *
+   * @async
+   * @param {number} [limit=200] - Maximum number of messages purged.
+   * @returns {Promise<Array<{ id: number, thread_id: number, sender_id: number, sent_by: number|null, image_urls: string[] }>>}
+   *          The purged messages, with the image URLs they held.
+   */
+  async purgeExpired(limit = 200) {
+    const [rows] = await pool.query(
+      `SELECT id, thread_id, sender_id, sent_by, image_urls
+       FROM chat_messages
+       WHERE expires_at <= NOW() AND deleted = 0
+       ORDER BY expires_at ASC
+       LIMIT ?`,
+      [Number(limit)]
+    );
+
+    const purged = [];
+    for (const row of rows) {
+      const [res] = await pool.query(
+        `UPDATE chat_messages
+         SET content = NULL, image_urls = '[]', link_preview = NULL, deleted = 1
+         WHERE id = ? AND deleted = 0`,
+        [row.id]
+      );
+      if (!res.affectedRows) continue; // purged or deleted meanwhile
+      await pool.query(
+        `DELETE FROM chat_message_revisions WHERE message_id = ?`,
+        [row.id]
+      );
+      await pool.query(
+        `DELETE FROM chat_message_reactions WHERE message_id = ?`,
+        [row.id]
+      );
+      purged.push({
+        id: Number(row.id),
+        thread_id: Number(row.thread_id),
+        sender_id: Number(row.sender_id),
+        sent_by: row.sent_by ? Number(row.sent_by) : null,
+        image_urls: row.image_urls ? JSON.parse(row.image_urls) : [],
+      });
+    }
+    return purged;
+  }
+
+  /**
+   * Sets (or clears) the link preview of a message that is not deleted.
+   *
+   * @async
+   * @param {number|string} messageId - Message ID.
+   * @param {Object|null} preview - Preview (see `LinkPreviewRepository`), `null` to clear.
+   * @returns {Promise<boolean>} `false` when nothing was to change (deleted
+   *          message, or no preview before nor after).
+   */
+  async setLinkPreview(messageId, preview) {
+    const json = preview ? JSON.stringify(preview) : null;
+    const [res] = await pool.query(
+      `UPDATE chat_messages SET link_preview = ?
+       WHERE id = ? AND deleted = 0
+         AND (link_preview IS NOT NULL OR ? IS NOT NULL)`,
+      [json, Number(messageId), json]
+    );
+    return res.affectedRows > 0;
+  }
+}
+
+ChatMessageRepository.parseHistoryCursor = parseHistoryCursor;
+ChatMessageRepository.parseSearchParams = parseSearchParams;
+ChatMessageRepository.isValidEmoji = isValidEmoji;
+ChatMessageRepository.isAuthor = isAuthor;
+ChatMessageRepository.EDIT_WINDOW_SEC = EDIT_WINDOW_SEC;
+
+module.exports = ChatMessageRepository;
@@ -0,0 +1,416 @@
+/**
+ * @file repositories/ChatQuickReplyRepository.js
+ * @description
+ * Repository for seller productivity in Softadastra Chat: saved reply
+ * templates ("quick replies") and the away auto-responder.
+ *
+ * ## Responsibilities
+ * - CRUD on a user's quick replies (unique `shortcut` per user, capped at
+ *   `CHAT_MAX_QUICK_REPLIES`).
+ * - Store the away settings: mode (`off`, `away` = always, `schedule` =
+ *   outside business hours), message, time zone, schedule and throttle.
+ * - Decide whether an incoming message deserves an auto-reply and claim the
+ *   per-thread throttle atomically, so concurrent messages send one reply.
+ * - Resolve placeholder values (buyer / seller name, product title).
+ *
+ * ## Database Schema (simplified)
+ * - `chat_quick_replies`
+ *   - `id` INT AUTO_INCREMENT, `user_id` INT
+ *   - `shortcut` VARCHAR(32)             // UNIQUE (user_id, shortcut)
+ *   - `title` VARCHAR(80) NULL, `body` TEXT
+ *   - `created_at`, `updated_at` DATETIME
+ * - `chat_away_settings`
+ *   - `user_id` INT PRIMARY KEY
+ *   - `mode` ENUM('off','away','schedule') DEFAULT 'off'
+ *   - `message` TEXT NULL, `timezone` VARCHAR(64), `schedule` JSON NULL
+ *   - `throttle_minutes` INT DEFAULT 720
+ *   - `updated_at` DATETIME
+ * - `chat_auto_replies`
+ *   - `thread_id` INT, `user_id` INT     // PRIMARY KEY (thread_id, user_id)
+ *   - `sent_at` DATETIME                 // last auto-reply of `user_id` in the thread
+ * - Users (read only, `CHAT_USERS_TABLE`): `id, fullname`
+ *
+ * ## Environment Variables
+ * - `CHAT_MAX_QUICK_REPLIES` — templates per user (default: `50`).
+ * - `CHAT_USERS_TABLE` — users table or view for display names (default: `"users"`).
+ *
+ * @example
+ * const ChatQuickReplyRepository = require('./repositories/ChatQuickReplyRepository');
+ * const quickReplies = new ChatQuickReplyRepository();
+ *
+ * await quickReplies.create(7, { shortcut: "stock", body: "Hi {buyer_name}, {product_title} is in stock!" });
+ * const settings = await quickReplies.getAwaySettings(7);
+ * if (ChatQuickReplyRepository.isAway(settings) && (await quickReplies.claimAutoReply(9, 7, settings.throttle_minutes))) {
+ *   // send settings.message
+ * }
+ *
+ * @see routes/quickReplies.js — REST API
+ * @see ws/chat.js — `quick_reply_id` in `message_send`, auto-replies
+ * @version 1.0.0
+ * @license MIT
+ */
+
+const pool = require("../db/mysql");
+const {
+  parseSchedule,
+  isValidTimezone,
+  isWithinHours,
+} = require("../utils/autoReply");
+
+/**
+ * Maximum number of quick replies per user.
+ * @type {number}
+ */
+const MAX_QUICK_REPLIES = parseInt(
+  process.env.CHAT_MAX_QUICK_REPLIES || "50",
+  10
+);
+
+/**
+ * Users table queried for display names.
+ * @type {string}
+ */
+const USERS_TABLE = process.env.CHAT_USERS_TABLE || "users";
+
+/**
+ * Length limits.
+ * @type {number}
+ */
+const MAX_BODY_LENGTH = 2000;
+const MAX_TITLE_LENGTH = 80;
+
+/**
+ * Away modes.
+ * @type {string[]}
+ */
+const AWAY_MODES = ["off", "away", "schedule"];
+
+/**
+ * Settings of a user who never configured the auto-responder.
+ * @type {Object}
+ */
+const DEFAULT_AWAY_SETTINGS = {
+  mode: "off",
+  message: null,
+  timezone: "UTC",
+  schedule: {},
+  throttle_minutes: 720,
+};
+
+/**
+ * Normalizes quick-reply input.
+ *
+ * @param {Object} input - `{ shortcut?, title?, body? }`.
+ * @param {boolean} partial - Whether missing fields are allowed (updates).
+ * @returns {{ shortcut?: string, title?: string|null, body?: string } | null}
+ */
+function parseQuickReply(input = {}, partial = false) {
+  const out = {};
+  if (input.shortcut !== undefined || !partial) {
+    const shortcut = String(input.shortcut ?? "")
+      .trim()
+      .toLowerCase();
+    if (!/^[\p{L}\p{N}_-]{1,32}$/u.test(shortcut)) return null;
+    out.shortcut = shortcut;
+  }
+  if (input.title !== undefined) {
+    if (input.title !== null && typeof input.title !== "string") return null;
+    const title = input.title ? input.title.trim() : "";
+    if (title.length > MAX_TITLE_LENGTH) return null;
+    out.title = title || null;
+  }
+  if (input.body !== undefined || !partial) {
+    if (typeof input.body !== "string") return null;
+    const body = input.body.trim();
+    if (!body || body.length > MAX_BODY_LENGTH) return null;
+    out.body = body;
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+/**
+ * Normalizes away settings input.
+ *
+ * @param {Object} input - `{ mode, message?, timezone?, schedule?, throttle_minutes? }`.
+ * @returns {Object|null} Complete settings, or `null` when invalid.
+ */
+function parseAwaySettings(input = {}) {
+  const s = { ...DEFAULT_AWAY_SETTINGS, ...input };
+  if (!AWAY_MODES.includes(s.mode)) return null;
+  if (s.message !== null && typeof s.message !== "string") return null;
+  const message = s.message ? s.message.trim() : "";
+  if (message.length > MAX_BODY_LENGTH) return null;
+  if (s.mode !== "off" && !message) return null;
+  if (!isValidTimezone(s.timezone)) return null;
+  const schedule = parseSchedule(s.schedule || {});
+  if (!schedule) return null;
+  const throttle = Number(s.throttle_minutes);
+  if (!Number.isInteger(throttle) || throttle < 5 || throttle > 10080) {
+    return null;
+  }
+  return {
+    mode: s.mode,
+    message: message || null,
+    timezone: s.timezone,
+    schedule,
+    throttle_minutes: throttle,
+  };
+}
+
+/**
+ * Whether a user with these settings is currently away.
+ *
+ * @param {Object} settings - Away settings.
+ * @param {Date} [now=new Date()] - Instant to check.
+ * @returns {boolean}
+ */
+function isAway(settings, now = new Date()) {
+  if (!settings?.message) return false;
+  if (settings.mode === "away") return true;
+  if (settings.mode === "schedule") {
+    return !isWithinHours(settings.schedule, settings.timezone, now);
+  }
+  return false;
+}
+
+/**
+ * Repository for quick replies and away auto-replies.
+ */
+class ChatQuickReplyRepository {
+  /**
+   * Lists a user's quick replies, by shortcut.
+   *
+   * @async
+   * @param {number|string} userId - Owner.
+   * @returns {Promise<Array<{ id, shortcut, title, body, created_at, updated_at }>>}
+   */
+  async list(userId) {
+    const [rows] = await pool.query(
+      `SELECT id, shortcut, title, body, created_at, updated_at
+       FROM chat_quick_replies WHERE user_id = ? ORDER BY shortcut ASC`,
+      [Number(userId)]
+    );
+    return rows;
+  }
+
+  /**
+   * Retrieves one of a user's quick replies.
+   *
+   * @async
+   * @param {number|string} id - Quick reply ID.
+   * @param {number|string} userId - Owner.
+   * @returns {Promise<Object|null>}
+   */
+  async get(id, userId) {
+    const [rows] = await pool.query(
+      `SELECT id, shortcut, title, body, created_at, updated_at
+       FROM chat_quick_replies WHERE id = ? AND user_id = ? LIMIT 1`,
+      [Number(id), Number(userId)]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Creates a quick reply.
+   *
+   * Resulting `status`: `"ok"` (with `reply`), `"invalid"`, `"duplicate"`
+   * (shortcut already used) or `"limit"` (`CHAT_MAX_QUICK_REPLIES` reached).
+   *
+   * @async
+   * @param {number|string} userId - Owner.
+   * @param {Object} input - `{ shortcut, title?, body }`.
+   * @returns {Promise<{ status: string, reply?: Object }>}
+   */
+  async create(userId, input) {
+    const data = parseQuickReply(input);
+    if (!data) return { status: "invalid" };
+
+    const [[{ n }]] = await pool.query(
+      `SELECT COUNT(*) AS n FROM chat_quick_replies WHERE user_id = ?`,
+      [Number(userId)]
+    );
+    if (n >= MAX_QUICK_REPLIES) return { status: "limit" };
+
+    try {
+      const [res] = await pool.query(
+        `INSERT INTO chat_quick_replies (user_id, shortcut, title, body, created_at, updated_at)
+         VALUES (?, ?, ?, ?, NOW(), NOW())`,
+        [Number(userId), data.shortcut, data.title ?? null, data.body]
+      );
+      return { status: "ok", reply: await this.get(res.insertId, userId) };
+    } catch (err) {
+      if (err.code === "ER_DUP_ENTRY") return { status: "duplicate" };
+      throw err;
+    }
+  }
+
+  /**
+   * Updates a quick reply.
+   *
+   * Resulting `status`: `"ok"` (with `reply`), `"invalid"`, `"not_found"`
+   * or `"duplicate"`.
+   *
+   * @async
+   * @param {number|string} id - Quick reply ID.
+   * @param {number|string} userId - Owner.
+   * @param {Object} input - Any of `{ shortcut, title, body }`.
+   * @returns {Promise<{ status: string, reply?: Object }>}
+   */
+  async update(id, userId, input) {
+    const data = parseQuickReply(input, true);
+    if (!data) return { status: "invalid" };
+    const sets = Object.keys(data).map((k) => `${k} = ?`);
+
+    try {
+      const [res] = await pool.query(
+        `UPDATE chat_quick_replies SET ${sets.join(", ")}, updated_at = NOW()
+         WHERE id = ? AND user_id = ?`,
+        [...Object.values(data), Number(id), Number(userId)]
+      );
+      if (!res.affectedRows) return { status: "not_found" };
+      return { status: "ok", reply: await this.get(id, userId) };
+    } catch (err) {
+      if (err.code === "ER_DUP_ENTRY") return { status: "duplicate" };
+      throw err;
+    }
+  }
+
+  /**
+   * Deletes a quick reply.
+   *
+   * @async
+   * @param {number|string} id - Quick reply ID.
+   * @param {number|string} userId - Owner.
+   * @returns {Promise<boolean>} `true` if a reply was deleted.
+   */
+  async remove(id, userId) {
+    const [res] = await pool.query(
+      `DELETE FROM chat_quick_replies WHERE id = ? AND user_id = ?`,
+      [Number(id), Number(userId)]
+    );
+    return res.affectedRows > 0;
+  }
+
+  /**
+   * Returns a user's away settings (defaults when never configured).
+   *
+   * @async
+   * @param {number|string} userId - User ID.
+   * @returns {Promise<Object>}
+   */
+  async getAwaySettings(userId) {
+    const [rows] = await pool.query(
+      `SELECT mode, message, timezone, schedule, throttle_minutes, updated_at
+       FROM chat_away_settings WHERE user_id = ? LIMIT 1`,
+      [Number(userId)]
+    );
+    const row = rows[0];
+    if (!row) return { ...DEFAULT_AWAY_SETTINGS, updated_at: null };
+    return {
+      ...row,
+      schedule:
+        typeof row.schedule === "string"
+          ? JSON.parse(row.schedule)
+          : row.schedule || {},
+    };
+  }
+
+  /**
+   * Saves a user's away settings (output of `parseAwaySettings()`).
+   *
+   * @async
+   * @param {number|string} userId - User ID.
+   * @param {Object} settings - Complete settings.
+   * @returns {Promise<Object>} Saved settings.
+   */
+  async saveAwaySettings(userId, settings) {
+    await pool.query(
+      `INSERT INTO chat_away_settings
+         (user_id, mode, message, timezone, schedule, throttle_minutes, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE
+         mode = VALUES(mode), message = VALUES(message),
+         timezone = VALUES(timezone), schedule = VALUES(schedule),
+         throttle_minutes = VALUES(throttle_minutes), updated_at = NOW()`,
+      [
+        Number(userId),
+        settings.mode,
+        settings.message,
+        settings.timezone,
+        JSON.stringify(settings.schedule),
+        settings.throttle_minutes,
+      ]
+    );
+    return this.getAwaySettings(userId);
+  }
+
+  /**
+   * Claims the right to auto-reply in a thread: succeeds when `userId` has
+   * not auto-replied there within `throttleMinutes`.
+   *
+   * @async
+   * @param {number|string} threadId - Thread ID.
+   * @param {number|string} userId - Away user.
+   * @param {number} throttleMinutes - Minimum delay between two auto-replies.
+   * @returns {Promise<boolean>}
+   */
+  async claimAutoReply(threadId, userId, throttleMinutes) {
+    const [ins] = await pool.query(
+      `INSERT IGNORE INTO chat_auto_replies (thread_id, user_id, sent_at)
+       VALUES (?, ?, NOW())`,
+      [Number(threadId), Number(userId)]
+    );
+    if (ins.affectedRows > 0) return true;
+
+    // Conditional update: only one of concurrent claimers matches the row
+    const [res] = await pool.query(
+      `UPDATE chat_auto_replies SET sent_at = NOW()
+       WHERE thread_id = ? AND user_id = ?
+         AND sent_at < NOW() - INTERVAL ? MINUTE`,
+      [Number(threadId), Number(userId), Number(throttleMinutes)]
+    );
+    return res.affectedRows > 0;
+  }
+
+  /**
+   * Display names of users, for `{buyer_name}` / `{seller_name}`.
+   *
+   * @async
+   * @param {Array<number|string>} userIds - User IDs.
+   * @returns {Promise<Map<number, string>>}
+   */
+  async getDisplayNames(userIds) {
+    const ids = [...new Set(userIds.filter(Boolean).map(Number))];
+    const out = new Map();
+    if (!ids.length) return out;
+    const [rows] = await pool.query(
+      `SELECT id, fullname FROM ${USERS_TABLE} WHERE id IN (?)`,
+      [ids]
+    );
+    for (const r of rows) out.set(Number(r.id), r.fullname || "");
+    return out;
+  }
+
+  /**
+   * Most recent product discussed in a thread (for `{product_title}`).
+   *
+   * @async
+   * @param {number|string} threadId - Thread ID.
+   * @returns {Promise<number|null>}
+   */
+  async lastProductId(threadId) {
+    const [rows] = await pool.query(
+      `SELECT product_id FROM chat_messages
+       WHERE thread_id = ? AND product_id IS NOT NULL AND deleted = 0
+       ORDER BY id DESC LIMIT 1`,
+      [Number(threadId)]
+    );
+    return rows[0] ? Number(rows[0].product_id) : null;
+  }
+}
+
+ChatQuickReplyRepository.parseAwaySettings = parseAwaySettings;
+ChatQuickReplyRepository.isAway = isAway;
+ChatQuickReplyRepository.AWAY_MODES = AWAY_MODES;
+
+module.exports = ChatQuickReplyRepository;
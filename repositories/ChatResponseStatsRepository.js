@@ -0,0 +1,313 @@
+/**
+ * @file repositories/ChatResponseStatsRepository.js
+ * @description
+ * Repository for seller response-time metrics in Softadastra Chat: first
+ * response time, median reply latency and response rate.
+ *
+ * ## Responsibilities
+ * - Follow each direct thread's response state as messages are persisted
+ *   (`recordMessage()`, called by `ws/chat.js`) and store every reply
+ *   latency.
+ * - Rebuild that state from `chat_messages` (`recompute()`), for the
+ *   backfill and to repair drift (`node scripts/recompute-response-stats.js`).
+ * - Aggregate a responder's metrics over the last `CHAT_RESPONSE_WINDOW_DAYS`.
+ *
+ * See utils/responseStats.js for the model (who is the responder, what
+ * counts as an answer).
+ *
+ * ## Database Schema (simplified)
+ * - `chat_response_threads`
+ *   - `thread_id` INT PRIMARY KEY
+ *   - `responder_id` INT, `buyer_id` INT  // INDEX (responder_id, started_at)
+ *   - `started_at` DATETIME              // first message of the conversation
+ *   - `first_response_at` DATETIME NULL
+ *   - `pending_since` DATETIME NULL      // oldest unanswered buyer message
+ * - `chat_response_latencies`
+ *   - `id` INT AUTO_INCREMENT, `thread_id` INT  // INDEX (thread_id)
+ *   - `responder_id` INT                 // INDEX (responder_id, created_at)
+ *   - `latency_sec` INT, `is_first` TINYINT(1)
+ *   - `created_at` DATETIME              // time of the answer
+ *
+ * ## Environment Variables
+ * - `CHAT_RESPONSE_WINDOW_DAYS` — period the metrics cover (default: `90`).
+ *
+ * @example
+ * const ChatResponseStatsRepository = require('./repositories/ChatResponseStatsRepository');
+ * const responseStats = new ChatResponseStatsRepository();
+ *
+ * await responseStats.recordMessage(thread, { senderId: 12 });
+ * const stats = await responseStats.getStats(42);
+ * // { conversations: 18, response_rate: 0.94, first_response_median_sec: 1260, reply_median_sec: 540, badge: "within_an_hour", ... }
+ *
+ * @see utils/responseStats.js — State machine and aggregation
+ * @version 1.0.0
+ * @license MIT
+ */
+
+const pool = require("../db/mysql");
+const {
+  stepResponse,
+  replayThread,
+  summarizeResponses,
+} = require("../utils/responseStats");
+
+/**
+ * Period covered by the metrics, in days.
+ * @type {number}
+ */
+const WINDOW_DAYS = parseInt(process.env.CHAT_RESPONSE_WINDOW_DAYS || "90", 10);
+
+/**
+ * Unanswered conversations younger than this are not counted against the
+ * response rate yet.
+ * @type {number}
+ */
+const GRACE_HOURS = 24;
+
+/**
+ * Latencies read per aggregation (most recent first).
+ * @type {number}
+ */
+const MAX_LATENCY_SAMPLES = 1000;
+
+/**
+ * Threads replayed per recompute batch.
+ * @type {number}
+ */
+const RECOMPUTE_BATCH = 200;
+
+/**
+ * Converts a `chat_response_threads` row to the state used by `stepResponse()`.
+ *
+ * @param {Object|undefined} row
+ * @returns {Object|null}
+ */
+function toState(row) {
+  if (!row) return null;
+  const ms = (d) => (d ? new Date(d).getTime() : null);
+  return {
+    responder_id: Number(row.responder_id),
+    buyer_id: Number(row.buyer_id),
+    started_at: ms(row.started_at),
+    first_response_at: ms(row.first_response_at),
+    pending_since: ms(row.pending_since),
+  };
+}
+
+/**
+ * Repository for response-time metrics.
+ */
+class ChatResponseStatsRepository {
+  /**
+   * Saves a thread's response state.
+   *
+   * @async
+   * @param {number} threadId - Thread ID.
+   * @param {Object} state - Output of `stepResponse()`.
+   * @returns {Promise<void>}
+   */
+  async saveState(threadId, state) {
+    const date = (ms) => (ms === null ? null : new Date(ms));
+    await pool.query(
+      `INSERT INTO chat_response_threads
+         (thread_id, responder_id, buyer_id, started_at, first_response_at, pending_since)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE first_response_at = VALUES(first_response_at),
+         pending_since = VALUES(pending_since)`,
+      [
+        Number(threadId),
+        state.responder_id,
+        state.buyer_id,
+        date(state.started_at),
+        date(state.first_response_at),
+        date(state.pending_since),
+      ]
+    );
+  }
+
+  /**
+   * Stores reply latencies.
+   *
+   * @async
+   * @param {number} threadId - Thread ID.
+   * @param {number} responderId - Responder.
+   * @param {Array<{ seconds: number, is_first: boolean, at: number }>} latencies
+   * @returns {Promise<void>}
+   */
+  async saveLatencies(threadId, responderId, latencies) {
+    if (!latencies.length) return;
+    await pool.query(
+      `INSERT INTO chat_response_latencies (thread_id, responder_id, latency_sec, is_first, created_at)
+       VALUES ?`,
+      [
+        latencies.map((l) => [
+          Number(threadId),
+          Number(responderId),
+          l.seconds,
+          l.is_first ? 1 : 0,
+          new Date(l.at),
+        ]),
+      ]
+    );
+  }
+
+  /**
+   * Updates the metrics with a message that was just persisted. Group
+   * threads are ignored.
+   *
+   * @async
+   * @param {Object} thread - Thread row.
+   * @param {Object} message
+   * @param {number} message.senderId - Author (the shop for staff answers).
+   * @param {Date} [message.createdAt=new Date()] - Sending time.
+   * @param {boolean} [message.autoReply=false] - Sent by the away auto-responder.
+   * @returns {Promise<void>}
+   */
+  async recordMessage(thread, { senderId, createdAt = new Date(), autoReply }) {
+    if (thread.is_group) return;
+    const sender = Number(senderId);
+    const recipient = [Number(thread.user1_id), Number(thread.user2_id)].find(
+      (id) => id !== sender
+    );
+
+    const [rows] = await pool.query(
+      `SELECT responder_id, buyer_id, started_at, first_response_at, pending_since
+       FROM chat_response_threads WHERE thread_id = ? LIMIT 1`,
+      [Number(thread.id)]
+    );
+    const before = toState(rows[0]);
+    const { state, latency } = stepResponse(before, {
+      sender_id: sender,
+      recipient_id: recipient,
+      at: createdAt,
+      auto_reply: !!autoReply,
+    });
+    if (!state || state === before) return;
+
+    await this.saveState(thread.id, state);
+    if (latency) {
+      await this.saveLatencies(thread.id, state.responder_id, [latency]);
+    }
+  }
+
+  /**
+   * Rebuilds the response state and latencies of a direct thread from its
+   * messages.
+   *
+   * @async
+   * @param {Object} thread - `{ id, user1_id, user2_id }`.
+   * @returns {Promise<void>}
+   */
+  async recomputeThread(thread) {
+    const [messages] = await pool.query(
+      `SELECT sender_id, created_at, extra_data
+       FROM chat_messages WHERE thread_id = ? ORDER BY id ASC`,
+      [Number(thread.id)]
+    );
+    const { state, latencies } = replayThread(
+      messages.map((m) => {
+        let extra = m.extra_data;
+        if (typeof extra === "string") {
+          try {
+            extra = JSON.parse(extra);
+          } catch {
+            extra = null;
+          }
+        }
+        return { ...m, auto_reply: !!extra?.auto_reply };
+      }),
+      [thread.user1_id, thread.user2_id]
+    );
+
+    await pool.query(
+      `DELETE FROM chat_response_latencies WHERE thread_id = ?`,
+      [Number(thread.id)]
+    );
+    await pool.query(`DELETE FROM chat_response_threads WHERE thread_id = ?`, [
+      Number(thread.id),
+    ]);
+    if (!state) return;
+    await this.saveState(thread.id, state);
+    await this.saveLatencies(thread.id, state.responder_id, latencies);
+  }
+
+  /**
+   * Rebuilds every direct thread, or only those active in the last
+   * `sinceDays` days.
+   *
+   * @async
+   * @param {Object} [options]
+   * @param {number|null} [options.sinceDays=null] - Only threads with a message since then.
+   * @returns {Promise<number>} Number of threads rebuilt.
+   */
+  async recompute({ sinceDays = null } = {}) {
+    let lastId = 0;
+    let count = 0;
+    for (;;) {
+      const [rows] = await pool.query(
+        `SELECT t.id, t.user1_id, t.user2_id
+         FROM chat_threads t
+         ${sinceDays ? "JOIN chat_messages m ON m.id = t.last_message_id" : ""}
+         WHERE t.is_group = 0 AND t.id > ?
+           ${sinceDays ? "AND m.created_at >= NOW() - INTERVAL ? DAY" : ""}
+         ORDER BY t.id ASC
+         LIMIT ?`,
+        sinceDays
+          ? [lastId, Number(sinceDays), RECOMPUTE_BATCH]
+          : [lastId, RECOMPUTE_BATCH]
+      );
+      if (!rows.length) return count;
+      for (const thread of rows) await this.recomputeThread(thread);
+      count += rows.length;
+      lastId = rows[rows.length - 1].id;
+    }
+  }
+
+  /**
+   * Response metrics of a user over the last `days` days.
+   *
+   * @async
+   * @param {number|string} userId - Responder (seller or shop account).
+   * @param {Object} [options]
+   * @param {number} [options.days=CHAT_RESPONSE_WINDOW_DAYS] - Period covered.
+   * @returns {Promise<{ user_id: number, window_days: number, conversations: number, response_rate: number|null, first_response_median_sec: number|null, reply_median_sec: number|null, badge: string|null }>}
+   */
+  async getStats(userId, { days = WINDOW_DAYS } = {}) {
+    const uid = Number(userId);
+    const [[totals]] = await pool.query(
+      `SELECT COUNT(*) AS conversations,
+              COALESCE(SUM(first_response_at IS NOT NULL), 0) AS responded
+       FROM chat_response_threads
+       WHERE responder_id = ?
+         AND started_at >= NOW() - INTERVAL ? DAY
+         AND (first_response_at IS NOT NULL
+              OR started_at < NOW() - INTERVAL ? HOUR)`,
+      [uid, Number(days), GRACE_HOURS]
+    );
+    const [latencies] = await pool.query(
+      `SELECT latency_sec, is_first
+       FROM chat_response_latencies
+       WHERE responder_id = ? AND created_at >= NOW() - INTERVAL ? DAY
+       ORDER BY id DESC
+       LIMIT ?`,
+      [uid, Number(days), MAX_LATENCY_SAMPLES]
+    );
+
+    return {
+      user_id: uid,
+      window_days: Number(days),
+      ...summarizeResponses({
+        conversations: Number(totals.conversations),
+        responded: Number(totals.responded),
+        firstLatencies: latencies
+          .filter((l) => l.is_first)
+          .map((l) => Number(l.latency_sec)),
+        replyLatencies: latencies.map((l) => Number(l.latency_sec)),
+      }),
+    };
+  }
+}
+
+ChatResponseStatsRepository.WINDOW_DAYS = WINDOW_DAYS;
+
+module.exports = ChatResponseStatsRepository;
@@ -0,0 +1,314 @@
+/**
+ * @file repositories/ChatScheduledMessageRepository.js
+ * @description
+ * Repository for scheduled messages in Softadastra Chat: text messages
+ * written now and delivered later (`send_at` on `message_send`).
+ *
+ * ## Responsibilities
+ * - Store a scheduled message once `ws/chat.js` has validated it (thread,
+ *   membership, blocks, quoted message), capped at
+ *   `CHAT_MAX_SCHEDULED_MESSAGES` pending messages per author.
+ * - List and cancel an author's pending messages (`routes/messages.js`).
+ * - Hand the due messages to the dispatcher of `ws/chat.js`, each claimed
+ *   with a conditional update so a message is sent once even with several
+ *   instances running, then record the outcome.
+ * - Hold the images of a message until it is sent or cancelled
+ *   (`ChatUploadRepository#addRefs`), so purging another message never
+ *   deletes them.
+ *
+ * The author of a scheduled message is `sent_by` when a staff member wrote
+ * it as the shop `sender_id` (shared team inbox), else `sender_id`.
+ *
+ * ## Database Schema (simplified)
+ * - `chat_scheduled_messages`
+ *   - `id` INT AUTO_INCREMENT
+ *   - `thread_id` INT, `sender_id` INT
+ *   - `sent_by` INT NULL                 // staff member writing as the shop
+ *   - `content` TEXT NULL, `image_urls` JSON
+ *   - `reply_to_message_id` INT NULL
+ *   - `expires_in` INT NULL              // disappearing message TTL (seconds)
+ *   - `send_at` DATETIME                 // INDEX (status, send_at)
+ *   - `status` ENUM('pending','sending','sent','cancelled','failed') DEFAULT 'pending'
+ *   - `message_id` INT NULL              // delivered message
+ *   - `error` VARCHAR(32) NULL           // `error` frame code of a failed delivery
+ *   - `created_at` DATETIME, `updated_at` DATETIME
+ *
+ * ## Environment Variables
+ * - `CHAT_MAX_SCHEDULED_MESSAGES` — pending scheduled messages per author
+ *   (default: `100`).
+ *
+ * @example
+ * const ChatScheduledMessageRepository = require('./repositories/ChatScheduledMessageRepository');
+ * const scheduled = new ChatScheduledMessageRepository();
+ *
+ * const sendAt = ChatScheduledMessageRepository.parseSendAt("2025-11-09T08:00:00Z");
+ * const out = await scheduled.create({ threadId: 9, senderId: 7, content: "Bonjour !", sendAt });
+ * await scheduled.cancel(out.scheduled.id, 7);
+ *
+ * @see ws/chat.js — `send_at` in `message_send`, dispatcher
+ * @see routes/messages.js — `GET /api/messages/scheduled`
+ * @version 1.0.0
+ * @license MIT
+ */
+
+const pool = require("../db/mysql");
+const ChatUploadRepository = require("./ChatUploadRepository");
+
+const uploads = new ChatUploadRepository();
+
+/**
+ * Maximum number of pending scheduled messages per author.
+ * @type {number}
+ */
+const MAX_SCHEDULED_MESSAGES = parseInt(
+  process.env.CHAT_MAX_SCHEDULED_MESSAGES || "100",
+  10
+);
+
+/**
+ * How far ahead a message may be scheduled, in days.
+ * @type {number}
+ */
+const MAX_SCHEDULE_DAYS = 30;
+
+/**
+ * ISO 8601 date-time with an explicit offset (`Z` or `±hh:mm`).
+ * @type {RegExp}
+ */
+const ISO_DATE_RE =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Columns returned for a scheduled message.
+ * @type {string}
+ */
+const SCHEDULED_COLUMNS = `id, thread_id, sender_id, sent_by, content, image_urls,
+  reply_to_message_id, expires_in, send_at, status, message_id, error, created_at`;
+
+/**
+ * Parses a `send_at` value: an ISO 8601 date in the future, at most
+ * `MAX_SCHEDULE_DAYS` ahead.
+ *
+ * @param {any} value - Date sent by the client.
+ * @param {Date} [now=new Date()] - Current instant.
+ * @returns {Date|null} The date, or `null` when invalid or out of range.
+ */
+function parseSendAt(value, now = new Date()) {
+  if (typeof value !== "string") return null;
+  if (!ISO_DATE_RE.test(value)) return null;
+  const date = new Date(value);
+  const delta = date.getTime() - now.getTime();
+  if (Number.isNaN(delta) || delta <= 0) return null;
+  return delta <= MAX_SCHEDULE_DAYS * 86400 * 1000 ? date : null;
+}
+
+/**
+ * Formats a `chat_scheduled_messages` row for clients.
+ *
+ * @param {Object} row
+ * @returns {Object}
+ */
+function formatScheduled(row) {
+  const images =
+    typeof row.image_urls === "string"
+      ? JSON.parse(row.image_urls)
+      : row.image_urls;
+  return {
+    ...row,
+    image_urls: images || [],
+    send_at: new Date(row.send_at).toISOString(),
+  };
+}
+
+/**
+ * Repository for scheduled messages.
+ */
+class ChatScheduledMessageRepository {
+  /**
+   * Retrieves a scheduled message.
+   *
+   * @async
+   * @param {number|string} id - Scheduled message ID.
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const [rows] = await pool.query(
+      `SELECT ${SCHEDULED_COLUMNS} FROM chat_scheduled_messages WHERE id = ? LIMIT 1`,
+      [Number(id)]
+    );
+    return rows[0] ? formatScheduled(rows[0]) : null;
+  }
+
+  /**
+   * Stores a scheduled message.
+   *
+   * Resulting `status`: `"ok"` (with `scheduled`) or `"limit"`
+   * (`CHAT_MAX_SCHEDULED_MESSAGES` pending messages already).
+   *
+   * @async
+   * @param {Object} message
+   * @param {number} message.threadId - Thread.
+   * @param {number} message.senderId - Sender (the shop for staff members).
+   * @param {number|null} [message.sentBy] - Staff member writing as the shop.
+   * @param {string} [message.content=""] - Text.
+   * @param {string[]} [message.imageUrls=[]] - Image URLs.
+   * @param {number|null} [message.replyToId] - Quoted message.
+   * @param {number|null} [message.expiresIn] - Disappearing message TTL (seconds).
+   * @param {Date} message.sendAt - Delivery date (see `parseSendAt()`).
+   * @param {boolean} [message.enforceLimit=true] - `false` for held messages
+   *        released by a moderator (`routes/reports.js`).
+   * @returns {Promise<{ status: string, scheduled?: Object }>}
+   */
+  async create({
+    threadId,
+    senderId,
+    sentBy = null,
+    content = "",
+    imageUrls = [],
+    replyToId = null,
+    expiresIn = null,
+    sendAt,
+    enforceLimit = true,
+  }) {
+    if (enforceLimit) {
+      const [[{ n }]] = await pool.query(
+        `SELECT COUNT(*) AS n FROM chat_scheduled_messages
+         WHERE COALESCE(sent_by, sender_id) = ? AND status = 'pending'`,
+        [Number(sentBy || senderId)]
+      );
+      if (n >= MAX_SCHEDULED_MESSAGES) return { status: "limit" };
+    }
+
+    // Its images stay held until it is sent or cancelled
+    await uploads.addRefs(imageUrls);
+    const [res] = await pool.query(
+      `INSERT INTO chat_scheduled_messages
+         (thread_id, sender_id, sent_by, content, image_urls, reply_to_message_id, expires_in, send_at, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [
+        Number(threadId),
+        Number(senderId),
+        sentBy ? Number(sentBy) : null,
+        content,
+        JSON.stringify(imageUrls || []),
+        replyToId,
+        expiresIn,
+        sendAt,
+      ]
+    );
+    return { status: "ok", scheduled: await this.get(res.insertId) };
+  }
+
+  /**
+   * Lists an author's pending scheduled messages, next first.
+   *
+   * @async
+   * @param {number|string} authorId - Author (`sent_by` or `sender_id`).
+   * @param {Object} [options]
+   * @param {number|null} [options.threadId] - Only this thread.
+   * @returns {Promise<Object[]>}
+   */
+  async listPending(authorId, { threadId = null } = {}) {
+    const [rows] = await pool.query(
+      `SELECT ${SCHEDULED_COLUMNS} FROM chat_scheduled_messages
+       WHERE COALESCE(sent_by, sender_id) = ? AND status = 'pending'
+         ${threadId ? "AND thread_id = ?" : ""}
+       ORDER BY send_at ASC, id ASC`,
+      threadId ? [Number(authorId), Number(threadId)] : [Number(authorId)]
+    );
+    return rows.map(formatScheduled);
+  }
+
+  /**
+   * Cancels a pending scheduled message of its author.
+   *
+   * @async
+   * @param {number|string} id - Scheduled message ID.
+   * @param {number|string} authorId - Author (`sent_by` or `sender_id`).
+   * @returns {Promise<boolean>} `false` if not found, not theirs or no longer pending.
+   */
+  async cancel(id, authorId) {
+    const [res] = await pool.query(
+      `UPDATE chat_scheduled_messages SET status = 'cancelled', updated_at = NOW()
+       WHERE id = ? AND COALESCE(sent_by, sender_id) = ? AND status = 'pending'`,
+      [Number(id), Number(authorId)]
+    );
+    if (!res.affectedRows) return false;
+    await uploads.dropRefs((await this.get(id)).image_urls);
+    return true;
+  }
+
+  /**
+   * Lists the pending messages whose delivery date is past, oldest first.
+   *
+   * @async
+   * @param {number} [limit=100] - Maximum number of messages.
+   * @returns {Promise<Object[]>}
+   */
+  async listDue(limit = 100) {
+    const [rows] = await pool.query(
+      `SELECT ${SCHEDULED_COLUMNS} FROM chat_scheduled_messages
+       WHERE status = 'pending' AND send_at <= NOW()
+       ORDER BY send_at ASC, id ASC
+       LIMIT ?`,
+      [Number(limit)]
+    );
+    return rows.map(formatScheduled);
+  }
+
+  /**
+   * Claims a due message for delivery (`pending` → `sending`).
+   *
+   * @async
+   * @param {number|string} id - Scheduled message ID.
+   * @returns {Promise<boolean>} `false` if cancelled or claimed elsewhere meanwhile.
+   */
+  async claim(id) {
+    const [res] = await pool.query(
+      `UPDATE chat_scheduled_messages SET status = 'sending', updated_at = NOW()
+       WHERE id = ? AND status = 'pending'`,
+      [Number(id)]
+    );
+    return res.affectedRows > 0;
+  }
+
+  /**
+   * Records a delivered message. Its images are now held by the message.
+   *
+   * @async
+   * @param {number|string} id - Scheduled message ID.
+   * @param {number} messageId - `chat_messages` ID.
+   * @returns {Promise<void>}
+   */
+  async markSent(id, messageId) {
+    await pool.query(
+      `UPDATE chat_scheduled_messages
+       SET status = 'sent', message_id = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [Number(messageId), Number(id)]
+    );
+    await uploads.dropRefs((await this.get(id)).image_urls);
+  }
+
+  /**
+   * Records a delivery that could not happen.
+   *
+   * @async
+   * @param {number|string} id - Scheduled message ID.
+   * @param {string} error - `error` frame code (`forbidden`, `blocked`, ...).
+   * @returns {Promise<void>}
+   */
+  async markFailed(id, error) {
+    await pool.query(
+      `UPDATE chat_scheduled_messages
+       SET status = 'failed', error = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [String(error).slice(0, 32), Number(id)]
+    );
+  }
+}
+
+ChatScheduledMessageRepository.parseSendAt = parseSendAt;
+ChatScheduledMessageRepository.MAX_SCHEDULE_DAYS = MAX_SCHEDULE_DAYS;
+
+module.exports = ChatScheduledMessageRepository;
@@ -0,0 +1,437 @@
+/**
+ * @file repositories/ChatTeamInboxRepository.js
+ * @description
+ * Repository for shared shop inboxes in Softadastra Chat.
+ *
+ * A shop is a regular user account (its ID is the `shop_id`); the buyers'
+ * direct threads with that account are the shop's threads. Staff members
+ * are other accounts allowed to work in that inbox: they read and answer
+ * the shop's threads on its behalf, get assigned conversations and leave
+ * internal notes the buyer never sees.
+ *
+ * ## Responsibilities
+ * - Manage a shop's staff (`admin` or `agent`, capped at `CHAT_MAX_SHOP_STAFF`).
+ * - Resolve the staff of the shops taking part in a thread (live fan-out)
+ *   and the shop a staff member acts for in a thread.
+ * - Assign a thread to a staff member (or unassign it).
+ * - Store internal notes per thread.
+ * - List a shop's threads with their assignee, by last activity.
+ *
+ * ## Roles
+ * - `owner`: the shop account itself (implicit, never stored).
+ * - `admin`: manages staff and assigns threads to anyone.
+ * - `agent`: answers threads, assigns them to themselves or unassigns
+ *   their own.
+ *
+ * ## Database Schema (simplified)
+ * - `chat_shop_staff`
+ *   - `shop_id` INT, `user_id` INT       // PRIMARY KEY (shop_id, user_id), INDEX (user_id)
+ *   - `role` ENUM('admin','agent') DEFAULT 'agent'
+ *   - `added_by` INT, `created_at` DATETIME
+ * - `chat_thread_assignments`
+ *   - `thread_id` INT PRIMARY KEY, `shop_id` INT
+ *   - `assigned_to` INT NULL            // NULL = unassigned, INDEX (shop_id, assigned_to)
+ *   - `assigned_by` INT, `assigned_at` DATETIME
+ * - `chat_thread_notes`
+ *   - `id` INT AUTO_INCREMENT, `thread_id` INT, `shop_id` INT  // INDEX (thread_id, shop_id)
+ *   - `author_id` INT, `body` TEXT, `created_at` DATETIME
+ * - `chat_messages.sent_by` INT NULL     // staff member who wrote a message sent as the shop
+ *
+ * ## Environment Variables
+ * - `CHAT_MAX_SHOP_STAFF` — staff members per shop (default: `20`).
+ *
+ * @example
+ * const ChatTeamInboxRepository = require('./repositories/ChatTeamInboxRepository');
+ * const team = new ChatTeamInboxRepository();
+ *
+ * await team.addStaff(42, 7, "agent", 42);
+ * const shopId = await team.getActingShopId(thread, 7); // 42
+ * await team.assign(thread, 42, 7, 7);
+ *
+ * @see routes/teamInbox.js — REST API
+ * @see ws/chat.js — Staff fan-out and messages sent as the shop
+ * @version 1.0.0
+ * @license MIT
+ */
+
+const pool = require("../db/mysql");
+const ChatThreadRepository = require("./ChatThreadRepository");
+
+/**
+ * Maximum number of staff members per shop.
+ * @type {number}
+ */
+const MAX_SHOP_STAFF = parseInt(process.env.CHAT_MAX_SHOP_STAFF || "20", 10);
+
+/**
+ * Roles that can be granted to staff members.
+ * @type {string[]}
+ */
+const STAFF_ROLES = ["admin", "agent"];
+
+/**
+ * Maximum length of an internal note.
+ * @type {number}
+ */
+const MAX_NOTE_LENGTH = 2000;
+
+/**
+ * Shop thread list page sizes.
+ * @type {number}
+ */
+const THREADS_PAGE_SIZE = 30;
+const THREADS_MAX_PAGE_SIZE = 100;
+
+/**
+ * Validates the `assigned` filter of a shop thread list.
+ *
+ * @param {any} value - `"all"` (default), `"none"` or a staff user ID.
+ * @returns {"all"|"none"|number|null} `null` when invalid.
+ */
+function parseAssignedFilter(value = "all") {
+  if (value === "all" || value === "none") return value;
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+/**
+ * Repository for shop staff, thread assignments and internal notes.
+ */
+class ChatTeamInboxRepository {
+  /**
+   * Role of a user in a shop.
+   *
+   * @async
+   * @param {number|string} shopId - Shop account ID.
+   * @param {number|string} userId - User ID.
+   * @returns {Promise<"owner"|"admin"|"agent"|null>} `null` when not staff.
+   */
+  async getRole(shopId, userId) {
+    if (Number(shopId) === Number(userId)) return "owner";
+    const [rows] = await pool.query(
+      `SELECT role FROM chat_shop_staff WHERE shop_id = ? AND user_id = ? LIMIT 1`,
+      [Number(shopId), Number(userId)]
+    );
+    return rows[0]?.role || null;
+  }
+
+  /**
+   * Lists the staff of a shop, oldest first.
+   *
+   * @async
+   * @param {number|string} shopId - Shop account ID.
+   * @returns {Promise<Array<{ user_id: number, role: string, added_by: number, created_at: string }>>}
+   */
+  async listStaff(shopId) {
+    const [rows] = await pool.query(
+      `SELECT user_id, role, added_by, created_at
+       FROM chat_shop_staff WHERE shop_id = ?
+       ORDER BY created_at ASC, user_id ASC`,
+      [Number(shopId)]
+    );
+    return rows.map((r) => ({
+      user_id: Number(r.user_id),
+      role: r.role,
+      added_by: Number(r.added_by),
+      created_at: r.created_at,
+    }));
+  }
+
+  /**
+   * Adds a staff member, or changes the role of an existing one.
+   *
+   * @async
+   * @param {number|string} shopId - Shop account ID.
+   * @param {number|string} userId - Staff user ID.
+   * @param {string} role - `admin` | `agent`.
+   * @param {number|string} addedBy - Acting user.
+   * @returns {Promise<{ status: "ok"|"invalid"|"limit" }>}
+   */
+  async addStaff(shopId, userId, role, addedBy) {
+    const sid = Number(shopId);
+    const uid = Number(userId);
+    if (!STAFF_ROLES.includes(role) || !(uid > 0) || uid === sid) {
+      return { status: "invalid" };
+    }
+
+    const [[{ n }]] = await pool.query(
+      `SELECT COUNT(*) AS n FROM chat_shop_staff WHERE shop_id = ? AND user_id != ?`,
+      [sid, uid]
+    );
+    if (n >= MAX_SHOP_STAFF) return { status: "limit" };
+
+    await pool.query(
+      `INSERT INTO chat_shop_staff (shop_id, user_id, role, added_by, created_at)
+       VALUES (?, ?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE role = VALUES(role)`,
+      [sid, uid, role, Number(addedBy)]
+    );
+    return { status: "ok" };
+  }
+
+  /**
+   * Removes a staff member and releases the threads assigned to them.
+   *
+   * @async
+   * @param {number|string} shopId - Shop account ID.
+   * @param {number|string} userId - Staff user ID.
+   * @returns {Promise<boolean>} `false` when the user was not staff.
+   */
+  async removeStaff(shopId, userId) {
+    const [res] = await pool.query(
+      `DELETE FROM chat_shop_staff WHERE shop_id = ? AND user_id = ?`,
+      [Number(shopId), Number(userId)]
+    );
+    if (!res.affectedRows) return false;
+    await pool.query(
+      `UPDATE chat_thread_assignments SET assigned_to = NULL
+       WHERE shop_id = ? AND assigned_to = ?`,
+      [Number(shopId), Number(userId)]
+    );
+    return true;
+  }
+
+  /**
+   * Staff of the shops taking part in a direct thread, by shop. Shops
+   * without staff are absent; group threads have none.
+   *
+   * @async
+   * @param {Object} thread - Thread row.
+   * @returns {Promise<Map<number, number[]>>} shop ID → staff user IDs (owner excluded).
+   */
+  async getThreadStaff(thread) {
+    const out = new Map();
+    if (!thread || thread.is_group) return out;
+    const [rows] = await pool.query(
+      `SELECT shop_id, user_id FROM chat_shop_staff WHERE shop_id IN (?, ?)`,
+      [Number(thread.user1_id), Number(thread.user2_id)]
+    );
+    for (const r of rows) {
+      const sid = Number(r.shop_id);
+      if (!out.has(sid)) out.set(sid, []);
+      out.get(sid).push(Number(r.user_id));
+    }
+    return out;
+  }
+
+  /**
+   * Shop a staff member acts for in a direct thread.
+   *
+   * @async
+   * @param {Object} thread - Thread row.
+   * @param {number|string} userId - Staff user ID.
+   * @returns {Promise<number|null>} Shop account ID, or `null` when the user
+   *          is not staff of either side (or the thread is a group).
+   */
+  async getActingShopId(thread, userId) {
+    if (!thread || thread.is_group) return null;
+    const [rows] = await pool.query(
+      `SELECT shop_id FROM chat_shop_staff
+       WHERE user_id = ? AND shop_id IN (?, ?)
+       ORDER BY shop_id ASC LIMIT 1`,
+      [Number(userId), Number(thread.user1_id), Number(thread.user2_id)]
+    );
+    return rows[0] ? Number(rows[0].shop_id) : null;
+  }
+
+  /**
+   * Current assignment of a thread.
+   *
+   * @async
+   * @param {number|string} threadId - Thread ID.
+   * @returns {Promise<{ thread_id: number, shop_id: number, assigned_to: number|null, assigned_by: number, assigned_at: string }|null>}
+   */
+  async getAssignment(threadId) {
+    const [rows] = await pool.query(
+      `SELECT thread_id, shop_id, assigned_to, assigned_by, assigned_at
+       FROM chat_thread_assignments WHERE thread_id = ? LIMIT 1`,
+      [Number(threadId)]
+    );
+    const r = rows[0];
+    if (!r) return null;
+    return {
+      thread_id: Number(r.thread_id),
+      shop_id: Number(r.shop_id),
+      assigned_to: r.assigned_to === null ? null : Number(r.assigned_to),
+      assigned_by: Number(r.assigned_by),
+      assigned_at: r.assigned_at,
+    };
+  }
+
+  /**
+   * Assigns a shop thread to a staff member (`assigneeId = null` unassigns).
+   * Admins (and the owner) assign anyone; agents only take unassigned
+   * threads for themselves or release their own.
+   *
+   * @async
+   * @param {Object} thread - Thread row (direct thread of the shop).
+   * @param {number|string} shopId - Shop account ID.
+   * @param {number|null} assigneeId - Staff user ID, or `null`.
+   * @param {number|string} actorId - Acting staff member.
+   * @returns {Promise<{ status: "ok"|"not_found"|"forbidden"|"invalid", assignment?: Object }>}
+   */
+  async assign(thread, shopId, assigneeId, actorId) {
+    const sid = Number(shopId);
+    const actor = Number(actorId);
+    const target = assigneeId === null ? null : Number(assigneeId);
+    if (
+      !thread ||
+      thread.is_group ||
+      ![Number(thread.user1_id), Number(thread.user2_id)].includes(sid)
+    ) {
+      return { status: "not_found" };
+    }
+
+    const actorRole = await this.getRole(sid, actor);
+    if (!actorRole) return { status: "forbidden" };
+    if (target !== null && !(await this.getRole(sid, target))) {
+      return { status: "invalid" };
+    }
+
+    const current = await this.getAssignment(thread.id);
+    if (actorRole === "agent") {
+      const mine = current?.assigned_to === actor;
+      const free = !current || current.assigned_to === null;
+      const allowed =
+        target === null ? mine : target === actor && (free || mine);
+      if (!allowed) return { status: "forbidden" };
+    }
+
+    await pool.query(
+      `INSERT INTO chat_thread_assignments (thread_id, shop_id, assigned_to, assigned_by, assigned_at)
+       VALUES (?, ?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE assigned_to = VALUES(assigned_to),
+         assigned_by = VALUES(assigned_by), assigned_at = VALUES(assigned_at)`,
+      [Number(thread.id), sid, target, actor]
+    );
+    return { status: "ok", assignment: await this.getAssignment(thread.id) };
+  }
+
+  /**
+   * Lists the internal notes of a thread, oldest first.
+   *
+   * @async
+   * @param {number|string} threadId - Thread ID.
+   * @param {number|string} shopId - Shop account ID.
+   * @returns {Promise<Array<{ id: number, thread_id: number, author_id: number, body: string, created_at: string }>>}
+   */
+  async listNotes(threadId, shopId) {
+    const [rows] = await pool.query(
+      `SELECT id, thread_id, author_id, body, created_at
+       FROM chat_thread_notes WHERE thread_id = ? AND shop_id = ?
+       ORDER BY id ASC`,
+      [Number(threadId), Number(shopId)]
+    );
+    return rows.map((r) => ({
+      id: Number(r.id),
+      thread_id: Number(r.thread_id),
+      author_id: Number(r.author_id),
+      body: r.body,
+      created_at: r.created_at,
+    }));
+  }
+
+  /**
+   * Adds an internal note to a thread.
+   *
+   * @async
+   * @param {number|string} threadId - Thread ID.
+   * @param {number|string} shopId - Shop account ID.
+   * @param {number|string} authorId - Staff member writing the note.
+   * @param {any} body - Note text (1..2000 chars).
+   * @returns {Promise<{ status: "ok"|"invalid", note?: Object }>}
+   */
+  async addNote(threadId, shopId, authorId, body) {
+    const text = typeof body === "string" ? body.trim() : "";
+    if (!text || text.length > MAX_NOTE_LENGTH) return { status: "invalid" };
+
+    const [res] = await pool.query(
+      `INSERT INTO chat_thread_notes (thread_id, shop_id, author_id, body, created_at)
+       VALUES (?, ?, ?, ?, NOW())`,
+      [Number(threadId), Number(shopId), Number(authorId), text]
+    );
+    return {
+      status: "ok",
+      note: {
+        id: Number(res.insertId),
+        thread_id: Number(threadId),
+        author_id: Number(authorId),
+        body: text,
+        created_at: new Date().toISOString(),
+      },
+    };
+  }
+
+  /**
+   * Lists a shop's threads by last activity, newest first, with their
+   * assignee and the number of buyer messages the shop has not read.
+   *
+   * @async
+   * @param {number|string} shopId - Shop account ID.
+   * @param {Object} [options]
+   * @param {"all"|"none"|number} [options.assigned="all"] - See `parseAssignedFilter()`.
+   * @param {number} [options.beforeId] - `next_before_id` of the previous page.
+   * @param {number} [options.limit=30] - Page size (max 100).
+   * @returns {Promise<{ threads: Object[], next_before_id: number|null, has_more: boolean }>}
+   */
+  async listThreads(shopId, { assigned = "all", beforeId, limit } = {}) {
+    const sid = Number(shopId);
+    const size = Math.min(
+      Math.max(Number(limit) || THREADS_PAGE_SIZE, 1),
+      THREADS_MAX_PAGE_SIZE
+    );
+
+    const conds = [];
+    const params = [];
+    if (assigned === "none") conds.push("a.assigned_to IS NULL");
+    else if (assigned !== "all") {
+      conds.push("a.assigned_to = ?");
+      params.push(Number(assigned));
+    }
+    if (beforeId) {
+      conds.push("t.last_message_id < ?");
+      params.push(Number(beforeId));
+    }
+
+    const [rows] = await pool.query(
+      `SELECT
+         t.id AS thread_id,
+         t.last_message_id,
+         IF(t.user1_id = ?, t.user2_id, t.user1_id) AS buyer_id,
+         m.sender_id, m.kind, m.content, m.image_urls, m.product_id, m.deleted,
+         m.created_at AS last_activity_at,
+         (SELECT COUNT(*) FROM chat_messages u
+           WHERE u.thread_id = t.id AND u.sender_id != ? AND u.seen = 0) AS unread,
+         a.assigned_to, a.assigned_at
+       FROM chat_threads t
+       JOIN chat_messages m ON m.id = t.last_message_id
+       LEFT JOIN chat_thread_assignments a ON a.thread_id = t.id
+       WHERE t.is_group = 0 AND (t.user1_id = ? OR t.user2_id = ?)
+         ${conds.length ? "AND " + conds.join(" AND ") : ""}
+       ORDER BY t.last_message_id DESC
+       LIMIT ?`,
+      [sid, sid, sid, sid, ...params, size + 1]
+    );
+
+    const page = rows.slice(0, size).map((r) => ({
+      thread_id: Number(r.thread_id),
+      buyer_id: Number(r.buyer_id),
+      last_message: ChatThreadRepository.lastMessagePreview(r),
+      unread: Number(r.unread || 0),
+      assigned_to: r.assigned_to === null ? null : Number(r.assigned_to),
+      assigned_at: r.assigned_at || null,
+    }));
+    const hasMore = rows.length > size;
+    return {
+      threads: page,
+      next_before_id:
+        hasMore && page.length ? page[page.length - 1].last_message.id : null,
+      has_more: hasMore,
+    };
+  }
+}
+
+ChatTeamInboxRepository.parseAssignedFilter = parseAssignedFilter;
+ChatTeamInboxRepository.STAFF_ROLES = STAFF_ROLES;
+
+module.exports = ChatTeamInboxRepository;
@@ -0,0 +1,872 @@
+/**
+ * @file repositories/ChatThreadRepository.js
+ * @description
+ * Repository responsible for chat thread membership within Softadastra Chat.
+ * Handles both classic 1:1 threads (`user1_id` / `user2_id`) and multi-party
+ * group threads (buyer + shop staff + support) backed by a participants table.
+ *
+ * ## Responsibilities
+ * - Resolve the member list of any thread (direct or group).
+ * - Create group threads and manage their members (add / remove / leave).
+ * - Track per-member delivery and read cursors (`last_delivered_message_id`,
+ *   `last_read_message_id`) for receipts ("ticks") and group unread counts.
+ * - List the group threads a user currently belongs to.
+ * - Store each member's own view of a thread: muted (until a date),
+ *   archived, pinned.
+ * - Maintain each thread's `last_message_id` and build the inbox (one
+ *   summary per thread, by last activity) from it.
+ *
+ * ## Database Schema (simplified)
+ * - `chat_threads`
+ *   - `id` INT AUTO_INCREMENT
+ *   - `user1_id`, `user2_id` INT NULL   // set for direct threads only
+ *   - `is_group` TINYINT(1) DEFAULT 0
+ *   - `title` VARCHAR(120) NULL
+ *   - `created_by` INT NULL
+ *   - `last_message_id` INT NULL       // newest message, INDEX (last_message_id)
+ *   - `created_at` DATETIME
+ * - `chat_thread_participants`
+ *   - `thread_id` INT, `user_id` INT   // PRIMARY KEY (thread_id, user_id)
+ *   - `role` ENUM('owner','admin','member') DEFAULT 'member'
+ *   - `last_delivered_message_id` INT NULL  // newest message received by the member
+ *   - `last_read_message_id` INT NULL       // newest message read by the member
+ *   - `muted_until` DATETIME NULL      // no notification pushes until then
+ *   - `archived_at` DATETIME NULL      // hidden from the default thread lists
+ *   - `pinned_at` DATETIME NULL        // listed first
+ *   - `joined_at` DATETIME DEFAULT CURRENT_TIMESTAMP
+ *   - `left_at` DATETIME NULL          // NULL while the user is an active member
+ *
+ * ## Implementation Notes
+ * - Direct threads also get participant rows when created, but legacy direct
+ *   threads may not have any: membership of direct threads is always derived
+ *   from `user1_id` / `user2_id`, and their participant rows are created on
+ *   demand when a receipt cursor has to be stored.
+ * - Cursors only move forward; reading a message implies it was delivered.
+ * - "Muted forever" is stored as `muted_until = MUTED_FOREVER`.
+ * - `last_message_id` is set on every insert (`touchLastMessage()`); threads
+ *   created before it existed are filled by `backfillLastMessageIds()`
+ *   (`node scripts/backfill-thread-last-message.js`).
+ * - Removing a member is a soft operation (`left_at`), so history stays intact
+ *   and a removed user can be re-added later.
+ *
+ * @example
+ * const ChatThreadRepository = require('./repositories/ChatThreadRepository');
+ * const threads = new ChatThreadRepository();
+ *
+ * const threadId = await threads.createGroup({
+ *   creatorId: 7,
+ *   title: "Order #1042",
+ *   memberIds: [12, 31],
+ * });
+ * const members = await threads.getMemberIds(threadId); // [7, 12, 31]
+ *
+ * @see db/mysql.js — MySQL pool configuration
+ * @see ws/chat.js — Real-time fan-out based on thread members
+ * @version 1.0.0
+ * @license MIT
+ */
+
+const pool = require("../db/mysql");
+
+/**
+ * Maximum number of active members allowed in a group thread.
+ * @type {number}
+ */
+const MAX_GROUP_MEMBERS = parseInt(
+  process.env.CHAT_GROUP_MAX_MEMBERS || "50",
+  10
+);
+
+/**
+ * Error raised when a group change is refused. `code` is one of
+ * `invalid_payload` (fewer than 2 members), `group_full`.
+ */
+class GroupError extends Error {
+  /**
+   * @param {string} code - Machine-readable reason.
+   * @param {string} message - Description.
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "GroupError";
+    this.code = code;
+  }
+}
+
+/**
+ * Maximum number of threads a user can pin.
+ * @type {number}
+ */
+const MAX_PINNED_THREADS = parseInt(
+  process.env.CHAT_MAX_PINNED_THREADS || "5",
+  10
+);
+
+/**
+ * `muted_until` value used for "muted until unmuted".
+ * @type {string}
+ */
+const MUTED_FOREVER = "9999-12-31 23:59:59";
+
+/**
+ * Inbox page sizes and preview length.
+ * @type {number}
+ */
+const INBOX_PAGE_SIZE = 30;
+const INBOX_MAX_PAGE_SIZE = 100;
+const INBOX_EXCERPT_LENGTH = 120;
+
+/**
+ * SQL condition restricting a thread list to the requested per-user states,
+ * on the participant row aliased `p` (joined with LEFT JOIN for direct threads).
+ * Archived threads are excluded unless `archived` is `"1"` or `"all"`.
+ *
+ * @param {Object} [filters]
+ * @param {"0"|"1"|"all"} [filters.archived="0"] - Archived threads: exclude / only / include.
+ * @param {"0"|"1"} [filters.muted] - Only muted (`"1"`) or unmuted (`"0"`) threads.
+ * @param {"1"} [filters.pinned] - Only pinned threads.
+ * @returns {string} Condition (`"1=1"` when nothing is filtered).
+ */
+function threadStateCondition({ archived = "0", muted, pinned } = {}) {
+  const conds = [];
+  if (archived === "0") conds.push("p.archived_at IS NULL");
+  if (archived === "1") conds.push("p.archived_at IS NOT NULL");
+  if (muted === "1") conds.push("p.muted_until > NOW()");
+  if (muted === "0") {
+    conds.push("(p.muted_until IS NULL OR p.muted_until <= NOW())");
+  }
+  if (pinned === "1") conds.push("p.pinned_at IS NOT NULL");
+  return conds.length ? conds.join(" AND ") : "1=1";
+}
+
+/**
+ * Validates thread-list filters from a query string.
+ *
+ * @param {Object} [query] - `{ archived?, muted?, pinned? }`.
+ * @returns {{ archived: string, muted?: string, pinned?: string } | null}
+ *          `null` when a filter has an unexpected value.
+ */
+function parseThreadFilters({ archived = "0", muted, pinned } = {}) {
+  if (!["0", "1", "all"].includes(archived)) return null;
+  if (muted !== undefined && !["0", "1"].includes(muted)) return null;
+  if (pinned !== undefined && pinned !== "1") return null;
+  return { archived, muted, pinned };
+}
+
+/**
+ * Parses an inbox cursor (`"<tier>:<last_message_id>"`, tier `0` = pinned,
+ * `1` = other threads).
+ *
+ * @param {any} cursor - Cursor from a previous page (`next_cursor`).
+ * @returns {{ pinned: boolean, lastMessageId: number } | null} `null` when invalid.
+ */
+function parseInboxCursor(cursor) {
+  const m = /^([01]):(\d+)$/.exec(String(cursor));
+  if (!m || !(Number(m[2]) > 0)) return null;
+  return { pinned: m[1] === "0", lastMessageId: Number(m[2]) };
+}
+
+/**
+ * Summarizes the last message of a thread for the inbox.
+ *
+ * @param {Object} row - `{ last_message_id, sender_id, kind, content, image_urls, product_id, deleted, last_activity_at }`.
+ * @returns {{ id: number, sender_id: number, type: "text"|"image"|"product"|"offer"|"checkout"|"deleted", excerpt: string|null, image_count: number, product_id: number|null, created_at: string }}
+ */
+function lastMessagePreview(row) {
+  let images = [];
+  try {
+    images = row.image_urls ? JSON.parse(row.image_urls) : [];
+  } catch {}
+  const deleted = !!row.deleted;
+  const text = deleted ? "" : String(row.content || "").trim();
+  let type = "text";
+  if (deleted) type = "deleted";
+  else if (row.kind === "offer" || row.kind === "checkout") type = row.kind;
+  else if (row.product_id) type = "product";
+  else if (!text && images.length) type = "image";
+
+  return {
+    id: Number(row.last_message_id),
+    sender_id: Number(row.sender_id),
+    type,
+    excerpt: text
+      ? text.length > INBOX_EXCERPT_LENGTH
+        ? text.slice(0, INBOX_EXCERPT_LENGTH) + "…"
+        : text
+      : null,
+    image_count: deleted ? 0 : images.length,
+    product_id: deleted ? null : row.product_id || null,
+    created_at: row.last_activity_at,
+  };
+}
+
+/**
+ * Repository for chat thread lookup and group membership.
+ */
+class ChatThreadRepository {
+  /**
+   * Retrieves a thread row by ID.
+   *
+   * @async
+   * @param {number|string} threadId - Thread ID.
+   * @returns {Promise<Object|null>} `{ id, user1_id, user2_id, is_group, title, created_by }` or `null`.
+   */
+  async getThread(threadId) {
+    const [rows] = await pool.query(
+      `SELECT id, user1_id, user2_id, is_group, title, created_by, created_at
+       FROM chat_threads WHERE id = ? LIMIT 1`,
+      [Number(threadId)]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Looks up the canonical 1:1 thread of two users without creating it.
+   *
+   * @async
+   * @param {number|string} userA - First user ID.
+   * @param {number|string} userB - Second user ID.
+   * @returns {Promise<Object|null>} Thread row or `null`.
+   */
+  async findDirectThread(userA, userB) {
+    const a = Math.min(Number(userA), Number(userB));
+    const b = Math.max(Number(userA), Number(userB));
+    const [rows] = await pool.query(
+      `SELECT id, user1_id, user2_id, is_group, title, created_by, created_at
+       FROM chat_threads WHERE user1_id = ? AND user2_id = ? LIMIT 1`,
+      [a, b]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Returns the IDs of all active members of a thread.
+   * For direct threads this is the `(user1_id, user2_id)` pair.
+   *
+   * @async
+   * @param {number|string|Object} threadOrId - Thread ID or an already loaded thread row.
+   * @returns {Promise<number[]>} Member user IDs (empty if the thread does not exist).
+   */
+  async getMemberIds(threadOrId) {
+    const thread =
+      typeof threadOrId === "object" && threadOrId
+        ? threadOrId
+        : await this.getThread(threadOrId);
+    if (!thread) return [];
+
+    if (!thread.is_group) {
+      return [thread.user1_id, thread.user2_id].filter(Boolean).map(Number);
+    }
+
+    const [rows] = await pool.query(
+      `SELECT user_id FROM chat_thread_participants
+       WHERE thread_id = ? AND left_at IS NULL
+       ORDER BY joined_at ASC`,
+      [thread.id]
+    );
+    return rows.map((r) => Number(r.user_id));
+  }
+
+  /**
+   * Returns the active participant row of a user in a group thread.
+   *
+   * @async
+   * @param {number|string} threadId - Thread ID.
+   * @param {number|string} userId - User ID.
+   * @returns {Promise<Object|null>} `{ thread_id, user_id, role, last_read_message_id }` or `null`.
+   */
+  async getParticipant(threadId, userId) {
+    const [rows] = await pool.query(
+      `SELECT thread_id, user_id, role, last_read_message_id, joined_at
+       FROM chat_thread_participants
+       WHERE thread_id = ? AND user_id = ? AND left_at IS NULL
+       LIMIT 1`,
+      [Number(threadId), Number(userId)]
+    );
+    return rows[0] || null;
+  }
+
+  /**
+   * Checks whether a user is an active member of a thread.
+   *
+   * @async
+   * @param {number|string} threadId - Thread ID.
+   * @param {number|string} userId - User ID.
+   * @returns {Promise<boolean>}
+   */
+  async isMember(threadId, userId) {
+    const members = await this.getMemberIds(threadId);
+    return members.includes(Number(userId));
+  }
+
+  /**
+   * Creates a group thread. The creator becomes its `owner`, every other
+   * (deduplicated) member joins as `member`.
+   *
+   * @async
+   * @param {Object} params - Group payload.
+   * @param {number} params.creatorId - User creating the group.
+   * @param {string} [params.title] - Optional display title.
+   * @param {number[]} params.memberIds - Initial members (creator is added automatically).
+   * @returns {Promise<number>} The new thread ID.
+   * @throws {GroupError} If fewer than 2 or more than `CHAT_GROUP_MAX_MEMBERS` members are given.
+   */
+  async createGroup({ creatorId, title = null, memberIds = [] }) {
+    const creator = Number(creatorId);
+    const members = [
+      ...new Set(
+        [creator, ...memberIds.map(Number)].filter(
+          (id) => Number.isInteger(id) && id > 0
+        )
+      ),
+    ];
+    if (members.length < 2) {
+      throw new GroupError(
+        "invalid_payload",
+        "A group needs at least 2 members"
+      );
+    }
+    if (members.length > MAX_GROUP_MEMBERS) {
+      throw new GroupError(
+        "group_full",
+        `A group cannot exceed ${MAX_GROUP_MEMBERS} members`
+      );
+    }
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+
+      const [ins] = await conn.query(
+        `INSERT INTO chat_threads (user1_id, user2_id, is_group, title, created_by)
+         VALUES (NULL, NULL, 1, ?, ?)`,
+        [title ? String(title).trim().slice(0, 120) : null, creator]
+      );
+      const threadId = ins.insertId;
+
+      for (const uid of members) {
+        await conn.query(
+          `INSERT INTO chat_thread_participants (thread_id, user_id, role)
+           VALUES (?, ?, ?)`,
+          [threadId, uid, uid === creator ? "owner" : "member"]
+        );
+      }
+
+      await conn.commit();
+      return threadId;
+    } catch (e) {
+      try {
+        await conn.rollback();
+      } catch {}
+      throw e;
+    } finally {
+      conn.release();
+    }
+  }
+
+  /**
+   * Adds (or re-adds) a member to a group thread.
+   *
+   * @async
+   * @param {number|string} threadId - Group thread ID.
+   * @param {number|string} userId - User to add.
+   * @param {"admin"|"member"} [role="member"] - Role of the new member.
+   * @returns {Promise<boolean>} `true` if the user was added, `false` if already an active member.
+   * @throws {GroupError} If the group is full.
+   */
+  async addMember(threadId, userId, role = "member") {
+    const members = await this.getMemberIds(threadId);
+    if (members.includes(Number(userId))) return false;
+    if (members.length >= MAX_GROUP_MEMBERS) {
+      throw new GroupError(
+        "group_full",
+        `A group cannot exceed ${MAX_GROUP_MEMBERS} members`
+      );
+    }
+
+    // Start the read cursor at the current tail so the newcomer is not
+    // flooded with unread counts for history that predates them.
+    const [[tail]] = await pool.query(
+      `SELECT MAX(id) AS last_id FROM chat_messages WHERE thread_id = ?`,
+      [Number(threadId)]
+    );
+
+    await pool.query(
+      `INSERT INTO chat_thread_participants (thread_id, user_id, role, last_read_message_id)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         role = VALUES(role),
+         last_read_message_id = VALUES(last_read_message_id),
+         joined_at = NOW(),
+         left_at = NULL`,
+      [Number(threadId), Number(userId), role, tail?.last_id || null]
+    );
+    return true;
+  }
+
+  /**
+   * Removes a member from a group thread (soft: sets `left_at`).
+   *
+   * @async
+   * @param {number|string} threadId - Group thread ID.
+   * @param {number|string} userId - User to remove.
+   * @returns {Promise<boolean>} `true` if an active membership was closed.
+   */
+  async removeMember(threadId, userId) {
+    const [res] = await pool.query(
+      `UPDATE chat_thread_participants
+       SET left_at = NOW()
+       WHERE thread_id = ? AND user_id = ? AND left_at IS NULL`,
+      [Number(threadId), Number(userId)]
+    );
+    return res.affectedRows > 0;
+  }
+
+  /**
+   * Creates the missing participant rows of a legacy direct thread.
+   *
+   * @async
+   * @param {Object} thread - Direct thread row.
+   * @returns {Promise<void>}
+   */
+  async ensureDirectParticipants(thread) {
+    if (!thread || thread.is_group) return;
+    await pool.query(
+      `INSERT IGNORE INTO chat_thread_participants (thread_id, user_id, role)
+       VALUES (?, ?, 'member'), (?, ?, 'member')`,
+      [thread.id, thread.user1_id, thread.id, thread.user2_id]
+    );
+  }
+
+  /**
+   * Moves a member's delivery (and optionally read) cursor forward, up to
+   * `upToId` or the latest message of the thread. Cursors never move backwards.
+   *
+   * @async
+   * @param {number|string|Object} threadOrId - Thread ID or loaded thread row.
+   * @param {number|string} userId - Member user ID.
+   * @param {Object} [options]
+   * @param {number|null} [options.upToId] - Last message covered (defaults to the latest).
+   * @param {boolean} [options.read=false] - Also move the read cursor.
+   * @returns {Promise<{ upToId: number, changed: boolean }>}
+   *          `changed` is `false` when the cursors were already there.
+   */
+  async advanceCursors(
+    threadOrId,
+    userId,
+    { upToId = null, read = false } = {}
+  ) {
+    const thread =
+      typeof threadOrId === "object" && threadOrId
+        ? threadOrId
+        : await this.getThread(threadOrId);
+    if (!thread) return { upToId: 0, changed: false };
+
+    const [[tail]] = await pool.query(
+      `SELECT MAX(id) AS last_id FROM chat_messages WHERE thread_id = ?`,
+      [thread.id]
+    );
+    const lastId = Number(tail?.last_id || 0);
+    const target = upToId ? Math.min(Number(upToId), lastId) : lastId;
+    if (!target) return { upToId: 0, changed: false };
+
+    await this.ensureDirectParticipants(thread);
+    const [res] = await pool.query(
+      `UPDATE chat_thread_participants
+       SET last_delivered_message_id = GREATEST(COALESCE(last_delivered_message_id, 0), ?)
+           ${
+             read
+               ? ", last_read_message_id = GREATEST(COALESCE(last_read_message_id, 0), ?)"
+               : ""
+           }
+       WHERE thread_id = ? AND user_id = ? AND left_at IS NULL`,
+      read
+        ? [target, target, thread.id, Number(userId)]
+        : [target, thread.id, Number(userId)]
+    );
+    return { upToId: target, changed: res.changedRows > 0 };
+  }
+
+  /**
+   * Moves a member's read cursor forward to the latest message of the thread.
+   * The cursor never moves backwards.
+   *
+   * @async
+   * @param {number|string} threadId - Thread ID.
+   * @param {number|string} userId - Reader user ID.
+   * @returns {Promise<void>}
+   */
+  async markRead(threadId, userId) {
+    await this.advanceCursors(threadId, userId, { read: true });
+  }
+
+  /**
+   * Returns the delivery / read cursors of every active member of a thread,
+   * used by clients to render receipts.
+   *
+   * @async
+   * @param {number|string|Object} threadOrId - Thread ID or loaded thread row.
+   * @returns {Promise<Array<{ user_id: number, last_delivered_message_id: number|null, last_read_message_id: number|null }>>}
+   */
+  async getReceiptCursors(threadOrId) {
+    const thread =
+      typeof threadOrId === "object" && threadOrId
+        ? threadOrId
+        : await this.getThread(threadOrId);
+    if (!thread) return [];
+
+    const members = await this.getMemberIds(thread);
+    if (!members.length) return [];
+    const [rows] = await pool.query(
+      `SELECT user_id, last_delivered_message_id, last_read_message_id
+       FROM chat_thread_participants
+       WHERE thread_id = ? AND user_id IN (?)`,
+      [thread.id, members]
+    );
+    const byUser = new Map(rows.map((r) => [Number(r.user_id), r]));
+    return members.map((uid) => ({
+      user_id: uid,
+      last_delivered_message_id:
+        byUser.get(uid)?.last_delivered_message_id ?? null,
+      last_read_message_id: byUser.get(uid)?.last_read_message_id ?? null,
+    }));
+  }
+
+  /**
+   * Lists the threads holding messages from others that were not delivered
+   * to the user yet, with the newest such message.
+   *
+   * @async
+   * @param {number|string} userId - Recipient user ID.
+   * @returns {Promise<Array<{ thread_id: number, last_id: number }>>}
+   */
+  async listUndelivered(userId) {
+    const uid = Number(userId);
+    const [rows] = await pool.query(
+      `SELECT t.id AS thread_id, MAX(m.id) AS last_id
+       FROM chat_threads t
+       LEFT JOIN chat_thread_participants p
+         ON p.thread_id = t.id AND p.user_id = ?
+       JOIN chat_messages m
+         ON m.thread_id = t.id AND m.sender_id != ?
+        AND m.id > COALESCE(p.last_delivered_message_id, 0)
+       WHERE (t.is_group = 0 AND (t.user1_id = ? OR t.user2_id = ?))
+          OR (t.is_group = 1 AND p.user_id IS NOT NULL AND p.left_at IS NULL)
+       GROUP BY t.id`,
+      [uid, uid, uid, uid]
+    );
+    return rows.map((r) => ({
+      thread_id: Number(r.thread_id),
+      last_id: Number(r.last_id),
+    }));
+  }
+
+  /**
+   * Records a new message as the thread's latest one.
+   *
+   * @async
+   * @param {number|string} threadId - Thread ID.
+   * @param {number} messageId - Inserted message ID.
+   * @returns {Promise<void>}
+   */
+  async touchLastMessage(threadId, messageId) {
+    await pool.query(
+      `UPDATE chat_threads
+       SET last_message_id = GREATEST(COALESCE(last_message_id, 0), ?)
+       WHERE id = ?`,
+      [Number(messageId), Number(threadId)]
+    );
+  }
+
+  /**
+   * Fills / repairs `last_message_id` from the messages table.
+   *
+   * @async
+   * @returns {Promise<number>} Number of threads updated.
+   */
+  async backfillLastMessageIds() {
+    const [res] = await pool.query(
+      `UPDATE chat_threads t
+       JOIN (
+         SELECT thread_id, MAX(id) AS last_id
+         FROM chat_messages GROUP BY thread_id
+       ) x ON x.thread_id = t.id
+       SET t.last_message_id = x.last_id
+       WHERE t.last_message_id IS NULL OR t.last_message_id <> x.last_id`
+    );
+    return res.affectedRows;
+  }
+
+  /**
+   * Builds one page of a user's inbox: one summary per thread (direct or
+   * group) with messages, pinned threads first, then by last activity.
+   * Archived threads are excluded by default and threads with users the
+   * requester blocked are hidden.
+   *
+   * Unread counts follow the same rules as the nav badge: the `seen` flag for
+   * direct threads, the member's read cursor for groups.
+   *
+   * @async
+   * @param {number|string} userId - Requesting user.
+   * @param {Object} [options]
+   * @param {string} [options.cursor] - `next_cursor` of the previous page.
+   * @param {number} [options.limit=30] - Page size (max 100).
+   * @param {Object} [options.filters] - See `parseThreadFilters()`.
+   * @returns {Promise<{ threads: Object[], next_cursor: string|null, has_more: boolean }>}
+   */
+  async listInbox(userId, { cursor = null, limit, filters = {} } = {}) {
+    const uid = Number(userId);
+    const size = Math.min(
+      Math.max(Number(limit) || INBOX_PAGE_SIZE, 1),
+      INBOX_MAX_PAGE_SIZE
+    );
+    const after = cursor ? parseInboxCursor(cursor) : null;
+
+    let cursorCond = "1=1";
+    const cursorParams = [];
+    if (after?.pinned) {
+      cursorCond = `((p.pinned_at IS NOT NULL AND t.last_message_id < ?)
+                     OR p.pinned_at IS NULL)`;
+      cursorParams.push(after.lastMessageId);
+    } else if (after) {
+      cursorCond = "(p.pinned_at IS NULL AND t.last_message_id < ?)";
+      cursorParams.push(after.lastMessageId);
+    }
+
+    const [rows] = await pool.query(
+      `SELECT
+         t.id AS thread_id,
+         t.is_group,
+         t.title,
+         t.last_message_id,
+         IF(t.is_group = 1, NULL,
+            IF(t.user1_id = ?, t.user2_id, t.user1_id)) AS other_user_id,
+         m.sender_id, m.kind, m.content, m.image_urls, m.product_id, m.deleted,
+         m.created_at AS last_activity_at,
+         IF(t.is_group = 1,
+            (SELECT COUNT(*) FROM chat_messages u
+              WHERE u.thread_id = t.id AND u.sender_id != ?
+                AND u.id > COALESCE(p.last_read_message_id, 0)),
+            (SELECT COUNT(*) FROM chat_messages u
+              WHERE u.thread_id = t.id AND u.sender_id != ? AND u.seen = 0)
+         ) AS unread,
+         IF(p.muted_until > NOW(), p.muted_until, NULL) AS muted_until,
+         p.archived_at IS NOT NULL AS archived,
+         p.pinned_at IS NOT NULL AS pinned
+       FROM chat_threads t
+       JOIN chat_messages m ON m.id = t.last_message_id
+       LEFT JOIN chat_thread_participants p
+         ON p.thread_id = t.id AND p.user_id = ?
+       WHERE (
+           (t.is_group = 0 AND (t.user1_id = ? OR t.user2_id = ?))
+           OR (t.is_group = 1 AND p.user_id IS NOT NULL AND p.left_at IS NULL)
+         )
+         AND NOT EXISTS (
+           SELECT 1 FROM chat_user_blocks b
+           WHERE t.is_group = 0 AND b.blocker_id = ?
+             AND b.blocked_id = IF(t.user1_id = ?, t.user2_id, t.user1_id)
+         )
+         AND ${threadStateCondition(filters)}
+         AND ${cursorCond}
+       ORDER BY p.pinned_at IS NULL, t.last_message_id DESC
+       LIMIT ?`,
+      [uid, uid, uid, uid, uid, uid, uid, uid, ...cursorParams, size + 1]
+    );
+
+    const page = rows.slice(0, size).map((r) => ({
+      thread_id: Number(r.thread_id),
+      is_group: !!r.is_group,
+      title: r.title || null,
+      other_user_id: r.other_user_id === null ? null : Number(r.other_user_id),
+      last_message: lastMessagePreview(r),
+      unread: Number(r.unread || 0),
+      muted_until: r.muted_until || null,
+      archived: !!r.archived,
+      pinned: !!r.pinned,
+    }));
+    const last = page[page.length - 1];
+    const hasMore = rows.length > size;
+    return {
+      threads: page,
+      next_cursor:
+        hasMore && last
+          ? `${last.pinned ? 0 : 1}:${last.last_message.id}`
+          : null,
+      has_more: hasMore,
+    };
+  }
+
+  /**
+   * Returns a member's own state of a thread.
+   *
+   * @async
+   * @param {number|string} threadId - Thread ID.
+   * @param {number|string} userId - Member user ID.
+   * @returns {Promise<{ thread_id: number, muted_until: string|null, archived: boolean, pinned: boolean }>}
+   */
+  async getThreadState(threadId, userId) {
+    const [[row]] = await pool.query(
+      `SELECT
+         IF(muted_until > NOW(), muted_until, NULL) AS muted_until,
+         archived_at, pinned_at
+       FROM chat_thread_participants
+       WHERE thread_id = ? AND user_id = ?`,
+      [Number(threadId), Number(userId)]
+    );
+    return {
+      thread_id: Number(threadId),
+      muted_until: row?.muted_until || null,
+      archived: !!row?.archived_at,
+      pinned: !!row?.pinned_at,
+    };
+  }
+
+  /**
+   * Updates a member's own state of a thread. Omitted fields are unchanged.
+   *
+   * @async
+   * @param {Object} thread - Thread row.
+   * @param {number|string} userId - Member user ID.
+   * @param {Object} changes
+   * @param {Date|"forever"|null} [changes.mutedUntil] - Mute until a date, forever, or unmute (`null`).
+   * @param {boolean} [changes.archived] - Archive / unarchive.
+   * @param {boolean} [changes.pinned] - Pin / unpin.
+   * @returns {Promise<{ status: "ok"|"too_many_pinned", state?: Object }>}
+   */
+  async updateThreadState(thread, userId, changes) {
+    const uid = Number(userId);
+    const sets = [];
+    const params = [];
+
+    if (changes.mutedUntil !== undefined) {
+      sets.push("muted_until = ?");
+      params.push(
+        changes.mutedUntil === "forever" ? MUTED_FOREVER : changes.mutedUntil
+      );
+    }
+    if (changes.archived !== undefined) {
+      sets.push(
+        changes.archived
+          ? "archived_at = COALESCE(archived_at, NOW())"
+          : "archived_at = NULL"
+      );
+    }
+    if (changes.pinned !== undefined) {
+      if (changes.pinned) {
+        const [[{ pinned }]] = await pool.query(
+          `SELECT COUNT(*) AS pinned FROM chat_thread_participants
+           WHERE user_id = ? AND pinned_at IS NOT NULL AND thread_id != ?
+             AND left_at IS NULL`,
+          [uid, thread.id]
+        );
+        if (Number(pinned) >= MAX_PINNED_THREADS) {
+          return { status: "too_many_pinned" };
+        }
+      }
+      sets.push(
+        changes.pinned
+          ? "pinned_at = COALESCE(pinned_at, NOW())"
+          : "pinned_at = NULL"
+      );
+    }
+
+    if (sets.length) {
+      await this.ensureDirectParticipants(thread);
+      await pool.query(
+        `UPDATE chat_thread_participants SET ${sets.join(", ")}
+         WHERE thread_id = ? AND user_id = ? AND left_at IS NULL`,
+        [...params, thread.id, uid]
+      );
+    }
+    return { status: "ok", state: await this.getThreadState(thread.id, uid) };
+  }
+
+  /**
+   * Returns which of the given members currently muted a thread.
+   *
+   * @async
+   * @param {number|string} threadId - Thread ID.
+   * @param {number[]} userIds - Member user IDs.
+   * @returns {Promise<Set<number>>}
+   */
+  async getMutedMemberIds(threadId, userIds) {
+    if (!userIds.length) return new Set();
+    const [rows] = await pool.query(
+      `SELECT user_id FROM chat_thread_participants
+       WHERE thread_id = ? AND user_id IN (?) AND muted_until > NOW()`,
+      [Number(threadId), userIds.map(Number)]
+    );
+    return new Set(rows.map((r) => Number(r.user_id)));
+  }
+
+  /**
+   * Lists the group threads a user actively belongs to, with their own unread
+   * count and thread state. Pinned groups come first.
+   *
+   * @async
+   * @param {number|string} userId - Member user ID.
+   * @param {Object} [filters] - See `parseThreadFilters()` (archived excluded by default).
+   * @returns {Promise<Object[]>} `{ thread_id, title, role, member_count, unread, last_message_id, muted_until, archived, pinned }[]`
+   */
+  async listGroupsForUser(userId, filters = {}) {
+    const uid = Number(userId);
+    const [rows] = await pool.query(
+      `SELECT
+         t.id AS thread_id,
+         t.title,
+         p.role,
+         (SELECT COUNT(*) FROM chat_thread_participants x
+           WHERE x.thread_id = t.id AND x.left_at IS NULL) AS member_count,
+         (SELECT COUNT(*) FROM chat_messages m
+           WHERE m.thread_id = t.id AND m.sender_id != ?
+             AND m.id > COALESCE(p.last_read_message_id, 0)) AS unread,
+         (SELECT MAX(id) FROM chat_messages m WHERE m.thread_id = t.id) AS last_message_id,
+         IF(p.muted_until > NOW(), p.muted_until, NULL) AS muted_until,
+         p.archived_at IS NOT NULL AS archived,
+         p.pinned_at IS NOT NULL AS pinned
+       FROM chat_thread_participants p
+       JOIN chat_threads t ON t.id = p.thread_id AND t.is_group = 1
+       WHERE p.user_id = ? AND p.left_at IS NULL
+         AND ${threadStateCondition(filters)}
+       ORDER BY p.pinned_at IS NULL, p.pinned_at DESC,
+                last_message_id DESC, t.id DESC`,
+      [uid, uid]
+    );
+    return rows.map((r) => ({
+      ...r,
+      archived: !!r.archived,
+      pinned: !!r.pinned,
+    }));
+  }
+
+  /**
+   * Counts unread group messages for a user across all their groups.
+   *
+   * @async
+   * @param {number|string} userId - Member user ID.
+   * @returns {Promise<number>}
+   */
+  async countGroupUnread(userId) {
+    const uid = Number(userId);
+    const [rows] = await pool.query(
+      `SELECT COUNT(*) AS unread
+       FROM chat_messages m
+       JOIN chat_threads t ON t.id = m.thread_id AND t.is_group = 1
+       JOIN chat_thread_participants p
+         ON p.thread_id = m.thread_id AND p.user_id = ? AND p.left_at IS NULL
+       WHERE m.sender_id != ?
+         AND m.id > COALESCE(p.last_read_message_id, 0)`,
+      [uid, uid]
+    );
+    return Number(rows?.[0]?.unread || 0);
+  }
+}
+
+ChatThreadRepository.threadStateCondition = threadStateCondition;
+ChatThreadRepository.parseThreadFilters = parseThreadFilters;
+ChatThreadRepository.parseInboxCursor = parseInboxCursor;
+ChatThreadRepository.lastMessagePreview = lastMessagePreview;
+ChatThreadRepository.MAX_PINNED_THREADS = MAX_PINNED_THREADS;
+ChatThreadRepository.GroupError = GroupError;
+
+module.exports = ChatThreadRepository;
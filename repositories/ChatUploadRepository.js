@@ -0,0 +1,150 @@
+/**
+ * @file repositories/ChatUploadRepository.js
+ * @description
+ * Ownership of the images stored by `routes/upload.js`, and their removal
+ * once nothing uses them anymore (disappearing messages, see
+ * `ChatMessageRepository#purgeExpired`).
+ *
+ * Image URLs are free-form in messages, posts and held content, so anyone
+ * can reuse the URL of a file someone else uploaded. A file is therefore
+ * only deleted when it was uploaded by the author of the purged content,
+ * and no other row still holds it.
+ *
+ * Holders are counted in `ref_count` when they are written, instead of
+ * searching every table for the URL at purge time: chat messages
+ * (`ws/chat.js#deliverMessage`), feed post media (`feedRepository`),
+ * scheduled messages until sent or cancelled
+ * (`ChatScheduledMessageRepository`) and held content until reviewed
+ * (`ModerationRepository`). A reference is added before its holder is
+ * written and dropped after it is gone, so a failure in between can only
+ * keep a file too long, never delete one still shown. Files uploaded
+ * anonymously or before ownership was recorded have no row and are never
+ * deleted.
+ *
+ * ## Responsibilities
+ * - Record who uploaded each stored file.
+ * - Count the rows holding each file (`addRefs` / `dropRefs`).
+ * - Delete the files of purged content that belong to its author and are
+ *   no longer held by anything else.
+ *
+ * ## Database Schema (simplified)
+ * - `chat_uploads`
+ *   - `file_name` VARCHAR(64) PRIMARY KEY  // stored name (see `utils/uploads.js`)
+ *   - `user_id` INT                        // uploader, INDEX (user_id)
+ *   - `ref_count` INT NOT NULL DEFAULT 0   // rows holding the file
+ *   - `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP
+ *
+ * @example
+ * const ChatUploadRepository = require('./repositories/ChatUploadRepository');
+ * const uploads = new ChatUploadRepository();
+ *
+ * await uploads.record(7, ["1731000000000_9f3a.jpg"]);
+ * await uploads.addRefs(["/uploads/1731000000000_9f3a.jpg"]); // message sent
+ * await uploads.releaseFiles(["/uploads/1731000000000_9f3a.jpg"], [7]); // 1
+ *
+ * @see utils/uploads.js — Stored file names and removal
+ * @version 1.0.0
+ * @license MIT
+ */
+
+const pool = require("../db/mysql");
+const { uploadFileName, removeUploads } = require("../utils/uploads");
+
+/**
+ * Distinct stored file names behind image URLs (other URLs are skipped).
+ *
+ * @param {any} urls - Image URLs.
+ * @returns {string[]}
+ */
+function fileNamesOf(urls) {
+  const names = (Array.isArray(urls) ? urls : []).map(uploadFileName);
+  return [...new Set(names.filter(Boolean))];
+}
+
+/**
+ * Repository for uploaded chat images.
+ */
+class ChatUploadRepository {
+  /**
+   * Records the uploader of stored files.
+   *
+   * @async
+   * @param {number|string} userId - Uploader.
+   * @param {string[]} fileNames - Stored file names.
+   * @returns {Promise<void>}
+   */
+  async record(userId, fileNames) {
+    if (!fileNames.length) return;
+    await pool.query(
+      `INSERT IGNORE INTO chat_uploads (file_name, user_id) VALUES ?`,
+      [fileNames.map((name) => [name, Number(userId)])]
+    );
+  }
+
+  /**
+   * Counts one more row holding the files behind image URLs. Call it before
+   * writing the row.
+   *
+   * @async
+   * @param {string[]} urls - Image URLs the row holds.
+   * @returns {Promise<void>}
+   */
+  async addRefs(urls) {
+    const names = fileNamesOf(urls);
+    if (!names.length) return;
+    await pool.query(
+      `UPDATE chat_uploads SET ref_count = ref_count + 1 WHERE file_name IN (?)`,
+      [names]
+    );
+  }
+
+  /**
+   * Counts one row less holding the files behind image URLs. Call it once
+   * the row is gone (or no longer shows them).
+   *
+   * @async
+   * @param {string[]} urls - Image URLs the row held.
+   * @returns {Promise<void>}
+   */
+  async dropRefs(urls) {
+    const names = fileNamesOf(urls);
+    if (!names.length) return;
+    await pool.query(
+      `UPDATE chat_uploads SET ref_count = GREATEST(ref_count - 1, 0)
+       WHERE file_name IN (?)`,
+      [names]
+    );
+  }
+
+  /**
+   * Drops the references held by purged content, then deletes the files
+   * nothing else holds, keeping those uploaded by someone else.
+   *
+   * @async
+   * @param {string[]} urls - Image URLs the content held.
+   * @param {Array<number|string|null>} ownerIds - Users the content belonged
+   *        to (author, and the staff member who wrote it for a shop).
+   * @returns {Promise<number>} Number of files removed.
+   */
+  async releaseFiles(urls, ownerIds) {
+    const owners = ownerIds.filter((id) => id != null).map(Number);
+    await this.dropRefs(urls);
+    if (!owners.length) return 0;
+
+    let removed = 0;
+    for (const name of fileNamesOf(urls)) {
+      // Claimed by the delete itself: a reference added meanwhile keeps it
+      const [res] = await pool.query(
+        `DELETE FROM chat_uploads
+         WHERE file_name = ? AND ref_count = 0 AND user_id IN (?)`,
+        [name, owners]
+      );
+      if (res.affectedRows) {
+        removed += await removeUploads([`/uploads/${name}`]);
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = ChatUploadRepository;
@@ -0,0 +1,196 @@
+/**
+ * @file repositories/LinkPreviewRepository.js
+ * @description
+ * Cached link previews ("unfurled" links) shared by chat messages and feed
+ * posts.
+ *
+ * ## Responsibilities
+ * - Resolve the preview of a URL: from the cache while fresh, else fetched
+ *   with `utils/linkPreview.js` (SSRF-safe) and stored.
+ * - Remember failures and pages without metadata for a shorter time, so a
+ *   dead or blocked link is not fetched again for every message.
+ * - Share one fetch between concurrent requests for the same URL (per
+ *   process).
+ *
+ * ## Database Schema (simplified)
+ * - `link_previews`
+ *   - `url_hash` CHAR(64) PRIMARY KEY  // SHA-256 of the normalized URL
+ *   - `url` VARCHAR(2048)
+ *   - `status` ENUM('ok','none')       // `none`: no preview (error or no metadata)
+ *   - `title` VARCHAR(200) NULL, `description` VARCHAR(500) NULL
+ *   - `image_url` VARCHAR(2048) NULL, `site_name` VARCHAR(200) NULL
+ *   - `error` VARCHAR(32) NULL         // `LinkPreviewError` code
+ *   - `fetched_at` DATETIME            // INDEX (fetched_at)
+ *
+ * ## Environment Variables
+ * - `LINK_PREVIEW_CACHE_HOURS` — how long a preview is reused (default: `24`).
+ * - `LINK_PREVIEW_TIMEOUT_MS` — fetch timeout (default: `4000`, see utils/linkPreview.js).
+ *
+ * @example
+ * const LinkPreviewRepository = require('./repositories/LinkPreviewRepository');
+ * const linkPreviews = new LinkPreviewRepository();
+ *
+ * const preview = await linkPreviews.resolveText("Regarde https://softadastra.com/p/42");
+ * // { url, title, description, image_url, site_name } or null
+ *
+ * @see utils/linkPreview.js — Fetcher and HTML metadata parser
+ * @see ws/chat.js — `message_preview`
+ * @see routes/feed.js — `GET /api/feed/link-preview`
+ * @version 1.0.0
+ * @license MIT
+ */
+
+const crypto = require("crypto");
+const pool = require("../db/mysql");
+const {
+  firstUrl,
+  parsePreviewUrl,
+  fetchPreview,
+} = require("../utils/linkPreview");
+
+/**
+ * How long a preview is reused, in hours.
+ * @type {number}
+ */
+const CACHE_HOURS = parseInt(process.env.LINK_PREVIEW_CACHE_HOURS || "24", 10);
+
+/**
+ * How long a failed fetch is remembered, in minutes.
+ * @type {number}
+ */
+const FAILURE_CACHE_MINUTES = 60;
+
+/**
+ * Fetches in progress, by URL hash.
+ * @type {Map<string, Promise<Object|null>>}
+ */
+const inFlight = new Map();
+
+/**
+ * Cache key of a URL.
+ *
+ * @param {string} url - Normalized URL.
+ * @returns {string} Hex SHA-256.
+ */
+function urlHash(url) {
+  return crypto.createHash("sha256").update(url).digest("hex");
+}
+
+/**
+ * Repository for link previews.
+ */
+class LinkPreviewRepository {
+  /**
+   * Cached preview of a URL, if still fresh.
+   *
+   * @async
+   * @param {string} url - Normalized URL.
+   * @returns {Promise<{ hit: boolean, preview: Object|null }>}
+   *          `hit` is `false` when the URL must be fetched.
+   */
+  async getCached(url) {
+    const [rows] = await pool.query(
+      `SELECT status, title, description, image_url, site_name
+       FROM link_previews
+       WHERE url_hash = ?
+         AND fetched_at >= NOW() - INTERVAL
+           IF(status = 'ok', ? * 60, ?) MINUTE
+       LIMIT 1`,
+      [urlHash(url), CACHE_HOURS, FAILURE_CACHE_MINUTES]
+    );
+    if (!rows.length) return { hit: false, preview: null };
+    const row = rows[0];
+    if (row.status !== "ok") return { hit: true, preview: null };
+    return {
+      hit: true,
+      preview: {
+        url,
+        title: row.title,
+        description: row.description,
+        image_url: row.image_url,
+        site_name: row.site_name,
+      },
+    };
+  }
+
+  /**
+   * Stores the outcome of a fetch.
+   *
+   * @async
+   * @param {string} url - Normalized URL.
+   * @param {Object|null} preview - Preview, or `null` when there is none.
+   * @param {string|null} [error] - Failure code.
+   * @returns {Promise<void>}
+   */
+  async save(url, preview, error = null) {
+    await pool.query(
+      `INSERT INTO link_previews
+         (url_hash, url, status, title, description, image_url, site_name, error, fetched_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE status = VALUES(status), title = VALUES(title),
+         description = VALUES(description), image_url = VALUES(image_url),
+         site_name = VALUES(site_name), error = VALUES(error), fetched_at = NOW()`,
+      [
+        urlHash(url),
+        url,
+        preview ? "ok" : "none",
+        preview?.title ?? null,
+        preview?.description ?? null,
+        preview?.image_url ?? null,
+        preview?.site_name ?? null,
+        error,
+      ]
+    );
+  }
+
+  /**
+   * Preview of a URL, from the cache or fetched.
+   *
+   * @async
+   * @param {string} rawUrl - Link.
+   * @returns {Promise<{ url: string, title: string|null, description: string|null, image_url: string|null, site_name: string|null } | null>}
+   *          `null` for unsupported URLs, failures and pages without metadata.
+   */
+  async resolve(rawUrl) {
+    const parsed = parsePreviewUrl(rawUrl);
+    if (!parsed) return null;
+    const url = parsed.href;
+    const key = urlHash(url);
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const task = (async () => {
+      const cached = await this.getCached(url);
+      if (cached.hit) return cached.preview;
+
+      let preview = null;
+      let error = null;
+      try {
+        preview = await fetchPreview(url);
+      } catch (e) {
+        error = e.code || "network_error";
+      }
+      await this.save(url, preview, error);
+      return preview;
+    })();
+    inFlight.set(key, task);
+    try {
+      return await task;
+    } finally {
+      inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Preview of the first link of a text.
+   *
+   * @async
+   * @param {string|null} text - Message or post body.
+   * @returns {Promise<Object|null>} See `resolve()`; `null` without a link.
+   */
+  async resolveText(text) {
+    const url = firstUrl(text);
+    return url ? this.resolve(url) : null;
+  }
+}
+
+module.exports = LinkPreviewRepository;
@@ -0,0 +1,379 @@
+/**
+ * @file repositories/ModerationRepository.js
+ * @description
+ * Decisions of the moderation pipeline (`utils/moderation.js`) on outgoing
+ * chat messages and feed posts: an audit record of every decision, and the
+ * review queue of the content held for moderators.
+ *
+ * ## Responsibilities
+ * - Run the pipeline on a text before it is stored, with the author's
+ *   recent texts (repeated links), and record the decision (`allow`,
+ *   `mask`, `hold`, `reject`) with the findings behind it.
+ * - Keep held content (with everything needed to publish it) until a
+ *   moderator approves or rejects it; link published content to its
+ *   decision (`target_id`). Its images stay held meanwhile, so purging
+ *   another message never deletes them (`ChatUploadRepository`).
+ *
+ * ## Lifecycle of held content
+ * `pending` → `approved` (published) | `rejected`
+ *
+ * ## Database Schema (simplified)
+ * - `moderation_decisions`
+ *   - `id` INT AUTO_INCREMENT
+ *   - `target_type` ENUM('message','post')
+ *   - `target_id` INT NULL               // published message / post
+ *   - `user_id` INT                      // author (staff member for shop messages)
+ *   - `thread_id` INT NULL
+ *   - `action` ENUM('allow','mask','hold','reject')
+ *   - `findings` JSON                    // [{ rule, action, match }]
+ *   - `content` TEXT NULL                // original text, unless allowed as is
+ *   - `payload` JSON NULL                // held content, ready to publish
+ *   - `review_status` ENUM('none','pending','approved','rejected') DEFAULT 'none'  // INDEX (review_status, id)
+ *   - `reviewed_by` INT NULL, `reviewed_at` DATETIME NULL
+ *   - `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP  // INDEX (user_id, created_at)
+ *
+ * @example
+ * const ModerationRepository = require('./repositories/ModerationRepository');
+ * const moderation = new ModerationRepository();
+ *
+ * const verdict = await moderation.moderate({
+ *   targetType: "message", userId: 7, threadId: 9, content: "Paie par MoMo", locale: "fr",
+ * });
+ * // { action: "hold", content: "Paie par MoMo", decisionId: 31, reasons: ["off_platform_payment"] }
+ *
+ * @see utils/moderation.js — Checks and actions
+ * @see routes/reports.js — Review of held content (`/api/reports/admin/held`)
+ * @version 1.0.0
+ * @license MIT
+ */
+
+const pool = require("../db/mysql");
+const { createModerationPipeline } = require("../utils/moderation");
+const ChatUploadRepository = require("./ChatUploadRepository");
+
+const uploads = new ChatUploadRepository();
+
+/**
+ * Window and size of the author's history given to the pipeline.
+ * @type {number}
+ */
+const HISTORY_MINUTES = 10;
+const HISTORY_LIMIT = 20;
+
+/**
+ * Page sizes of the review queue.
+ * @type {number}
+ */
+const QUEUE_PAGE_SIZE = 50;
+const QUEUE_MAX_PAGE_SIZE = 200;
+
+/**
+ * Content types going through moderation.
+ * @type {string[]}
+ */
+const TARGET_TYPES = ["message", "post"];
+
+/**
+ * Pipeline used when none is given to the constructor.
+ * @type {{ moderate: Function }}
+ */
+const defaultPipeline = createModerationPipeline();
+
+/**
+ * Parses a JSON column (mysql2 may already return an object).
+ *
+ * @param {any} v - Column value.
+ * @returns {any}
+ */
+function parseJson(v) {
+  if (typeof v !== "string") return v ?? null;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Formats a `moderation_decisions` row.
+ *
+ * @param {Object} row
+ * @returns {Object}
+ */
+function formatDecision(row) {
+  return {
+    ...row,
+    findings: parseJson(row.findings) || [],
+    payload: parseJson(row.payload),
+  };
+}
+
+/**
+ * Repository for moderation decisions.
+ */
+class ModerationRepository {
+  /**
+   * @param {Object} [options]
+   * @param {{ moderate: Function }} [options.pipeline] - Pipeline from
+   *        `createModerationPipeline()` (default: built-in checks).
+   */
+  constructor({ pipeline = defaultPipeline } = {}) {
+    /**
+     * @private
+     * @type {{ moderate: Function }}
+     */
+    this.pipeline = pipeline;
+  }
+
+  /**
+   * Moderates a text about to be stored and records the decision.
+   *
+   * @async
+   * @param {Object} params
+   * @param {"message"|"post"} params.targetType - Content type.
+   * @param {number|string} params.userId - Author.
+   * @param {number|null} [params.threadId] - Thread of a message.
+   * @param {string} params.content - Text.
+   * @param {string|null} [params.locale] - Author's locale (`Accept-Language`).
+   * @param {Object|null} [params.payload] - What publishing held content
+   *        needs besides its text (kept only when held).
+   * @param {boolean} [params.holdable=true] - `false` for content that
+   *        cannot wait for review: a `hold` verdict is then a `reject`.
+   * @returns {Promise<{ action: string, content: string, decisionId: number, reasons: string[] }>}
+   *          `content` is the text to store (masked where needed).
+   */
+  async moderate({
+    targetType,
+    userId,
+    threadId = null,
+    content,
+    locale = null,
+    payload = null,
+    holdable = true,
+  }) {
+    const history = await this.recentTexts(targetType, userId);
+    const verdict = this.pipeline.moderate(content, { locale, history });
+    const action =
+      verdict.action === "hold" && !holdable ? "reject" : verdict.action;
+    const held = action === "hold";
+
+    // Held content keeps its images until it is reviewed
+    if (held) await uploads.addRefs(payload?.image_urls);
+    const [res] = await pool.query(
+      `INSERT INTO moderation_decisions
+         (target_type, user_id, thread_id, action, findings, content, payload, review_status)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        targetType,
+        Number(userId),
+        threadId ? Number(threadId) : null,
+        action,
+        JSON.stringify(
+          verdict.findings.map(({ rule, action, match }) => ({
+            rule,
+            action,
+            match,
+          }))
+        ),
+        action === "allow" ? null : content,
+        held ? JSON.stringify({ ...payload, content: verdict.content }) : null,
+        held ? "pending" : "none",
+      ]
+    );
+    return {
+      action,
+      content: verdict.content,
+      decisionId: res.insertId,
+      reasons: [...new Set(verdict.findings.map((f) => f.rule))],
+    };
+  }
+
+  /**
+   * Moderates the new content of a message edit. Call it once the edit is
+   * known to be allowed (`ChatMessageRepository#checkEdit`), so refused
+   * edits leave no decision behind. Edits cannot wait for review: content
+   * that would be held is rejected.
+   *
+   * @async
+   * @param {Object} params
+   * @param {Object} params.message - Current message row (`thread_id`).
+   * @param {number|string} params.editorId - User editing it.
+   * @param {string} params.content - New content.
+   * @param {string|null} [params.locale] - Editor's locale (`Accept-Language`).
+   * @returns {Promise<{ action: string, content: string, decisionId: number, reasons: string[] }>}
+   *          `action` is never `hold`.
+   */
+  async moderateEdit({ message, editorId, content, locale = null }) {
+    return this.moderate({
+      targetType: "message",
+      userId: editorId,
+      threadId: message.thread_id,
+      content,
+      locale,
+      holdable: false,
+    });
+  }
+
+  /**
+   * The author's texts of the last `HISTORY_MINUTES`, newest first.
+   *
+   * @async
+   * @param {"message"|"post"} targetType - Content type.
+   * @param {number|string} userId - Author.
+   * @returns {Promise<string[]>}
+   */
+  async recentTexts(targetType, userId) {
+    const uid = Number(userId);
+    const [rows] =
+      targetType === "post"
+        ? await pool.query(
+            `SELECT body AS text FROM feed_posts
+             WHERE user_id = ? AND is_deleted = 0
+               AND created_at >= NOW() - INTERVAL ? MINUTE
+             ORDER BY id DESC LIMIT ?`,
+            [uid, HISTORY_MINUTES, HISTORY_LIMIT]
+          )
+        : await pool.query(
+            `SELECT content AS text FROM chat_messages
+             WHERE (sender_id = ? OR sent_by = ?) AND deleted = 0
+               AND created_at >= NOW() - INTERVAL ? MINUTE
+             ORDER BY id DESC LIMIT ?`,
+            [uid, uid, HISTORY_MINUTES, HISTORY_LIMIT]
+          );
+    return rows.map((r) => r.text).filter(Boolean);
+  }
+
+  /**
+   * Links a decision to the message or post published after it.
+   *
+   * @async
+   * @param {number} decisionId - Decision ID.
+   * @param {number} targetId - Message / post ID.
+   * @returns {Promise<void>}
+   */
+  async attachTarget(decisionId, targetId) {
+    await pool.query(
+      `UPDATE moderation_decisions SET target_id = ? WHERE id = ?`,
+      [Number(targetId), Number(decisionId)]
+    );
+  }
+
+  /**
+   * Links a decision to the thread created for the message it moderated
+   * (the first message of a conversation is moderated before its thread
+   * exists, see `ws/chat.js`).
+   *
+   * @async
+   * @param {number} decisionId - Decision ID.
+   * @param {number} threadId - Thread ID.
+   * @returns {Promise<void>}
+   */
+  async attachThread(decisionId, threadId) {
+    await pool.query(
+      `UPDATE moderation_decisions SET thread_id = ? WHERE id = ?`,
+      [Number(threadId), Number(decisionId)]
+    );
+  }
+
+  /**
+   * Retrieves a decision.
+   *
+   * @async
+   * @param {number|string} decisionId - Decision ID.
+   * @returns {Promise<Object|null>}
+   */
+  async get(decisionId) {
+    const [[row]] = await pool.query(
+      `SELECT * FROM moderation_decisions WHERE id = ?`,
+      [Number(decisionId)]
+    );
+    return row ? formatDecision(row) : null;
+  }
+
+  /**
+   * Lists the held content awaiting review, oldest first.
+   *
+   * @async
+   * @param {Object} [filters]
+   * @param {string} [filters.targetType] - Content type.
+   * @param {number} [filters.afterId] - Exclusive cursor.
+   * @param {number} [filters.limit=50] - Page size (max 200).
+   * @returns {Promise<{ decisions: Object[], has_more: boolean }>}
+   */
+  async listHeld({
+    targetType = null,
+    afterId = null,
+    limit = QUEUE_PAGE_SIZE,
+  } = {}) {
+    const where = [`review_status = 'pending'`];
+    const params = [];
+    if (targetType) {
+      where.push("target_type = ?");
+      params.push(targetType);
+    }
+    if (afterId) {
+      where.push("id > ?");
+      params.push(Number(afterId));
+    }
+    const size = Math.min(
+      Math.max(Number(limit) || QUEUE_PAGE_SIZE, 1),
+      QUEUE_MAX_PAGE_SIZE
+    );
+
+    const [rows] = await pool.query(
+      `SELECT * FROM moderation_decisions
+       WHERE ${where.join(" AND ")}
+       ORDER BY id ASC
+       LIMIT ?`,
+      [...params, size + 1]
+    );
+    return {
+      decisions: rows.slice(0, size).map(formatDecision),
+      has_more: rows.length > size,
+    };
+  }
+
+  /**
+   * Closes the review of held content. Claimed with a conditional update,
+   * so a decision is approved (and published) once.
+   *
+   * @async
+   * @param {number|string} decisionId - Decision ID.
+   * @param {Object} params
+   * @param {number|string} params.moderatorId - Reviewing moderator.
+   * @param {boolean} params.approve - `true` to publish, `false` to reject.
+   * @returns {Promise<{ status: "ok"|"not_found"|"closed", decision?: Object }>}
+   */
+  async review(decisionId, { moderatorId, approve }) {
+    const [res] = await pool.query(
+      `UPDATE moderation_decisions
+       SET review_status = ?, reviewed_by = ?, reviewed_at = NOW()
+       WHERE id = ? AND review_status = 'pending'`,
+      [
+        approve ? "approved" : "rejected",
+        Number(moderatorId),
+        Number(decisionId),
+      ]
+    );
+    const decision = await this.get(decisionId);
+    if (!decision) return { status: "not_found" };
+    return res.affectedRows ? { status: "ok", decision } : { status: "closed" };
+  }
+
+  /**
+   * Releases the images a reviewed decision held (see
+   * `ChatUploadRepository#addRefs`). Call it once approved content is
+   * published, so its images are never left unheld in between.
+   *
+   * @async
+   * @param {Object} decision - Reviewed decision (see `review`).
+   * @returns {Promise<void>}
+   */
+  async releaseImages(decision) {
+    await uploads.dropRefs(decision.payload?.image_urls);
+  }
+}
+
+ModerationRepository.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = ModerationRepository;
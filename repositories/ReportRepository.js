@@ -0,0 +1,431 @@
+/**
+ * @file repositories/ReportRepository.js
+ * @description
+ * Moderation queue for user reports on chat messages, chat conversations
+ * and feed posts.
+ *
+ * A report stores a **snapshot** of the reported content taken when it is
+ * filed (message with its revisions and surrounding messages, last messages
+ * of a conversation, post with its media), so later edits or soft deletes
+ * (`DELETE /api/messages/delete/:id`, `feedRepository.softDelete`) never
+ * erase the evidence moderators review.
+ *
+ * ## Responsibilities
+ * - File a report (reason code + optional details) after checking that the
+ *   reporter can see the content; one open report per reporter and target.
+ * - List the queue with filters, read one report.
+ * - Assign a report to a moderator and resolve it (`actioned` / `dismissed`).
+ *
+ * ## Lifecycle
+ * `open` → `in_review` (assigned) → `resolved` | `dismissed`
+ *
+ * ## Database Schema (simplified)
+ * - `moderation_reports`
+ *   - `id` INT AUTO_INCREMENT
+ *   - `reporter_id` INT
+ *   - `target_type` ENUM('message','thread','post')
+ *   - `target_id` INT                    // INDEX (target_type, target_id)
+ *   - `reported_user_id` INT NULL        // author of the content, if any
+ *   - `reason` VARCHAR(32)
+ *   - `details` VARCHAR(1000) NULL
+ *   - `snapshot` JSON
+ *   - `status` ENUM('open','in_review','resolved','dismissed') DEFAULT 'open'  // INDEX (status, id)
+ *   - `assignee_id` INT NULL
+ *   - `resolution_note` VARCHAR(1000) NULL
+ *   - `resolved_by` INT NULL
+ *   - `created_at` DATETIME DEFAULT CURRENT_TIMESTAMP
+ *   - `updated_at` DATETIME ON UPDATE CURRENT_TIMESTAMP
+ *   - `resolved_at` DATETIME NULL
+ *
+ * @example
+ * const ReportRepository = require('./repositories/ReportRepository');
+ * const reports = new ReportRepository();
+ *
+ * const out = await reports.create({
+ *   reporterId: 12, targetType: "message", targetId: 981, reason: "harassment",
+ * });
+ * if (out.status === "ok") console.log("Report", out.id);
+ *
+ * await reports.assign(out.id, 1);
+ * await reports.resolve(out.id, { moderatorId: 1, outcome: "actioned", note: "User warned" });
+ *
+ * @see routes/reports.js — Reporting + admin moderation API
+ * @version 1.0.0
+ * @license MIT
+ */
+
+const pool = require("../db/mysql");
+const ChatThreadRepository = require("./ChatThreadRepository");
+
+const threads = new ChatThreadRepository();
+
+/**
+ * Accepted reason codes.
+ * @type {string[]}
+ */
+const REPORT_REASONS = [
+  "spam",
+  "scam",
+  "harassment",
+  "hate",
+  "nudity",
+  "violence",
+  "illegal",
+  "other",
+];
+
+/**
+ * Reportable content types.
+ * @type {string[]}
+ */
+const TARGET_TYPES = ["message", "thread", "post"];
+
+/**
+ * Report statuses (`open` and `in_review` are still pending).
+ * @type {string[]}
+ */
+const REPORT_STATUSES = ["open", "in_review", "resolved", "dismissed"];
+
+/**
+ * Messages kept around a reported message / at the end of a reported thread.
+ * @type {number}
+ */
+const CONTEXT_MESSAGES = 10;
+const THREAD_SNAPSHOT_MESSAGES = 50;
+
+/**
+ * Page sizes of the moderation queue.
+ * @type {number}
+ */
+const QUEUE_PAGE_SIZE = 50;
+const QUEUE_MAX_PAGE_SIZE = 200;
+
+/**
+ * Parses a JSON column (mysql2 may already return an object).
+ *
+ * @param {any} v - Column value.
+ * @returns {any}
+ */
+function parseJson(v) {
+  if (typeof v !== "string") return v ?? null;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Repository for moderation reports.
+ */
+class ReportRepository {
+  /**
+   * Files a report.
+   *
+   * @async
+   * @param {Object} params
+   * @param {number|string} params.reporterId - Reporting user.
+   * @param {"message"|"thread"|"post"} params.targetType - Reported content type.
+   * @param {number|string} params.targetId - Reported content ID.
+   * @param {string} params.reason - One of `REPORT_REASONS`.
+   * @param {string} [params.details] - Free text (max 1000 chars, required for `other`).
+   * @returns {Promise<{ status: "ok"|"duplicate"|"invalid"|"not_found"|"forbidden", id?: number }>}
+   */
+  async create({ reporterId, targetType, targetId, reason, details = null }) {
+    const reporter = Number(reporterId);
+    const tid = Number(targetId);
+    const text = typeof details === "string" ? details.trim() : "";
+    if (
+      !TARGET_TYPES.includes(targetType) ||
+      !Number.isInteger(tid) ||
+      tid <= 0 ||
+      !REPORT_REASONS.includes(reason) ||
+      text.length > 1000 ||
+      (reason === "other" && !text)
+    ) {
+      return { status: "invalid" };
+    }
+
+    const target = await this.snapshotTarget(targetType, tid, reporter);
+    if (target.status !== "ok") return target;
+
+    const [[existing]] = await pool.query(
+      `SELECT id FROM moderation_reports
+       WHERE reporter_id = ? AND target_type = ? AND target_id = ?
+         AND status IN ('open', 'in_review')
+       LIMIT 1`,
+      [reporter, targetType, tid]
+    );
+    if (existing) return { status: "duplicate", id: existing.id };
+
+    const [res] = await pool.query(
+      `INSERT INTO moderation_reports
+         (reporter_id, target_type, target_id, reported_user_id, reason, details, snapshot)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        reporter,
+        targetType,
+        tid,
+        target.reportedUserId,
+        reason,
+        text || null,
+        JSON.stringify(target.snapshot),
+      ]
+    );
+    return { status: "ok", id: res.insertId };
+  }
+
+  /**
+   * Loads the reported content, checks the reporter may see it and builds
+   * its snapshot. Soft-deleted chat messages stay reportable (members still
+   * see their placeholder); deleted posts do not.
+   *
+   * @async
+   * @param {string} targetType - Content type.
+   * @param {number} targetId - Content ID.
+   * @param {number} reporterId - Reporting user.
+   * @returns {Promise<{ status: string, reportedUserId?: number|null, snapshot?: Object }>}
+   */
+  async snapshotTarget(targetType, targetId, reporterId) {
+    if (targetType === "post") {
+      const [[post]] = await pool.query(
+        `SELECT id, user_id, body, visibility, reply_to_id, created_at
+         FROM feed_posts WHERE id = ? AND is_deleted = 0`,
+        [targetId]
+      );
+      if (!post) return { status: "not_found" };
+      if (post.user_id === reporterId) return { status: "invalid" };
+      const [media] = await pool.query(
+        `SELECT url, mime_type, position FROM feed_post_media
+         WHERE post_id = ? ORDER BY position ASC, id ASC`,
+        [targetId]
+      );
+      return {
+        status: "ok",
+        reportedUserId: post.user_id,
+        snapshot: { post: { ...post, media } },
+      };
+    }
+
+    if (targetType === "message") {
+      const [[message]] = await pool.query(
+        `SELECT id, thread_id, sender_id, content, image_urls, product_id,
+                kind, extra_data, reply_to_message_id, deleted, edited_at,
+                created_at
+         FROM chat_messages WHERE id = ?`,
+        [targetId]
+      );
+      if (!message) return { status: "not_found" };
+      if (!(await threads.isMember(message.thread_id, reporterId))) {
+        return { status: "forbidden" };
+      }
+      if (Number(message.sender_id) === reporterId) {
+        return { status: "invalid" };
+      }
+
+      const [revisions] = await pool.query(
+        `SELECT editor_id, content, created_at FROM chat_message_revisions
+         WHERE message_id = ? ORDER BY id ASC`,
+        [targetId]
+      );
+      const context = await this.recentMessages(
+        message.thread_id,
+        CONTEXT_MESSAGES,
+        targetId - 1
+      );
+      return {
+        status: "ok",
+        reportedUserId: Number(message.sender_id),
+        snapshot: {
+          message: { ...message, image_urls: parseJson(message.image_urls) },
+          revisions,
+          context,
+        },
+      };
+    }
+
+    const thread = await threads.getThread(targetId);
+    if (!thread) return { status: "not_found" };
+    const members = await threads.getMemberIds(thread);
+    if (!members.includes(reporterId)) return { status: "forbidden" };
+    const others = members.filter((id) => id !== reporterId);
+    return {
+      status: "ok",
+      reportedUserId: thread.is_group ? null : others[0] ?? null,
+      snapshot: {
+        thread: {
+          id: thread.id,
+          is_group: !!thread.is_group,
+          title: thread.title || null,
+          member_ids: members,
+        },
+        messages: await this.recentMessages(
+          thread.id,
+          THREAD_SNAPSHOT_MESSAGES
+        ),
+      },
+    };
+  }
+
+  /**
+   * Latest messages of a thread, oldest first, including deleted ones.
+   *
+   * @async
+   * @param {number} threadId - Thread ID.
+   * @param {number} limit - Number of messages.
+   * @param {number} [upToId] - Only messages up to this ID.
+   * @returns {Promise<Object[]>}
+   */
+  async recentMessages(threadId, limit, upToId = null) {
+    const [rows] = await pool.query(
+      `SELECT id, sender_id, content, image_urls, deleted, created_at
+       FROM chat_messages
+       WHERE thread_id = ? ${upToId ? "AND id <= ?" : ""}
+       ORDER BY id DESC
+       LIMIT ?`,
+      upToId ? [threadId, upToId, limit] : [threadId, limit]
+    );
+    return rows
+      .reverse()
+      .map((r) => ({ ...r, image_urls: parseJson(r.image_urls) }));
+  }
+
+  /**
+   * Lists the moderation queue, newest first (without snapshots).
+   *
+   * @async
+   * @param {Object} [filters]
+   * @param {string} [filters.status] - One of `REPORT_STATUSES`, or `pending` (open + in_review).
+   * @param {string} [filters.targetType] - Content type.
+   * @param {number} [filters.assigneeId] - Assigned moderator.
+   * @param {number} [filters.beforeId] - Exclusive cursor.
+   * @param {number} [filters.limit=50] - Page size (max 200).
+   * @returns {Promise<{ reports: Object[], has_more: boolean }>}
+   */
+  async list({
+    status = null,
+    targetType = null,
+    assigneeId = null,
+    beforeId = null,
+    limit = QUEUE_PAGE_SIZE,
+  } = {}) {
+    const where = [];
+    const params = [];
+    if (status === "pending") where.push(`r.status IN ('open', 'in_review')`);
+    else if (status) {
+      where.push("r.status = ?");
+      params.push(status);
+    }
+    if (targetType) {
+      where.push("r.target_type = ?");
+      params.push(targetType);
+    }
+    if (assigneeId) {
+      where.push("r.assignee_id = ?");
+      params.push(Number(assigneeId));
+    }
+    if (beforeId) {
+      where.push("r.id < ?");
+      params.push(Number(beforeId));
+    }
+    const size = Math.min(
+      Math.max(Number(limit) || QUEUE_PAGE_SIZE, 1),
+      QUEUE_MAX_PAGE_SIZE
+    );
+
+    const [rows] = await pool.query(
+      `SELECT r.id, r.reporter_id, r.target_type, r.target_id, r.reported_user_id,
+              r.reason, r.details, r.status, r.assignee_id, r.created_at, r.updated_at,
+              (SELECT COUNT(*) FROM moderation_reports o
+               WHERE o.target_type = r.target_type AND o.target_id = r.target_id) AS target_reports
+       FROM moderation_reports r
+       ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+       ORDER BY r.id DESC
+       LIMIT ?`,
+      [...params, size + 1]
+    );
+    return {
+      reports: rows
+        .slice(0, size)
+        .map((r) => ({ ...r, target_reports: Number(r.target_reports) })),
+      has_more: rows.length > size,
+    };
+  }
+
+  /**
+   * Retrieves a report with its snapshot.
+   *
+   * @async
+   * @param {number|string} reportId - Report ID.
+   * @returns {Promise<Object|null>}
+   */
+  async get(reportId) {
+    const [[row]] = await pool.query(
+      `SELECT * FROM moderation_reports WHERE id = ?`,
+      [Number(reportId)]
+    );
+    return row ? { ...row, snapshot: parseJson(row.snapshot) } : null;
+  }
+
+  /**
+   * Assigns a pending report to a moderator (moves it to `in_review`).
+   *
+   * @async
+   * @param {number|string} reportId - Report ID.
+   * @param {number|string} assigneeId - Moderator.
+   * @returns {Promise<{ status: "ok"|"not_found"|"closed" }>}
+   */
+  async assign(reportId, assigneeId) {
+    const [res] = await pool.query(
+      `UPDATE moderation_reports
+       SET assignee_id = ?, status = 'in_review'
+       WHERE id = ? AND status IN ('open', 'in_review')`,
+      [Number(assigneeId), Number(reportId)]
+    );
+    if (res.affectedRows) return { status: "ok" };
+    return (await this.get(reportId))
+      ? { status: "closed" }
+      : { status: "not_found" };
+  }
+
+  /**
+   * Closes a pending report.
+   *
+   * @async
+   * @param {number|string} reportId - Report ID.
+   * @param {Object} params
+   * @param {number|string} params.moderatorId - Moderator closing the report.
+   * @param {"actioned"|"dismissed"} params.outcome - `actioned` → `resolved`, `dismissed` → `dismissed`.
+   * @param {string} [params.note] - Resolution note (max 1000 chars).
+   * @returns {Promise<{ status: "ok"|"invalid"|"not_found"|"closed" }>}
+   */
+  async resolve(reportId, { moderatorId, outcome, note = null }) {
+    const status = { actioned: "resolved", dismissed: "dismissed" }[outcome];
+    const text = typeof note === "string" ? note.trim() : "";
+    if (!status || text.length > 1000) return { status: "invalid" };
+
+    const [res] = await pool.query(
+      `UPDATE moderation_reports
+       SET status = ?, resolution_note = ?, resolved_by = ?, resolved_at = NOW(),
+           assignee_id = COALESCE(assignee_id, ?)
+       WHERE id = ? AND status IN ('open', 'in_review')`,
+      [
+        status,
+        text || null,
+        Number(moderatorId),
+        Number(moderatorId),
+        Number(reportId),
+      ]
+    );
+    if (res.affectedRows) return { status: "ok" };
+    return (await this.get(reportId))
+      ? { status: "closed" }
+      : { status: "not_found" };
+  }
+}
+
+ReportRepository.REPORT_REASONS = REPORT_REASONS;
+ReportRepository.TARGET_TYPES = TARGET_TYPES;
+ReportRepository.REPORT_STATUSES = REPORT_STATUSES;
+
+module.exports = ReportRepository;
@@ -10,18 +10,21 @@
  * - Support **replies**, **likes/unlikes**, and **soft deletes**.
  * - Provide **feed listing** and **reply pagination** with simple filters.
  * - Normalize media metadata (MIME type, dimensions, order).
+ * - Run post bodies through the moderation pipeline before inserting them
+ *   (`repositories/ModerationRepository.js`): masked, held for review or
+ *   rejected.
  *
  * ## Database Schema (simplified)
  * - `feed_posts`
  *   - id, user_id, body, visibility, reply_to_id, media_count,
- *     replies_count, likes_count, is_deleted
+ *     replies_count, likes_count, is_deleted, link_preview (JSON, first link of the body)
  * - `feed_post_media`
  *   - id, post_id, url, mime_type, position, width, height
  * - `feed_post_likes`
  *   - post_id, user_id (unique)
  *
  * ## Methods
- * - `createTextPost({...})` → Insert a text-only post.
+ * - `createTextPost({...})` → Insert a text-only post (moderated).
  * - `createPhotoPost({...})` → Insert a photo post with 1–N media files.
  * - `getPostById(id)` → Retrieve a post with its media.
  * - `listFeed({...})` → List public posts with pagination.
@@ -29,6 +32,14 @@
  * - `softDelete({...})` → Perform a logical (non-destructive) delete.
  * - `createTextReply({...})` / `createPhotoReply({...})` → Reply to a parent post.
  * - `listReplies({...})` → List replies for a specific post.
+ * - `setLinkPreview({...})` → Store the preview of the body's first link.
+ *
+ * ## Moderation
+ * `createTextPost` / `createPhotoPost` return `moderation`
+ * (`{ action, content, decisionId, reasons }`, `null` without text or when
+ * skipped). Nothing is inserted when the action is `hold` or `reject`
+ * (`id: null`); held posts are published by `createTextPost` /
+ * `createPhotoPost` with `moderate: false` once approved.
  *
  * ## Notes
  * - All methods are **async** and use connection pooling (`db.getConnection()`).
@@ -49,6 +60,12 @@
  */
 
 const path = require("path");
+const ModerationRepository = require("./ModerationRepository");
+const ChatUploadRepository = require("./ChatUploadRepository");
+
+const moderation = new ModerationRepository();
+const uploads = new ChatUploadRepository();
+
 function guessMimeFromUrl(url) {
   const ext = (path.extname(String(url)).toLowerCase() || "").replace(".", "");
   if (ext === "png") return "image/png";
@@ -71,7 +88,10 @@ module.exports = (db) => {
      * @param {string} params.body - The textual content of the post.
      * @param {string} [params.visibility="public"] - Post visibility (`public`, `private`, etc.).
      * @param {?number} [params.replyToId=null] - Optional parent post ID for replies.
-     * @returns {Promise<{id: number}>} The newly created post ID.
+     * @param {?string} [params.locale=null] - Author's locale (moderation word lists).
+     * @param {boolean} [params.moderate=true] - `false` for held posts approved by a moderator.
+     * @returns {Promise<{id: ?number, moderation: ?Object}>} The newly created post ID
+     *          (`null` when held or rejected) and the moderation decision.
      * @throws {Error} If validation fails or the transaction encounters an error.
      */
     async createTextPost({
@@ -79,10 +99,26 @@ module.exports = (db) => {
       body,
       visibility = "public",
       replyToId = null,
+      locale = null,
+      moderate = true,
     }) {
       if (!userId || !body || typeof body !== "string" || !body.trim()) {
         throw new Error("Invalid text post payload");
       }
+      const verdict = moderate
+        ? await this.moderateBody({
+            userId,
+            body,
+            locale,
+            visibility,
+            replyToId,
+          })
+        : null;
+      if (verdict && verdict.action !== "allow" && verdict.action !== "mask") {
+        return { id: null, moderation: verdict };
+      }
+      if (verdict) body = verdict.content;
+
       const conn = await db.getConnection();
       try {
         await conn.beginTransaction();
@@ -102,7 +138,10 @@ module.exports = (db) => {
         }
 
         await conn.commit();
-        return { id: res.insertId };
+        if (verdict) {
+          await moderation.attachTarget(verdict.decisionId, res.insertId);
+        }
+        return { id: res.insertId, moderation: verdict };
       } catch (e) {
         try {
           await conn.rollback();
@@ -125,7 +164,10 @@ module.exports = (db) => {
      * @param {?number} [params.replyToId=null] - Optional parent post ID for replies.
      * @param {Array<Object>} [params.sizes=[]] - Optional image metadata (`{width, height, mime_type}`).
      * @param {?string} [params.body=null] - Optional text content for the post.
-     * @returns {Promise<{id: number}>} The newly created post ID.
+     * @param {?string} [params.locale=null] - Author's locale (moderation word lists).
+     * @param {boolean} [params.moderate=true] - `false` for held posts approved by a moderator.
+     * @returns {Promise<{id: ?number, moderation: ?Object}>} The newly created post ID
+     *          (`null` when held or rejected) and the moderation decision of the text.
      * @throws {Error} If the payload is invalid or a database error occurs.
      */
     async createPhotoPost({
@@ -135,14 +177,34 @@ module.exports = (db) => {
       replyToId = null,
       sizes = [],
       body = null,
+      locale = null,
+      moderate = true,
     }) {
       const urls = Array.isArray(imageUrls) ? imageUrls.filter(Boolean) : [];
       if (!userId || urls.length === 0) {
         throw new Error("Invalid photo post payload");
       }
 
-      const text = typeof body === "string" && body.trim() ? body.trim() : null;
+      let text = typeof body === "string" && body.trim() ? body.trim() : null;
+      const verdict =
+        text && moderate
+          ? await this.moderateBody({
+              userId,
+              body: text,
+              locale,
+              visibility,
+              replyToId,
+              imageUrls: urls,
+              sizes,
+            })
+          : null;
+      if (verdict && verdict.action !== "allow" && verdict.action !== "mask") {
+        return { id: null, moderation: verdict };
+      }
+      if (verdict) text = verdict.content;
 
+      // The post holds its images (see ChatUploadRepository)
+      await uploads.addRefs(urls);
       const conn = await db.getConnection();
       try {
         await conn.beginTransaction();
@@ -185,7 +247,8 @@ module.exports = (db) => {
         }
 
         await conn.commit();
-        return { id: postId };
+        if (verdict) await moderation.attachTarget(verdict.decisionId, postId);
+        return { id: postId, moderation: verdict };
       } catch (e) {
         try {
           await conn.rollback();
@@ -196,6 +259,44 @@ module.exports = (db) => {
       }
     }
 
+    /**
+     * Runs a post body through the moderation pipeline and records the
+     * decision; a held post keeps what publishing it needs.
+     *
+     * @async
+     * @private
+     * @param {Object} params - Post being created.
+     * @param {number} params.userId - Author.
+     * @param {string} params.body - Text.
+     * @param {?string} params.locale - Author's locale.
+     * @param {string} params.visibility - Post visibility.
+     * @param {?number} params.replyToId - Parent post.
+     * @param {string[]} [params.imageUrls] - Images of a photo post.
+     * @param {Array<Object>} [params.sizes] - Image metadata.
+     * @returns {Promise<{action: string, content: string, decisionId: number, reasons: string[]}>}
+     */
+    async moderateBody({
+      userId,
+      body,
+      locale,
+      visibility,
+      replyToId,
+      imageUrls = [],
+      sizes = [],
+    }) {
+      return moderation.moderate({
+        targetType: "post",
+        userId,
+        content: body,
+        locale,
+        payload: {
+          visibility,
+          reply_to_id: replyToId,
+          ...(imageUrls.length ? { image_urls: imageUrls, sizes } : {}),
+        },
+      });
+    }
+
     /**
      * Retrieves a single post and its associated media attachments.
      *
@@ -450,9 +551,17 @@ module.exports = (db) => {
      * @param {number} params.parentId - ID of the parent post being replied to.
      * @param {string} params.body - Text content of the reply.
      * @param {string} [params.visibility="public"] - Visibility of the reply.
-     * @returns {Promise<{id: number}>} The newly created reply ID.
+     * @param {?string} [params.locale=null] - Author's locale (moderation word lists).
+     * @returns {Promise<{id: ?number, moderation: ?Object}>} The newly created reply ID
+     *          and the moderation decision (see `createTextPost`).
      */
-    async createTextReply({ userId, parentId, body, visibility = "public" }) {
+    async createTextReply({
+      userId,
+      parentId,
+      body,
+      visibility = "public",
+      locale = null,
+    }) {
       if (!parentId) throw new Error("parentId is required");
       // réutilise la logique text-only + incrément replies_count géré par replyToId
       return this.createTextPost({
@@ -460,6 +569,7 @@ module.exports = (db) => {
         body,
         visibility,
         replyToId: parentId,
+        locale,
       });
     }
 
@@ -547,6 +657,26 @@ module.exports = (db) => {
       }
       return rows.map((r) => ({ ...r, media: mediaMap.get(r.id) || [] }));
     }
+
+    /**
+     * Stores the link preview of a post (see `LinkPreviewRepository`),
+     * resolved after the post was created.
+     *
+     * @async
+     * @param {Object} params - Update payload.
+     * @param {number} params.postId - ID of the post.
+     * @param {Object} params.preview - `{ url, title, description, image_url, site_name }`.
+     * @returns {Promise<{affected: number}>}
+     */
+    async setLinkPreview({ postId, preview }) {
+      const [res] = await db.execute(
+        `UPDATE feed_posts
+         SET link_preview = :preview
+         WHERE id = :id AND is_deleted = 0`,
+        { id: postId, preview: JSON.stringify(preview) }
+      );
+      return { affected: res.affectedRows || 0 };
+    }
   }
 
   return FeedRepository;
@@ -8,12 +8,19 @@
  * - Handle text and photo posts (`/post`, `/text`, `/photo`).
  * - Manage replies, likes, deletions, and visibility.
  * - Provide public and authenticated feed access.
+ * - Unfurl the first link of a post (`link_preview`), and preview links
+ *   while composing (`/link-preview`).
+ * - Moderate post bodies before they are stored (see `feedRepository`):
+ *   masked text is published, held posts answer `202 { held: true }`,
+ *   rejected ones `422`.
  *
  * ## Features
  * - Unified `/api/feed/post` endpoint (text and/or images).
  * - Optional reply threading via `reply_to_id`.
  * - Public `/api/feed` browsing with pagination.
  * - Secure actions (`like`, `reply`, `delete`) protected by JWT (`authRequired`).
+ * - Link previews resolved in the background after a post is created, so a
+ *   slow site never delays publishing (see repositories/LinkPreviewRepository.js).
  *
  * ## Security
  * - Write operations require authentication.
@@ -21,6 +28,7 @@
  *
  * @module routes/feed
  * @see repositories/feedRepository.js — Data layer for feed operations.
+ * @see utils/linkPreview.js — SSRF-safe link unfurling.
  */
 
 const express = require("express");
@@ -30,8 +38,15 @@ const db = require("../db/mysql");
 const FeedRepoClassFactory = require("../repositories/feedRepository");
 const FeedRepository = FeedRepoClassFactory(db);
 const repo = new FeedRepository();
+const LinkPreviewRepository = require("../repositories/LinkPreviewRepository");
+const linkPreviews = new LinkPreviewRepository();
 
 const { authRequired } = require("../utils/auth-phpjwt");
+const { parsePreviewUrl } = require("../utils/linkPreview");
+const { createRateLimiter } = require("../utils/rateLimiter");
+
+/** Per-user limit on composer previews `[burst, perSec]` (each may fetch a page). */
+const limiter = createRateLimiter("feed", { link_preview: [10, 0.5] });
 
 // -----------------------------------------------------------------------------
 // Utilities
@@ -50,6 +65,55 @@ function fail(res, message = "Bad Request", status = 400, extra = {}) {
   res.status(status).json({ success: false, message, ...extra });
 }
 
+/**
+ * Answers a post creation according to its moderation decision: `422` when
+ * rejected, `202` when held for review, else the new post (preview resolved
+ * from the stored, possibly masked, text).
+ *
+ * @param {import("express").Response} res
+ * @param {{ id: ?number, moderation: ?Object }} out - Repository result.
+ * @param {?string} text - Post body as sent.
+ * @returns {void}
+ */
+function created(res, out, text) {
+  const verdict = out.moderation;
+  if (verdict?.action === "reject") {
+    return fail(res, "Post rejected by moderation", 422, {
+      reasons: verdict.reasons,
+    });
+  }
+  if (verdict?.action === "hold") {
+    return ok(
+      res,
+      {
+        id: null,
+        held: true,
+        decision_id: verdict.decisionId,
+        reasons: verdict.reasons,
+      },
+      202
+    );
+  }
+  attachPostPreview(out.id, verdict ? verdict.content : text);
+  return ok(res, { id: out.id, masked: verdict?.action === "mask" });
+}
+
+/**
+ * Resolves the preview of the first link of a new post in the background
+ * and stores it on the post (`link_preview`). Never fails the request.
+ *
+ * @param {number} postId - Created post.
+ * @param {string|null} text - Post body.
+ * @returns {void}
+ */
+function attachPostPreview(postId, text) {
+  if (!postId || !text) return;
+  linkPreviews
+    .resolveText(text)
+    .then((preview) => preview && repo.setLinkPreview({ postId, preview }))
+    .catch((e) => console.error("❌ Feed link preview error:", e.message));
+}
+
 // Health check
 router.get("/__ping", (req, res) =>
   res.json({ ok: true, where: "routes/feed.js" })
@@ -69,8 +133,10 @@ router.get("/__ping", (req, res) =>
  * - `visibility`: "public" | "private"
  * - `reply_to_id`: optional parent post ID
  *
- * @returns {object} 200 - `{ success: true, id: number }`
+ * @returns {object} 200 - `{ success: true, id: number, masked: boolean }`
+ * @returns {object} 202 - `{ success: true, id: null, held: true, decision_id, reasons }` (held for review)
  * @returns {object} 400 - `{ success: false, message: string }`
+ * @returns {object} 422 - `{ success: false, message: "Post rejected by moderation", reasons }`
  */
 router.post("/post", authRequired, async (req, res) => {
   try {
@@ -84,6 +150,7 @@ router.post("/post", authRequired, async (req, res) => {
 
     const text = typeof body === "string" ? body.trim() : "";
     const urls = Array.isArray(image_urls) ? image_urls.filter(Boolean) : [];
+    const locale = req.headers["accept-language"] || null;
 
     if (!text && urls.length === 0) {
       return res
@@ -99,8 +166,9 @@ router.post("/post", authRequired, async (req, res) => {
         visibility,
         replyToId: reply_to_id || null,
         sizes: Array.isArray(sizes) ? sizes : [],
+        locale,
       });
-      return ok(res, { id: out.id });
+      return created(res, out, text);
     }
 
     // Fallback (separate handlers)
@@ -112,8 +180,9 @@ router.post("/post", authRequired, async (req, res) => {
         replyToId: reply_to_id || null,
         sizes,
         body: text,
+        locale,
       });
-      return ok(res, { id: out.id });
+      return created(res, out, text);
     }
     if (text) {
       const out = await repo.createTextPost({
@@ -121,8 +190,9 @@ router.post("/post", authRequired, async (req, res) => {
         body: text,
         visibility,
         replyToId: reply_to_id || null,
+        locale,
       });
-      return ok(res, { id: out.id });
+      return created(res, out, text);
     }
     const out = await repo.createPhotoPost({
       userId: Number(req.user.id),
@@ -151,8 +221,9 @@ router.post("/text", authRequired, async (req, res) => {
       body: body.trim(),
       visibility,
       replyToId: reply_to_id || null,
+      locale: req.headers["accept-language"] || null,
     });
-    return ok(res, { id: out.id });
+    return created(res, out, body.trim());
   } catch (e) {
     return fail(res, e.message || "Failed to create text post", 500);
   }
@@ -186,6 +257,39 @@ router.post("/photo", authRequired, async (req, res) => {
   }
 });
 
+// -----------------------------------------------------------------------------
+// GET /api/feed/link-preview
+// -----------------------------------------------------------------------------
+/**
+ * @route GET /api/feed/link-preview
+ * @middleware authRequired
+ * @summary Previews a link while a post is being written.
+ * @description
+ * Same cache and SSRF protections as the previews stored on posts and chat
+ * messages; rate limited per user.
+ *
+ * @param {string} req.query.url - http(s) link.
+ * @returns {object} 200 - `{ success: true, preview: { url, title, description, image_url, site_name } | null }`
+ * @returns {object} 400 - `{ success: false, message: "Invalid url" }`
+ * @returns {object} 429 - `{ success: false, message, retry_after_ms }`
+ */
+router.get("/link-preview", authRequired, async (req, res) => {
+  const quota = limiter.consume(String(req.user.id), "link_preview");
+  if (!quota.ok) {
+    return fail(res, "Too many previews, slow down", 429, {
+      retry_after_ms: quota.retryAfterMs,
+    });
+  }
+  const url = typeof req.query.url === "string" ? req.query.url : "";
+  if (!parsePreviewUrl(url)) return fail(res, "Invalid url");
+
+  try {
+    return ok(res, { preview: await linkPreviews.resolve(url) });
+  } catch (e) {
+    return fail(res, e.message || "Failed to preview link", 500);
+  }
+});
+
 // -----------------------------------------------------------------------------
 // GET /api/feed/:id/replies
 // -----------------------------------------------------------------------------
@@ -237,7 +341,7 @@ router.get("/", async (req, res) => {
       const sql = `
         SELECT p.id, p.user_id, p.body, p.reply_to_id, p.visibility,
                p.likes_count, p.replies_count, p.reposts_count,
-               p.is_deleted, p.created_at, p.updated_at
+               p.is_deleted, p.link_preview, p.created_at, p.updated_at
         FROM feed_posts p
         WHERE ${where}
         ORDER BY p.id DESC
@@ -342,8 +446,9 @@ router.post("/:id/reply/text", authRequired, async (req, res) => {
       parentId,
       body: body.trim(),
       visibility,
+      locale: req.headers["accept-language"] || null,
     });
-    return ok(res, { id: out.id });
+    return created(res, out, body.trim());
   } catch (e) {
     return fail(res, e.message || "Failed to create text reply", 500);
   }
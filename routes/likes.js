@@ -20,6 +20,8 @@
  *   "likes_count": 17
  * }
  * ```
+ * When `REDIS_URL` is set, the update is also relayed to the other instances
+ * (topic `like:update` on `ws/bus.js`), which push it to their own subscribers.
  *
  * ## Database Schema (simplified)
  * - **node_product_likes**
@@ -37,17 +39,20 @@
  * @see db/mysql.js — MySQL connection pool
  * @see utils/auth-phpjwt.js — JWT authentication middleware
  * @see utils/ws-ticket.js — WebSocket ticket utilities
+ * @see ws/bus.js — Cross-instance relay
  */
 const express = require("express");
 const pool = require("../db/mysql");
 const { authRequired } = require("../utils/auth-phpjwt");
+const { getBus } = require("../ws/bus");
 
 const LIKE_TABLE = process.env.NODE_LIKES_TABLE || "node_product_likes";
 
 module.exports = function createLikesRouter(wss) {
   const router = express.Router();
+  const bus = getBus();
 
-  function broadcastLikeUpdate(productId, likesCount) {
+  function pushLikeUpdateLocal(productId, likesCount) {
     if (!wss) return;
     const pid = Number(productId);
 
@@ -68,6 +73,21 @@ module.exports = function createLikesRouter(wss) {
     }
   }
 
+  function broadcastLikeUpdate(productId, likesCount) {
+    pushLikeUpdateLocal(productId, likesCount);
+    bus.publish("like:update", {
+      product_id: Number(productId),
+      likes_count: likesCount,
+    });
+  }
+
+  // Like updates produced on the other instances
+  bus.subscribe("like:update", (d) => {
+    if (d && d.product_id != null) {
+      pushLikeUpdateLocal(d.product_id, d.likes_count);
+    }
+  });
+
   async function getLikesCount(productId, connOrPool = pool) {
     const [rows] = await connOrPool.query(
       `SELECT COUNT(*) AS cnt FROM ${LIKE_TABLE} WHERE product_id=?`,
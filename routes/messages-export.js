@@ -0,0 +1,149 @@
+/**
+ * @file routes/messages-export.js
+ * @description
+ * Conversation export for **Softadastra Chat** (dispute resolution): a
+ * thread's messages, images, product references and read receipts as JSON,
+ * CSV or a self-contained printable HTML transcript.
+ *
+ * ## Responsibilities
+ * - Stream the export page by page (`EXPORT_BATCH` messages at a time), so
+ *   threads of any length are exported in constant memory.
+ * - Attach the members (with display names) and their receipt cursors;
+ *   every message carries `delivered_at`, `read_at` and `read_by`.
+ *
+ * Mounted under `/api/messages`, beside `routes/messages.js`.
+ *
+ * ## Security
+ * - Requires `authRequired`; the requester must be a member of the thread
+ *   (shop staff included, see `ChatTeamInboxRepository`) or an administrator.
+ *
+ * @module routes/messages-export
+ * @see utils/transcript.js — Output formats
+ */
+const express = require("express");
+const router = express.Router();
+const { authRequired, isAdminRequest } = require("../utils/auth-phpjwt");
+const ChatThreadRepository = require("../repositories/ChatThreadRepository");
+const ChatMessageRepository = require("../repositories/ChatMessageRepository");
+const ChatQuickReplyRepository = require("../repositories/ChatQuickReplyRepository");
+const ChatTeamInboxRepository = require("../repositories/ChatTeamInboxRepository");
+const {
+  TRANSCRIPT_FORMATS,
+  createTranscriptWriter,
+} = require("../utils/transcript");
+
+const threads = new ChatThreadRepository();
+const chatMessages = new ChatMessageRepository();
+const quickReplies = new ChatQuickReplyRepository();
+const team = new ChatTeamInboxRepository();
+
+/**
+ * Messages loaded per page while streaming.
+ * @type {number}
+ */
+const EXPORT_BATCH = 200;
+
+/**
+ * @route GET /thread/:threadId/export
+ * @summary Downloads a conversation as JSON, CSV or printable HTML.
+ * @param {number} req.params.threadId - Thread ID.
+ * @param {"json"|"csv"|"html"} [req.query.format=json] - Output format.
+ * @returns {file} 200 - `thread-<id>.<format>` (attachment).
+ *   JSON: `{ thread, members: [{ user_id, name }], receipts, exported_at, exported_by, messages: ExportedMessage[] }`;
+ *   CSV: one row per message (see `CSV_COLUMNS`); HTML: inline styles, no script.
+ * @returns {object} 400 - `{ error: "ID invalide" | "Format invalide" }`
+ * @returns {object} 403 - `{ error: "Unauthorized" }` if the requester is neither a member nor an admin.
+ * @returns {object} 404 - `{ error: "Thread introuvable" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }` (before streaming starts)
+ *
+ * @typedef {object} ExportedMessage
+ * @property {number} id
+ * @property {string} created_at
+ * @property {number} sender_id
+ * @property {number|null} sent_by - Staff member who wrote it as the shop.
+ * @property {string} kind - `text` | `product` | `offer` | `checkout`.
+ * @property {string|null} content - `null` once deleted.
+ * @property {string[]} image_urls
+ * @property {number|null} product_id
+ * @property {object|null} extra_data - Structured payload (product, offer, checkout).
+ * @property {number|null} reply_to_message_id
+ * @property {string|null} edited_at
+ * @property {boolean} deleted
+ * @property {string|null} delivered_at
+ * @property {string|null} read_at
+ * @property {number[]} read_by - Members whose read cursor covers the message.
+ * @example
+ * // GET /api/messages/thread/9/export?format=html
+ */
+router.get("/thread/:threadId/export", authRequired, async (req, res) => {
+  const threadId = parseInt(req.params.threadId);
+  if (!threadId) return res.status(400).json({ error: "ID invalide" });
+  const format = req.query.format || "json";
+  if (!TRANSCRIPT_FORMATS[format]) {
+    return res.status(400).json({ error: "Format invalide" });
+  }
+
+  try {
+    const thread = await threads.getThread(threadId);
+    if (!thread) return res.status(404).json({ error: "Thread introuvable" });
+
+    const memberIds = await threads.getMemberIds(thread);
+    const allowed =
+      memberIds.includes(Number(req.user.id)) ||
+      isAdminRequest(req) ||
+      (await team.getActingShopId(thread, req.user.id)) !== null;
+    if (!allowed) return res.status(403).json({ error: "Unauthorized" });
+
+    const names = await quickReplies.getDisplayNames(memberIds);
+    const meta = {
+      thread: {
+        id: Number(thread.id),
+        is_group: !!thread.is_group,
+        title: thread.title || null,
+        created_at: thread.created_at,
+      },
+      members: memberIds.map((id) => ({
+        user_id: id,
+        name: names.get(id) || null,
+      })),
+      receipts: await threads.getReceiptCursors(thread),
+      exported_at: new Date().toISOString(),
+      exported_by: Number(req.user.id),
+    };
+
+    const { contentType, ext } = TRANSCRIPT_FORMATS[format];
+    res.setHeader("Content-Type", contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="thread-${thread.id}.${ext}"`
+    );
+    res.setHeader("Cache-Control", "no-store");
+    // Never built from the Host header, which the client controls
+    const writer = createTranscriptWriter(format, (chunk) => res.write(chunk), {
+      baseUrl: process.env.PUBLIC_BASE_URL || null,
+    });
+    writer.start(meta);
+
+    let afterId = 0;
+    for (;;) {
+      if (res.destroyed) return; // client went away
+      const page = await chatMessages.listThreadMessages(thread.id, {
+        afterId,
+        limit: EXPORT_BATCH,
+        viewerId: req.user.id,
+      });
+      for (const msg of page.messages) writer.message(msg);
+      if (!page.has_more || !page.messages.length) break;
+      afterId = page.messages[page.messages.length - 1].id;
+    }
+
+    writer.end();
+    res.end();
+  } catch (err) {
+    console.error("Erreur export conversation:", err.message);
+    if (!res.headersSent) res.status(500).json({ error: "Erreur serveur" });
+    else res.destroy(err); // truncated download rather than a corrupt file
+  }
+});
+
+module.exports = router;
@@ -3,29 +3,73 @@
  * @description
  * Chat message read APIs for the **Softadastra Chat** service.
  * Provides endpoints to fetch unread counters, latest messages per thread,
- * per-sender unread counts, full thread history, and a soft-delete operation.
+ * per-sender unread counts, full thread history, message edits (with revision
+ * history) and a soft-delete operation.
  *
  * ## Responsibilities
  * - Compute unread message counts per user and per sender.
- * - Return the last message per thread for a given user.
- * - Resolve a (sender, receiver) pair to a canonical thread and list messages.
+ * - Build the inbox: one paginated summary per thread (counterpart, last
+ *   message preview, unread count, mute / pin state), by last activity.
+ * - Return the last message per thread for a given user (legacy list).
+ * - Resolve a (sender, receiver) pair to a canonical thread and list messages,
+ *   one cursor page at a time (`before_id` / `after_id` / `limit`).
+ * - List a user's group threads and the history of a group thread.
+ * - Return each member's delivery / read cursors so clients can render receipts.
+ * - Attach aggregated emoji reactions (with a "reacted by me" flag) and quoted
+ *   reply previews to history.
+ * - Search the requester's conversations (highlighted snippets, thread /
+ *   counterpart / date filters) and open a hit with the messages around it.
+ * - Let the author edit a message within `CHAT_EDIT_WINDOW_SEC` and expose its revisions.
  * - Soft-delete a message authored by the requesting user.
+ * - Let each member mute (until a date or forever), archive and pin a thread
+ *   for themselves; thread lists filter and order on that state.
+ * - Expose a seller's response-time metrics ("usually replies within an hour").
+ * - List and cancel the requester's scheduled messages (`send_at`, see ws/chat.js).
+ * - Let a user block / unblock other users (enforced by `ws/chat.js`); threads
+ *   with blocked users are hidden from the latest-messages list.
  *
  * ## Database (simplified)
- * - `chat_threads(id, user1_id, user2_id, created_at, ...)`
- * - `chat_messages(id, thread_id, sender_id, content, image_urls, seen, deleted, product_id, created_at, ...)`
+ * - `chat_threads(id, user1_id, user2_id, is_group, title, created_by, last_message_id, created_at, ...)`
+ * - `chat_thread_participants(thread_id, user_id, role, last_delivered_message_id, last_read_message_id, muted_until, archived_at, pinned_at, joined_at, left_at)`
+ * - `chat_messages(id, thread_id, sender_id, sent_by, kind, content, image_urls, extra_data, seen, deleted, product_id, reply_to_message_id, edited_at, delivered_at, read_at, expires_at, link_preview, created_at, ...)`
+ * - `chat_message_revisions(id, message_id, editor_id, content, created_at)`
+ * - `chat_message_reactions(message_id, user_id, emoji, created_at)`
+ * - `chat_user_blocks(blocker_id, blocked_id, created_at)`
  *
  * ## Security
  * - These routes currently do **not** enforce auth middleware in this file.
  *   In production, protect them with JWT (`authRequired`) and derive `userId`
  *   from the token instead of trusting URL parameters.
+ * - Inbox, group list, thread, search, edit and block routes already require
+ *   `authRequired` and act as `req.user.id`.
  *
  * @module routes/messages
  * @see db/mysql.js — MySQL pool (mysql2/promise)
+ * @see repositories/ChatThreadRepository.js — Thread membership (direct + group)
  */
 const express = require("express");
 const router = express.Router();
 const pool = require("../db/mysql");
+const { authRequired } = require("../utils/auth-phpjwt");
+const ChatThreadRepository = require("../repositories/ChatThreadRepository");
+const ChatMessageRepository = require("../repositories/ChatMessageRepository");
+const ChatBlockRepository = require("../repositories/ChatBlockRepository");
+const ChatResponseStatsRepository = require("../repositories/ChatResponseStatsRepository");
+const ChatScheduledMessageRepository = require("../repositories/ChatScheduledMessageRepository");
+const ModerationRepository = require("../repositories/ModerationRepository");
+const {
+  emitMessageEdited,
+  emitMessageDeleted,
+  attachLinkPreview,
+} = require("../ws/chatEvents");
+const { sendToUser, getClusterOnlineUserIds } = require("../ws/userState");
+
+const threads = new ChatThreadRepository();
+const chatMessages = new ChatMessageRepository();
+const blocks = new ChatBlockRepository();
+const responseStats = new ChatResponseStatsRepository();
+const scheduledMessages = new ChatScheduledMessageRepository();
+const moderation = new ModerationRepository();
 
 /**
  * @route GET /unread/:userId
@@ -62,19 +106,86 @@ router.get("/unread/:userId", async (req, res) => {
   }
 });
 
+/**
+ * @route GET /inbox
+ * @summary Returns one page of the requester's inbox, one summary per thread.
+ * @description
+ * Direct and group threads with at least one message, pinned threads first,
+ * then by last activity. Reads `chat_threads.last_message_id`, so no per-thread
+ * `MAX()` is computed. Archived threads and threads with users the requester
+ * blocked are left out (see `archived`).
+ * @param {string} [req.query.cursor] - `next_cursor` of the previous page.
+ * @param {number} [req.query.limit=30] - Page size (max 100).
+ * @param {string} [req.query.archived="0"] - `0` exclude archived, `1` only archived, `all`.
+ * @param {string} [req.query.muted] - `1` only muted, `0` only unmuted.
+ * @param {string} [req.query.pinned] - `1` only pinned.
+ * @returns {object} 200 - `{ threads: Array<InboxThread>, next_cursor: string|null, has_more: boolean }`
+ * @returns {object} 400 - `{ error: "Filtre invalide" | "Curseur invalide" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ * @example
+ * // GET /api/messages/inbox?limit=2
+ * // => { "has_more": true, "next_cursor": "1:5120", "threads": [
+ * //   { "thread_id": 12, "is_group": false, "title": null, "other_user_id": 7, "unread": 2, "muted_until": null, "archived": false, "pinned": true,
+ * //     "last_message": { "id": 5188, "sender_id": 7, "type": "text", "excerpt": "Still available?", "image_count": 0, "product_id": null, "created_at": "..." } },
+ * //   { "thread_id": 40, "is_group": true, "title": "Shop team", "other_user_id": null, "unread": 0, "muted_until": "9999-12-31T23:59:59.000Z", "archived": false, "pinned": false,
+ * //     "last_message": { "id": 5120, "sender_id": 9, "type": "image", "excerpt": null, "image_count": 3, "product_id": null, "created_at": "..." } } ] }
+ *
+ * @typedef {object} InboxThread
+ * @property {number} thread_id
+ * @property {boolean} is_group
+ * @property {string|null} title - Group title.
+ * @property {number|null} other_user_id - Counterpart of a direct thread.
+ * @property {{ id: number, sender_id: number, type: "text"|"image"|"product"|"offer"|"checkout"|"deleted", excerpt: string|null, image_count: number, product_id: number|null, created_at: string }} last_message
+ * @property {number} unread - Messages from others not read yet.
+ * @property {string|null} muted_until
+ * @property {boolean} archived
+ * @property {boolean} pinned
+ */
+router.get("/inbox", authRequired, async (req, res) => {
+  const filters = ChatThreadRepository.parseThreadFilters(req.query);
+  if (!filters) return res.status(400).json({ error: "Filtre invalide" });
+  const { cursor, limit } = req.query;
+  if (cursor && !ChatThreadRepository.parseInboxCursor(cursor)) {
+    return res.status(400).json({ error: "Curseur invalide" });
+  }
+
+  try {
+    const page = await threads.listInbox(req.user.id, {
+      cursor,
+      limit,
+      filters,
+    });
+    res.json(page);
+  } catch (err) {
+    console.error("Erreur inbox:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
 /**
  * @route GET /last-message/:userId
  * @summary Returns, for each thread of the user, the latest message and counterpart.
+ * @description
+ * Prefer `GET /inbox`, which is paginated and includes groups, previews and
+ * unread counts.
+ * Threads with users the requester blocked are left out, and so are archived
+ * threads unless `archived` asks for them. Pinned threads come first.
  * @param {number} req.params.userId - Target user ID.
- * @returns {object} 200 - `{ messages: Array<{thread_id, other_user_id, body, last_date}> }`
- * @returns {object} 400 - `{ error: "ID invalide" }`
+ * @param {string} [req.query.archived="0"] - `0` exclude archived, `1` only archived, `all`.
+ * @param {string} [req.query.muted] - `1` only muted, `0` only unmuted.
+ * @param {string} [req.query.pinned] - `1` only pinned.
+ * @returns {object} 200 - `{ messages: Array<{thread_id, other_user_id, body, last_date, muted_until, archived, pinned}> }`
+ * @returns {object} 400 - `{ error: "ID invalide" | "Filtre invalide" }`
  * @returns {object} 500 - `{ error: "Erreur serveur" }`
  * @example
- * // => { "messages": [{ "thread_id": 12, "other_user_id": 7, "body": "Hi", "last_date": "2025-11-08T10:00:00Z" }] }
+ * // GET /api/messages/last-message/7?archived=all
+ * // => { "messages": [{ "thread_id": 12, "other_user_id": 7, "body": "Hi", "last_date": "2025-11-08T10:00:00Z", "muted_until": null, "archived": false, "pinned": true }] }
  */
 router.get("/last-message/:userId", async (req, res) => {
   const userId = parseInt(req.params.userId);
   if (!userId) return res.status(400).json({ error: "ID invalide" });
+  const filters = ChatThreadRepository.parseThreadFilters(req.query);
+  if (!filters) return res.status(400).json({ error: "Filtre invalide" });
 
   try {
     const [rows] = await pool.query(
@@ -86,21 +197,38 @@ router.get("/last-message/:userId", async (req, res) => {
           ELSE t.user1_id
         END AS other_user_id,
         m.content AS body,
-        m.created_at AS last_date
+        m.created_at AS last_date,
+        IF(p.muted_until > NOW(), p.muted_until, NULL) AS muted_until,
+        p.archived_at IS NOT NULL AS archived,
+        p.pinned_at IS NOT NULL AS pinned
       FROM chat_threads t
       JOIN chat_messages m ON m.thread_id = t.id
+      LEFT JOIN chat_thread_participants p
+        ON p.thread_id = t.id AND p.user_id = ?
       WHERE (t.user1_id = ? OR t.user2_id = ?)
         AND m.created_at = (
           SELECT MAX(created_at)
           FROM chat_messages
           WHERE thread_id = t.id
         )
-      ORDER BY m.created_at DESC
+        AND NOT EXISTS (
+          SELECT 1 FROM chat_user_blocks b
+          WHERE b.blocker_id = ?
+            AND b.blocked_id = IF(t.user1_id = ?, t.user2_id, t.user1_id)
+        )
+        AND ${ChatThreadRepository.threadStateCondition(filters)}
+      ORDER BY p.pinned_at IS NULL, p.pinned_at DESC, m.created_at DESC
       `,
-      [userId, userId, userId]
+      [userId, userId, userId, userId, userId, userId]
     );
 
-    res.json({ messages: rows });
+    res.json({
+      messages: rows.map((r) => ({
+        ...r,
+        archived: !!r.archived,
+        pinned: !!r.pinned,
+      })),
+    });
   } catch (err) {
     console.error("Erreur récupération derniers messages:", err.message);
     res.status(500).json({ error: "Erreur serveur" });
@@ -152,16 +280,628 @@ router.get("/unread-count/:userId", async (req, res) => {
   }
 });
 
+/**
+ * @route GET /groups/:userId
+ * @summary Returns the group threads the user belongs to, with their own unread count.
+ * @description Same `archived` / `muted` / `pinned` filters as `/last-message/:userId`.
+ * Only the authenticated user's own groups can be listed.
+ * @param {number} req.params.userId - Member user ID (must be the authenticated user).
+ * @param {string} [req.query.archived="0"] - `0` exclude archived, `1` only archived, `all`.
+ * @param {string} [req.query.muted] - `1` only muted, `0` only unmuted.
+ * @param {string} [req.query.pinned] - `1` only pinned.
+ * @returns {object} 200 - `{ groups: Array<{thread_id, title, role, member_count, unread, last_message_id, muted_until, archived, pinned}> }`
+ * @returns {object} 400 - `{ error: "ID invalide" | "Filtre invalide" }`
+ * @returns {object} 403 - `{ error: "Unauthorized" }` for another user's groups.
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ * @example
+ * // => { "groups": [{ "thread_id": 40, "title": "Order #1042", "role": "owner", "member_count": 3, "unread": 2, "last_message_id": 981, "muted_until": null, "archived": false, "pinned": false }] }
+ */
+router.get("/groups/:userId", authRequired, async (req, res) => {
+  if (!parseInt(req.params.userId)) {
+    return res.status(400).json({ error: "ID invalide" });
+  }
+  const userId = Number(req.user.id);
+  if (parseInt(req.params.userId) !== userId) {
+    return res.status(403).json({ error: "Unauthorized" });
+  }
+  const filters = ChatThreadRepository.parseThreadFilters(req.query);
+  if (!filters) return res.status(400).json({ error: "Filtre invalide" });
+
+  try {
+    const groups = await threads.listGroupsForUser(userId, filters);
+    res.json({ groups });
+  } catch (err) {
+    console.error("Erreur liste groupes:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * Parses a thread-state change request body.
+ *
+ * @param {Object} body - `{ muted_until?, archived?, pinned? }`.
+ * @returns {{ mutedUntil?: Date|"forever"|null, archived?: boolean, pinned?: boolean } | null}
+ *          `null` when the body is invalid or empty.
+ */
+function parseThreadStateChanges(body = {}) {
+  const changes = {};
+  if ("muted_until" in body) {
+    const v = body.muted_until;
+    if (v === null || v === "forever") changes.mutedUntil = v;
+    else {
+      const date = new Date(v);
+      if (typeof v !== "string" || isNaN(date) || date <= new Date()) {
+        return null;
+      }
+      changes.mutedUntil = date;
+    }
+  }
+  for (const key of ["archived", "pinned"]) {
+    if (!(key in body)) continue;
+    if (typeof body[key] !== "boolean") return null;
+    changes[key] = body[key];
+  }
+  return Object.keys(changes).length ? changes : null;
+}
+
+/**
+ * @route GET /thread/:threadId/state
+ * @summary Returns the requester's own state of a thread (muted, archived, pinned).
+ * @param {number} req.params.threadId - Thread ID.
+ * @returns {object} 200 - `{ thread_id, muted_until: string|null, archived: boolean, pinned: boolean }`
+ * @returns {object} 400 - `{ error: "ID invalide" }`
+ * @returns {object} 403 - `{ error: "Unauthorized" }` if the requester is not a member.
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ */
+router.get("/thread/:threadId/state", authRequired, async (req, res) => {
+  const threadId = parseInt(req.params.threadId);
+  if (!threadId) return res.status(400).json({ error: "ID invalide" });
+
+  try {
+    if (!(await threads.isMember(threadId, req.user.id))) {
+      return res.status(403).json({ error: "Unauthorized" });
+    }
+    res.json(await threads.getThreadState(threadId, req.user.id));
+  } catch (err) {
+    console.error("Erreur état thread:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route PATCH /thread/:threadId/state
+ * @summary Mutes / unmutes, archives / unarchives or pins / unpins a thread for the requester.
+ * @description
+ * Muted threads still receive messages but no notification (stored or
+ * pushed). The new state is sent to the requester's devices as
+ * `{ type: "thread_state", ... }`.
+ * @param {number} req.params.threadId - Thread ID.
+ * @param {string|null} [req.body.muted_until] - Future ISO date, `"forever"`, or `null` to unmute.
+ * @param {boolean} [req.body.archived] - Archive state.
+ * @param {boolean} [req.body.pinned] - Pin state (at most `CHAT_MAX_PINNED_THREADS` pinned threads).
+ * @returns {object} 200 - `{ thread_id, muted_until, archived, pinned }`
+ * @returns {object} 400 - `{ error: "ID invalide" | "État invalide" }`
+ * @returns {object} 403 - `{ error: "Unauthorized" }` if the requester is not a member.
+ * @returns {object} 404 - `{ error: "Thread introuvable" }`
+ * @returns {object} 409 - `{ error: "Trop de conversations épinglées" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ * @example
+ * // PATCH /api/messages/thread/9/state  { "muted_until": "forever", "pinned": true }
+ * // => { "thread_id": 9, "muted_until": "9999-12-31T23:59:59.000Z", "archived": false, "pinned": true }
+ */
+router.patch("/thread/:threadId/state", authRequired, async (req, res) => {
+  const threadId = parseInt(req.params.threadId);
+  if (!threadId) return res.status(400).json({ error: "ID invalide" });
+  const changes = parseThreadStateChanges(req.body || {});
+  if (!changes) return res.status(400).json({ error: "État invalide" });
+
+  try {
+    const thread = await threads.getThread(threadId);
+    if (!thread) return res.status(404).json({ error: "Thread introuvable" });
+    if (!(await threads.isMember(thread, req.user.id))) {
+      return res.status(403).json({ error: "Unauthorized" });
+    }
+
+    const out = await threads.updateThreadState(thread, req.user.id, changes);
+    if (out.status === "too_many_pinned") {
+      return res.status(409).json({ error: "Trop de conversations épinglées" });
+    }
+    sendToUser(req.user.id, { type: "thread_state", ...out.state });
+    res.json(out.state);
+  } catch (err) {
+    console.error("Erreur mise à jour état thread:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route GET /thread/:threadId
+ * @summary Returns the ordered message list and members of a thread the authenticated user belongs to.
+ * @param {number} req.params.threadId - Thread ID (direct or group).
+ * @param {number} [req.query.before_id] - Page of messages older than this ID.
+ * @param {number} [req.query.after_id] - Page of messages newer than this ID.
+ * @param {number} [req.query.limit=50] - Page size (1..200).
+ * @returns {object} 200 - `{ thread_id, is_group, title, member_ids, receipts: Array<Receipt>, messages: Array<Message>, has_more }`
+ * @returns {object} 400 - `{ error: "ID invalide" | "Pagination invalide" }`
+ * @returns {object} 403 - `{ error: "Unauthorized" }` if the requester is not a member.
+ * @returns {object} 404 - `{ error: "Thread introuvable" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ */
+router.get("/thread/:threadId", authRequired, async (req, res) => {
+  const threadId = parseInt(req.params.threadId);
+  const userId = Number(req.user.id);
+  if (!threadId) return res.status(400).json({ error: "ID invalide" });
+  const cursor = ChatMessageRepository.parseHistoryCursor(req.query);
+  if (!cursor) return res.status(400).json({ error: "Pagination invalide" });
+
+  try {
+    const thread = await threads.getThread(threadId);
+    if (!thread) return res.status(404).json({ error: "Thread introuvable" });
+
+    const memberIds = await threads.getMemberIds(thread);
+    if (!memberIds.includes(userId)) {
+      return res.status(403).json({ error: "Unauthorized" });
+    }
+
+    const { messages, has_more } = await chatMessages.listThreadMessages(
+      threadId,
+      { ...cursor, viewerId: userId }
+    );
+
+    return res.json({
+      thread_id: thread.id,
+      is_group: !!thread.is_group,
+      title: thread.title || null,
+      member_ids: memberIds,
+      receipts: await threads.getReceiptCursors(thread),
+      messages,
+      has_more,
+    });
+  } catch (err) {
+    console.error("Erreur chargement thread :", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * HTTP status / error body for each non-`ok` edit outcome
+ * (see `ChatMessageRepository#editMessage`).
+ */
+const EDIT_ERRORS = {
+  invalid: [400, "Contenu invalide"],
+  not_found: [404, "Message introuvable"],
+  forbidden: [403, "Unauthorized"],
+  deleted: [409, "Message supprimé"],
+  expired: [403, "Délai de modification dépassé"],
+};
+
+/**
+ * @route PATCH /:messageId
+ * @summary Edits a message authored by the authenticated user, or written by them as the shop (REST twin of the `message_edit` WS frame).
+ * @description
+ * Allowed within `CHAT_EDIT_WINDOW_SEC` seconds after sending. The new
+ * content goes through the moderation pipeline like a WS edit (masked where
+ * needed; held or rejected content refuses the edit). The previous content
+ * is stored as a revision and a `message_edited` event is pushed to every
+ * member of the thread, followed by `message_preview` when the link
+ * preview changes.
+ *
+ * @param {number} req.params.messageId - Message to edit.
+ * @param {string} req.body.content - New content.
+ * @returns {object} 200 - `{ success: true, message: { id, thread_id, content, edited_at } }`
+ * @returns {object} 400 - `{ error: "ID invalide" | "Contenu invalide" }`
+ * @returns {object} 403 - `{ error: "Unauthorized" | "Délai de modification dépassé" }`
+ * @returns {object} 404 - `{ error: "Message introuvable" }`
+ * @returns {object} 409 - `{ error: "Message supprimé" }`
+ * @returns {object} 422 - `{ error: "Modification refusée par la modération", reasons }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ * @example
+ * // PATCH /api/messages/981  { "content": "See you at 5pm" }
+ * // => { "success": true, "message": { "id": 981, "thread_id": 9, "content": "See you at 5pm", "edited_at": "..." } }
+ */
+router.patch("/:messageId", authRequired, async (req, res) => {
+  const messageId = parseInt(req.params.messageId);
+  if (!messageId) return res.status(400).json({ error: "ID invalide" });
+
+  try {
+    const edit = {
+      messageId,
+      editorId: req.user.id,
+      content: req.body?.content,
+    };
+
+    // Only edits that can succeed are moderated (and recorded)
+    let out = await chatMessages.checkEdit(edit);
+    let decisionId = null;
+    if (out.status === "ok") {
+      const verdict = await moderation.moderateEdit({
+        message: out.message,
+        editorId: req.user.id,
+        content: edit.content,
+        locale: req.headers["accept-language"] || null,
+      });
+      if (verdict.action === "reject") {
+        return res.status(422).json({
+          error: "Modification refusée par la modération",
+          reasons: verdict.reasons,
+        });
+      }
+      decisionId = verdict.decisionId;
+      out = await chatMessages.editMessage({
+        ...edit,
+        content: verdict.content,
+      });
+    }
+
+    if (EDIT_ERRORS[out.status]) {
+      const [code, error] = EDIT_ERRORS[out.status];
+      return res.status(code).json({ error });
+    }
+
+    const message =
+      out.message || (await chatMessages.getMessage(messageId)) || {};
+    if (out.status === "ok") {
+      if (decisionId) await moderation.attachTarget(decisionId, messageId);
+      await emitMessageEdited(message, req.user.id);
+      attachLinkPreview(message); // not awaited: the preview follows the edit
+    }
+
+    res.json({
+      success: true,
+      message: {
+        id: message.id,
+        thread_id: message.thread_id,
+        content: message.content,
+        edited_at: message.edited_at,
+      },
+    });
+  } catch (err) {
+    console.error("Erreur modification message:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route GET /revisions/:messageId
+ * @summary Returns the previous versions of a message (oldest first) to a thread member.
+ * @param {number} req.params.messageId - Message ID.
+ * @returns {object} 200 - `{ message_id, revisions: Array<{id, editor_id, content, created_at}> }`
+ * @returns {object} 400 - `{ error: "ID invalide" }`
+ * @returns {object} 403 - `{ error: "Unauthorized" }` if the requester is not a member.
+ * @returns {object} 404 - `{ error: "Message introuvable" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ */
+router.get("/revisions/:messageId", authRequired, async (req, res) => {
+  const messageId = parseInt(req.params.messageId);
+  if (!messageId) return res.status(400).json({ error: "ID invalide" });
+
+  try {
+    const message = await chatMessages.getMessage(messageId);
+    if (!message) return res.status(404).json({ error: "Message introuvable" });
+    if (!(await threads.isMember(message.thread_id, req.user.id))) {
+      return res.status(403).json({ error: "Unauthorized" });
+    }
+
+    const revisions = await chatMessages.listRevisions(messageId);
+    res.json({ message_id: messageId, revisions });
+  } catch (err) {
+    console.error("Erreur révisions message:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route GET /search
+ * @summary Searches the messages of the requester's conversations.
+ * @description
+ * Covers direct threads and groups the requester is still a member of;
+ * deleted messages are never returned. Terms match word prefixes, ignoring
+ * case and accents. Hits are newest first; open one with `GET /context/:messageId`.
+ * @param {string} req.query.q - Search text (max 200 chars).
+ * @param {number} [req.query.thread_id] - Only this thread.
+ * @param {number} [req.query.with_user_id] - Only the direct conversation with this user.
+ * @param {string} [req.query.from] - Sent at or after this date (ISO 8601).
+ * @param {string} [req.query.to] - Sent before this date (ISO 8601).
+ * @param {number} [req.query.before_id] - Next page (`next_before_id` of the previous one).
+ * @param {number} [req.query.limit=20] - Page size (1..50).
+ * @returns {object} 200 - `{ results: Array<SearchHit>, next_before_id: number|null, has_more: boolean }`
+ * @returns {object} 400 - `{ error: "Recherche invalide" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ * @example
+ * // GET /api/messages/search?q=taille&with_user_id=7
+ * // => { "has_more": false, "next_before_id": null, "results": [{ "id": 981, "thread_id": 12, "sender_id": 7, "created_at": "...",
+ * //      "snippet": "La taille M taille grand", "highlights": [[3, 9], [12, 18]],
+ * //      "thread": { "is_group": false, "title": null, "other_user_id": 7 } }] }
+ *
+ * @typedef {object} SearchHit
+ * @property {number} id - Message ID.
+ * @property {number} thread_id
+ * @property {number} sender_id
+ * @property {string} created_at
+ * @property {string} snippet - Excerpt around the first match ("…" when cut).
+ * @property {Array<[number, number]>} highlights - `[start, end)` offsets of the matches in `snippet`.
+ * @property {{ is_group: boolean, title: string|null, other_user_id: number|null }} thread
+ */
+router.get("/search", authRequired, async (req, res) => {
+  const params = ChatMessageRepository.parseSearchParams(req.query);
+  if (!params) return res.status(400).json({ error: "Recherche invalide" });
+
+  try {
+    res.json(await chatMessages.searchMessages(req.user.id, params));
+  } catch (err) {
+    console.error("Erreur recherche messages:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route GET /context/:messageId
+ * @summary Returns a message with the messages around it ("jump to message").
+ * @description
+ * Messages are in ascending order. Continue with `GET /thread/:threadId`
+ * using `before_id` = first message ID or `after_id` = last message ID.
+ * @param {number} req.params.messageId - Anchor message (e.g. a search hit).
+ * @param {number} [req.query.before=10] - Messages before the anchor (0..50).
+ * @param {number} [req.query.after=10] - Messages after the anchor (0..50).
+ * @returns {object} 200 - `{ anchor_id, thread_id, messages: Array<Message>, has_more_before, has_more_after }`
+ * @returns {object} 400 - `{ error: "ID invalide" | "Pagination invalide" }`
+ * @returns {object} 403 - `{ error: "Unauthorized" }` if the requester is not a member.
+ * @returns {object} 404 - `{ error: "Message introuvable" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ */
+router.get("/context/:messageId", authRequired, async (req, res) => {
+  const messageId = parseInt(req.params.messageId);
+  if (!messageId) return res.status(400).json({ error: "ID invalide" });
+  const window = {};
+  for (const key of ["before", "after"]) {
+    if (req.query[key] === undefined) continue;
+    const n = Number(req.query[key]);
+    if (!Number.isInteger(n) || n < 0 || n > 50) {
+      return res.status(400).json({ error: "Pagination invalide" });
+    }
+    window[key] = n;
+  }
+
+  try {
+    const message = await chatMessages.getMessage(messageId);
+    if (!message) return res.status(404).json({ error: "Message introuvable" });
+    if (!(await threads.isMember(message.thread_id, req.user.id))) {
+      return res.status(403).json({ error: "Unauthorized" });
+    }
+
+    res.json(
+      await chatMessages.listMessageContext(message, {
+        ...window,
+        viewerId: req.user.id,
+      })
+    );
+  } catch (err) {
+    console.error("Erreur contexte message:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route GET /response-stats/:userId
+ * @summary Returns a seller's response-time metrics (public).
+ * @description Computed over the last `CHAT_RESPONSE_WINDOW_DAYS` days (or
+ * `days`) from the conversations buyers opened with the user; auto-replies
+ * do not count. Unanswered conversations younger than 24h are not counted
+ * yet. `badge` stays `null` below 3 conversations.
+ * @param {number} req.params.userId - Seller (or shop account) ID.
+ * @param {number} [req.query.days] - Period covered (1..365).
+ * @returns {object} 200 - `{ user_id, window_days, conversations, response_rate, first_response_median_sec, reply_median_sec, badge }`
+ *   (`badge`: `within_an_hour` | `within_a_few_hours` | `within_a_day` | `null`)
+ * @returns {object} 400 - `{ error: "ID invalide" | "Période invalide" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ * @example
+ * // GET /api/messages/response-stats/42
+ * // => { "user_id": 42, "window_days": 90, "conversations": 18, "response_rate": 0.94,
+ * //      "first_response_median_sec": 1260, "reply_median_sec": 540, "badge": "within_an_hour" }
+ */
+router.get("/response-stats/:userId", async (req, res) => {
+  const userId = parseInt(req.params.userId);
+  if (!userId) return res.status(400).json({ error: "ID invalide" });
+  let days = ChatResponseStatsRepository.WINDOW_DAYS;
+  if (req.query.days !== undefined) {
+    days = Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      return res.status(400).json({ error: "Période invalide" });
+    }
+  }
+
+  try {
+    res.json(await responseStats.getStats(userId, { days }));
+  } catch (err) {
+    console.error("Erreur statistiques de réponse:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route GET /scheduled
+ * @summary Lists the authenticated user's pending scheduled messages (next first).
+ * @description Includes the messages they scheduled as shop staff.
+ * @param {number} [req.query.thread_id] - Only this thread.
+ * @returns {object} 200 - `{ scheduled: Array<{ id, thread_id, sender_id, sent_by, content, image_urls, reply_to_message_id, expires_in, send_at, status, created_at }> }`
+ * @returns {object} 400 - `{ error: "ID invalide" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ * @example
+ * // GET /api/messages/scheduled?thread_id=9
+ * // => { "scheduled": [{ "id": 31, "thread_id": 9, "sender_id": 7, "sent_by": null, "content": "Bonjour !", "image_urls": [], "send_at": "2025-11-09T08:00:00.000Z", "status": "pending", ... }] }
+ */
+router.get("/scheduled", authRequired, async (req, res) => {
+  let threadId = null;
+  if (req.query.thread_id !== undefined) {
+    threadId = parseInt(req.query.thread_id);
+    if (!threadId || threadId <= 0) {
+      return res.status(400).json({ error: "ID invalide" });
+    }
+  }
+
+  try {
+    res.json({
+      scheduled: await scheduledMessages.listPending(req.user.id, {
+        threadId,
+      }),
+    });
+  } catch (err) {
+    console.error("Erreur liste messages programmés:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route DELETE /scheduled/:id
+ * @summary Cancels one of the authenticated user's pending scheduled messages.
+ * @description The author's other devices get `scheduled_message_cancelled`.
+ * @param {number} req.params.id - Scheduled message ID.
+ * @returns {object} 200 - `{ success: true }`
+ * @returns {object} 400 - `{ error: "ID invalide" }`
+ * @returns {object} 404 - `{ error: "Message programmé introuvable" }` (not theirs, already sent or cancelled)
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ */
+router.delete("/scheduled/:id", authRequired, async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!id || id <= 0) return res.status(400).json({ error: "ID invalide" });
+
+  try {
+    if (!(await scheduledMessages.cancel(id, req.user.id))) {
+      return res.status(404).json({ error: "Message programmé introuvable" });
+    }
+    sendToUser(req.user.id, {
+      type: "scheduled_message_cancelled",
+      scheduled_id: id,
+    });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Erreur annulation message programmé:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route GET /blocks
+ * @summary Lists the users blocked by the authenticated user (newest first).
+ * @returns {object} 200 - `{ blocked: Array<{ user_id: number, created_at: string }> }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ * @example
+ * // => { "blocked": [{ "user_id": 12, "created_at": "2025-11-08T10:00:00Z" }] }
+ */
+router.get("/blocks", authRequired, async (req, res) => {
+  try {
+    res.json({ blocked: await blocks.listBlocked(req.user.id) });
+  } catch (err) {
+    console.error("Erreur liste blocages:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * Hides (or reveals again) the presence of two users from each other's
+ * devices right away, instead of waiting for their next presence flip.
+ *
+ * @async
+ * @param {number} a - User ID.
+ * @param {number} b - User ID.
+ * @param {boolean} visible - `false` after a block, `true` after an unblock.
+ * @returns {Promise<void>}
+ */
+async function syncPresenceBetween(a, b, visible) {
+  const online = visible
+    ? new Set((await getClusterOnlineUserIds()).map(String))
+    : null;
+  for (const [viewer, subject] of [
+    [a, b],
+    [b, a],
+  ]) {
+    if (visible && !online.has(String(subject))) continue;
+    sendToUser(viewer, {
+      type: visible ? "user_online" : "user_offline",
+      user_id: String(subject),
+    });
+  }
+}
+
+/**
+ * @route POST /blocks/:userId
+ * @summary Blocks a user: no new conversation, messages, typing or presence between both users.
+ * @param {number} req.params.userId - User to block.
+ * @returns {object} 200 - `{ success: true, blocked: boolean }` (`false` if already blocked)
+ * @returns {object} 400 - `{ error: "ID invalide" }` (including oneself)
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ * @example
+ * // POST /api/messages/blocks/12
+ * // => { "success": true, "blocked": true }
+ */
+router.post("/blocks/:userId", authRequired, async (req, res) => {
+  const blockerId = Number(req.user.id);
+  const blockedId = parseInt(req.params.userId);
+  if (!blockedId || blockedId <= 0 || blockedId === blockerId) {
+    return res.status(400).json({ error: "ID invalide" });
+  }
+
+  try {
+    const created = await blocks.block(blockerId, blockedId);
+    if (created) await syncPresenceBetween(blockerId, blockedId, false);
+    res.json({ success: true, blocked: created });
+  } catch (err) {
+    console.error("Erreur blocage utilisateur:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route DELETE /blocks/:userId
+ * @summary Unblocks a user.
+ * @param {number} req.params.userId - User to unblock.
+ * @returns {object} 200 - `{ success: true, unblocked: boolean }` (`false` if not blocked)
+ * @returns {object} 400 - `{ error: "ID invalide" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ */
+router.delete("/blocks/:userId", authRequired, async (req, res) => {
+  const blockerId = Number(req.user.id);
+  const blockedId = parseInt(req.params.userId);
+  if (!blockedId || blockedId <= 0) {
+    return res.status(400).json({ error: "ID invalide" });
+  }
+
+  try {
+    const removed = await blocks.unblock(blockerId, blockedId);
+    // Still separated if the other user blocked them too
+    if (removed && !(await blocks.isSeparated(blockerId, blockedId))) {
+      await syncPresenceBetween(blockerId, blockedId, true);
+    }
+    res.json({ success: true, unblocked: removed });
+  } catch (err) {
+    console.error("Erreur déblocage utilisateur:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
 /**
  * @route GET /:senderId/:receiverId
- * @summary Returns the full ordered message list for the canonical thread (sender, receiver).
+ * @summary Returns one page of the ordered message list for the canonical thread (sender, receiver).
+ * @description
+ * Without cursor the latest `limit` messages are returned. Clients lazy-load
+ * older messages with `before_id=<oldest loaded id>` while `has_more` is true,
+ * and catch up with `after_id=<newest loaded id>`. Messages are always in
+ * ascending order.
+ *
+ * `senderId` is the requesting user: each message's `reactions[].me` tells
+ * whether they reacted with that emoji.
+ *
  * @param {number} req.params.senderId - Sender user ID.
  * @param {number} req.params.receiverId - Receiver user ID.
- * @returns {object} 200 - `{ thread_id: number, messages: Array<Message> }`
- * @returns {object} 400 - `{ error: "IDs invalides" }`
+ * @param {number} [req.query.before_id] - Page of messages older than this ID.
+ * @param {number} [req.query.after_id] - Page of messages newer than this ID.
+ * @param {number} [req.query.limit=50] - Page size (1..200).
+ * @returns {object} 200 - `{ thread_id: number, receipts: Array<Receipt>, messages: Array<Message>, has_more: boolean }`
+ * @returns {object} 400 - `{ error: "IDs invalides" | "Pagination invalide" }`
  * @returns {object} 500 - `{ error: "Erreur serveur" }`
  * @example
- * // => { "thread_id": 9, "messages": [{ "id":1, "sender_id":7, "content":"Hello", "image_urls":[], "seen":0, "deleted":0, "product_id":null, "created_at":"..." }] }
+ * // GET /api/messages/7/12?before_id=981&limit=30
+ * // => { "thread_id": 9, "has_more": true, "receipts": [{ "user_id": 12, "last_delivered_message_id": 990, "last_read_message_id": 985 }], "messages": [{ "id":1, "sender_id":7, "content":"Hello", "image_urls":[], "seen":0, "deleted":0, "product_id":null, "reply_to_message_id":null, "reply_to":null, "edited_at":null, "delivered_at":"...", "read_at":null, "created_at":"...", "reactions":[{ "emoji":"👍", "count":2, "me":true }] }] }
  *
  * @typedef {object} Message
  * @property {number} id
@@ -171,7 +911,18 @@ router.get("/unread-count/:userId", async (req, res) => {
  * @property {0|1|boolean} seen
  * @property {0|1|boolean} deleted
  * @property {number|null} product_id
+ * @property {number|null} reply_to_message_id - Quoted message, if this is a reply.
+ * @property {{id: number, sender_id: number, excerpt: string|null, image_url: string|null, deleted: boolean}|null} reply_to - Quoted preview.
+ * @property {string|null} edited_at - Last edit date, `null` if never edited.
+ * @property {string|null} delivered_at - First delivery to a recipient device.
+ * @property {string|null} read_at - First read by a recipient.
  * @property {string} created_at
+ * @property {Array<{emoji: string, count: number, me: boolean}>} reactions - Aggregated reactions.
+ *
+ * @typedef {object} Receipt
+ * @property {number} user_id - Thread member.
+ * @property {number|null} last_delivered_message_id - Newest message delivered to them.
+ * @property {number|null} last_read_message_id - Newest message they read.
  */
 router.get("/:senderId/:receiverId", async (req, res) => {
   const senderId = parseInt(req.params.senderId);
@@ -181,34 +932,27 @@ router.get("/:senderId/:receiverId", async (req, res) => {
     return res.status(400).json({ error: "IDs invalides" });
   }
 
-  const a = Math.min(senderId, receiverId);
-  const b = Math.max(senderId, receiverId);
+  const cursor = ChatMessageRepository.parseHistoryCursor(req.query);
+  if (!cursor) return res.status(400).json({ error: "Pagination invalide" });
 
   try {
-    const [[thread]] = await pool.query(
-      `SELECT id FROM chat_threads WHERE user1_id = ? AND user2_id = ? LIMIT 1`,
-      [a, b]
-    );
+    const thread = await threads.findDirectThread(senderId, receiverId);
 
     if (!thread) {
-      return res.json({ messages: [] });
+      return res.json({ messages: [], has_more: false });
     }
 
-    const [messages] = await pool.query(
-      `SELECT id, sender_id, content, image_urls, seen, created_at,deleted, product_id 
-       FROM chat_messages 
-       WHERE thread_id = ? 
-       ORDER BY created_at ASC`,
-      [thread.id]
+    const { messages, has_more } = await chatMessages.listThreadMessages(
+      thread.id,
+      { ...cursor, viewerId: senderId }
     );
 
-    const formatted = messages.map((msg) => ({
-      ...msg,
-      image_urls: msg.image_urls ? JSON.parse(msg.image_urls) : [],
-      extra_data: msg.product_id ? { product_id: msg.product_id } : undefined,
-    }));
-
-    return res.json({ thread_id: thread.id, messages: formatted });
+    return res.json({
+      thread_id: thread.id,
+      receipts: await threads.getReceiptCursors(thread),
+      messages,
+      has_more,
+    });
   } catch (err) {
     console.error("Erreur chargement messages :", err.message);
     res.status(500).json({ error: "Erreur serveur" });
@@ -218,6 +962,9 @@ router.get("/:senderId/:receiverId", async (req, res) => {
 /**
  * @route DELETE /delete/:messageId
  * @summary Soft-deletes a message authored by the requesting user (mask content, set deleted=1).
+ * @description
+ * Thread members are notified live with a `message_deleted` event (also
+ * replayed to clients resyncing after a disconnect).
  * @param {number} req.params.messageId - Message ID to delete.
  * @param {number} req.query.user_id - Requesting user ID (⚠️ prefer JWT in production).
  * @returns {object} 200 - `{ success: true }` if deletion succeeded.
@@ -241,9 +988,10 @@ router.delete("/delete/:messageId", async (req, res) => {
     }
 
     await pool.query(
-      "UPDATE chat_messages SET content = NULL, deleted = 1 WHERE id = ?",
+      "UPDATE chat_messages SET content = NULL, link_preview = NULL, deleted = 1 WHERE id = ?",
       [messageId]
     );
+    await emitMessageDeleted(rows[0], userId);
 
     res.json({ success: true });
   } catch (err) {
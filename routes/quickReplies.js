@@ -0,0 +1,188 @@
+/**
+ * @file routes/quickReplies.js
+ * @description
+ * Quick replies and away auto-responder APIs for **Softadastra Chat**
+ * sellers.
+ *
+ * ## Responsibilities
+ * - List / create / update / delete the authenticated user's saved reply
+ *   templates. Templates may use `{buyer_name}`, `{seller_name}` and
+ *   `{product_title}`; they are filled in when sent with `quick_reply_id`
+ *   in a `message_send` frame.
+ * - Read / replace the away settings: when away (always, or outside the
+ *   business-hours schedule), `ws/chat.js` answers buyers with the away
+ *   message, at most once per thread per `throttle_minutes`.
+ *
+ * ## Security
+ * - Every route requires `authRequired` and acts as `req.user.id`.
+ *
+ * @module routes/quickReplies
+ * @see repositories/ChatQuickReplyRepository.js — Storage and throttling
+ * @see utils/autoReply.js — Placeholders and schedules
+ */
+const express = require("express");
+const router = express.Router();
+const { authRequired } = require("../utils/auth-phpjwt");
+const ChatQuickReplyRepository = require("../repositories/ChatQuickReplyRepository");
+
+const quickReplies = new ChatQuickReplyRepository();
+
+/**
+ * HTTP status / error for each non-`ok` repository outcome.
+ * @type {Record<string, [number, string]>}
+ */
+const QUICK_REPLY_ERRORS = {
+  invalid: [400, "Réponse rapide invalide"],
+  not_found: [404, "Réponse rapide introuvable"],
+  duplicate: [409, "Raccourci déjà utilisé"],
+  limit: [409, "Trop de réponses rapides"],
+};
+
+/**
+ * @route GET /away
+ * @summary Returns the authenticated user's away settings.
+ * @returns {object} 200 - `{ settings: AwaySettings, away_now: boolean }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ *
+ * @typedef {object} AwaySettings
+ * @property {"off"|"away"|"schedule"} mode - `away` = always; `schedule` = outside the opening hours.
+ * @property {string|null} message - Auto-reply text (placeholders allowed).
+ * @property {string} timezone - IANA zone of the schedule.
+ * @property {Object<string, Array<[string, string]>>} schedule - `{ mon: [["09:00", "18:00"]], ... }`
+ * @property {number} throttle_minutes - Minimum delay between two auto-replies in a thread (5..10080).
+ */
+router.get("/away", authRequired, async (req, res) => {
+  try {
+    const settings = await quickReplies.getAwaySettings(req.user.id);
+    res.json({ settings, away_now: ChatQuickReplyRepository.isAway(settings) });
+  } catch (err) {
+    console.error("Erreur lecture mode absent:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route PUT /away
+ * @summary Replaces the authenticated user's away settings.
+ * @description Omitted fields take their default value (`mode: "off"`,
+ * `timezone: "UTC"`, empty schedule, `throttle_minutes: 720`). A message is
+ * required unless `mode` is `off`.
+ * @param {AwaySettings} req.body - New settings.
+ * @returns {object} 200 - `{ settings: AwaySettings, away_now: boolean }`
+ * @returns {object} 400 - `{ error: "Paramètres invalides" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ * @example
+ * // PUT /api/quick-replies/away
+ * // { "mode": "schedule", "message": "Hi {buyer_name}, we're closed — back at 9am!",
+ * //   "timezone": "Africa/Kampala", "schedule": { "mon": [["09:00", "18:00"]], "sat": [["10:00", "14:00"]] } }
+ */
+router.put("/away", authRequired, async (req, res) => {
+  const settings = ChatQuickReplyRepository.parseAwaySettings(req.body || {});
+  if (!settings) return res.status(400).json({ error: "Paramètres invalides" });
+
+  try {
+    const saved = await quickReplies.saveAwaySettings(req.user.id, settings);
+    res.json({
+      settings: saved,
+      away_now: ChatQuickReplyRepository.isAway(saved),
+    });
+  } catch (err) {
+    console.error("Erreur enregistrement mode absent:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route GET /
+ * @summary Lists the authenticated user's quick replies, by shortcut.
+ * @returns {object} 200 - `{ quick_replies: Array<{ id, shortcut, title, body, created_at, updated_at }> }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ */
+router.get("/", authRequired, async (req, res) => {
+  try {
+    res.json({ quick_replies: await quickReplies.list(req.user.id) });
+  } catch (err) {
+    console.error("Erreur liste réponses rapides:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route POST /
+ * @summary Saves a reply template.
+ * @param {string} req.body.shortcut - Unique per user (letters, digits, `_`, `-`; max 32).
+ * @param {string} [req.body.title] - Label (max 80 chars).
+ * @param {string} req.body.body - Template text (max 2000 chars).
+ * @returns {object} 201 - `{ quick_reply }`
+ * @returns {object} 400 - `{ error: "Réponse rapide invalide" }`
+ * @returns {object} 409 - `{ error: "Raccourci déjà utilisé" | "Trop de réponses rapides" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ * @example
+ * // POST /api/quick-replies  { "shortcut": "stock", "body": "Hi {buyer_name}, {product_title} is in stock!" }
+ */
+router.post("/", authRequired, async (req, res) => {
+  try {
+    const out = await quickReplies.create(req.user.id, req.body || {});
+    if (QUICK_REPLY_ERRORS[out.status]) {
+      const [code, error] = QUICK_REPLY_ERRORS[out.status];
+      return res.status(code).json({ error });
+    }
+    res.status(201).json({ quick_reply: out.reply });
+  } catch (err) {
+    console.error("Erreur création réponse rapide:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route PATCH /:id
+ * @summary Updates a reply template (any of `shortcut`, `title`, `body`).
+ * @param {number} req.params.id - Quick reply ID.
+ * @returns {object} 200 - `{ quick_reply }`
+ * @returns {object} 400 - `{ error: "ID invalide" | "Réponse rapide invalide" }`
+ * @returns {object} 404 - `{ error: "Réponse rapide introuvable" }`
+ * @returns {object} 409 - `{ error: "Raccourci déjà utilisé" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ */
+router.patch("/:id", authRequired, async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!id) return res.status(400).json({ error: "ID invalide" });
+
+  try {
+    const out = await quickReplies.update(id, req.user.id, req.body || {});
+    if (QUICK_REPLY_ERRORS[out.status]) {
+      const [code, error] = QUICK_REPLY_ERRORS[out.status];
+      return res.status(code).json({ error });
+    }
+    res.json({ quick_reply: out.reply });
+  } catch (err) {
+    console.error("Erreur modification réponse rapide:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route DELETE /:id
+ * @summary Deletes a reply template.
+ * @param {number} req.params.id - Quick reply ID.
+ * @returns {object} 200 - `{ success: true }`
+ * @returns {object} 400 - `{ error: "ID invalide" }`
+ * @returns {object} 404 - `{ error: "Réponse rapide introuvable" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ */
+router.delete("/:id", authRequired, async (req, res) => {
+  const id = parseInt(req.params.id);
+  if (!id) return res.status(400).json({ error: "ID invalide" });
+
+  try {
+    if (!(await quickReplies.remove(id, req.user.id))) {
+      return res.status(404).json({ error: "Réponse rapide introuvable" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Erreur suppression réponse rapide:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,407 @@
+/**
+ * @file routes/reports.js
+ * @description
+ * Reporting and moderation APIs for **Softadastra Chat**: users report chat
+ * messages, whole conversations or feed posts; administrators work through
+ * the resulting moderation queue.
+ *
+ * ## Responsibilities
+ * - File a report with a reason code (`spam`, `scam`, `harassment`, `hate`,
+ *   `nudity`, `violence`, `illegal`, `other`) and optional details.
+ * - Snapshot the reported content so deletions never erase the evidence
+ *   (see `repositories/ReportRepository.js`).
+ * - Admin: list / filter the queue, read a report, assign it, resolve it.
+ * - Admin: review the chat messages and feed posts held by the moderation
+ *   pipeline (`repositories/ModerationRepository.js`): approving publishes
+ *   them, rejecting drops them; the author is told either way
+ *   (`held_content_reviewed`).
+ *
+ * ## Security
+ * - Filing a report requires `authRequired`; chat content can only be
+ *   reported by members of its thread.
+ * - `/admin/*` routes require `adminRequired` (`admin` role token or a
+ *   trusted admin origin).
+ *
+ * @module routes/reports
+ * @see repositories/ReportRepository.js — Moderation queue storage
+ * @see repositories/ModerationRepository.js — Held content and decisions audit
+ */
+const express = require("express");
+const router = express.Router();
+const db = require("../db/mysql");
+const { authRequired, adminRequired } = require("../utils/auth-phpjwt");
+const ReportRepository = require("../repositories/ReportRepository");
+const ModerationRepository = require("../repositories/ModerationRepository");
+const ChatScheduledMessageRepository = require("../repositories/ChatScheduledMessageRepository");
+const FeedRepository = require("../repositories/feedRepository")(db);
+const { sendToUser } = require("../ws/userState");
+
+const reports = new ReportRepository();
+const moderation = new ModerationRepository();
+const scheduledMessages = new ChatScheduledMessageRepository();
+const feed = new FeedRepository();
+
+/**
+ * HTTP status / error for each non-`ok` repository outcome.
+ * @type {Record<string, [number, string]>}
+ */
+const REPORT_ERRORS = {
+  invalid: [400, "Signalement invalide"],
+  not_found: [404, "Contenu introuvable"],
+  forbidden: [403, "Unauthorized"],
+  closed: [409, "Signalement déjà clôturé"],
+};
+
+/**
+ * HTTP status / error for each non-`ok` review outcome of held content.
+ * @type {Record<string, [number, string]>}
+ */
+const HELD_ERRORS = {
+  not_found: [404, "Contenu retenu introuvable"],
+  closed: [409, "Contenu déjà examiné"],
+};
+
+/**
+ * Publishes approved held content: a chat message is handed to the
+ * scheduled-message dispatcher of `ws/chat.js` (due now, or at its
+ * `send_at`), which checks membership and blocks again; a post is inserted
+ * without being moderated again.
+ *
+ * @async
+ * @param {Object} decision - Approved `moderation_decisions` row.
+ * @returns {Promise<{ scheduled_id?: number, post_id?: number }>}
+ */
+async function publishHeld(decision) {
+  const p = decision.payload || {};
+  if (decision.target_type === "message") {
+    const sendAt = new Date(Math.max(Date.now(), Date.parse(p.send_at) || 0));
+    const out = await scheduledMessages.create({
+      threadId: decision.thread_id,
+      senderId: p.sender_id,
+      sentBy: p.sent_by,
+      content: p.content,
+      imageUrls: p.image_urls,
+      replyToId: p.reply_to_message_id,
+      expiresIn: p.expires_in,
+      sendAt,
+      enforceLimit: false,
+    });
+    return { scheduled_id: out.scheduled.id };
+  }
+
+  const post = {
+    userId: decision.user_id,
+    body: p.content,
+    visibility: p.visibility,
+    replyToId: p.reply_to_id,
+    moderate: false,
+  };
+  const out = p.image_urls?.length
+    ? await feed.createPhotoPost({
+        ...post,
+        imageUrls: p.image_urls,
+        sizes: p.sizes,
+      })
+    : await feed.createTextPost(post);
+  await moderation.attachTarget(decision.id, out.id);
+  return { post_id: out.id };
+}
+
+/**
+ * @route POST /
+ * @summary Files a report on a chat message, a chat conversation or a feed post.
+ * @param {string} req.body.target_type - `message` | `thread` | `post`.
+ * @param {number} req.body.target_id - Reported content ID.
+ * @param {string} req.body.reason - Reason code.
+ * @param {string} [req.body.details] - Free text (required for `other`, max 1000 chars).
+ * @returns {object} 201 - `{ success: true, report_id: number }`
+ * @returns {object} 200 - `{ success: true, report_id: number, duplicate: true }` (already pending)
+ * @returns {object} 400 - `{ error: "Signalement invalide" }` (bad input, or own content)
+ * @returns {object} 403 - `{ error: "Unauthorized" }` (not a member of the thread)
+ * @returns {object} 404 - `{ error: "Contenu introuvable" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ * @example
+ * // POST /api/reports  { "target_type": "message", "target_id": 981, "reason": "harassment" }
+ * // => { "success": true, "report_id": 57 }
+ */
+router.post("/", authRequired, async (req, res) => {
+  const { target_type, target_id, reason, details } = req.body || {};
+  try {
+    const out = await reports.create({
+      reporterId: req.user.id,
+      targetType: target_type,
+      targetId: target_id,
+      reason,
+      details,
+    });
+    if (out.status === "duplicate") {
+      return res.json({ success: true, report_id: out.id, duplicate: true });
+    }
+    if (REPORT_ERRORS[out.status]) {
+      const [code, error] = REPORT_ERRORS[out.status];
+      return res.status(code).json({ error });
+    }
+    res.status(201).json({ success: true, report_id: out.id });
+  } catch (err) {
+    console.error("Erreur création signalement:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route GET /admin
+ * @summary Lists the moderation queue, newest first.
+ * @param {string} [req.query.status] - `open` | `in_review` | `resolved` | `dismissed` | `pending`.
+ * @param {string} [req.query.target_type] - `message` | `thread` | `post`.
+ * @param {number} [req.query.assignee_id] - Assigned moderator (`me` for oneself).
+ * @param {number} [req.query.before_id] - Page of reports older than this ID.
+ * @param {number} [req.query.limit=50] - Page size (max 200).
+ * @returns {object} 200 - `{ reports: Array<Report>, has_more: boolean }`
+ * @returns {object} 400 - `{ error: "Filtre invalide" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ * @example
+ * // GET /api/reports/admin?status=pending&target_type=message
+ * // => { "has_more": false, "reports": [{ "id": 57, "reporter_id": 12, "target_type": "message", "target_id": 981, "reported_user_id": 7, "reason": "harassment", "details": null, "status": "open", "assignee_id": null, "target_reports": 3, "created_at": "...", "updated_at": "..." }] }
+ *
+ * @typedef {object} Report
+ * @property {number} id
+ * @property {number} reporter_id
+ * @property {"message"|"thread"|"post"} target_type
+ * @property {number} target_id
+ * @property {number|null} reported_user_id - Author of the reported content.
+ * @property {string} reason
+ * @property {string|null} details
+ * @property {"open"|"in_review"|"resolved"|"dismissed"} status
+ * @property {number|null} assignee_id
+ * @property {number} target_reports - Reports filed on the same content.
+ */
+router.get("/admin", adminRequired, async (req, res) => {
+  const { status, target_type, assignee_id, before_id, limit } = req.query;
+  if (
+    (status &&
+      status !== "pending" &&
+      !ReportRepository.REPORT_STATUSES.includes(status)) ||
+    (target_type && !ReportRepository.TARGET_TYPES.includes(target_type)) ||
+    (assignee_id && assignee_id !== "me" && !(parseInt(assignee_id) > 0))
+  ) {
+    return res.status(400).json({ error: "Filtre invalide" });
+  }
+
+  try {
+    const page = await reports.list({
+      status,
+      targetType: target_type,
+      assigneeId: assignee_id === "me" ? req.user.id : assignee_id,
+      beforeId: parseInt(before_id) || null,
+      limit,
+    });
+    res.json(page);
+  } catch (err) {
+    console.error("Erreur liste signalements:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route GET /admin/held
+ * @summary Lists the content held by the moderation pipeline, oldest first.
+ * @param {string} [req.query.target_type] - `message` | `post`.
+ * @param {number} [req.query.after_id] - Page of decisions newer than this ID.
+ * @param {number} [req.query.limit=50] - Page size (max 200).
+ * @returns {object} 200 - `{ decisions: Array<HeldDecision>, has_more: boolean }`
+ * @returns {object} 400 - `{ error: "Filtre invalide" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ * @example
+ * // GET /api/reports/admin/held?target_type=message
+ * // => { "has_more": false, "decisions": [{ "id": 31, "target_type": "message", "target_id": null, "user_id": 7, "thread_id": 9, "action": "hold", "findings": [{ "rule": "off_platform_payment", "action": "hold", "match": "MoMo" }], "content": "Paie par MoMo", "payload": { "sender_id": 7, "content": "Paie par MoMo", ... }, "review_status": "pending", "created_at": "..." }] }
+ *
+ * @typedef {object} HeldDecision
+ * @property {number} id
+ * @property {"message"|"post"} target_type
+ * @property {number} user_id - Author.
+ * @property {number|null} thread_id
+ * @property {Array<{ rule: string, action: string, match: string }>} findings
+ * @property {string} content - Text as written.
+ * @property {object} payload - What is published on approval (`content` masked where needed).
+ */
+router.get("/admin/held", adminRequired, async (req, res) => {
+  const { target_type, after_id, limit } = req.query;
+  if (target_type && !ModerationRepository.TARGET_TYPES.includes(target_type)) {
+    return res.status(400).json({ error: "Filtre invalide" });
+  }
+
+  try {
+    const page = await moderation.listHeld({
+      targetType: target_type,
+      afterId: parseInt(after_id) || null,
+      limit,
+    });
+    res.json(page);
+  } catch (err) {
+    console.error("Erreur liste contenus retenus:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * Handler approving (publishing) or rejecting held content.
+ *
+ * @param {boolean} approve - `true` for `/approve`, `false` for `/reject`.
+ * @returns {import("express").RequestHandler}
+ */
+function reviewHeld(approve) {
+  return async (req, res) => {
+    const decisionId = parseInt(req.params.decisionId);
+    if (!decisionId) return res.status(400).json({ error: "ID invalide" });
+
+    try {
+      const out = await moderation.review(decisionId, {
+        moderatorId: req.user.id,
+        approve,
+      });
+      if (HELD_ERRORS[out.status]) {
+        const [code, error] = HELD_ERRORS[out.status];
+        return res.status(code).json({ error });
+      }
+      const published = approve ? await publishHeld(out.decision) : {};
+      await moderation.releaseImages(out.decision);
+      sendToUser(out.decision.user_id, {
+        type: "held_content_reviewed",
+        decision_id: decisionId,
+        target_type: out.decision.target_type,
+        status: out.decision.review_status,
+        ...published,
+      });
+      res.json({ success: true, ...published });
+    } catch (err) {
+      console.error("Erreur examen contenu retenu:", err.message);
+      res.status(500).json({ error: "Erreur serveur" });
+    }
+  };
+}
+
+/**
+ * @route POST /admin/held/:decisionId/approve
+ * @summary Approves held content: the message or post is published.
+ * @description The author's devices get `held_content_reviewed`.
+ * @param {number} req.params.decisionId - Decision ID.
+ * @returns {object} 200 - `{ success: true, scheduled_id }` (message, sent by the dispatcher) | `{ success: true, post_id }`
+ * @returns {object} 400 - `{ error: "ID invalide" }`
+ * @returns {object} 404 - `{ error: "Contenu retenu introuvable" }`
+ * @returns {object} 409 - `{ error: "Contenu déjà examiné" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ * @example
+ * // POST /api/reports/admin/held/31/approve
+ * // => { "success": true, "scheduled_id": 88 }
+ */
+router.post("/admin/held/:decisionId/approve", adminRequired, reviewHeld(true));
+
+/**
+ * @route POST /admin/held/:decisionId/reject
+ * @summary Rejects held content: it is never published.
+ * @description The author's devices get `held_content_reviewed`.
+ * @param {number} req.params.decisionId - Decision ID.
+ * @returns {object} 200 - `{ success: true }`
+ * @returns {object} 400 - `{ error: "ID invalide" }`
+ * @returns {object} 404 - `{ error: "Contenu retenu introuvable" }`
+ * @returns {object} 409 - `{ error: "Contenu déjà examiné" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ */
+router.post("/admin/held/:decisionId/reject", adminRequired, reviewHeld(false));
+
+/**
+ * @route GET /admin/:reportId
+ * @summary Returns a report with the snapshot of the reported content.
+ * @param {number} req.params.reportId - Report ID.
+ * @returns {object} 200 - `{ report: Report & { snapshot, resolution_note, resolved_by, resolved_at } }`
+ * @returns {object} 400 - `{ error: "ID invalide" }`
+ * @returns {object} 404 - `{ error: "Signalement introuvable" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ */
+router.get("/admin/:reportId", adminRequired, async (req, res) => {
+  const reportId = parseInt(req.params.reportId);
+  if (!reportId) return res.status(400).json({ error: "ID invalide" });
+
+  try {
+    const report = await reports.get(reportId);
+    if (!report) {
+      return res.status(404).json({ error: "Signalement introuvable" });
+    }
+    res.json({ report });
+  } catch (err) {
+    console.error("Erreur lecture signalement:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route POST /admin/:reportId/assign
+ * @summary Assigns a pending report to a moderator (default: the requester).
+ * @param {number} req.params.reportId - Report ID.
+ * @param {number} [req.body.assignee_id] - Moderator to assign.
+ * @returns {object} 200 - `{ success: true }`
+ * @returns {object} 400 - `{ error: "ID invalide" }`
+ * @returns {object} 404 - `{ error: "Contenu introuvable" }`
+ * @returns {object} 409 - `{ error: "Signalement déjà clôturé" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ */
+router.post("/admin/:reportId/assign", adminRequired, async (req, res) => {
+  const reportId = parseInt(req.params.reportId);
+  const assigneeId =
+    req.body?.assignee_id == null
+      ? req.user.id
+      : parseInt(req.body.assignee_id);
+  if (!reportId || !(assigneeId > 0)) {
+    return res.status(400).json({ error: "ID invalide" });
+  }
+
+  try {
+    const out = await reports.assign(reportId, assigneeId);
+    if (REPORT_ERRORS[out.status]) {
+      const [code, error] = REPORT_ERRORS[out.status];
+      return res.status(code).json({ error });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Erreur assignation signalement:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route POST /admin/:reportId/resolve
+ * @summary Closes a pending report.
+ * @param {number} req.params.reportId - Report ID.
+ * @param {string} req.body.outcome - `actioned` (→ `resolved`) | `dismissed`.
+ * @param {string} [req.body.note] - Resolution note (max 1000 chars).
+ * @returns {object} 200 - `{ success: true }`
+ * @returns {object} 400 - `{ error: "ID invalide" | "Signalement invalide" }`
+ * @returns {object} 404 - `{ error: "Contenu introuvable" }`
+ * @returns {object} 409 - `{ error: "Signalement déjà clôturé" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ * @example
+ * // POST /api/reports/admin/57/resolve  { "outcome": "actioned", "note": "Message removed, user warned" }
+ * // => { "success": true }
+ */
+router.post("/admin/:reportId/resolve", adminRequired, async (req, res) => {
+  const reportId = parseInt(req.params.reportId);
+  if (!reportId) return res.status(400).json({ error: "ID invalide" });
+
+  try {
+    const out = await reports.resolve(reportId, {
+      moderatorId: req.user.id,
+      outcome: req.body?.outcome,
+      note: req.body?.note,
+    });
+    if (REPORT_ERRORS[out.status]) {
+      const [code, error] = REPORT_ERRORS[out.status];
+      return res.status(code).json({ error });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Erreur résolution signalement:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+module.exports = router;
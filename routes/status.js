@@ -4,35 +4,50 @@
  * Provides a lightweight API route to check which users are currently online
  * in **Softadastra Chat**.
  *
- * This endpoint reads from the in-memory `connectedUsers` map populated by
- * the WebSocket server (see `ws/userState.js`) and returns all connected
- * user IDs as an array.
+ * This endpoint reads the presence registry populated by the WebSocket
+ * server (see `ws/userState.js`) and returns all connected user IDs as an
+ * array, optionally with the number of open devices per user. When Redis is
+ * configured, users connected to any instance of the cluster are included.
  *
  * ## Responsibilities
- * - Return a list of connected user IDs.
+ * - Return a list of connected user IDs (authenticated callers only, without
+ *   the users separated from them by a block).
+ * - Report how many devices (tabs, phones) each online user has open.
  * - Serve as a simple health/status endpoint for real-time presence tracking.
+ * - Report how often the WebSocket rate limits tripped (this instance,
+ *   admins only).
  *
  * ## Usage
  * This route is used by the frontend to show "🟢 online" indicators or
  * refresh online status periodically without opening a WebSocket connection.
  *
  * @module routes/online-status
- * @see ws/userState.js — Maintains connected users (Map<userId, WebSocket>)
+ * @see ws/userState.js — Maintains connected users (Map<userId, Set<WebSocket>>)
  */
 
 const express = require("express");
 const router = express.Router();
 
-const { connectedUsers } = require("../ws/userState");
+const { getClusterDeviceCounts } = require("../ws/userState");
+const { getRateLimitMetrics } = require("../utils/rateLimiter");
+const { authRequired, adminRequired } = require("../utils/auth-phpjwt");
+const ChatBlockRepository = require("../repositories/ChatBlockRepository");
+
+const blocks = new ChatBlockRepository();
 
 /**
- * @route GET /api/online-status
+ * @route GET /api/status/online-status
  * @summary Returns a list of currently online user IDs.
  * @description
- * Fetches the keys from the `connectedUsers` Map to determine
- * which users have an active WebSocket connection.
+ * Reads the cluster-wide presence (local `connectedUsers` Map plus the
+ * other instances' Redis presence hashes) to determine which users have an
+ * active WebSocket connection.
+ * With `?devices=1`, each entry also carries the user's open device count.
+ * Requires a token; users blocked by (or blocking) the caller are left out.
  *
- * @returns {object} 200 - Array of user IDs.
+ * @param {string} [req.query.devices] - `"1"` to include device counts.
+ * @returns {object} 200 - Array of user IDs, or `{ user_id, devices }[]` with `devices=1`.
+ * @returns {object} 401 - `{ error: "Unauthorized" }`
  * @returns {object} 500 - `{ error: "Erreur interne" }`
  *
  * @example
@@ -40,15 +55,63 @@ const { connectedUsers } = require("../ws/userState");
  * [42, 107, 215]
  *
  * @example
+ * // GET /api/status/online-status?devices=1
+ * [{ "user_id": "42", "devices": 2 }, { "user_id": "107", "devices": 1 }]
+ *
+ * @example
  * // Fetch from frontend:
- * const res = await fetch("/api/online-status");
+ * const res = await fetch("/api/online-status", {
+ *   headers: { Authorization: `Bearer ${token}` },
+ * });
  * const onlineUsers = await res.json();
  * console.log("Online:", onlineUsers);
  */
-router.get("/online-status", (req, res) => {
+router.get("/online-status", authRequired, async (req, res) => {
+  try {
+    const devices = await getClusterDeviceCounts();
+    const hidden = await blocks.getSeparatedIds(req.user.id);
+    for (const id of hidden) devices.delete(id);
+    if (req.query.devices === "1") {
+      return res.json(
+        Array.from(devices, ([id, count]) => ({
+          user_id: id,
+          devices: count,
+        }))
+      );
+    }
+    res.json(Array.from(devices.keys()));
+  } catch (e) {
+    res.status(500).json({ error: "Erreur interne" });
+  }
+});
+
+/**
+ * @route GET /api/status/rate-limits
+ * @summary WebSocket rate-limit metrics of this instance.
+ * @description
+ * Per hub (`chat`, `likes`): the effective limits (`[burst, perSec]` per
+ * frame type), allowed/limited frame counts per type, and the number of
+ * clients disconnected for flooding, since the process started.
+ * Requires an admin token (`adminRequired`).
+ *
+ * @returns {object} 200 - `{ [hub]: { limits, types, limited, disconnects } }`
+ * @returns {object} 401/403 - Missing token / not an admin.
+ * @returns {object} 500 - `{ error: "Erreur interne" }`
+ *
+ * @example
+ * // GET /api/status/rate-limits
+ * {
+ *   "chat": {
+ *     "limits": { "message_send": [20, 1], "*": [60, 10] },
+ *     "types": { "message_send": { "allowed": 1520, "limited": 12 } },
+ *     "limited": 12,
+ *     "disconnects": 0
+ *   }
+ * }
+ */
+router.get("/rate-limits", adminRequired, (req, res) => {
   try {
-    const onlineUserIds = Array.from(connectedUsers.keys());
-    res.json(onlineUserIds);
+    res.json(getRateLimitMetrics());
   } catch (e) {
     res.status(500).json({ error: "Erreur interne" });
   }
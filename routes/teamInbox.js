@@ -0,0 +1,428 @@
+/**
+ * @file routes/teamInbox.js
+ * @description
+ * Shared shop inbox APIs for **Softadastra Chat**: a shop account's staff
+ * answer its conversations together.
+ *
+ * ## Responsibilities
+ * - Manage the shop's staff (owner and admins).
+ * - List the shop's threads with their assignee, and load their history.
+ * - Assign / unassign threads (`thread_assigned` pushed to the staff).
+ * - Internal notes on threads (`thread_note` pushed to the staff); buyers
+ *   never see them.
+ *
+ * Answering, reading and live delivery go through the WebSocket gateway,
+ * where staff act as the shop (see "Shared shop inboxes" in ws/chat.js).
+ *
+ * ## Security
+ * - Every route requires `authRequired`; `:shopId` routes require the
+ *   requester to be the shop account or one of its staff members.
+ *
+ * @module routes/teamInbox
+ * @see repositories/ChatTeamInboxRepository.js — Staff, assignments and notes
+ */
+const express = require("express");
+const router = express.Router();
+const { authRequired } = require("../utils/auth-phpjwt");
+const ChatThreadRepository = require("../repositories/ChatThreadRepository");
+const ChatMessageRepository = require("../repositories/ChatMessageRepository");
+const ChatTeamInboxRepository = require("../repositories/ChatTeamInboxRepository");
+const { sendToUser } = require("../ws/userState");
+
+const threads = new ChatThreadRepository();
+const chatMessages = new ChatMessageRepository();
+const team = new ChatTeamInboxRepository();
+
+/**
+ * HTTP status / error for each non-`ok` assignment outcome.
+ * @type {Record<string, [number, string]>}
+ */
+const ASSIGN_ERRORS = {
+  not_found: [404, "Thread introuvable"],
+  forbidden: [403, "Unauthorized"],
+  invalid: [400, "Membre de l'équipe invalide"],
+};
+
+/**
+ * Resolves `:shopId` and the requester's role in that shop.
+ * Answers 400 / 403 itself and returns `null` in that case.
+ *
+ * @async
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<{ shopId: number, role: "owner"|"admin"|"agent" } | null>}
+ */
+async function resolveShop(req, res) {
+  const shopId = parseInt(req.params.shopId);
+  if (!shopId) {
+    res.status(400).json({ error: "ID invalide" });
+    return null;
+  }
+  const role = await team.getRole(shopId, req.user.id);
+  if (!role) {
+    res.status(403).json({ error: "Unauthorized" });
+    return null;
+  }
+  return { shopId, role };
+}
+
+/**
+ * Resolves `:threadId` as a direct thread of the shop.
+ * Answers 400 / 404 itself and returns `null` in that case.
+ *
+ * @async
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {number} shopId - Shop account ID.
+ * @returns {Promise<Object|null>} Thread row.
+ */
+async function resolveShopThread(req, res, shopId) {
+  const threadId = parseInt(req.params.threadId);
+  if (!threadId) {
+    res.status(400).json({ error: "ID invalide" });
+    return null;
+  }
+  const thread = await threads.getThread(threadId);
+  const ofShop =
+    thread &&
+    !thread.is_group &&
+    [Number(thread.user1_id), Number(thread.user2_id)].includes(shopId);
+  if (!ofShop) {
+    res.status(404).json({ error: "Thread introuvable" });
+    return null;
+  }
+  return thread;
+}
+
+/**
+ * Pushes an event to the shop account and all its staff (never the buyer).
+ *
+ * @async
+ * @param {number} shopId - Shop account ID.
+ * @param {Object} payload - Outbound frame.
+ * @returns {Promise<void>}
+ */
+async function emitToStaff(shopId, payload) {
+  const staff = await team.listStaff(shopId);
+  for (const uid of [shopId, ...staff.map((s) => s.user_id)]) {
+    sendToUser(uid, payload);
+  }
+}
+
+/**
+ * @route GET /:shopId/staff
+ * @summary Lists the shop's staff and the requester's role.
+ * @param {number} req.params.shopId - Shop account ID.
+ * @returns {object} 200 - `{ shop_id, role, staff: Array<{ user_id, role, added_by, created_at }> }`
+ * @returns {object} 403 - `{ error: "Unauthorized" }` if the requester is not staff.
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ */
+router.get("/:shopId/staff", authRequired, async (req, res) => {
+  try {
+    const shop = await resolveShop(req, res);
+    if (!shop) return;
+    res.json({
+      shop_id: shop.shopId,
+      role: shop.role,
+      staff: await team.listStaff(shop.shopId),
+    });
+  } catch (err) {
+    console.error("Erreur liste équipe:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route PUT /:shopId/staff/:userId
+ * @summary Adds a staff member or changes their role (owner and admins).
+ * @param {number} req.params.shopId - Shop account ID.
+ * @param {number} req.params.userId - Staff user ID.
+ * @param {"admin"|"agent"} req.body.role - Role in the shop.
+ * @returns {object} 200 - `{ staff: Array<{ user_id, role, added_by, created_at }> }`
+ * @returns {object} 400 - `{ error: "ID invalide" | "Rôle invalide" }`
+ * @returns {object} 403 - `{ error: "Unauthorized" }`
+ * @returns {object} 409 - `{ error: "Trop de membres dans l'équipe" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ * @example
+ * // PUT /api/team-inbox/42/staff/7  { "role": "agent" }
+ */
+router.put("/:shopId/staff/:userId", authRequired, async (req, res) => {
+  try {
+    const shop = await resolveShop(req, res);
+    if (!shop) return;
+    if (shop.role === "agent") {
+      return res.status(403).json({ error: "Unauthorized" });
+    }
+    const userId = parseInt(req.params.userId);
+    if (!userId) return res.status(400).json({ error: "ID invalide" });
+
+    const out = await team.addStaff(
+      shop.shopId,
+      userId,
+      req.body?.role,
+      req.user.id
+    );
+    if (out.status === "invalid") {
+      return res.status(400).json({ error: "Rôle invalide" });
+    }
+    if (out.status === "limit") {
+      return res.status(409).json({ error: "Trop de membres dans l'équipe" });
+    }
+    res.json({ staff: await team.listStaff(shop.shopId) });
+  } catch (err) {
+    console.error("Erreur ajout membre équipe:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route DELETE /:shopId/staff/:userId
+ * @summary Removes a staff member (owner and admins), or leaves the team
+ * (own ID). Threads assigned to them become unassigned.
+ * @param {number} req.params.shopId - Shop account ID.
+ * @param {number} req.params.userId - Staff user ID.
+ * @returns {object} 200 - `{ success: true }`
+ * @returns {object} 400 - `{ error: "ID invalide" }`
+ * @returns {object} 403 - `{ error: "Unauthorized" }`
+ * @returns {object} 404 - `{ error: "Membre introuvable" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ */
+router.delete("/:shopId/staff/:userId", authRequired, async (req, res) => {
+  try {
+    const shop = await resolveShop(req, res);
+    if (!shop) return;
+    const userId = parseInt(req.params.userId);
+    if (!userId) return res.status(400).json({ error: "ID invalide" });
+    if (shop.role === "agent" && userId !== Number(req.user.id)) {
+      return res.status(403).json({ error: "Unauthorized" });
+    }
+
+    if (!(await team.removeStaff(shop.shopId, userId))) {
+      return res.status(404).json({ error: "Membre introuvable" });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Erreur retrait membre équipe:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route GET /:shopId/threads
+ * @summary Lists the shop's conversations by last activity, with their assignee.
+ * @param {number} req.params.shopId - Shop account ID.
+ * @param {string} [req.query.assigned=all] - `all`, `none` (unassigned) or a staff user ID (`me` = requester).
+ * @param {number} [req.query.before_id] - `next_before_id` of the previous page.
+ * @param {number} [req.query.limit=30] - Page size (max 100).
+ * @returns {object} 200 - `{ threads: TeamThread[], next_before_id, has_more }`
+ * @returns {object} 400 - `{ error: "Filtre invalide" }`
+ * @returns {object} 403 - `{ error: "Unauthorized" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ *
+ * @typedef {object} TeamThread
+ * @property {number} thread_id
+ * @property {number} buyer_id - The other side of the conversation.
+ * @property {object} last_message - Same shape as in `GET /api/messages/inbox`.
+ * @property {number} unread - Buyer messages nobody in the shop has read.
+ * @property {number|null} assigned_to - Staff member in charge, or `null`.
+ * @property {string|null} assigned_at
+ * @example
+ * // GET /api/team-inbox/42/threads?assigned=none
+ */
+router.get("/:shopId/threads", authRequired, async (req, res) => {
+  try {
+    const shop = await resolveShop(req, res);
+    if (!shop) return;
+    const assigned = ChatTeamInboxRepository.parseAssignedFilter(
+      req.query.assigned === "me" ? req.user.id : req.query.assigned
+    );
+    const beforeId =
+      req.query.before_id === undefined ? null : parseInt(req.query.before_id);
+    if (assigned === null || (beforeId !== null && !(beforeId > 0))) {
+      return res.status(400).json({ error: "Filtre invalide" });
+    }
+
+    res.json(
+      await team.listThreads(shop.shopId, {
+        assigned,
+        beforeId,
+        limit: req.query.limit,
+      })
+    );
+  } catch (err) {
+    console.error("Erreur liste conversations boutique:", err.message);
+    res.status(500).json({ error: "Erreur serveur" });
+  }
+});
+
+/**
+ * @route GET /:shopId/threads/:threadId/messages
+ * @summary Loads a page of a shop conversation (same shape as `GET /api/messages/thread/:threadId`).
+ * @param {number} req.params.shopId - Shop account ID.
+ * @param {number} req.params.threadId - Thread ID.
+ * @param {number} [req.query.before_id] - Older messages.
+ * @param {number} [req.query.after_id] - Newer messages.
+ * @param {number} [req.query.limit=30] - Page size.
+ * @returns {object} 200 - `{ thread_id, member_ids, assignment, messages, has_more }`
+ * @returns {object} 400 - `{ error: "ID invalide" | "Pagination invalide" }`
+ * @returns {object} 403 - `{ error: "Unauthorized" }`
+ * @returns {object} 404 - `{ error: "Thread introuvable" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ */
+router.get(
+  "/:shopId/threads/:threadId/messages",
+  authRequired,
+  async (req, res) => {
+    const cursor = ChatMessageRepository.parseHistoryCursor(req.query);
+    if (!cursor) return res.status(400).json({ error: "Pagination invalide" });
+
+    try {
+      const shop = await resolveShop(req, res);
+      if (!shop) return;
+      const thread = await resolveShopThread(req, res, shop.shopId);
+      if (!thread) return;
+
+      const { messages, has_more } = await chatMessages.listThreadMessages(
+        thread.id,
+        { ...cursor, viewerId: req.user.id }
+      );
+      res.json({
+        thread_id: thread.id,
+        member_ids: await threads.getMemberIds(thread),
+        assignment: await team.getAssignment(thread.id),
+        messages,
+        has_more,
+      });
+    } catch (err) {
+      console.error("Erreur historique boutique:", err.message);
+      res.status(500).json({ error: "Erreur serveur" });
+    }
+  }
+);
+
+/**
+ * @route PUT /:shopId/threads/:threadId/assignment
+ * @summary Assigns a conversation to a staff member, or unassigns it.
+ * @description Owner and admins assign anyone; agents take unassigned
+ * conversations for themselves or release their own. The shop's staff
+ * receive `{ type: "thread_assigned", thread_id, shop_id, assigned_to, assigned_by, assigned_at }`.
+ * @param {number} req.params.shopId - Shop account ID.
+ * @param {number} req.params.threadId - Thread ID.
+ * @param {number|null} req.body.user_id - Assignee (the shop account or a staff member), `null` to unassign.
+ * @returns {object} 200 - `{ assignment: { thread_id, shop_id, assigned_to, assigned_by, assigned_at } }`
+ * @returns {object} 400 - `{ error: "ID invalide" | "Membre de l'équipe invalide" }`
+ * @returns {object} 403 - `{ error: "Unauthorized" }`
+ * @returns {object} 404 - `{ error: "Thread introuvable" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ * @example
+ * // PUT /api/team-inbox/42/threads/9/assignment  { "user_id": 7 }
+ */
+router.put(
+  "/:shopId/threads/:threadId/assignment",
+  authRequired,
+  async (req, res) => {
+    const raw = req.body?.user_id;
+    const assignee = raw === null ? null : parseInt(raw);
+    if (assignee !== null && !(assignee > 0)) {
+      return res.status(400).json({ error: "ID invalide" });
+    }
+
+    try {
+      const shop = await resolveShop(req, res);
+      if (!shop) return;
+      const thread = await resolveShopThread(req, res, shop.shopId);
+      if (!thread) return;
+
+      const out = await team.assign(thread, shop.shopId, assignee, req.user.id);
+      if (ASSIGN_ERRORS[out.status]) {
+        const [code, error] = ASSIGN_ERRORS[out.status];
+        return res.status(code).json({ error });
+      }
+      await emitToStaff(shop.shopId, {
+        type: "thread_assigned",
+        ...out.assignment,
+      });
+      res.json({ assignment: out.assignment });
+    } catch (err) {
+      console.error("Erreur assignation conversation:", err.message);
+      res.status(500).json({ error: "Erreur serveur" });
+    }
+  }
+);
+
+/**
+ * @route GET /:shopId/threads/:threadId/notes
+ * @summary Lists the internal notes of a conversation, oldest first.
+ * @param {number} req.params.shopId - Shop account ID.
+ * @param {number} req.params.threadId - Thread ID.
+ * @returns {object} 200 - `{ notes: Array<{ id, thread_id, author_id, body, created_at }> }`
+ * @returns {object} 400 - `{ error: "ID invalide" }`
+ * @returns {object} 403 - `{ error: "Unauthorized" }`
+ * @returns {object} 404 - `{ error: "Thread introuvable" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ */
+router.get(
+  "/:shopId/threads/:threadId/notes",
+  authRequired,
+  async (req, res) => {
+    try {
+      const shop = await resolveShop(req, res);
+      if (!shop) return;
+      const thread = await resolveShopThread(req, res, shop.shopId);
+      if (!thread) return;
+      res.json({ notes: await team.listNotes(thread.id, shop.shopId) });
+    } catch (err) {
+      console.error("Erreur liste notes internes:", err.message);
+      res.status(500).json({ error: "Erreur serveur" });
+    }
+  }
+);
+
+/**
+ * @route POST /:shopId/threads/:threadId/notes
+ * @summary Adds an internal note to a conversation (never shown to the buyer).
+ * @description The shop's staff receive `{ type: "thread_note", shop_id, note }`.
+ * @param {number} req.params.shopId - Shop account ID.
+ * @param {number} req.params.threadId - Thread ID.
+ * @param {string} req.body.body - Note text (max 2000 chars).
+ * @returns {object} 201 - `{ note: { id, thread_id, author_id, body, created_at } }`
+ * @returns {object} 400 - `{ error: "ID invalide" | "Note invalide" }`
+ * @returns {object} 403 - `{ error: "Unauthorized" }`
+ * @returns {object} 404 - `{ error: "Thread introuvable" }`
+ * @returns {object} 500 - `{ error: "Erreur serveur" }`
+ * @example
+ * // POST /api/team-inbox/42/threads/9/notes  { "body": "Client fidèle, offrir la livraison" }
+ */
+router.post(
+  "/:shopId/threads/:threadId/notes",
+  authRequired,
+  async (req, res) => {
+    try {
+      const shop = await resolveShop(req, res);
+      if (!shop) return;
+      const thread = await resolveShopThread(req, res, shop.shopId);
+      if (!thread) return;
+
+      const out = await team.addNote(
+        thread.id,
+        shop.shopId,
+        req.user.id,
+        req.body?.body
+      );
+      if (out.status === "invalid") {
+        return res.status(400).json({ error: "Note invalide" });
+      }
+      await emitToStaff(shop.shopId, {
+        type: "thread_note",
+        shop_id: shop.shopId,
+        note: out.note,
+      });
+      res.status(201).json({ note: out.note });
+    } catch (err) {
+      console.error("Erreur ajout note interne:", err.message);
+      res.status(500).json({ error: "Erreur serveur" });
+    }
+  }
+);
+
+module.exports = router;
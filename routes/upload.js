@@ -8,7 +8,10 @@
  * ## Responsibilities
  * - Validate and store uploaded chat images.
  * - Limit uploads to 4 images per request (10 MB each).
- * - Return absolute or relative URLs of saved files.
+ * - Return URLs of saved files: absolute under `PUBLIC_BASE_URL`, else
+ *   root-relative (never built from the request's Host header).
+ * - Record who uploaded each file, so purging a disappearing message only
+ *   ever deletes its author's own files (`repositories/ChatUploadRepository.js`).
  * - Provide safe fallback for invalid or oversized uploads.
  *
  * ## Security
@@ -25,15 +28,18 @@ const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
 const { authRequired } = require("../utils/auth-phpjwt");
+const { UPLOAD_DIR, removeUploads } = require("../utils/uploads");
+const ChatUploadRepository = require("../repositories/ChatUploadRepository");
 
 const router = express.Router();
+const uploads = new ChatUploadRepository();
 
 // -----------------------------------------------------------------------------
 // Configuration
 // -----------------------------------------------------------------------------
 
 /** Upload directory */
-const uploadPath = path.join(__dirname, "../public/uploads");
+const uploadPath = UPLOAD_DIR;
 fs.mkdirSync(uploadPath, { recursive: true });
 
 /** Maximum limits and accepted file types */
@@ -97,6 +103,7 @@ const upload = multer({
  * @returns {object} 200 - `{ success: true, image_urls: [ ... ] }`
  * @returns {object} 400 - `{ success: false, error: "No image received." }`
  * @returns {object} 413 - `{ success: false, error: "Image too large (max 10MB)" }`
+ * @returns {object} 500 - `{ success: false, error: "Upload error" }`
  *
  * @example
  * // cURL example
@@ -118,20 +125,31 @@ router.post(
   "/api/chat/upload",
   authRequired,
   upload.array("images[]", LIMIT_COUNT),
-  (req, res) => {
+  async (req, res) => {
     if (!req.files || req.files.length === 0) {
       return res
         .status(400)
         .json({ success: false, error: "No image received." });
     }
 
-    const base =
-      process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+    // Never built from the Host header, which the client controls
+    const base = process.env.PUBLIC_BASE_URL || "";
 
     const image_urls = req.files.map((f) =>
       base ? `${base}/uploads/${f.filename}` : `/uploads/${f.filename}`
     );
 
+    try {
+      await uploads.record(
+        req.user.id,
+        req.files.map((f) => f.filename)
+      );
+    } catch (err) {
+      console.error("Erreur enregistrement upload:", err.message);
+      await removeUploads(image_urls).catch(() => {});
+      return res.status(500).json({ success: false, error: "Upload error" });
+    }
+
     return res.json({ success: true, image_urls });
   }
 );
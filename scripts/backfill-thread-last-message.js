@@ -0,0 +1,26 @@
+/**
+ * @file scripts/backfill-thread-last-message.js
+ * @description
+ * Fills `chat_threads.last_message_id` for threads created before the column
+ * was maintained (and repairs any drift). Safe to run again at any time.
+ *
+ * @example
+ * node scripts/backfill-thread-last-message.js
+ */
+require("dotenv").config();
+const { pool } = require("../db/mysql");
+const ChatThreadRepository = require("../repositories/ChatThreadRepository");
+
+(async () => {
+  try {
+    const updated = await new ChatThreadRepository().backfillLastMessageIds();
+    console.log(
+      `✅ last_message_id mis à jour pour ${updated} conversation(s)`
+    );
+  } catch (err) {
+    console.error("❌ Backfill last_message_id:", err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+})();
@@ -0,0 +1,83 @@
+/**
+ * @file scripts/migrate.js
+ * @description
+ * Applies the SQL migrations of `database/migrations/` that the database has
+ * not seen yet, in file name order, and records each one in
+ * `schema_migrations`. Safe to run again at any time: applied versions are
+ * skipped.
+ *
+ * A migration is a `NNN_name.sql` file of `;`-terminated statements (lines
+ * starting with `--` are comments). MySQL commits DDL statements one by one,
+ * so a migration that fails halfway must be finished by hand before running
+ * the script again.
+ *
+ * @example
+ * node scripts/migrate.js          # apply pending migrations
+ * node scripts/migrate.js --list   # list pending migrations without applying them
+ */
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { pool } = require("../db/mysql");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "database", "migrations");
+const listOnly = process.argv.includes("--list");
+
+/**
+ * Splits a migration file into statements.
+ *
+ * @param {string} sql - File content.
+ * @returns {string[]}
+ */
+function statementsOf(sql) {
+  return sql
+    .split("\n")
+    .filter((line) => !line.trim().startsWith("--"))
+    .join("\n")
+    .split(";")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+(async () => {
+  try {
+    await pool.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version VARCHAR(128) NOT NULL PRIMARY KEY,
+         applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+       )`
+    );
+    const [rows] = await pool.query(`SELECT version FROM schema_migrations`);
+    const applied = new Set(rows.map((r) => r.version));
+
+    const files = fs
+      .readdirSync(MIGRATIONS_DIR)
+      .filter((f) => /^\d+_[\w-]+\.sql$/.test(f))
+      .sort();
+
+    let count = 0;
+    for (const file of files) {
+      const version = file.replace(/\.sql$/, "");
+      if (applied.has(version)) continue;
+      if (listOnly) {
+        console.log(`⏳ ${version}`);
+        continue;
+      }
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8");
+      for (const stmt of statementsOf(sql)) {
+        await pool.query(stmt);
+      }
+      await pool.query(`INSERT INTO schema_migrations (version) VALUES (?)`, [
+        version,
+      ]);
+      console.log(`✅ ${version}`);
+      count++;
+    }
+    if (!listOnly) console.log(`✅ ${count} migration(s) appliquée(s)`);
+  } catch (err) {
+    console.error("❌ Migration:", err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+})();
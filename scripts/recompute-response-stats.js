@@ -0,0 +1,38 @@
+/**
+ * @file scripts/recompute-response-stats.js
+ * @description
+ * Rebuilds sellers' response-time metrics (`chat_response_threads`,
+ * `chat_response_latencies`) from `chat_messages`. Run it once without
+ * argument to backfill history, then periodically (e.g. nightly from cron)
+ * on recent threads to repair any drift from the live updates.
+ *
+ * @example
+ * node scripts/recompute-response-stats.js            # every direct thread
+ * node scripts/recompute-response-stats.js --days 2   # threads active in the last 2 days
+ * # crontab: 30 3 * * * cd /srv/softadastra_chat && node scripts/recompute-response-stats.js --days 2
+ */
+require("dotenv").config();
+const { pool } = require("../db/mysql");
+const ChatResponseStatsRepository = require("../repositories/ChatResponseStatsRepository");
+
+const daysArg = process.argv.indexOf("--days");
+const sinceDays = daysArg > -1 ? parseInt(process.argv[daysArg + 1], 10) : null;
+
+(async () => {
+  try {
+    if (daysArg > -1 && !(sinceDays > 0)) {
+      throw new Error("--days doit être un entier positif");
+    }
+    const count = await new ChatResponseStatsRepository().recompute({
+      sinceDays,
+    });
+    console.log(
+      `✅ Statistiques de réponse recalculées pour ${count} conversation(s)`
+    );
+  } catch (err) {
+    console.error("❌ Recalcul des statistiques de réponse:", err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+})();
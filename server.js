@@ -10,8 +10,11 @@
  * ## Key Responsibilities
  * - Configure and secure the Express HTTP server with proper CORS and compression.
  * - Serve static assets (uploads) with long-term caching.
- * - Handle authentication for WebSocket upgrades via JWT or one-time tickets.
- * - Expose REST API routes for messages, notifications, analytics, uploads, and feeds.
+ * - Handle authentication for WebSocket upgrades via JWT or one-time tickets
+ *   (`/ws/chat` sockets are bound to the verified user before connecting).
+ * - Expose REST API routes for messages (and conversation exports),
+ *   notifications, analytics, uploads, feeds, moderation reports, seller
+ *   quick replies / away mode and shared shop team inboxes.
  * - Manage three real-time WebSocket hubs:
  *   - `/ws/likes` → real-time product likes
  *   - `/ws/chat` → real-time messaging
@@ -46,8 +49,10 @@ const cookieParser = require("cookie-parser");
 const compression = require("compression");
 const dbRouter = require("./routes/db");
 
-const { verifyPhpJwt } = require("./utils/auth-phpjwt");
+const { verifyPhpJwt, authOptional } = require("./utils/auth-phpjwt");
 const { verifyWsTicket } = require("./utils/ws-ticket");
+const { wsResolveUserId } = require("./utils/ws-auth");
+const { closeBus } = require("./ws/bus");
 
 const app = express();
 const server = http.createServer(app);
@@ -133,6 +138,9 @@ app.use(
 const messagesRoute = require("./routes/messages");
 app.use("/api/messages", messagesRoute);
 
+const messagesExportRoute = require("./routes/messages-export");
+app.use("/api/messages", messagesExportRoute);
+
 const notificationsRoutes = require("./routes/notifications");
 app.use("/api/notifications", notificationsRoutes);
 
@@ -145,6 +153,15 @@ app.use("/api", shopLocationsRoutes);
 const feedRoutes = require("./routes/feed");
 app.use("/api/feed", feedRoutes);
 
+const reportsRoutes = require("./routes/reports");
+app.use("/api/reports", reportsRoutes);
+
+const quickRepliesRoutes = require("./routes/quickReplies");
+app.use("/api/quick-replies", quickRepliesRoutes);
+
+const teamInboxRoutes = require("./routes/teamInbox");
+app.use("/api/team-inbox", teamInboxRoutes);
+
 const analyticsRoutes = require("./routes/analytics");
 app.use("/api/analytics", analyticsRoutes);
 
@@ -349,8 +366,21 @@ server.on("upgrade", (req, socket, head) => {
       return socket.destroy();
     }
 
-    if (pathname === "/ws/likes") return ok(wssLikes);
-    if (pathname === "/ws/chat") return ok(wssChat);
+    if (pathname === "/ws/likes") {
+      // Optional identity: per-user rate limits instead of per-IP
+      req.wsUserId = wsResolveUserId(req);
+      return ok(wssLikes);
+    }
+
+    if (pathname === "/ws/chat") {
+      const userId = wsResolveUserId(req);
+      if (!userId) {
+        socket.write("HTTP/1.1 401 Unauthorized\r\n\r\n");
+        return socket.destroy();
+      }
+      req.wsUserId = userId;
+      return ok(wssChat);
+    }
 
     socket.write("HTTP/1.1 404 Not Found\r\n\r\n");
     socket.destroy();
@@ -363,13 +393,34 @@ server.on("upgrade", (req, socket, head) => {
   }
 });
 
-// Image uploads
+// Image uploads (open to anonymous clients). The uploader is recorded when
+// the request is authenticated, so the purge of their disappearing messages
+// may delete the files (see repositories/ChatUploadRepository.js).
 const multer = require("multer");
+const ChatUploadRepository = require("./repositories/ChatUploadRepository");
+const chatUploads = new ChatUploadRepository();
 const upload = multer({ dest: path.join(__dirname, "public/uploads") });
-app.post("/api/chat/upload", upload.array("images[]", 10), (req, res) => {
-  const urls = (req.files || []).map((f) => `/uploads/${f.filename}`);
-  res.json({ image_urls: urls });
-});
+app.post(
+  "/api/chat/upload",
+  authOptional,
+  upload.array("images[]", 10),
+  async (req, res) => {
+    const files = req.files || [];
+    const urls = files.map((f) => `/uploads/${f.filename}`);
+    if (req.user && files.length) {
+      try {
+        await chatUploads.record(
+          req.user.id,
+          files.map((f) => f.filename)
+        );
+      } catch (err) {
+        // Unrecorded files are only never deleted
+        console.error("Erreur enregistrement upload:", err.message);
+      }
+    }
+    res.json({ image_urls: urls });
+  }
+);
 
 // ✅ Likes (real-time via WS)
 const likesRoutes = require("./routes/likes");
@@ -489,6 +540,7 @@ function shutdown(signal) {
   } catch {}
   closeWSS(wssLikes, "WS Likes");
   closeWSS(wssChat, "WS Chat");
+  closeBus().catch(() => {});
   server.close(() => {
     console.log("HTTP closed.");
     httpSockets.forEach((s) => {
@@ -13,6 +13,10 @@
  * - Enforce expiration checks (`exp` claim).
  * - Support **cross-service authentication** between PHP, Node.js, and C++ backends.
  * - Provide a secure fallback for trusted admin origins (bridge mode).
+ * - Restrict admin APIs to `admin` role tokens and trusted admin origins
+ *   (`adminRequired`).
+ * - Identify callers of public routes when they are authenticated
+ *   (`authOptional`).
  *
  * ## Trust Model
  * - `Authorization: Bearer <JWT>` header is preferred.
@@ -141,12 +145,48 @@ function verifyPhpJwt(token, secret) {
 }
 
 /**
- * Express middleware enforcing authentication for API routes.
+ * Resolves the user a request authenticates as.
  *
  * ## Behavior
  * - Checks `Authorization: Bearer <JWT>` or `cookies.token`.
- * - If JWT is valid, attaches `req.user = { id, payload }`.
- * - Otherwise, if the origin is trusted, allows `x-user-id` header (bridge mode).
+ * - Otherwise, if the origin is trusted, accepts the `x-user-id` header (bridge mode).
+ *
+ * @param {import("express").Request} req - Express request object.
+ * @returns {{ id: number, payload: Object }|null} `null` without credentials.
+ * @throws {Error} If a token is present but invalid, or carries no user ID.
+ */
+function requestUser(req) {
+  let token = null;
+  const h = req.headers.authorization || req.headers.Authorization;
+
+  // --- Bearer JWT ---
+  if (h && /^Bearer\s+/i.test(h)) token = h.replace(/^Bearer\s+/i, "").trim();
+  if (!token && req.cookies && req.cookies.token) token = req.cookies.token;
+
+  if (token) {
+    const secret = process.env.JWT_SECRET || process.env.SECRET || "change_me";
+    const payload = verifyPhpJwt(token, secret);
+    const userId = payload.id || payload.user_id || payload.userId;
+    if (!userId) throw new Error("Token without user ID");
+    return { id: Number(userId), payload };
+  }
+
+  // --- Bridge mode for trusted admin origins ---
+  const origin = String(req.headers.origin || req.headers.referer || "");
+  const trusted = TRUSTED_ORIGINS.some((base) => origin.startsWith(base));
+  const xuid = req.headers["x-user-id"];
+  if (trusted && xuid && /^\d+$/.test(String(xuid))) {
+    return { id: Number(xuid), payload: { bridge: "x-user-id" } };
+  }
+
+  return null;
+}
+
+/**
+ * Express middleware enforcing authentication for API routes.
+ *
+ * ## Behavior
+ * - Authenticates like `requestUser` and attaches `req.user = { id, payload }`.
  * - Responds with HTTP `401 Unauthorized` for invalid or missing credentials.
  *
  * @param {import("express").Request} req - Express request object.
@@ -156,37 +196,72 @@ function verifyPhpJwt(token, secret) {
  */
 function authRequired(req, res, next) {
   try {
-    let token = null;
-    const h = req.headers.authorization || req.headers.Authorization;
-
-    // --- Bearer JWT ---
-    if (h && /^Bearer\s+/i.test(h)) token = h.replace(/^Bearer\s+/i, "").trim();
-    if (!token && req.cookies && req.cookies.token) token = req.cookies.token;
-
-    if (token) {
-      const secret =
-        process.env.JWT_SECRET || process.env.SECRET || "change_me";
-      const payload = verifyPhpJwt(token, secret);
-      const userId = payload.id || payload.user_id || payload.userId;
-      if (!userId) return res.status(401).json({ error: "Unauthorized" });
-
-      req.user = { id: Number(userId), payload };
-      return next();
-    }
-
-    // --- Bridge mode for trusted admin origins ---
-    const origin = String(req.headers.origin || req.headers.referer || "");
-    const trusted = TRUSTED_ORIGINS.some((base) => origin.startsWith(base));
-    const xuid = req.headers["x-user-id"];
-    if (trusted && xuid && /^\d+$/.test(String(xuid))) {
-      req.user = { id: Number(xuid), payload: { bridge: "x-user-id" } };
-      return next();
-    }
-
-    return res.status(401).json({ error: "Unauthorized" });
+    const user = requestUser(req);
+    if (!user) return res.status(401).json({ error: "Unauthorized" });
+    req.user = user;
+    return next();
   } catch {
     return res.status(401).json({ error: "Unauthorized" });
   }
 }
 
-module.exports = { authRequired, verifyPhpJwt };
+/**
+ * Express middleware for routes open to anonymous clients that still want
+ * to know who is calling when they can: sets `req.user` like `authRequired`
+ * when the credentials are valid, leaves it unset otherwise, never rejects.
+ *
+ * @param {import("express").Request} req - Express request object.
+ * @param {import("express").Response} res - Express response object.
+ * @param {Function} next - Express next middleware callback.
+ * @returns {void}
+ */
+function authOptional(req, res, next) {
+  try {
+    req.user = requestUser(req) || undefined;
+  } catch {
+    req.user = undefined;
+  }
+  next();
+}
+
+/**
+ * Whether an authenticated request (see `authRequired`) comes from an
+ * administrator: an `admin` role token or a trusted admin origin (bridge mode).
+ *
+ * @param {import("express").Request} req - Request with `req.user` set.
+ * @returns {boolean}
+ */
+function isAdminRequest(req) {
+  const payload = req.user?.payload || {};
+  const role = String(payload.role || payload.r || "").toLowerCase();
+  return role === "admin" || !!payload.bridge;
+}
+
+/**
+ * Express middleware restricting a route to administrators.
+ *
+ * ## Behavior
+ * - Authenticates like `authRequired`.
+ * - Accepts JWTs whose `role` (or `r`) claim is `admin`, and bridge-mode
+ *   requests from trusted admin origins (admin dashboards).
+ * - Responds with HTTP `403 Forbidden` for authenticated non-admins.
+ *
+ * @param {import("express").Request} req - Express request object.
+ * @param {import("express").Response} res - Express response object.
+ * @param {Function} next - Express next middleware callback.
+ * @returns {void}
+ */
+function adminRequired(req, res, next) {
+  authRequired(req, res, () => {
+    if (isAdminRequest(req)) return next();
+    return res.status(403).json({ error: "Forbidden" });
+  });
+}
+
+module.exports = {
+  authRequired,
+  authOptional,
+  adminRequired,
+  isAdminRequest,
+  verifyPhpJwt,
+};
@@ -0,0 +1,154 @@
+/**
+ * @file utils/autoReply.js
+ * @description
+ * Pure helpers behind seller quick replies and the away auto-responder:
+ * placeholder rendering and business-hours schedules.
+ *
+ * ## Placeholders
+ * `{buyer_name}`, `{seller_name}`, `{product_title}` — unknown placeholders
+ * are left untouched, known ones without a value render as an empty string.
+ *
+ * ## Schedules
+ * Opening hours per weekday, in the seller's IANA time zone:
+ * ```json
+ * { "mon": [["09:00", "12:30"], ["14:00", "18:00"]], "sat": [["10:00", "16:00"]] }
+ * ```
+ * Days without ranges are closed; `"24:00"` closes at midnight.
+ *
+ * ## Example
+ * ```js
+ * const { renderTemplate, isWithinHours } = require("./utils/autoReply");
+ * renderTemplate("Hi {buyer_name}, {product_title} is in stock", { buyer_name: "Amina", product_title: "Sac" });
+ * isWithinHours({ mon: [["09:00", "18:00"]] }, "Africa/Kampala", new Date());
+ * ```
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+/**
+ * Placeholders filled by the server.
+ * @type {string[]}
+ */
+const PLACEHOLDERS = ["buyer_name", "seller_name", "product_title"];
+
+/**
+ * Schedule keys, in `Intl` short weekday order (`Sun` = 0).
+ * @type {string[]}
+ */
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+/**
+ * Maximum number of opening ranges per day.
+ * @type {number}
+ */
+const MAX_RANGES_PER_DAY = 4;
+
+/**
+ * Fills the placeholders of a template.
+ *
+ * @param {string} body - Template text.
+ * @param {Object<string, string|null|undefined>} vars - Placeholder values.
+ * @returns {string}
+ */
+function renderTemplate(body, vars = {}) {
+  return String(body || "")
+    .replace(/\{(\w+)\}/g, (m, key) =>
+      PLACEHOLDERS.includes(key) ? String(vars[key] ?? "") : m
+    )
+    .replace(/[ \t]{2,}/g, " ")
+    .trim();
+}
+
+/**
+ * Minutes since midnight of an `HH:MM` time (`24:00` allowed).
+ *
+ * @param {any} value - Candidate time.
+ * @returns {number|null} `null` when invalid.
+ */
+function toMinutes(value) {
+  const m = /^([01]\d|2[0-4]):([0-5]\d)$/.exec(String(value));
+  if (!m) return null;
+  const minutes = Number(m[1]) * 60 + Number(m[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+}
+
+/**
+ * Validates a business-hours schedule.
+ *
+ * @param {any} input - Candidate schedule.
+ * @returns {Object<string, Array<[string, string]>>|null} Normalized schedule
+ *          (sorted ranges, empty days dropped), or `null` when invalid.
+ */
+function parseSchedule(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) return null;
+  const out = {};
+  for (const [day, ranges] of Object.entries(input)) {
+    if (!WEEKDAYS.includes(day) || !Array.isArray(ranges)) return null;
+    if (ranges.length > MAX_RANGES_PER_DAY) return null;
+    const parsed = [];
+    for (const range of ranges) {
+      if (!Array.isArray(range) || range.length !== 2) return null;
+      const [start, end] = range.map(toMinutes);
+      if (start === null || end === null || start >= end) return null;
+      parsed.push([start, end, range]);
+    }
+    parsed.sort((a, b) => a[0] - b[0]);
+    for (let i = 1; i < parsed.length; i++) {
+      if (parsed[i][0] < parsed[i - 1][1]) return null; // overlap
+    }
+    if (parsed.length) out[day] = parsed.map(([, , range]) => range);
+  }
+  return out;
+}
+
+/**
+ * Whether a time zone is a valid IANA zone name.
+ *
+ * @param {any} tz - Candidate zone.
+ * @returns {boolean}
+ */
+function isValidTimezone(tz) {
+  if (typeof tz !== "string" || !tz) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether a date falls within the opening hours of a schedule.
+ *
+ * @param {Object<string, Array<[string, string]>>} schedule - Output of `parseSchedule()`.
+ * @param {string} timezone - IANA time zone of the schedule.
+ * @param {Date} [date=new Date()] - Instant to check.
+ * @returns {boolean}
+ */
+function isWithinHours(schedule, timezone, date = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  const day = parts.weekday.toLowerCase().slice(0, 3);
+  const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+  return (schedule?.[day] || []).some(
+    ([start, end]) => minutes >= toMinutes(start) && minutes < toMinutes(end)
+  );
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  renderTemplate,
+  parseSchedule,
+  isValidTimezone,
+  isWithinHours,
+};
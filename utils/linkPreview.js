@@ -0,0 +1,532 @@
+/**
+ * @file utils/linkPreview.js
+ * @description
+ * Link unfurling for chat messages and feed posts: finds the first link of
+ * a text, downloads the page and reads its title, description and image
+ * from the HTML metadata (Open Graph, Twitter cards, `<title>`).
+ *
+ * ## Safety
+ * Pages are fetched on behalf of users, so the fetcher refuses to reach the
+ * service's own network (SSRF):
+ * - only `http:` / `https:` URLs without credentials, on the usual web ports;
+ * - every address a host name resolves to is checked **at connection time**
+ *   (no DNS rebinding window) and private, loopback, link-local, CGNAT,
+ *   multicast and reserved ranges (IPv4 and IPv6) are refused;
+ * - redirects are followed by hand (at most `maxRedirects`), each hop
+ *   checked again;
+ * - one overall timeout, a body size cap, HTML responses only.
+ *
+ * Caching lives in `repositories/LinkPreviewRepository.js`.
+ *
+ * ## Example
+ * ```js
+ * const { firstUrl, fetchPreview } = require("./utils/linkPreview");
+ * const url = firstUrl("Regarde https://softadastra.com/p/42 !");
+ * const preview = await fetchPreview(url);
+ * // { url, title: "Sac en cuir", description: "…", image_url: "https://…/42.jpg", site_name: "Softadastra" }
+ * ```
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+const http = require("http");
+const https = require("https");
+const dns = require("dns");
+const net = require("net");
+const zlib = require("zlib");
+
+/**
+ * Fetch limits (overridable per call).
+ * @type {number}
+ */
+const PREVIEW_TIMEOUT_MS = parseInt(
+  process.env.LINK_PREVIEW_TIMEOUT_MS || "4000",
+  10
+);
+const PREVIEW_MAX_BYTES = 512 * 1024;
+const PREVIEW_MAX_REDIRECTS = 3;
+
+/**
+ * Ports a preview may be fetched from (empty = scheme default).
+ * @type {Set<string>}
+ */
+const ALLOWED_PORTS = new Set(["", "80", "443", "8080", "8443"]);
+
+/**
+ * Lengths kept from the page metadata.
+ * @type {number}
+ */
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_URL_LENGTH = 2048;
+
+/**
+ * Address ranges a preview is never fetched from.
+ * @type {import("net").BlockList}
+ */
+const BLOCKED_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8], // private
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local (cloud metadata)
+  ["172.16.0.0", 12], // private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.0.2.0", 24], // documentation
+  ["192.168.0.0", 16], // private
+  ["198.18.0.0", 15], // benchmarking
+  ["198.51.100.0", 24], // documentation
+  ["203.0.113.0", 24], // documentation
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved, broadcast
+]) {
+  BLOCKED_RANGES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 96], // unspecified, loopback, IPv4-compatible (embeds any IPv4)
+  ["64:ff9b::", 96], // NAT64
+  ["100::", 64], // discard
+  ["2001:db8::", 32], // documentation
+  ["2002::", 16], // 6to4 (embeds any IPv4)
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  BLOCKED_RANGES.addSubnet(network, prefix, "ipv6");
+}
+
+/**
+ * Error raised when a preview cannot be fetched. `code` is one of
+ * `invalid_url`, `blocked_address`, `timeout`, `too_many_redirects`,
+ * `http_error`, `not_html`, `network_error`.
+ */
+class LinkPreviewError extends Error {
+  /**
+   * @param {string} code - Machine-readable reason.
+   * @param {string} message - Description.
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "LinkPreviewError";
+    this.code = code;
+  }
+}
+
+/**
+ * Whether an IP address belongs to a range previews must not reach.
+ * Anything that is not an IP address counts as blocked.
+ *
+ * @param {string} address - IPv4 or IPv6 address (IPv4-mapped included).
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(String(address));
+  if (!family) return true;
+  return BLOCKED_RANGES.check(String(address), family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Parses and checks a URL to preview.
+ *
+ * @param {any} value - URL.
+ * @param {Object} [options]
+ * @param {boolean} [options.allowPrivateNetwork=false] - Lift the port check.
+ * @returns {URL|null} `null` unless an http(s) URL without credentials, on an allowed port.
+ */
+function parsePreviewUrl(value, { allowPrivateNetwork = false } = {}) {
+  if (typeof value !== "string" || value.length > MAX_URL_LENGTH) return null;
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+  if (url.username || url.password) return null;
+  if (!allowPrivateNetwork && !ALLOWED_PORTS.has(url.port)) return null;
+  url.hash = "";
+  return url;
+}
+
+/**
+ * First http(s) link of a text.
+ *
+ * @param {any} text - Message or post body.
+ * @returns {string|null}
+ */
+function firstUrl(text) {
+  if (typeof text !== "string") return null;
+  for (const match of text.matchAll(/\bhttps?:\/\/[^\s<>"'`]+/gi)) {
+    // Punctuation closing the sentence is not part of the link
+    const candidate = match[0].replace(/[.,;:!?)\]}]+$/, "");
+    if (parsePreviewUrl(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Named HTML entities decoded in metadata.
+ * @type {Record<string, string>}
+ */
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  hellip: "…",
+  laquo: "«",
+  raquo: "»",
+  rsquo: "’",
+  lsquo: "‘",
+  rdquo: "”",
+  ldquo: "“",
+  ndash: "–",
+  mdash: "—",
+};
+
+/**
+ * Decodes HTML entities and collapses whitespace.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function cleanText(value) {
+  return String(value)
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (all, name) => {
+      if (name[0] === "#") {
+        const code =
+          name[1].toLowerCase() === "x"
+            ? parseInt(name.slice(2), 16)
+            : parseInt(name.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : "";
+      }
+      return ENTITIES[name.toLowerCase()] ?? all;
+    })
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Cuts a text to `max` characters (with an ellipsis).
+ *
+ * @param {string} value
+ * @param {number} max
+ * @returns {string|null} `null` for an empty text.
+ */
+function truncate(value, max) {
+  if (!value) return null;
+  return value.length > max ? value.slice(0, max - 1).trimEnd() + "…" : value;
+}
+
+/**
+ * Attributes of an HTML tag.
+ *
+ * @param {string} tag - e.g. `<meta property="og:title" content="…">`.
+ * @returns {Record<string, string>} Lower-cased names, raw values.
+ */
+function tagAttributes(tag) {
+  const attrs = {};
+  const re = /([^\s=/<>"']+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+  for (const m of tag.matchAll(re)) {
+    attrs[m[1].toLowerCase()] = m[2] ?? m[3] ?? m[4] ?? "";
+  }
+  return attrs;
+}
+
+/**
+ * Reads the preview metadata of an HTML document.
+ *
+ * @param {string} html - Document (only the `<head>` is needed).
+ * @param {string} pageUrl - Final URL of the page (resolves relative image URLs).
+ * @returns {{ title: string|null, description: string|null, image_url: string|null, site_name: string|null } | null}
+ *          `null` when the page has neither a title nor a description.
+ */
+function parseHtmlMetadata(html, pageUrl) {
+  const end = html.search(/<\/head\s*>/i);
+  const head = (end === -1 ? html : html.slice(0, end)).replace(
+    /<!--[\s\S]*?-->/g,
+    ""
+  );
+
+  const meta = {};
+  for (const [tag] of head.matchAll(/<meta\b[^>]*>/gi)) {
+    const attrs = tagAttributes(tag);
+    const key = (attrs.property || attrs.name || "").toLowerCase();
+    if (key && attrs.content !== undefined && !(key in meta)) {
+      meta[key] = cleanText(attrs.content);
+    }
+  }
+  const titleTag = /<title\b[^>]*>([\s\S]*?)<\/title\s*>/i.exec(head);
+  const pick = (...keys) => keys.map((k) => meta[k]).find(Boolean) || null;
+
+  const title = truncate(
+    pick("og:title", "twitter:title") ||
+      (titleTag ? cleanText(titleTag[1]) : null),
+    MAX_TITLE_LENGTH
+  );
+  const description = truncate(
+    pick("og:description", "twitter:description", "description"),
+    MAX_DESCRIPTION_LENGTH
+  );
+  if (!title && !description) return null;
+
+  let image_url = null;
+  const image = pick(
+    "og:image:secure_url",
+    "og:image",
+    "og:image:url",
+    "twitter:image",
+    "twitter:image:src"
+  );
+  if (image) {
+    try {
+      const resolved = new URL(image, pageUrl);
+      if (
+        (resolved.protocol === "http:" || resolved.protocol === "https:") &&
+        resolved.href.length <= MAX_URL_LENGTH
+      ) {
+        image_url = resolved.href;
+      }
+    } catch {}
+  }
+
+  let site_name = pick("og:site_name", "application-name");
+  if (!site_name) {
+    try {
+      site_name = new URL(pageUrl).hostname.replace(/^www\./, "");
+    } catch {}
+  }
+
+  return {
+    title,
+    description,
+    image_url,
+    site_name: truncate(site_name, MAX_TITLE_LENGTH),
+  };
+}
+
+/**
+ * Character set of a response: `Content-Type` header, else `<meta charset>`.
+ *
+ * @param {string} contentType - Header value.
+ * @param {Buffer} body - Raw body.
+ * @returns {string} Decoder label (defaults to `utf-8`).
+ */
+function detectCharset(contentType, body) {
+  const fromHeader = /charset\s*=\s*["']?([\w-]+)/i.exec(contentType || "");
+  if (fromHeader) return fromHeader[1];
+  const sniff = body.subarray(0, 2048).toString("latin1");
+  const fromMeta = /<meta[^>]+charset\s*=\s*["']?([\w-]+)/i.exec(sniff);
+  return fromMeta ? fromMeta[1] : "utf-8";
+}
+
+/**
+ * Decodes a body with the given charset (utf-8 when unknown).
+ *
+ * @param {Buffer} body
+ * @param {string} charset
+ * @returns {string}
+ */
+function decodeBody(body, charset) {
+  try {
+    return new TextDecoder(charset).decode(body);
+  } catch {
+    return new TextDecoder("utf-8").decode(body);
+  }
+}
+
+/**
+ * DNS lookup that refuses blocked addresses, used as the socket's `lookup`
+ * so the checked address is the one connected to.
+ *
+ * @param {string} hostname
+ * @param {Object} options - `dns.lookup` options (`all` may be set by `net`).
+ * @param {Function} callback
+ * @returns {void}
+ */
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some((a) => isPrivateAddress(a.address))) {
+      return callback(
+        new LinkPreviewError(
+          "blocked_address",
+          `${hostname} resolves to a private address`
+        )
+      );
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Performs one GET request (no redirect following).
+ *
+ * @param {URL} url - Checked URL.
+ * @param {Object} options
+ * @param {number} options.deadline - Epoch ms after which the request is aborted.
+ * @param {number} options.maxBytes - Body size cap.
+ * @param {boolean} options.allowPrivateNetwork - Skip address checks.
+ * @returns {Promise<{ status: number, headers: Object, body: Buffer }>}
+ */
+function requestOnce(url, { deadline, maxBytes, allowPrivateNetwork }) {
+  return new Promise((resolve, reject) => {
+    const host = url.hostname.replace(/^\[|\]$/g, "");
+    if (!allowPrivateNetwork && net.isIP(host) && isPrivateAddress(host)) {
+      reject(
+        new LinkPreviewError("blocked_address", `${host} is a private address`)
+      );
+      return;
+    }
+
+    const client = url.protocol === "https:" ? https : http;
+    const req = client.get(url, {
+      headers: {
+        "User-Agent": "SoftadastraBot/1.0 (+link preview)",
+        Accept: "text/html,application/xhtml+xml;q=0.9,*/*;q=0.1",
+        "Accept-Encoding": "gzip, deflate, br",
+      },
+      agent: false, // fresh socket: always resolved through safeLookup
+      ...(allowPrivateNetwork ? {} : { lookup: safeLookup }),
+    });
+
+    let settled = false;
+    const finish = (err, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (err) reject(err);
+      else resolve(value);
+    };
+    const timer = setTimeout(() => {
+      const err = new LinkPreviewError("timeout", "Preview fetch timed out");
+      finish(err);
+      req.destroy(err);
+    }, Math.max(deadline - Date.now(), 0));
+
+    req.on("error", (err) =>
+      finish(
+        err instanceof LinkPreviewError
+          ? err
+          : new LinkPreviewError("network_error", err.message)
+      )
+    );
+    req.on("response", (res) => {
+      const { statusCode: status, headers } = res;
+      if (status >= 300 && status < 400) {
+        res.resume();
+        finish(null, { status, headers, body: Buffer.alloc(0) });
+        return;
+      }
+
+      const encoding = String(headers["content-encoding"] || "").toLowerCase();
+      const decoder =
+        encoding === "gzip"
+          ? zlib.createGunzip()
+          : encoding === "deflate"
+          ? zlib.createInflate()
+          : encoding === "br"
+          ? zlib.createBrotliDecompress()
+          : null;
+      const stream = decoder ? res.pipe(decoder) : res;
+
+      const chunks = [];
+      let size = 0;
+      const end = () => {
+        finish(null, { status, headers, body: Buffer.concat(chunks, size) });
+        req.destroy();
+      };
+      stream.on("data", (chunk) => {
+        if (settled) return;
+        const room = maxBytes - size;
+        chunks.push(chunk.length > room ? chunk.subarray(0, room) : chunk);
+        size += Math.min(chunk.length, room);
+        // The metadata lives in <head>: no need for the rest of the page
+        if (size >= maxBytes || /<\/head\s*>/i.test(chunk.toString("latin1"))) {
+          end();
+        }
+      });
+      stream.on("end", end);
+      stream.on("error", (err) => {
+        finish(new LinkPreviewError("network_error", err.message));
+      });
+    });
+  });
+}
+
+/**
+ * Downloads a page and builds its preview.
+ *
+ * @async
+ * @param {string} rawUrl - Link to preview.
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=LINK_PREVIEW_TIMEOUT_MS] - Overall timeout (redirects included).
+ * @param {number} [options.maxBytes=524288] - Body size cap.
+ * @param {number} [options.maxRedirects=3] - Redirects followed.
+ * @param {boolean} [options.allowPrivateNetwork=false] - Disable the SSRF
+ *        checks (tests against a local server, intranet deployments).
+ * @returns {Promise<{ url: string, title: string|null, description: string|null, image_url: string|null, site_name: string|null } | null>}
+ *          `null` when the page has no usable metadata.
+ * @throws {LinkPreviewError} When the page cannot be fetched.
+ */
+async function fetchPreview(
+  rawUrl,
+  {
+    timeoutMs = PREVIEW_TIMEOUT_MS,
+    maxBytes = PREVIEW_MAX_BYTES,
+    maxRedirects = PREVIEW_MAX_REDIRECTS,
+    allowPrivateNetwork = false,
+  } = {}
+) {
+  const deadline = Date.now() + timeoutMs;
+  let url = parsePreviewUrl(rawUrl, { allowPrivateNetwork });
+  if (!url) throw new LinkPreviewError("invalid_url", "Unsupported URL");
+
+  for (let hop = 0; ; hop++) {
+    const res = await requestOnce(url, {
+      deadline,
+      maxBytes,
+      allowPrivateNetwork,
+    });
+
+    if (res.status >= 300 && res.status < 400 && res.headers.location) {
+      if (hop >= maxRedirects) {
+        throw new LinkPreviewError("too_many_redirects", "Too many redirects");
+      }
+      let next = null;
+      try {
+        next = new URL(res.headers.location, url).href;
+      } catch {}
+      url = parsePreviewUrl(next, { allowPrivateNetwork });
+      if (!url) {
+        throw new LinkPreviewError("invalid_url", "Unsupported redirect");
+      }
+      continue;
+    }
+    if (res.status < 200 || res.status >= 300) {
+      throw new LinkPreviewError("http_error", `HTTP ${res.status}`);
+    }
+
+    const type = String(res.headers["content-type"] || "").toLowerCase();
+    if (!/text\/html|application\/xhtml\+xml/.test(type)) {
+      throw new LinkPreviewError("not_html", `Unsupported content: ${type}`);
+    }
+    const html = decodeBody(res.body, detectCharset(type, res.body));
+    const meta = parseHtmlMetadata(html, url.href);
+    return meta ? { url: rawUrl, ...meta } : null;
+  }
+}
+
+module.exports = {
+  LinkPreviewError,
+  isPrivateAddress,
+  parsePreviewUrl,
+  firstUrl,
+  parseHtmlMetadata,
+  fetchPreview,
+};
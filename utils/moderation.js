@@ -0,0 +1,394 @@
+/**
+ * @file utils/moderation.js
+ * @description
+ * Moderation pipeline for outgoing text (chat messages, feed posts): a list
+ * of checks run on the text before it is stored, each one reporting
+ * findings with an action. The strictest action wins:
+ *
+ * `allow` < `mask` < `hold` (kept for review) < `reject`
+ *
+ * ## Built-in checks
+ * - `profanity` — word lists per locale (`fr`, `en`, plus `MODERATION_WORDLISTS`);
+ *   each word belongs to the list of its action (`mask`, `hold`, `reject`).
+ * - `repeated_links` — too many links in one text, or a link the author
+ *   already posted `REPEATED_LINK_THRESHOLD` times recently → `hold`.
+ * - `contact_details` — phone numbers → `mask` (deals stay on the platform).
+ * - `off_platform_payment` — payment outside the platform (mobile money,
+ *   transfers, "pay me directly") → `hold`, `reject` with a phone number.
+ *
+ * A check is a function `(text, context) => Finding[]`; pass your own list
+ * to `createModerationPipeline()` to add, remove or replace checks.
+ *
+ * ## Environment Variables
+ * - `MODERATION_WORDLISTS` — optional JSON file of extra words, merged into
+ *   the built-in lists: `{ "sw": { "mask": ["..."] }, "fr": { "reject": ["..."] } }`.
+ *
+ * ## Example
+ * ```js
+ * const { createModerationPipeline } = require("./utils/moderation");
+ * const pipeline = createModerationPipeline();
+ * pipeline.moderate("Appelle-moi au +256 700 123 456", { locale: "fr-FR" });
+ * // { action: "mask", content: "Appelle-moi au **** *** *** ***", findings: [{ rule: "contact_details", action: "mask", ... }] }
+ * ```
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+const fs = require("fs");
+
+/**
+ * Actions, from the most lenient to the strictest.
+ * @type {string[]}
+ */
+const ACTIONS = ["allow", "mask", "hold", "reject"];
+
+/**
+ * Locales whose word lists are always applied, whatever the author's.
+ * @type {string[]}
+ */
+const DEFAULT_LOCALES = ["fr", "en"];
+
+/**
+ * Built-in word lists by locale and action (lowercase, accents kept).
+ * @type {Object<string, Object<string, string[]>>}
+ */
+const WORD_LISTS = {
+  en: {
+    mask: [
+      "fuck",
+      "fucking",
+      "shit",
+      "bitch",
+      "asshole",
+      "bastard",
+      "dickhead",
+    ],
+  },
+  fr: {
+    mask: [
+      "merde",
+      "putain",
+      "connard",
+      "connasse",
+      "salope",
+      "enculé",
+      "pute",
+    ],
+  },
+};
+
+/**
+ * Distinct links allowed in one text before it is held.
+ * @type {number}
+ */
+const MAX_LINKS_PER_TEXT = 5;
+
+/**
+ * Times a link may appear (this text + recent ones) before it is held.
+ * @type {number}
+ */
+const REPEATED_LINK_THRESHOLD = 3;
+
+/**
+ * Phone numbers: international (`+256 …`, `00256 …`) or local (`0700 …`),
+ * 9 to 15 digits with spaces, dots, dashes or parentheses between them.
+ * Prices (`1 500 000`, `1,500,000`) and dates do not start with `0` / `+`.
+ * @type {RegExp}
+ */
+const PHONE_RE = /(?:\+\d|\b0)[\d\s().-]{7,20}\d/g;
+
+/**
+ * Off-platform payment phrases (lowercase, matched on word boundaries).
+ * @type {string[]}
+ */
+const PAYMENT_PHRASES = [
+  "mobile money",
+  "momo",
+  "mpesa",
+  "m-pesa",
+  "airtel money",
+  "orange money",
+  "western union",
+  "moneygram",
+  "wa.me",
+  "pay me directly",
+  "pay outside",
+  "outside the platform",
+  "payez-moi directement",
+  "paiement direct",
+  "hors de la plateforme",
+  "en dehors de la plateforme",
+];
+
+/**
+ * Links: `http(s)://…` or `www.…`, up to the next space.
+ * @type {RegExp}
+ */
+const LINK_RE = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+
+/**
+ * @typedef {Object} Finding
+ * @property {string} rule - Check that reported it.
+ * @property {string} action - One of `ACTIONS`.
+ * @property {string} match - Matched text (audit).
+ * @property {number} [start] - Offset of the match, for `mask`.
+ * @property {number} [end] - End offset (exclusive), for `mask`.
+ */
+
+/**
+ * Escapes a string for use in a regular expression.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Regular expression matching any of the phrases as whole words.
+ *
+ * @param {string[]} phrases - Lowercase words or phrases.
+ * @returns {RegExp|null} `null` for an empty list.
+ */
+function phrasesRegExp(phrases) {
+  if (!phrases.length) return null;
+  const alternatives = [...phrases]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join("|");
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`,
+    "giu"
+  );
+}
+
+/**
+ * Language of a locale or `Accept-Language` value (`fr-FR,fr;q=0.9` → `fr`).
+ *
+ * @param {any} locale
+ * @returns {string|null}
+ */
+function baseLocale(locale) {
+  const m = /^\s*([a-z]{2,3})\b/i.exec(String(locale || ""));
+  return m ? m[1].toLowerCase() : null;
+}
+
+/**
+ * Merges word lists (`{ locale: { action: words } }`), ignoring unknown
+ * actions and non-string words.
+ *
+ * @param {...Object} lists
+ * @returns {Object<string, Object<string, string[]>>}
+ */
+function mergeWordLists(...lists) {
+  const merged = {};
+  for (const list of lists) {
+    for (const [locale, byAction] of Object.entries(list || {})) {
+      const target = (merged[locale.toLowerCase()] ||= {});
+      for (const [action, words] of Object.entries(byAction || {})) {
+        if (action === "allow" || !ACTIONS.includes(action)) continue;
+        if (!Array.isArray(words)) continue;
+        const clean = words
+          .filter((w) => typeof w === "string" && w.trim())
+          .map((w) => w.trim().toLowerCase());
+        target[action] = [...new Set([...(target[action] || []), ...clean])];
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Extra word lists from `MODERATION_WORDLISTS`, if set.
+ *
+ * @returns {Object}
+ * @throws {Error} When the file cannot be read or parsed (at startup).
+ */
+function loadWordListFile() {
+  const file = process.env.MODERATION_WORDLISTS;
+  return file ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+}
+
+/**
+ * All matches of a global regular expression as findings.
+ *
+ * @param {string} text
+ * @param {RegExp} re - Global expression.
+ * @param {string} rule
+ * @param {string} action
+ * @returns {Finding[]}
+ */
+function matchAll(text, re, rule, action) {
+  return [...text.matchAll(re)].map((m) => ({
+    rule,
+    action,
+    match: m[0],
+    start: m.index,
+    end: m.index + m[0].length,
+  }));
+}
+
+/**
+ * Phone numbers of a text.
+ *
+ * @param {string} text
+ * @returns {Array<{ 0: string, index: number }>}
+ */
+function findPhoneNumbers(text) {
+  return [...text.matchAll(PHONE_RE)].filter((m) => {
+    const digits = m[0].replace(/\D/g, "").length;
+    return digits >= 9 && digits <= 15;
+  });
+}
+
+/**
+ * Normalized links of a text (no scheme, `www.` or trailing punctuation / slash).
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function extractLinks(text) {
+  return [...String(text || "").matchAll(LINK_RE)].map((m) =>
+    m[0]
+      .replace(/[.,;:!?)\]]+$/, "")
+      .replace(/\/+$/, "")
+      .replace(/^https?:\/\//i, "")
+      .replace(/^www\./i, "")
+      .toLowerCase()
+  );
+}
+
+/**
+ * Built-in checks, by rule name.
+ * @type {Object<string, (text: string, context: Object) => Finding[]>}
+ */
+const CHECKS = {
+  profanity(text, { locales, wordLists }) {
+    const findings = [];
+    for (const action of ["mask", "hold", "reject"]) {
+      const words = locales.flatMap((l) => wordLists[l]?.[action] || []);
+      const re = phrasesRegExp([...new Set(words)]);
+      if (re) findings.push(...matchAll(text, re, "profanity", action));
+    }
+    return findings;
+  },
+
+  repeated_links(text, { history }) {
+    const links = extractLinks(text);
+    if (new Set(links).size > MAX_LINKS_PER_TEXT) {
+      return [
+        { rule: "repeated_links", action: "hold", match: links.join(" ") },
+      ];
+    }
+    const seen = history.flatMap(extractLinks);
+    const repeated = [...new Set(links)].filter(
+      (link) =>
+        links.filter((l) => l === link).length +
+          seen.filter((l) => l === link).length >=
+        REPEATED_LINK_THRESHOLD
+    );
+    return repeated.map((link) => ({
+      rule: "repeated_links",
+      action: "hold",
+      match: link,
+    }));
+  },
+
+  contact_details(text) {
+    return findPhoneNumbers(text).map((m) => ({
+      rule: "contact_details",
+      action: "mask",
+      match: m[0],
+      start: m.index,
+      end: m.index + m[0].length,
+    }));
+  },
+
+  off_platform_payment(text) {
+    const payments = matchAll(
+      text,
+      phrasesRegExp(PAYMENT_PHRASES),
+      "off_platform_payment",
+      "hold"
+    );
+    if (!payments.length) return [];
+    const action = findPhoneNumbers(text).length ? "reject" : "hold";
+    return payments.map(({ rule, match }) => ({ rule, action, match }));
+  },
+};
+
+/**
+ * Replaces the masked spans of a text with `*` (one per character).
+ *
+ * @param {string} text
+ * @param {Finding[]} findings - Findings with `start` / `end`.
+ * @returns {string}
+ */
+function applyMasks(text, findings) {
+  const chars = [...text.matchAll(/[\s\S]/gu)].map((m) => [m.index, m[0]]);
+  const spans = findings.filter(
+    (f) => f.action === "mask" && Number.isInteger(f.start)
+  );
+  return chars
+    .map(([i, c]) =>
+      spans.some((f) => i >= f.start && i < f.end) && /\S/.test(c) ? "*" : c
+    )
+    .join("");
+}
+
+/**
+ * Creates a moderation pipeline.
+ *
+ * @param {Object} [options]
+ * @param {Array<(text: string, context: Object) => Finding[]>} [options.checks]
+ *        Checks to run (default: every built-in check).
+ * @param {Object} [options.wordLists] - Extra word lists, merged into the
+ *        built-in ones and `MODERATION_WORDLISTS`.
+ * @returns {{ moderate: (text: string, context?: { locale?: string, history?: string[] }) => { action: string, content: string, findings: Finding[] } }}
+ */
+function createModerationPipeline({
+  checks = Object.values(CHECKS),
+  wordLists = {},
+} = {}) {
+  const lists = mergeWordLists(WORD_LISTS, loadWordListFile(), wordLists);
+
+  /**
+   * Runs every check on a text.
+   *
+   * @param {string} text - Text about to be stored.
+   * @param {Object} [context]
+   * @param {string} [context.locale] - Author's locale (`Accept-Language`).
+   * @param {string[]} [context.history] - Author's recent texts.
+   * @returns {{ action: string, content: string, findings: Finding[] }}
+   *          `content` is the text with the `mask` findings hidden.
+   */
+  function moderate(text, { locale = null, history = [] } = {}) {
+    const value = String(text || "");
+    const own = baseLocale(locale);
+    const context = {
+      locales: [...new Set([own, ...DEFAULT_LOCALES].filter(Boolean))],
+      wordLists: lists,
+      history,
+    };
+    const findings = value
+      ? checks.flatMap((check) => check(value, context))
+      : [];
+    const action = findings.reduce(
+      (worst, f) =>
+        ACTIONS.indexOf(f.action) > ACTIONS.indexOf(worst) ? f.action : worst,
+      "allow"
+    );
+    return { action, content: applyMasks(value, findings), findings };
+  }
+
+  return { moderate };
+}
+
+module.exports = {
+  ACTIONS,
+  CHECKS,
+  baseLocale,
+  createModerationPipeline,
+};
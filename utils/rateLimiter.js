@@ -0,0 +1,269 @@
+/**
+ * @file utils/rateLimiter.js
+ * @description
+ * In-memory token-bucket rate limiting for the WebSocket hubs
+ * (`/ws/chat`, `/ws/likes`), keyed per user and per frame type.
+ *
+ * Each frame type has a bucket of `burst` tokens refilled at `perSec` tokens
+ * per second; types without their own limit share the hub's `*` bucket.
+ * A frame that finds its bucket empty is rejected (`rate_limited` error
+ * frame) and counts as a **strike**; a client that collects too many strikes
+ * within the strike window is disconnected.
+ *
+ * Every limiter reports to a shared metrics registry (allowed / limited
+ * frames per type, disconnects), exposed by `GET /api/status/rate-limits`.
+ *
+ * ## Environment Variables
+ * - `WS_RATE_LIMITS` — overrides, comma-separated `hub.type=burst:perSec`
+ *   (e.g. `chat.message_send=10:0.5,likes.*=60:2`).
+ * - `WS_RATE_LIMIT_MAX_STRIKES` — strikes before disconnect (default: `20`).
+ * - `WS_RATE_LIMIT_STRIKE_WINDOW_MS` — strike window (default: `60000`).
+ * - `WS_TRUSTED_PROXY_HOPS` — reverse proxies in front of the server whose
+ *   `X-Forwarded-For` entries are trusted (default: `0`, header ignored).
+ *
+ * ## Example
+ * ```js
+ * const { createRateLimiter } = require("./utils/rateLimiter");
+ * const limiter = createRateLimiter("chat", { message_send: [20, 1], "*": [60, 10] });
+ *
+ * const r = limiter.consume("42", "message_send");
+ * if (!r.ok) {
+ *   send({ type: "error", code: "rate_limited", retry_after_ms: r.retryAfterMs });
+ *   if (limiter.strike("42")) ws.close(1008, "rate_limited");
+ * }
+ * ```
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+/**
+ * Strikes (rejected frames) tolerated within the strike window before the
+ * client is disconnected.
+ * @type {number}
+ */
+const MAX_STRIKES = parseInt(process.env.WS_RATE_LIMIT_MAX_STRIKES || "20", 10);
+
+/**
+ * Strike window in milliseconds.
+ * @type {number}
+ */
+const STRIKE_WINDOW_MS = parseInt(
+  process.env.WS_RATE_LIMIT_STRIKE_WINDOW_MS || "60000",
+  10
+);
+
+/**
+ * Number of trusted reverse proxies in front of the server.
+ * @type {number}
+ */
+const TRUSTED_PROXY_HOPS = parseInt(
+  process.env.WS_TRUSTED_PROXY_HOPS || "0",
+  10
+);
+
+/**
+ * How often idle state (refilled buckets, expired strikes) is dropped.
+ * @type {number}
+ */
+const SWEEP_INTERVAL_MS = 60_000;
+
+/**
+ * Metrics of every limiter, keyed by hub name.
+ * @type {Map<string, { types: Map<string, { allowed: number, limited: number }>, disconnects: number, limits: Object }>}
+ */
+const registry = new Map();
+
+/**
+ * Parses `WS_RATE_LIMITS` into `{ [hub]: { [type]: [burst, perSec] } }`.
+ * Malformed entries are ignored.
+ *
+ * @param {string} [raw=process.env.WS_RATE_LIMITS] - Override string.
+ * @returns {Object<string, Object<string, [number, number]>>}
+ */
+function parseLimitOverrides(raw = process.env.WS_RATE_LIMITS || "") {
+  const out = {};
+  for (const entry of raw.split(",")) {
+    const m = entry
+      .trim()
+      .match(/^([\w-]+)\.([\w:*-]+)=(\d+):(\d+(?:\.\d+)?)$/);
+    if (!m) continue;
+    const [, hub, type, burst, perSec] = m;
+    out[hub] = out[hub] || {};
+    out[hub][type] = [Number(burst), Number(perSec)];
+  }
+  return out;
+}
+
+/**
+ * IP address of the client behind a request. `X-Forwarded-For` is only read
+ * when proxies are trusted, and then from the right: each trusted proxy
+ * appends the address it received the request from, anything further left
+ * was written by the client and may be forged.
+ *
+ * @param {import("http").IncomingMessage} req - Request (or upgrade request).
+ * @param {number} [trustedHops=WS_TRUSTED_PROXY_HOPS] - Trusted proxies.
+ * @returns {string} Empty when unknown.
+ */
+function clientAddress(req, trustedHops = TRUSTED_PROXY_HOPS) {
+  const remote = String(req?.socket?.remoteAddress || "");
+  if (!(trustedHops > 0)) return remote;
+  const forwarded = String(req?.headers?.["x-forwarded-for"] || "")
+    .split(",")
+    .map((ip) => ip.trim())
+    .filter(Boolean);
+  const chain = [...forwarded, remote];
+  return chain[Math.max(chain.length - 1 - trustedHops, 0)];
+}
+
+/**
+ * Creates a rate limiter for a hub.
+ *
+ * @param {string} hub - Hub name (`chat`, `likes`), used for metrics and overrides.
+ * @param {Object<string, [number, number]>} limits - `{ [type]: [burst, perSec] }`;
+ *        `*` is the fallback bucket for types without their own limit.
+ * @param {Object} [options]
+ * @param {number} [options.maxStrikes] - Strikes before disconnect.
+ * @param {number} [options.strikeWindowMs] - Strike window.
+ * @param {() => number} [options.now=Date.now] - Clock (tests).
+ * @returns {{
+ *   consume: (key: string, type: string) => { ok: boolean, retryAfterMs: number },
+ *   strike: (key: string) => boolean,
+ *   recordDisconnect: () => void,
+ *   limits: Object<string, [number, number]>
+ * }}
+ */
+function createRateLimiter(hub, limits, options = {}) {
+  const {
+    maxStrikes = MAX_STRIKES,
+    strikeWindowMs = STRIKE_WINDOW_MS,
+    now = Date.now,
+  } = options;
+  const effective = { ...limits, ...(parseLimitOverrides()[hub] || {}) };
+
+  /** @type {Map<string, { tokens: number, at: number }>} */
+  const buckets = new Map();
+  /** @type {Map<string, number[]>} */
+  const strikes = new Map();
+  let lastSweep = now();
+
+  if (!registry.has(hub)) {
+    registry.set(hub, { types: new Map(), disconnects: 0 });
+  }
+  const metrics = registry.get(hub);
+  metrics.limits = effective;
+
+  function count(type, field) {
+    if (!metrics.types.has(type)) {
+      metrics.types.set(type, { allowed: 0, limited: 0 });
+    }
+    metrics.types.get(type)[field]++;
+  }
+
+  function sweep(t) {
+    if (t - lastSweep < SWEEP_INTERVAL_MS) return;
+    lastSweep = t;
+    for (const [k, b] of buckets) {
+      const [burst, perSec] = effective[k.slice(k.lastIndexOf("|") + 1)];
+      const refilled = b.tokens + ((t - b.at) / 1000) * perSec >= burst;
+      if (refilled) buckets.delete(k);
+    }
+    for (const [k, hits] of strikes) {
+      if (!hits.length || t - hits[hits.length - 1] > strikeWindowMs) {
+        strikes.delete(k);
+      }
+    }
+  }
+
+  /**
+   * Takes one token for `type` from `key`'s bucket.
+   *
+   * @param {string} key - Client key (user ID, or IP for anonymous clients).
+   * @param {string} type - Frame type (known types only: metrics are kept per type).
+   * @returns {{ ok: boolean, retryAfterMs: number }}
+   */
+  function consume(key, type) {
+    const t = now();
+    sweep(t);
+
+    const bucketType = effective[type] ? type : "*";
+    const limit = effective[bucketType];
+    if (!limit) {
+      count(type, "allowed");
+      return { ok: true, retryAfterMs: 0 };
+    }
+
+    const [burst, perSec] = limit;
+    const id = `${key}|${bucketType}`;
+    const b = buckets.get(id) || { tokens: burst, at: t };
+    b.tokens = Math.min(burst, b.tokens + ((t - b.at) / 1000) * perSec);
+    b.at = t;
+    buckets.set(id, b);
+
+    if (b.tokens >= 1) {
+      b.tokens -= 1;
+      count(type, "allowed");
+      return { ok: true, retryAfterMs: 0 };
+    }
+    count(type, "limited");
+    return {
+      ok: false,
+      retryAfterMs:
+        perSec > 0 ? Math.ceil(((1 - b.tokens) / perSec) * 1000) : -1,
+    };
+  }
+
+  /**
+   * Records a rejected frame for `key`.
+   *
+   * @param {string} key - Client key.
+   * @returns {boolean} `true` when the client should be disconnected.
+   */
+  function strike(key) {
+    const t = now();
+    const hits = (strikes.get(key) || []).filter(
+      (at) => t - at < strikeWindowMs
+    );
+    hits.push(t);
+    strikes.set(key, hits);
+    return hits.length >= maxStrikes;
+  }
+
+  /**
+   * Counts a disconnect caused by this limiter.
+   * @returns {void}
+   */
+  function recordDisconnect() {
+    metrics.disconnects++;
+  }
+
+  return { consume, strike, recordDisconnect, limits: effective };
+}
+
+/**
+ * Snapshot of the rate-limit metrics of every hub since startup.
+ *
+ * @returns {Object<string, { limits: Object<string, [number, number]>, types: Object<string, { allowed: number, limited: number }>, limited: number, disconnects: number }>}
+ */
+function getRateLimitMetrics() {
+  const out = {};
+  for (const [hub, m] of registry) {
+    const types = Object.fromEntries(
+      Array.from(m.types, ([type, c]) => [type, { ...c }])
+    );
+    out[hub] = {
+      limits: m.limits,
+      types,
+      limited: Object.values(types).reduce((n, c) => n + c.limited, 0),
+      disconnects: m.disconnects,
+    };
+  }
+  return out;
+}
+
+module.exports = {
+  clientAddress,
+  createRateLimiter,
+  getRateLimitMetrics,
+  parseLimitOverrides,
+};
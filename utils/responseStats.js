@@ -0,0 +1,191 @@
+/**
+ * @file utils/responseStats.js
+ * @description
+ * Pure helpers behind seller response-time metrics ("usually replies
+ * within an hour").
+ *
+ * ## Model
+ * Each direct thread is followed as a small state machine. The author of
+ * the first message is the buyer, the other member the responder. A buyer
+ * message starts a wait (`pending_since`, unless one is already running);
+ * the responder's next message ends it and yields a latency, flagged
+ * `is_first` for the first answer of the conversation. Auto-replies (away
+ * mode) never count as answers.
+ *
+ * The same step function is used live (`ws/chat.js`, one message at a time)
+ * and by the recompute job (whole threads replayed from `chat_messages`),
+ * so both always agree.
+ *
+ * ## Example
+ * ```js
+ * const { replayThread, summarizeResponses } = require("./utils/responseStats");
+ * const { state, latencies } = replayThread(messages, [12, 42]);
+ * ```
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+/**
+ * Badges by median first-response time (seconds), fastest first.
+ * @type {Array<[number, string]>}
+ */
+const RESPONSE_BADGES = [
+  [3600, "within_an_hour"],
+  [3 * 3600, "within_a_few_hours"],
+  [24 * 3600, "within_a_day"],
+];
+
+/**
+ * Conversations needed before a badge is shown.
+ * @type {number}
+ */
+const MIN_CONVERSATIONS = 3;
+
+/**
+ * Median of a list of numbers.
+ *
+ * @param {number[]} values
+ * @returns {number|null} `null` for an empty list.
+ */
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[mid]
+    : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * Applies one message to a thread's response state.
+ *
+ * @param {Object|null} state - `{ responder_id, buyer_id, started_at, first_response_at, pending_since }`
+ *        (times in ms), or `null` before the first message.
+ * @param {Object} msg
+ * @param {number} msg.sender_id - Author.
+ * @param {number} msg.recipient_id - Other member of the direct thread.
+ * @param {Date|string|number} msg.at - Sending time.
+ * @param {boolean} [msg.auto_reply] - Sent by the away auto-responder.
+ * @returns {{ state: Object|null, latency: { seconds: number, is_first: boolean, at: number } | null }}
+ */
+function stepResponse(state, { sender_id, recipient_id, at, auto_reply }) {
+  const t = new Date(at).getTime();
+  const sender = Number(sender_id);
+
+  if (!state) {
+    if (auto_reply) return { state: null, latency: null };
+    return {
+      state: {
+        responder_id: Number(recipient_id),
+        buyer_id: sender,
+        started_at: t,
+        first_response_at: null,
+        pending_since: t,
+      },
+      latency: null,
+    };
+  }
+
+  if (sender === state.buyer_id) {
+    return {
+      state: { ...state, pending_since: state.pending_since ?? t },
+      latency: null,
+    };
+  }
+  if (
+    sender !== state.responder_id ||
+    auto_reply ||
+    state.pending_since === null
+  ) {
+    return { state, latency: null };
+  }
+
+  return {
+    state: {
+      ...state,
+      first_response_at: state.first_response_at ?? t,
+      pending_since: null,
+    },
+    latency: {
+      seconds: Math.max(0, Math.round((t - state.pending_since) / 1000)),
+      is_first: state.first_response_at === null,
+      at: t,
+    },
+  };
+}
+
+/**
+ * Replays a whole direct thread.
+ *
+ * @param {Array<{ sender_id: number, created_at: Date|string, auto_reply?: boolean }>} messages - Oldest first.
+ * @param {number[]} memberIds - The two members of the thread.
+ * @returns {{ state: Object|null, latencies: Array<{ seconds: number, is_first: boolean, at: number }> }}
+ */
+function replayThread(messages, memberIds) {
+  const members = memberIds.map(Number);
+  let state = null;
+  const latencies = [];
+  for (const m of messages) {
+    const sender = Number(m.sender_id);
+    const step = stepResponse(state, {
+      sender_id: sender,
+      recipient_id: members.find((id) => id !== sender),
+      at: m.created_at,
+      auto_reply: m.auto_reply,
+    });
+    state = step.state;
+    if (step.latency) latencies.push(step.latency);
+  }
+  return { state, latencies };
+}
+
+/**
+ * Badge for a median first-response time.
+ *
+ * @param {number|null} seconds - Median first-response time.
+ * @returns {string|null} See `RESPONSE_BADGES`; `null` when slower than a day.
+ */
+function responseBadge(seconds) {
+  if (seconds === null) return null;
+  const hit = RESPONSE_BADGES.find(([max]) => seconds <= max);
+  return hit ? hit[1] : null;
+}
+
+/**
+ * Public metrics of a responder.
+ *
+ * @param {Object} input
+ * @param {number} input.conversations - Conversations taken into account.
+ * @param {number} input.responded - Those that got an answer.
+ * @param {number[]} input.firstLatencies - First-response times (seconds).
+ * @param {number[]} input.replyLatencies - Every reply latency (seconds).
+ * @returns {{ conversations: number, response_rate: number|null, first_response_median_sec: number|null, reply_median_sec: number|null, badge: string|null }}
+ */
+function summarizeResponses({
+  conversations,
+  responded,
+  firstLatencies,
+  replyLatencies,
+}) {
+  const firstMedian = median(firstLatencies);
+  return {
+    conversations,
+    response_rate: conversations
+      ? Math.round((responded / conversations) * 100) / 100
+      : null,
+    first_response_median_sec: firstMedian,
+    reply_median_sec: median(replyLatencies),
+    badge:
+      conversations >= MIN_CONVERSATIONS ? responseBadge(firstMedian) : null,
+  };
+}
+
+module.exports = {
+  RESPONSE_BADGES,
+  median,
+  stepResponse,
+  replayThread,
+  responseBadge,
+  summarizeResponses,
+};
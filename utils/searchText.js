@@ -0,0 +1,155 @@
+/**
+ * @file utils/searchText.js
+ * @description
+ * Text helpers for the chat message search (`GET /api/messages/search`):
+ * turn a user query into search terms and a MySQL boolean-mode `MATCH`
+ * expression, and locate the matched terms in a message for highlighting.
+ *
+ * Matching mirrors the database: terms are prefixes of words, and comparison
+ * ignores case and accents (`utf8mb4_unicode_ci`), so "cafe" highlights "Café".
+ *
+ * ## Example
+ * ```js
+ * const { searchTerms, booleanQuery, highlightMatches } = require("./utils/searchText");
+ * const terms = searchTerms("taille XL ?");   // ["taille", "xl"]
+ * booleanQuery(terms);                        // "+taille*"  ("xl" is too short for FULLTEXT)
+ * highlightMatches("Quelle taille ? XL", terms);
+ * // { snippet: "Quelle taille ? XL", highlights: [[7, 13], [16, 18]] }
+ * ```
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+/**
+ * Shortest term indexed by InnoDB FULLTEXT (`innodb_ft_min_token_size`).
+ * Shorter terms are matched with `LIKE` instead.
+ * @type {number}
+ */
+const FULLTEXT_MIN_TERM_LENGTH = 3;
+
+/**
+ * Maximum number of terms kept from a query.
+ * @type {number}
+ */
+const MAX_TERMS = 8;
+
+/**
+ * Default snippet length (characters) around the first match.
+ * @type {number}
+ */
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Lower-cases a string and strips its accents.
+ *
+ * @param {string} s - Input.
+ * @returns {string}
+ */
+function fold(s) {
+  return s.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+}
+
+/**
+ * Escapes the `LIKE` wildcards (`%`, `_`) and the escape character itself,
+ * for patterns used with `ESCAPE '\\'`.
+ *
+ * @param {string} value - Literal text.
+ * @returns {string}
+ */
+function escapeLike(value) {
+  return String(value).replace(/[\\%_]/g, "\\$&");
+}
+
+/**
+ * Splits a query into distinct search terms (letters / digits only, so
+ * boolean-mode operators typed by users are ignored).
+ *
+ * @param {string} q - Raw query.
+ * @returns {string[]} Folded terms, at most `MAX_TERMS`.
+ */
+function searchTerms(q) {
+  const words = fold(String(q || "")).match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(words)].slice(0, MAX_TERMS);
+}
+
+/**
+ * Builds a boolean-mode `AGAINST` expression requiring every term long
+ * enough to be indexed, as a word prefix.
+ *
+ * @param {string[]} terms - Output of `searchTerms()`.
+ * @returns {string} Empty when no term is long enough.
+ */
+function booleanQuery(terms) {
+  return terms
+    .filter((t) => t.length >= FULLTEXT_MIN_TERM_LENGTH)
+    .map((t) => `+${t}*`)
+    .join(" ");
+}
+
+/**
+ * Finds the terms (as word prefixes) in a message and cuts a snippet around
+ * the first match. Offsets are string indexes into `snippet`.
+ *
+ * @param {string|null} content - Message content.
+ * @param {string[]} terms - Output of `searchTerms()`.
+ * @param {Object} [options]
+ * @param {number} [options.snippetLength=160] - Maximum snippet length (ellipses excluded).
+ * @returns {{ snippet: string, highlights: Array<[number, number]> }}
+ */
+function highlightMatches(
+  content,
+  terms,
+  { snippetLength = SNIPPET_LENGTH } = {}
+) {
+  const text = String(content || "");
+
+  // Fold character by character to map folded offsets back to the original.
+  let folded = "";
+  const origin = [];
+  let i = 0;
+  for (const ch of text) {
+    const f = fold(ch);
+    for (let k = 0; k < f.length; k++) origin.push(i);
+    folded += f;
+    i += ch.length;
+  }
+  origin.push(text.length);
+
+  const ranges = [];
+  if (terms.length) {
+    const alternatives = [...terms]
+      .sort((a, b) => b.length - a.length)
+      .map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join("|");
+    const re = new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})`, "gu");
+    for (const m of folded.matchAll(re)) {
+      ranges.push([origin[m.index], origin[m.index + m[0].length]]);
+    }
+  }
+
+  let start = 0;
+  if (text.length > snippetLength && ranges.length) {
+    start = Math.max(
+      0,
+      Math.min(ranges[0][0] - 40, text.length - snippetLength)
+    );
+  }
+  const end = Math.min(text.length, start + snippetLength);
+  const prefix = start > 0 ? "…" : "";
+
+  return {
+    snippet: prefix + text.slice(start, end) + (end < text.length ? "…" : ""),
+    highlights: ranges
+      .filter(([s, e]) => s >= start && e <= end)
+      .map(([s, e]) => [s - start + prefix.length, e - start + prefix.length]),
+  };
+}
+
+module.exports = {
+  FULLTEXT_MIN_TERM_LENGTH,
+  escapeLike,
+  searchTerms,
+  booleanQuery,
+  highlightMatches,
+};
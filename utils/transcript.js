@@ -0,0 +1,317 @@
+/**
+ * @file utils/transcript.js
+ * @description
+ * Writers for conversation exports (`routes/messages-export.js`): JSON, CSV
+ * and a self-contained printable HTML transcript.
+ *
+ * A writer is fed the thread metadata once, then messages in order, and
+ * produces text chunks through a `write` callback, so exports of any size
+ * are streamed without being held in memory.
+ *
+ * ## Example
+ * ```js
+ * const { createTranscriptWriter } = require("./utils/transcript");
+ * const writer = createTranscriptWriter("csv", (chunk) => res.write(chunk));
+ * writer.start(meta);
+ * for (const m of messages) writer.message(m);
+ * writer.end();
+ * ```
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+/**
+ * Export formats: content type and file extension.
+ * @type {Record<string, { contentType: string, ext: string }>}
+ */
+const TRANSCRIPT_FORMATS = {
+  json: { contentType: "application/json; charset=utf-8", ext: "json" },
+  csv: { contentType: "text/csv; charset=utf-8", ext: "csv" },
+  html: { contentType: "text/html; charset=utf-8", ext: "html" },
+};
+
+/**
+ * CSV columns, in order.
+ * @type {string[]}
+ */
+const CSV_COLUMNS = [
+  "id",
+  "created_at",
+  "sender_id",
+  "sender_name",
+  "sent_by",
+  "kind",
+  "content",
+  "image_urls",
+  "product_id",
+  "extra_data",
+  "reply_to_message_id",
+  "edited_at",
+  "deleted",
+  "delivered_at",
+  "read_at",
+  "read_by",
+];
+
+/**
+ * Formats a date-like value as ISO 8601.
+ *
+ * @param {any} value
+ * @returns {string|null}
+ */
+function isoDate(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+/**
+ * Flattens a history message (see `ChatMessageRepository#hydrate`) for
+ * export, with the members whose read cursor covers it.
+ *
+ * @param {Object} msg - Hydrated message.
+ * @param {Array<{ user_id: number, last_read_message_id: number|null }>} [receipts] - Read cursors.
+ * @returns {Object}
+ */
+function exportMessage(msg, receipts = []) {
+  const id = Number(msg.id);
+  return {
+    id,
+    created_at: isoDate(msg.created_at),
+    sender_id: Number(msg.sender_id),
+    sent_by: msg.sent_by ? Number(msg.sent_by) : null,
+    kind: msg.kind || "text",
+    content: msg.deleted ? null : msg.content ?? null,
+    image_urls: msg.deleted ? [] : msg.image_urls || [],
+    product_id: msg.product_id ? Number(msg.product_id) : null,
+    extra_data: msg.extra_data || null,
+    reply_to_message_id: msg.reply_to_message_id
+      ? Number(msg.reply_to_message_id)
+      : null,
+    edited_at: isoDate(msg.edited_at),
+    deleted: !!msg.deleted,
+    delivered_at: isoDate(msg.delivered_at),
+    read_at: isoDate(msg.read_at),
+    read_by: receipts
+      .filter(
+        (r) =>
+          r.user_id !== Number(msg.sender_id) &&
+          Number(r.last_read_message_id) >= id
+      )
+      .map((r) => r.user_id),
+  };
+}
+
+/**
+ * Escapes a CSV field. Cells starting with a formula trigger are prefixed
+ * with `'` so spreadsheets do not evaluate them.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let s = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Builds one CSV line.
+ *
+ * @param {any[]} values
+ * @returns {string} Line terminated by CRLF.
+ */
+function csvRow(values) {
+  return values.map(csvField).join(",") + "\r\n";
+}
+
+/**
+ * Escapes text for HTML element content and attribute values.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * http(s) URL of an image for HTML transcripts: relative URLs (`/uploads/…`)
+ * are resolved against the server's public base URL, so they still load
+ * once the file is opened outside the site. Without one, root-relative
+ * paths are kept as they are. Anything else is dropped.
+ *
+ * @param {any} url
+ * @param {string|null} [baseUrl] - Public base URL (e.g. `https://chat.softadastra.com`).
+ * @returns {string|null}
+ */
+function resolveImageUrl(url, baseUrl = null) {
+  if (!baseUrl && /^\/(?![/\\])/.test(String(url))) return String(url);
+  try {
+    const abs = new URL(String(url), baseUrl || undefined);
+    return ["http:", "https:"].includes(abs.protocol) ? abs.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Inline stylesheet of the HTML transcript (screen and print).
+ * @type {string}
+ */
+const HTML_STYLE = `body{font:14px/1.45 system-ui,sans-serif;color:#111;max-width:820px;margin:24px auto;padding:0 16px}
+h1{font-size:20px;margin:0 0 4px}.meta{color:#555;font-size:12px;margin-bottom:16px}
+.msg{border-top:1px solid #e3e3e3;padding:8px 0;page-break-inside:avoid}
+.head{font-size:12px;color:#555}.head b{color:#111}.body{white-space:pre-wrap;margin-top:2px}
+.deleted{color:#888;font-style:italic}.extra{font-size:12px;color:#333;background:#f5f5f5;padding:4px 6px}
+.imgs img{max-width:180px;max-height:180px;margin:4px 4px 0 0;border:1px solid #ddd}
+.receipt{font-size:11px;color:#777}@media print{body{margin:0}a{color:inherit}}`;
+
+/**
+ * Creates a streaming transcript writer.
+ *
+ * @param {"json"|"csv"|"html"} format - Output format.
+ * @param {(chunk: string) => void} write - Receives the output, in order.
+ * @param {Object} [options]
+ * @param {string|null} [options.baseUrl] - Public base URL relative image
+ *        URLs are resolved against (HTML).
+ * @returns {{ start: (meta: Object) => void, message: (msg: Object) => void, end: () => void }}
+ *          `meta` = `{ thread, members: [{ user_id, name }], receipts, exported_at, exported_by }`.
+ */
+function createTranscriptWriter(format, write, { baseUrl = null } = {}) {
+  let receipts = [];
+  let names = new Map();
+  let count = 0;
+  const nameOf = (id) => names.get(Number(id)) || `#${id}`;
+
+  if (format === "json") {
+    return {
+      start(meta) {
+        receipts = meta.receipts || [];
+        const head = JSON.stringify({ ...meta, messages: [] });
+        write(head.slice(0, -2)); // up to `"messages":[`
+      },
+      message(msg) {
+        write(
+          (count++ ? "," : "") + JSON.stringify(exportMessage(msg, receipts))
+        );
+      },
+      end() {
+        write("]}");
+      },
+    };
+  }
+
+  if (format === "csv") {
+    return {
+      start(meta) {
+        receipts = meta.receipts || [];
+        names = new Map((meta.members || []).map((m) => [m.user_id, m.name]));
+        write("\ufeff" + csvRow(CSV_COLUMNS)); // BOM: Excel reads UTF-8
+      },
+      message(msg) {
+        const row = exportMessage(msg, receipts);
+        row.sender_name = names.get(row.sender_id) || "";
+        row.image_urls = row.image_urls.join(" ");
+        row.read_by = row.read_by.join(" ");
+        write(csvRow(CSV_COLUMNS.map((c) => row[c])));
+      },
+      end() {},
+    };
+  }
+
+  if (format === "html") {
+    return {
+      start(meta) {
+        receipts = meta.receipts || [];
+        names = new Map((meta.members || []).map((m) => [m.user_id, m.name]));
+        const t = meta.thread;
+        const title = t.title || `Conversation #${t.id}`;
+        const members = (meta.members || [])
+          .map((m) => `${escapeHtml(m.name || "")} (#${m.user_id})`)
+          .join(", ");
+        write(
+          `<!DOCTYPE html><html lang="fr"><head><meta charset="utf-8">` +
+            `<title>${escapeHtml(
+              title
+            )}</title><style>${HTML_STYLE}</style></head><body>` +
+            `<h1>${escapeHtml(
+              title
+            )}</h1><div class="meta">Participants : ${members}<br>` +
+            `Exporté le ${escapeHtml(meta.exported_at)} par #${escapeHtml(
+              meta.exported_by
+            )}</div>`
+        );
+      },
+      message(msg) {
+        const m = exportMessage(msg, receipts);
+        const by = m.sent_by ? ` (par ${escapeHtml(nameOf(m.sent_by))})` : "";
+        let html =
+          `<div class="msg" id="m${m.id}"><div class="head"><b>${escapeHtml(
+            nameOf(m.sender_id)
+          )}</b>${by}` +
+          ` · ${escapeHtml(m.created_at || "")} · #${m.id}` +
+          (m.reply_to_message_id
+            ? ` · réponse à <a href="#m${m.reply_to_message_id}">#${m.reply_to_message_id}</a>`
+            : "") +
+          (m.edited_at ? ` · modifié ${escapeHtml(m.edited_at)}` : "") +
+          `</div>`;
+        if (m.deleted) {
+          html += `<div class="body deleted">Message supprimé</div>`;
+        } else if (m.content) {
+          html += `<div class="body">${escapeHtml(m.content)}</div>`;
+        }
+        const images = m.image_urls
+          .map((u) => resolveImageUrl(u, baseUrl))
+          .filter(Boolean);
+        if (images.length) {
+          html += `<div class="imgs">${images
+            .map(
+              (u) =>
+                `<a href="${escapeHtml(u)}"><img src="${escapeHtml(
+                  u
+                )}" alt=""></a>`
+            )
+            .join("")}</div>`;
+        }
+        if (m.kind !== "text" || m.product_id) {
+          const extra = m.extra_data || { product_id: m.product_id };
+          html += `<div class="extra">${escapeHtml(m.kind)} : ${escapeHtml(
+            JSON.stringify(extra)
+          )}</div>`;
+        }
+        const seen = m.read_by.map(nameOf).map(escapeHtml).join(", ");
+        html +=
+          `<div class="receipt">` +
+          (m.delivered_at ? `Distribué ${escapeHtml(m.delivered_at)}` : "") +
+          (m.read_at ? ` · Lu ${escapeHtml(m.read_at)}` : "") +
+          (seen ? ` · Lu par ${seen}` : "") +
+          `</div></div>`;
+        count++;
+        write(html);
+      },
+      end() {
+        write(`<div class="meta">${count} message(s)</div></body></html>`);
+      },
+    };
+  }
+
+  throw new Error(`Unknown transcript format: ${format}`);
+}
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  CSV_COLUMNS,
+  exportMessage,
+  csvRow,
+  escapeHtml,
+  resolveImageUrl,
+  createTranscriptWriter,
+};
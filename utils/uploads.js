@@ -0,0 +1,79 @@
+/**
+ * @file utils/uploads.js
+ * @description
+ * Location of the chat images stored by `POST /api/chat/upload`, and removal of
+ * those files when the messages using them are purged (disappearing
+ * messages, see `ChatUploadRepository#releaseFiles` for who may delete what).
+ *
+ * Only files this service wrote are ever touched: URLs must point to
+ * `/uploads/<generated name>`; anything else (external images, crafted
+ * paths) is ignored.
+ *
+ * ## Example
+ * ```js
+ * const { removeUploads } = require("./utils/uploads");
+ * await removeUploads(["https://chat.softadastra.com/uploads/1731000000000_9f3a.jpg"]);
+ * ```
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+const path = require("path");
+const fs = require("fs");
+
+/**
+ * Directory where chat images are stored (served as `/uploads`).
+ * @type {string}
+ */
+const UPLOAD_DIR = path.join(__dirname, "../public/uploads");
+
+/**
+ * Names given to uploaded files: multer's random 32 hex digits
+ * (`POST /api/chat/upload` in `server.js`) or `<timestamp>_<random hex>.<ext>`
+ * (`routes/upload.js`).
+ * @type {RegExp}
+ */
+const UPLOAD_NAME_RE = /^(?:[0-9a-f]{32}|\d+_[0-9a-f]+\.(?:jpg|png|webp|gif))$/;
+
+/**
+ * Name of the stored file an image URL points to.
+ *
+ * @param {any} url - Absolute or relative image URL.
+ * @returns {string|null} File name, or `null` if the URL is not one of ours.
+ */
+function uploadFileName(url) {
+  if (typeof url !== "string") return null;
+  let pathname;
+  try {
+    pathname = new URL(url, "http://localhost").pathname;
+  } catch {
+    return null;
+  }
+  const match = /^\/uploads\/([^/]+)$/.exec(pathname);
+  return match && UPLOAD_NAME_RE.test(match[1]) ? match[1] : null;
+}
+
+/**
+ * Deletes the stored files behind image URLs. Missing files are ignored.
+ *
+ * @async
+ * @param {string[]} urls - Image URLs.
+ * @returns {Promise<number>} Number of files removed.
+ */
+async function removeUploads(urls) {
+  let removed = 0;
+  for (const url of urls) {
+    const name = uploadFileName(url);
+    if (!name) continue;
+    try {
+      await fs.promises.unlink(path.join(UPLOAD_DIR, name));
+      removed++;
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+  }
+  return removed;
+}
+
+module.exports = { UPLOAD_DIR, uploadFileName, removeUploads };
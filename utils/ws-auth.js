@@ -13,6 +13,8 @@
  * - Parse and validate JWT tokens passed via WebSocket connection URLs.
  * - Allow admin/user access based on verified token roles.
  * - Support trusted origins for bridge mode (e.g., admin dashboards).
+ * - Resolve the **user identity** of a connection (`wsResolveUserId`) so
+ *   gateways can bind sockets to a verified user instead of trusting frames.
  *
  * ## Authentication Methods
  * 1. **JWT Token (preferred)**
@@ -20,7 +22,10 @@
  *    Token is verified via `verifyPhpJwt()` using `JWT_SECRET` or `SECRET`.
  *    The decoded payload must contain a valid role (`admin` or `user`).
  *
- * 2. **Trusted Origin with User ID (bridge mode)**
+ * 2. **One-time WS ticket** (`wsResolveUserId` only)
+ *    URL parameter: `?ticket=<ticket>` (see `utils/ws-ticket.js`).
+ *
+ * 3. **Trusted Origin with User ID (bridge mode)**
  *    URL parameters: `?x-user-id=<ID>`
  *    Works only if the connection originates from a trusted base URL
  *    listed in `ADMIN_ORIGINS` (comma-separated list).
@@ -50,6 +55,7 @@
  */
 
 const { verifyPhpJwt } = require("./auth-phpjwt");
+const { verifyWsTicket } = require("./ws-ticket");
 
 /**
  * Parses the query string portion of a URL and returns an object of key-value pairs.
@@ -117,4 +123,49 @@ function wsIsAdmin(req) {
   }
 }
 
-module.exports = { wsIsAdmin };
+/**
+ * Resolves the authenticated user ID of a WebSocket upgrade request.
+ *
+ * ## Behavior
+ * - `?token=` is verified as a PHP-style JWT (`id` / `user_id` / `userId` claim);
+ *   if it is not a valid JWT it is tried as a WS ticket.
+ * - `?ticket=` is verified as a short-lived WS ticket.
+ * - Under `NODE_ENV=test` only, `?x-user-id=<ID>` is accepted (test suites).
+ *   Any other environment, development and staging included, requires a JWT
+ *   or a ticket: the id would otherwise be taken on the client's word.
+ *
+ * @param {import("http").IncomingMessage} req - WebSocket upgrade request.
+ * @returns {string|null} The verified user ID, or `null` if unauthenticated.
+ */
+function wsResolveUserId(req) {
+  const q = parseQS(req.url || "");
+  const secret = process.env.JWT_SECRET || process.env.SECRET || "change_me";
+
+  if (q.token) {
+    try {
+      const payload = verifyPhpJwt(q.token, secret);
+      const userId = payload?.id || payload?.user_id || payload?.userId;
+      if (userId && /^\d+$/.test(String(userId))) return String(userId);
+    } catch {
+      const v = verifyWsTicket(q.token, secret);
+      if (v && v.userId) return String(v.userId);
+    }
+  }
+
+  if (q.ticket) {
+    const v = verifyWsTicket(q.ticket, secret);
+    if (v && v.userId) return String(v.userId);
+  }
+
+  if (
+    process.env.NODE_ENV === "test" &&
+    q["x-user-id"] &&
+    /^\d+$/.test(String(q["x-user-id"]))
+  ) {
+    return String(q["x-user-id"]);
+  }
+
+  return null;
+}
+
+module.exports = { wsIsAdmin, wsResolveUserId };
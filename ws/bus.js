@@ -0,0 +1,235 @@
+/**
+ * @file ws/bus.js
+ * @description
+ * Cross-instance event bus for the Softadastra WebSocket ecosystem, backed by
+ * Redis Pub/Sub (`ioredis`).
+ *
+ * Every Node.js instance keeps its own sockets in memory (`ws/userState.js`),
+ * so an event produced on instance A must be relayed to instance B when the
+ * recipient is connected there. This module publishes small JSON envelopes on
+ * a single Redis channel; each instance handles envelopes coming from the
+ * **other** instances (its own are ignored, local delivery is done directly).
+ *
+ * ## Responsibilities
+ * - Publish topic events to the other instances (`publish(topic, data)`).
+ * - Dispatch incoming events to topic handlers (`subscribe(topic, handler)`).
+ * - Keep a per-instance presence hash alive in Redis (`presenceKey`), refreshed
+ *   with a TTL so a crashed instance does not leave ghost users online.
+ * - Register live instances with a heartbeat (`instancesKey`), so presence
+ *   lookups read the peers' hashes directly instead of scanning keys.
+ * - Degrade to a local no-op bus when `REDIS_URL` is not configured.
+ *
+ * ## Envelope
+ * ```json
+ * { "o": "<origin instance id>", "t": "<topic>", "d": { ... } }
+ * ```
+ *
+ * ## Topics in use
+ * - `user` — `{ user_id, payload }` deliver a payload to every device of a user
+ * - `chat:presence` — `{ type: "user_online" | "user_offline", user_id }`
+ * - `like:update` — `{ product_id, likes_count }`
+ *
+ * ## Environment Variables
+ * - `REDIS_URL` — e.g. `redis://127.0.0.1:6379` (bus disabled when empty).
+ * - `REDIS_BUS_PREFIX` — channel / key prefix (default: `"sa:ws"`).
+ *
+ * @example
+ * const { getBus } = require("./bus");
+ * const bus = getBus();
+ * bus.subscribe("like:update", (d) => console.log(d.product_id, d.likes_count));
+ * bus.publish("like:update", { product_id: 42, likes_count: 17 });
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+const crypto = require("crypto");
+const Redis = require("ioredis");
+
+/**
+ * Presence hash TTL (seconds) and refresh period (ms).
+ * @type {number}
+ */
+const PRESENCE_TTL_SEC = 90;
+const PRESENCE_REFRESH_MS = 30_000;
+
+/**
+ * Creates a bus instance. Most callers should use the shared `getBus()`;
+ * `createBus()` is exposed so tests can simulate several instances.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.url=process.env.REDIS_URL] - Redis connection URL.
+ * @param {string} [options.prefix=process.env.REDIS_BUS_PREFIX] - Channel/key prefix.
+ * @returns {{
+ *   enabled: boolean,
+ *   instanceId: string,
+ *   prefix: string,
+ *   presenceKey: string,
+ *   instancesKey: string,
+ *   redis: import("ioredis").Redis | null,
+ *   ready: Promise<void>,
+ *   peerPresenceKeys: () => Promise<string[]>,
+ *   publish: (topic: string, data: any) => void,
+ *   subscribe: (topic: string, handler: (data: any) => void) => () => void,
+ *   close: () => Promise<void>
+ * }}
+ */
+function createBus({
+  url = process.env.REDIS_URL,
+  prefix = process.env.REDIS_BUS_PREFIX || "sa:ws",
+} = {}) {
+  const instanceId = crypto.randomUUID();
+  const channel = `${prefix}:bus`;
+  const presenceKey = `${prefix}:presence:${instanceId}`;
+  const instancesKey = `${prefix}:instances`;
+
+  /** @type {Map<string, Set<Function>>} */
+  const handlers = new Map();
+
+  function dispatch(topic, data) {
+    const set = handlers.get(topic);
+    if (!set) return;
+    for (const fn of set) {
+      try {
+        fn(data);
+      } catch (e) {
+        console.error(`❌ Bus handler error (${topic}):`, e.message);
+      }
+    }
+  }
+
+  function subscribe(topic, handler) {
+    if (!handlers.has(topic)) handlers.set(topic, new Set());
+    handlers.get(topic).add(handler);
+    return () => handlers.get(topic)?.delete(handler);
+  }
+
+  if (!url) {
+    return {
+      enabled: false,
+      instanceId,
+      prefix,
+      presenceKey,
+      instancesKey,
+      redis: null,
+      ready: Promise.resolve(),
+      async peerPresenceKeys() {
+        return [];
+      },
+      publish() {},
+      subscribe,
+      async close() {},
+    };
+  }
+
+  const pub = new Redis(url);
+  const sub = new Redis(url);
+  pub.on("error", (e) => console.warn("⚠️ Redis bus (pub):", e.message));
+  sub.on("error", (e) => console.warn("⚠️ Redis bus (sub):", e.message));
+
+  sub.on("message", (ch, raw) => {
+    if (ch !== channel) return;
+    let env;
+    try {
+      env = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    if (!env || env.o === instanceId || typeof env.t !== "string") return;
+    dispatch(env.t, env.d);
+  });
+
+  const ready = sub.subscribe(channel).then(() => {});
+  ready.catch(() => {});
+
+  // Heartbeat: registers this instance, drops dead ones, keeps the hash alive.
+  function heartbeat() {
+    const now = Date.now();
+    pub
+      .multi()
+      .zadd(instancesKey, now, instanceId)
+      .zremrangebyscore(instancesKey, 0, now - PRESENCE_TTL_SEC * 1000)
+      .expire(presenceKey, PRESENCE_TTL_SEC)
+      .exec()
+      .catch(() => {});
+  }
+  heartbeat();
+  const refresh = setInterval(heartbeat, PRESENCE_REFRESH_MS);
+  refresh.unref();
+
+  /**
+   * Presence hash keys of the other live instances.
+   *
+   * @returns {Promise<string[]>}
+   */
+  async function peerPresenceKeys() {
+    const ids = await pub.zrangebyscore(
+      instancesKey,
+      Date.now() - PRESENCE_TTL_SEC * 1000,
+      "+inf"
+    );
+    return ids
+      .filter((id) => id !== instanceId)
+      .map((id) => `${prefix}:presence:${id}`);
+  }
+
+  function publish(topic, data) {
+    let raw;
+    try {
+      raw = JSON.stringify({ o: instanceId, t: topic, d: data });
+    } catch {
+      return;
+    }
+    pub.publish(channel, raw).catch(() => {});
+  }
+
+  async function close() {
+    clearInterval(refresh);
+    try {
+      await pub.multi().del(presenceKey).zrem(instancesKey, instanceId).exec();
+    } catch {}
+    pub.disconnect();
+    sub.disconnect();
+  }
+
+  return {
+    enabled: true,
+    instanceId,
+    prefix,
+    presenceKey,
+    instancesKey,
+    redis: pub,
+    ready,
+    peerPresenceKeys,
+    publish,
+    subscribe,
+    close,
+  };
+}
+
+/** @type {ReturnType<typeof createBus> | null} */
+let shared = null;
+
+/**
+ * Returns the process-wide bus (created on first use from the environment).
+ *
+ * @returns {ReturnType<typeof createBus>}
+ */
+function getBus() {
+  if (!shared) shared = createBus();
+  return shared;
+}
+
+/**
+ * Closes the process-wide bus, if it was created.
+ *
+ * @returns {Promise<void>}
+ */
+async function closeBus() {
+  if (!shared) return;
+  const b = shared;
+  shared = null;
+  await b.close();
+}
+
+module.exports = { createBus, getBus, closeBus, PRESENCE_TTL_SEC };
@@ -10,35 +10,199 @@
  *
  * ## Responsibilities
  * - Maintain client liveness (ping/pong heartbeat) and presence events.
+ * - Support several simultaneous devices per user (tabs, phones): every
+ *   device receives live events, presence flips only on first/last socket.
  * - Compute and push navigation counters: `{ notifications, messages }`.
  * - Ensure 1:1 thread creation/lookup for two participants.
- * - Insert messages (text + optional images + optional product context).
+ * - Create group threads and manage their members (add/remove/leave).
+ * - Insert messages (text + optional images + optional product context) and
+ *   structured commerce messages: product cards, price offers and checkout
+ *   links (`repositories/ChatCommerceRepository.js`).
+ * - Let shop staff answer the shop's threads (shared team inbox).
  * - Emit message acknowledgements, typing events, read receipts.
  * - Trigger in-app notifications for receivers.
+ * - Feed sellers' response-time metrics as messages are persisted
+ *   (`repositories/ChatResponseStatsRepository.js`).
+ * - Purge disappearing messages once expired and send scheduled messages
+ *   when due (background jobs).
+ * - Unfurl the first link of text messages (`message_preview`, see
+ *   `repositories/LinkPreviewRepository.js`).
+ * - Moderate message text before it is stored (see "Moderation" below).
+ *
+ * ## Authentication
+ * The socket identity is established during the HTTP upgrade in `server.js`
+ * (JWT via `verifyPhpJwt` or a ticket from `utils/ws-ticket.js`) and bound to
+ * `ws.user_id` on connection. Identity fields carried by frames (`user_id`,
+ * `sender_id`, `from`) are optional; when present they must match the bound
+ * user, otherwise the frame is rejected with an `error` frame.
  *
  * ## WebSocket Events (inbound)
- * - `{ type: "auth", user_id }`
+ * - `{ type: "auth", user_id? }` (handshake; returns `auth_ok` + `nav_counts`)
  * - `{ type: "echo", data }`
  * - `{ type: "nav_counts" }`
  * - `{ type: "who_is_online" }`
  * - `{ type: "subscribe", channels: string[] }`
- * - `{ type: "typing", from, to }`
- * - `{ type: "message_seen", thread_id, user_id }`
- * - `{ type: "message_send" | "message", sender_id, receiver_id?, thread_id?, content?, image_urls?, temp_id?, extra_data? }`
+ * - `{ type: "typing", from, to?, thread_id? }`
+ * - `{ type: "message_seen", thread_id, user_id?, up_to_id? }` (read up to a message, default: latest)
+ * - `{ type: "message_send" | "message", sender_id, receiver_id?, thread_id?, content?, image_urls?, temp_id?, kind?, extra_data?, reply_to_message_id?, quick_reply_id?, expires_in?, send_at? }`
+ *   (`quick_reply_id`: send one of the sender's saved templates, placeholders filled)
+ *   (`expires_in`: seconds before the message disappears; `send_at`: ISO date to send it at, text only)
+ *   (`kind`: `text` (default) | `product` `{ product_id }` | `offer` `{ product_id, amount, currency? }`
+ *   | `checkout` `{ url, offer_id | product_id }`, in `extra_data`)
+ * - `{ type: "offer_respond", offer_id, action: "accept" | "decline" | "counter" | "withdraw", amount?, currency?, temp_id? }`
+ *   (`amount` required to counter; the counter-offer arrives as a new `offer` message)
+ * - `{ type: "message_edit", message_id, content }` (author or `sent_by` only, within `CHAT_EDIT_WINDOW_SEC`)
+ * - `{ type: "reaction_add" | "reaction_remove", message_id, emoji }`
+ * - `{ type: "sync", cursor? | threads?: { [thread_id]: last_message_id }, limit? }`
+ * - `{ type: "history_request", thread_id? | receiver_id?, before_id?, after_id?, limit?, ref? }`
+ * - `{ type: "group_create", title?, member_ids }`
+ * - `{ type: "group_add_member", thread_id, user_id }` (both refused with a
+ *   user blocked by, or blocking, the sender: `blocked`)
+ * - `{ type: "group_remove_member", thread_id, user_id }` (own id = leave)
  *
  * ## WebSocket Events (outbound)
  * - `{ type: "auth_ok", user_id, ts }`
  * - `{ type: "nav_counts", payload: { notifications, messages } }`
  * - `{ type: "user_online" | "user_offline", user_id }`
  * - `{ type: "subscribed", channels }`
- * - `{ type: "typing", from }`
+ * - `{ type: "typing", from, thread_id? }`
  * - `{ type: "stop_typing", from }`
  * - `{ type: "echo", data, ts }`
  * - `{ type: "new_thread", thread_id }`
  * - `{ type: "message_ack", temp_id, message_id, thread_id }`
- * - `{ type: "new_message", id, thread_id, sender_id, content, image_urls, created_at, extra_data? }`
- * - `{ type: "messages_seen", thread_id, seen_by }`
- * - `{ type: "notification", payload: {...} }`
+ * - `{ type: "new_message", id, thread_id, sender_id, sent_by, kind, content, image_urls, created_at, extra_data?, reply_to_message_id, reply_to, expires_at }`
+ *   (`sent_by` = staff member who wrote it as the shop `sender_id`, else `null`)
+ *   (`reply_to` = `{ id, sender_id, excerpt, image_url, deleted }` or `null`)
+ * - `{ type: "message_edited", id, thread_id, content, edited_at, edited_by }`
+ * - `{ type: "message_preview", id, thread_id, link_preview }` (preview of the
+ *   message's first link, `{ url, title, description, image_url, site_name }`,
+ *   or `null` once an edit removed the link)
+ * - `{ type: "message_deleted", id, thread_id, deleted_by, expired? }`
+ *   (`expired: true`, `deleted_by: null` when a disappearing message is purged)
+ * - `{ type: "message_scheduled", temp_id, id, thread_id, sender_id, sent_by, content, image_urls, reply_to_message_id, expires_in, send_at, status }`
+ *   (author's devices)
+ * - `{ type: "scheduled_message_sent", scheduled_id, thread_id, message_id }`
+ * - `{ type: "scheduled_message_failed", scheduled_id, thread_id, error }`
+ * - `{ type: "scheduled_message_cancelled", scheduled_id }` (own devices, after
+ *   `DELETE /api/messages/scheduled/:id`)
+ * - `{ type: "message_held", temp_id, thread_id, decision_id, reasons }` (author's
+ *   devices: the message waits for a moderator)
+ * - `{ type: "held_content_reviewed", decision_id, target_type, status, scheduled_id?, post_id? }`
+ *   (author's devices, after review in `routes/reports.js`)
+ * - `{ type: "reaction_update", message_id, thread_id, user_id, emoji, action, reactions: [{ emoji, count }] }`
+ * - `{ type: "offer_updated", thread_id, offer_id, message_id, status, responded_by, responded_at, counter_offer_id? }`
+ *   (both sides, every device)
+ * - replayed frames (`new_message`, `messages_seen`, `message_delivered`,
+ *   `message_edited`, `message_deleted`, `message_preview`, `reaction_update`,
+ *   `offer_updated`) with `replayed: true`, then
+ *   `{ type: "sync_done", cursor, has_more }`
+ * - `{ type: "history", ref, thread_id, messages, has_more }` (same message shape as the REST history)
+ * - `{ type: "messages_seen", thread_id, seen_by, up_to_id, read_at }`
+ * - `{ type: "message_delivered", thread_id, user_id, up_to_id, delivered_at }`
+ * - `{ type: "notification", payload: {...} }` (not for threads the recipient muted)
+ * - `{ type: "thread_state", thread_id, muted_until, archived, pinned }`
+ *   (own devices, after `PATCH /api/messages/thread/:id/state`)
+ * - `{ type: "group_created", thread_id, title, created_by, member_ids }`
+ * - `{ type: "group_member_added", thread_id, user_id, added_by }`
+ * - `{ type: "group_member_removed", thread_id, user_id, removed_by }`
+ * - `{ type: "error", code, message, ref, temp_id?, thread_id? }` (see below)
+ *
+ * ## Frame validation & errors
+ * Every inbound frame is checked against its schema (`ws/chatFrames.js`)
+ * before being dispatched to its handler. A frame that cannot be processed
+ * is always answered with an `error` frame echoing its correlation field as
+ * `ref` (`temp_id` for `message_send`, `message_id` for edits/reactions,
+ * `ref` for `history_request`, ...) and `temp_id` when present, so clients
+ * can fail the pending operation instead of waiting forever. Codes:
+ * `invalid_json`, `invalid_frame`, `unknown_type`, `invalid_payload`,
+ * `identity_mismatch`, `forbidden`, `not_found`, `message_deleted`,
+ * `edit_window_expired`, `invalid_reply`, `blocked`, `offer_closed`,
+ * `moderation_rejected` (with `reasons`), `group_full`, `rate_limited`,
+ * `internal_error`. Group frames also echo `thread_id` when they have one.
+ *
+ * ## Rate limiting
+ * Frames are rate limited per user (all devices of this instance) and per
+ * type with token buckets (`CHAT_RATE_LIMITS`, `WS_RATE_LIMITS`, see
+ * `utils/rateLimiter.js`). An over-limit frame is dropped and answered with
+ * `{ type: "error", code: "rate_limited", ref, retry_after_ms }`; a user who
+ * keeps flooding is disconnected with close code `1008` (`rate_limited`).
+ *
+ * ## Receipts
+ * Each member has a delivery and a read cursor (`chat_thread_participants`).
+ * A message is delivered when a device of the recipient receives it live
+ * (on any instance) or when the recipient completes a `sync`; it is read
+ * through `message_seen`. Senders get `message_delivered` / `messages_seen`
+ * with `up_to_id`, and messages carry `delivered_at` / `read_at`.
+ *
+ * ## Offline resync
+ * `new_message`, `messages_seen`, `message_delivered`, `message_edited`,
+ * `message_deleted`, `message_preview`, `reaction_update` and `offer_updated` are logged in `chat_thread_events` before being pushed and
+ * carry the log ID as `event_id`. Clients persist the highest `event_id` they
+ * processed and send it as `cursor` in a `sync` frame after reconnecting (or,
+ * lacking one, the last message id of each thread they have). Missed frames
+ * are replayed in order, then `sync_done` gives the new cursor; while
+ * `has_more` is true the client syncs again from it.
+ *
+ * ## Multi-instance fan-out
+ * Every delivery goes through `sendToUser()` (ws/userState.js), which relays
+ * over the Redis bus (`ws/bus.js`) when `REDIS_URL` is set, so recipients
+ * connected to another instance receive `new_message`, `typing`,
+ * `messages_seen`, `notification` and `nav_counts` too. Presence flips are
+ * relayed on the `chat:presence` topic and only announced when the user has
+ * no device left (or yet) on any other instance.
+ *
+ * ## Blocking
+ * Two users are separated as soon as either one blocked the other
+ * (`repositories/ChatBlockRepository.js`): a direct thread between them can
+ * be neither created nor written to (`blocked` error frame), group messages
+ * and typing from one are not pushed to the other, and neither sees the
+ * other's presence (`user_online` / `user_offline`, `online_users`).
+ *
+ * ## Quick replies & away mode
+ * Sellers keep reply templates (`routes/quickReplies.js`); `quick_reply_id`
+ * sends one with `{buyer_name}`, `{seller_name}` and `{product_title}`
+ * filled. When the recipient of a direct message is away (always, or
+ * outside their business hours), their away message is sent back on their
+ * behalf as a regular `new_message` with `extra_data.auto_reply: true`, at
+ * most once per thread per `throttle_minutes`.
+ *
+ * ## Disappearing & scheduled messages
+ * A text message sent with `expires_in` carries `expires_at`; a sweeper
+ * purges it once expired (content, images and their files, revisions,
+ * reactions, logged payloads) and pushes `message_deleted` with
+ * `expired: true`. With `send_at` the message goes through the usual
+ * checks, is stored (`repositories/ChatScheduledMessageRepository.js`) and
+ * answered with `message_scheduled`; a dispatcher delivers it when due as a
+ * regular `new_message` (membership and blocks checked again), its
+ * `expires_in` counting from then. Pending messages are listed and cancelled
+ * over REST (`/api/messages/scheduled`).
+ *
+ * ## Moderation
+ * The text of `message_send` (quick replies and scheduled messages
+ * included) and `message_edit` goes through the moderation pipeline
+ * (`repositories/ModerationRepository.js`, `utils/moderation.js`) before
+ * anything is stored, every decision being recorded. Masked text is sent
+ * as is; a rejected message is answered with `moderation_rejected`; a held
+ * one with `message_held`, and is delivered (through the scheduled-message
+ * dispatcher) only once a moderator approves it. Edits and structured
+ * messages cannot wait for review: held content is rejected there.
+ *
+ * ## Shared shop inboxes
+ * A shop account may have staff (`repositories/ChatTeamInboxRepository.js`).
+ * Staff members act as the shop in its direct threads: `message_send`
+ * sends as the shop (`sender_id` = shop, `sent_by` = staff member),
+ * `message_seen` reads for the shop, `history_request` loads its threads,
+ * reactions and `offer_respond` answer as the shop, and `message_edit`
+ * lets staff edit the messages they wrote for it. Every thread event (`new_message`, receipts, edits, ...) is
+ * pushed to all online staff of the shops in the thread as well as to the
+ * members; assignments and internal notes are managed over REST
+ * (`routes/teamInbox.js`) and pushed to staff only.
+ *
+ * ## Group threads
+ * Group threads have no `user1_id`/`user2_id`; their members live in
+ * `chat_thread_participants` (see `repositories/ChatThreadRepository.js`).
+ * `new_message`, `typing` and `messages_seen` are fanned out to every active
+ * member except the author, and unread counts use each member's own read cursor.
  *
  * @version 1.0.0
  * @license MIT
@@ -46,7 +210,116 @@
 
 const pool = require("../db/mysql");
 const { createNotification } = require("../utils/notifications");
-const { connectedUsers } = require("./userState");
+const {
+  addConnection,
+  removeConnection,
+  getClusterOnlineUserIds,
+  isOnlineElsewhere,
+  sendToUser,
+} = require("./userState");
+const { getBus } = require("./bus");
+const ChatThreadRepository = require("../repositories/ChatThreadRepository");
+const ChatMessageRepository = require("../repositories/ChatMessageRepository");
+const ChatBlockRepository = require("../repositories/ChatBlockRepository");
+const ChatCommerceRepository = require("../repositories/ChatCommerceRepository");
+const ChatQuickReplyRepository = require("../repositories/ChatQuickReplyRepository");
+const ChatTeamInboxRepository = require("../repositories/ChatTeamInboxRepository");
+const ChatResponseStatsRepository = require("../repositories/ChatResponseStatsRepository");
+const ChatScheduledMessageRepository = require("../repositories/ChatScheduledMessageRepository");
+const ModerationRepository = require("../repositories/ModerationRepository");
+const ChatUploadRepository = require("../repositories/ChatUploadRepository");
+const { renderTemplate } = require("../utils/autoReply");
+const {
+  recordEvent,
+  emitMessageEdited,
+  emitMessageDeleted,
+  attachLinkPreview,
+  emitReactionUpdate,
+  emitOfferUpdated,
+  markDelivered,
+  markReadUpTo,
+  deliverPending,
+  buildSyncPage,
+} = require("./chatEvents");
+const ChatEventRepository = require("../repositories/ChatEventRepository");
+const { validateFrame, frameRef } = require("./chatFrames");
+const { createRateLimiter } = require("../utils/rateLimiter");
+
+const threads = new ChatThreadRepository();
+const chatMessages = new ChatMessageRepository();
+const chatEvents = new ChatEventRepository();
+const blocks = new ChatBlockRepository();
+const commerce = new ChatCommerceRepository();
+const quickReplies = new ChatQuickReplyRepository();
+const team = new ChatTeamInboxRepository();
+const responseStats = new ChatResponseStatsRepository();
+const scheduledMessages = new ChatScheduledMessageRepository();
+const moderation = new ModerationRepository();
+const uploads = new ChatUploadRepository();
+
+/**
+ * Per-user token buckets `[burst, perSec]` by frame type; `*` covers the
+ * other types (and malformed frames). Overridable with `WS_RATE_LIMITS`.
+ * @type {Object<string, [number, number]>}
+ */
+const CHAT_RATE_LIMITS = {
+  message_send: [20, 1],
+  typing: [10, 2],
+  reaction_add: [30, 2],
+  reaction_remove: [30, 2],
+  history_request: [20, 2],
+  sync: [10, 0.5],
+  group_create: [5, 0.05],
+  offer_respond: [10, 1],
+  "*": [60, 10],
+};
+
+const limiter = createRateLimiter("chat", CHAT_RATE_LIMITS);
+
+/**
+ * Background jobs: how often expired messages are purged and due scheduled
+ * messages sent, and how many are handled per run.
+ * @type {number}
+ */
+const PURGE_INTERVAL_MS = 60 * 1000;
+const SCHEDULE_INTERVAL_MS = 15 * 1000;
+const JOB_BATCH = 100;
+
+/**
+ * `error` frame code/message for each non-`ok` edit outcome
+ * (see `ChatMessageRepository#editMessage`).
+ * @type {Record<string, [string, string]>}
+ */
+const EDIT_ERRORS = {
+  invalid: ["invalid_payload", "content must be a non-empty string"],
+  not_found: ["not_found", "Message not found"],
+  forbidden: ["forbidden", "Only the author can edit this message"],
+  deleted: ["message_deleted", "Message was deleted"],
+  expired: ["edit_window_expired", "Edit window is over"],
+};
+
+/**
+ * `error` frame code for each non-`ok` commerce outcome
+ * (see `ChatCommerceRepository#prepareMessage` / `#respondToOffer`).
+ * @type {Record<string, string>}
+ */
+const COMMERCE_ERRORS = {
+  invalid: "invalid_payload",
+  not_found: "not_found",
+  forbidden: "forbidden",
+  offer_closed: "offer_closed",
+};
+
+/**
+ * `error` frame message for each non-`ok` `offer_respond` outcome.
+ * @type {Record<string, string>}
+ */
+const OFFER_ERROR_MESSAGES = {
+  invalid: "action: unknown action",
+  not_found: "Offer not found",
+  forbidden: "You cannot answer this offer",
+  offer_closed: "Offer is no longer pending",
+};
 
 /**
  * Safely send a JSON-serializable object to a WebSocket client.
@@ -63,10 +336,48 @@ function safeSend(ws, obj) {
   } catch {}
 }
 
+/**
+ * Sends an explicit `error` frame to a client.
+ *
+ * @param {import("ws").WebSocket} ws - Target WebSocket.
+ * @param {string} code - Machine-readable error code.
+ * @param {string} message - Human-readable description.
+ * @param {Object} [extra] - Extra fields (`ref`, `temp_id`, `thread_id`, ...).
+ * @returns {void}
+ */
+function sendError(ws, code, message, extra = {}) {
+  safeSend(ws, { type: "error", code, message, ...extra });
+}
+
+/**
+ * Whether a frame claims an identity other than the socket's bound user.
+ * Absent claims are accepted (the bound identity is used instead).
+ *
+ * @param {import("ws").WebSocket} ws - Authenticated socket.
+ * @param {any} claimed - `user_id` / `sender_id` / `from` value sent by the client.
+ * @returns {boolean}
+ */
+function claimsOtherUser(ws, claimed) {
+  if (claimed === undefined || claimed === null || claimed === "") return false;
+  return String(claimed) !== ws.user_id;
+}
+
+/**
+ * Sends the same payload to every device of every given user that is
+ * currently connected.
+ *
+ * @param {Array<number|string>} userIds - Recipient user IDs.
+ * @param {any} obj - JSON-serializable payload.
+ * @returns {void}
+ */
+function sendToUsers(userIds, obj) {
+  for (const uid of userIds) sendToUser(uid, obj);
+}
+
 /**
  * Returns navigation counters for a user:
  * - unread notifications count
- * - unread direct messages count
+ * - unread direct + group messages count
  *
  * @param {number|string} userId - User ID (coerced to integer).
  * @returns {Promise<{notifications:number, messages:number}>}
@@ -91,9 +402,10 @@ async function getNavCounts(userId) {
          AND m.seen = FALSE`,
     [uid, uid]
   );
-  const msgCount = msgs?.[0]?.unread || 0;
+  const msgCount = Number(msgs?.[0]?.unread || 0);
+  const groupCount = await threads.countGroupUnread(uid);
 
-  return { notifications: notifCount, messages: msgCount };
+  return { notifications: notifCount, messages: msgCount + groupCount };
 }
 
 /**
@@ -116,9 +428,1108 @@ async function ensureThreadId(sender_id, receiver_id) {
     `INSERT INTO chat_threads (user1_id, user2_id) VALUES (?, ?)`,
     [a, b]
   );
+  await pool.query(
+    `INSERT IGNORE INTO chat_thread_participants (thread_id, user_id) VALUES (?, ?), (?, ?)`,
+    [ins.insertId, a, ins.insertId, b]
+  );
   return ins.insertId;
 }
 
+/**
+ * Identity a user acts under in a thread: their own when they are a member,
+ * the shop's when they are staff of a shop taking part in it (shared team
+ * inbox), else `null`.
+ *
+ * @async
+ * @param {Object} thread - Thread row.
+ * @param {number[]} members - Active member IDs.
+ * @param {number|string} userId - Socket user.
+ * @returns {Promise<number|null>}
+ */
+async function actingUserId(thread, members, userId) {
+  const uid = Number(userId);
+  if (members.includes(uid)) return uid;
+  return team.getActingShopId(thread, uid);
+}
+
+/**
+ * Rejects a frame whose identity claim does not match the socket's user.
+ *
+ * @param {import("ws").WebSocket} ws - Authenticated socket.
+ * @param {Object} frame - Validated frame.
+ * @param {string} field - Claim field (`user_id`, `sender_id`, `from`).
+ * @returns {boolean} `true` when the frame was rejected.
+ */
+function rejectOtherUser(ws, frame, field) {
+  if (!claimsOtherUser(ws, frame[field])) return false;
+  sendError(
+    ws,
+    "identity_mismatch",
+    `${field} does not match the authenticated user`,
+    frameRef(frame.type, frame)
+  );
+  return true;
+}
+
+/**
+ * Adds or removes a group member (`group_add_member` / `group_remove_member`).
+ * Managers (owner/admin) may do both; any member may remove themselves.
+ *
+ * @async
+ * @param {import("ws").WebSocket} ws - Acting socket.
+ * @param {Object} frame - Validated frame (`thread_id`, `user_id`).
+ * @returns {Promise<void>}
+ */
+async function manageGroupMember(ws, frame) {
+  const { thread_id, user_id: target } = frame;
+  const refs = { ...frameRef(frame.type, frame), thread_id };
+
+  const thread = await threads.getThread(thread_id);
+  if (!thread || !thread.is_group) {
+    sendError(ws, "not_found", "Group not found", refs);
+    return;
+  }
+
+  const actorId = Number(ws.user_id);
+  const actor = await threads.getParticipant(thread_id, actorId);
+  const isManager = actor && (actor.role === "owner" || actor.role === "admin");
+  const isLeaving = frame.type === "group_remove_member" && target === actorId;
+  if (!actor || (!isManager && !isLeaving)) {
+    sendError(ws, "forbidden", "Not allowed", refs);
+    return;
+  }
+
+  if (frame.type === "group_add_member") {
+    if (await blocks.isSeparated(actorId, target)) {
+      sendError(ws, "blocked", "You cannot add this user", refs);
+      return;
+    }
+    let added;
+    try {
+      added = await threads.addMember(thread_id, target);
+    } catch (e) {
+      if (!(e instanceof ChatThreadRepository.GroupError)) throw e;
+      sendError(ws, e.code, e.message, refs);
+      return;
+    }
+    if (!added) return;
+    const members = await threads.getMemberIds(thread);
+    sendToUsers(members, {
+      type: "group_member_added",
+      thread_id,
+      user_id: target,
+      added_by: actorId,
+    });
+    return;
+  }
+
+  // Notify before removal so the removed member receives the event too
+  const members = await threads.getMemberIds(thread);
+  if (!(await threads.removeMember(thread_id, target))) return;
+  sendToUsers(members, {
+    type: "group_member_removed",
+    thread_id,
+    user_id: target,
+    removed_by: actorId,
+  });
+}
+
+/**
+ * Adds or removes the socket user's reaction on a message (the shop's, for
+ * its staff).
+ *
+ * @async
+ * @param {import("ws").WebSocket} ws - Acting socket.
+ * @param {Object} frame - Validated frame (`message_id`, `emoji`).
+ * @returns {Promise<void>}
+ */
+async function toggleReaction(ws, frame) {
+  const { message_id: messageId, emoji } = frame;
+  if (!ChatMessageRepository.isValidEmoji(emoji)) {
+    sendError(ws, "invalid_payload", "emoji: must be an emoji", {
+      ref: messageId,
+    });
+    return;
+  }
+
+  const msg = await chatMessages.getMessage(messageId);
+  if (!msg) {
+    sendError(ws, "not_found", "Message not found", { ref: messageId });
+    return;
+  }
+  if (msg.deleted) {
+    sendError(ws, "message_deleted", "Message was deleted", {
+      ref: messageId,
+    });
+    return;
+  }
+  const thread = await threads.getThread(msg.thread_id);
+  const members = thread ? await threads.getMemberIds(thread) : [];
+  const reactorId = thread && (await actingUserId(thread, members, ws.user_id));
+  if (!reactorId) {
+    sendError(ws, "forbidden", "Not a member of this thread", {
+      ref: messageId,
+      thread_id: msg.thread_id,
+    });
+    return;
+  }
+
+  const action = frame.type === "reaction_add" ? "add" : "remove";
+  const changed =
+    action === "add"
+      ? await chatMessages.addReaction(messageId, reactorId, emoji)
+      : await chatMessages.removeReaction(messageId, reactorId, emoji);
+  if (changed) await emitReactionUpdate(msg, reactorId, emoji, action);
+}
+
+/**
+ * Persists a message and delivers it: ack and echo to the sender's devices,
+ * live push, notifications (unless muted) and counters to the other members.
+ * Callers have already checked membership and blocks.
+ *
+ * @async
+ * @param {import("ws").WebSocket|null} ws - Sending socket (`null` for auto-replies).
+ * @param {Object} message
+ * @param {Object} message.thread - Thread row.
+ * @param {number[]} message.members - Active member IDs.
+ * @param {Set<string>} message.hidden - Users separated from the sender by a block.
+ * @param {number} message.senderId - Sender.
+ * @param {number|null} [message.sentBy] - Staff member writing as the shop `senderId`.
+ * @param {string} [message.content=""] - Text (may be empty for images / structured kinds).
+ * @param {string[]} [message.imageUrls=[]] - Image URLs.
+ * @param {string} [message.kind="text"] - `text` | `product` | `offer` | `checkout`.
+ * @param {Object|null} [message.extraData] - Structured payload (non-text kinds).
+ * @param {number|null} [message.productId] - Related product.
+ * @param {number|null} [message.replyToId] - Quoted message.
+ * @param {Object|null} [message.replyTo] - Quoted message preview.
+ * @param {number|null} [message.expiresIn] - Disappearing message TTL (seconds).
+ * @param {string|number|null} [message.tempId] - Client correlation ID.
+ * @returns {Promise<Object>} The `new_message` payload.
+ */
+async function deliverMessage(ws, message) {
+  const {
+    thread,
+    members,
+    hidden,
+    senderId: sender_id,
+    sentBy = null,
+    content = "",
+    imageUrls: image_urls = [],
+    kind = "text",
+    extraData = null,
+    productId = null,
+    replyToId = null,
+    replyTo = null,
+    expiresIn = null,
+    tempId: temp_id = null,
+  } = message;
+  const thread_id = Number(thread.id);
+  const expiresAt = expiresIn ? new Date(Date.now() + expiresIn * 1000) : null;
+
+  // Persist message (its images are counted as held first)
+  await uploads.addRefs(image_urls);
+  const [result] = await pool.query(
+    `INSERT INTO chat_messages (thread_id, sender_id, sent_by, content, image_urls, product_id, reply_to_message_id, kind, extra_data, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      thread_id,
+      sender_id,
+      sentBy,
+      content,
+      JSON.stringify(image_urls || []),
+      productId,
+      replyToId,
+      kind,
+      extraData ? JSON.stringify(extraData) : null,
+      expiresAt,
+    ]
+  );
+
+  const insertedId = result.insertId;
+  await threads.touchLastMessage(thread_id, insertedId);
+
+  // Response-time metrics never hold up delivery
+  try {
+    await responseStats.recordMessage(thread, {
+      senderId: sender_id,
+      autoReply: !!extraData?.auto_reply,
+    });
+  } catch (e) {
+    console.error("❌ Response stats error:", e.message);
+  }
+  const extra = extraData || (productId ? { product_id: productId } : null);
+  const payload = await recordEvent(
+    {
+      type: "new_message",
+      id: insertedId,
+      thread_id,
+      sender_id,
+      sent_by: sentBy,
+      kind,
+      content,
+      image_urls,
+      created_at: new Date().toISOString(),
+      ...(extra ? { extra_data: extra } : {}),
+      reply_to_message_id: replyToId,
+      reply_to: replyTo,
+      expires_at: expiresAt ? expiresAt.toISOString() : null,
+    },
+    { messageId: insertedId, actorId: sender_id }
+  );
+
+  // Client-side optimistic ACK
+  if (temp_id) {
+    safeSend(ws, {
+      type: "message_ack",
+      temp_id,
+      message_id: insertedId,
+      thread_id,
+    });
+  }
+
+  // Echo back to sender (every device, so other tabs stay in sync)
+  sendToUser(sender_id, payload, ws);
+  safeSend(ws, payload);
+
+  // The sender has read everything up to their own message
+  if (thread.is_group) await threads.markRead(thread_id, sender_id);
+
+  // Shared shop inboxes: every device of every staff member gets it too
+  const reachedShops = new Set();
+  for (const [shopId, staffIds] of await team.getThreadStaff(thread)) {
+    for (const uid of staffIds) {
+      if (hidden.has(String(uid))) continue;
+      if (sendToUser(uid, payload, ws) > 0) reachedShops.add(shopId);
+    }
+  }
+
+  // Deliver to every other member if online + side effects
+  const bus = getBus();
+  const recipients = members.filter(
+    (id) => id !== sender_id && !hidden.has(String(id))
+  );
+  const muted = await threads.getMutedMemberIds(thread_id, recipients);
+  for (const other of recipients) {
+    // Persist notification (fallback to pull channels), unless muted
+    if (!muted.has(other)) {
+      await createNotification({
+        user_id: other,
+        title: "New message",
+        body: "You have received a message.",
+        type: "chat",
+        related_id: thread_id,
+      });
+    }
+
+    // Push live message to receiver; a device got it => delivered
+    const delivered =
+      sendToUser(other, payload) > 0 ||
+      reachedShops.has(other) ||
+      (bus.enabled && (await isOnlineElsewhere(other)));
+    if (delivered) await markDelivered(thread, other, insertedId);
+
+    // Stop typing hint
+    sendToUser(other, { type: "stop_typing", from: sender_id });
+
+    // In-app notification event for receiver UI, unless muted
+    if (!muted.has(other)) {
+      sendToUser(other, {
+        type: "notification",
+        payload: {
+          recipient_id: other,
+          title: "New Message",
+          body: "You’ve got a new message.",
+          type: "chat",
+          related_id: thread_id,
+          created_at: new Date().toISOString(),
+        },
+      });
+    }
+
+    // Refresh receiver counters
+    try {
+      const counts = await getNavCounts(other);
+      sendToUser(other, { type: "nav_counts", payload: counts });
+    } catch {}
+  }
+
+  return payload;
+}
+
+/**
+ * Placeholder values for a template sent by `sellerId` in a thread: the
+ * buyer is the other member of a direct thread, the product the one given
+ * or else the last one discussed in the thread.
+ *
+ * @async
+ * @param {Object} thread - Thread row.
+ * @param {number[]} members - Active member IDs.
+ * @param {number} sellerId - User whose template is rendered.
+ * @param {number|null} [productId] - Product the message is about.
+ * @returns {Promise<{ buyer_name: string, seller_name: string, product_title: string }>}
+ */
+async function templateVars(thread, members, sellerId, productId = null) {
+  const buyerId = thread.is_group
+    ? null
+    : members.find((id) => id !== sellerId) || null;
+  const names = await quickReplies.getDisplayNames([buyerId, sellerId]);
+  const pid =
+    productId ||
+    (thread.id ? await quickReplies.lastProductId(thread.id) : null);
+  const product = pid ? await commerce.getProductSnapshot(pid) : null;
+  return {
+    buyer_name: names.get(buyerId) || "",
+    seller_name: names.get(sellerId) || "",
+    product_title: product?.title || "",
+  };
+}
+
+/**
+ * Answers a direct message on behalf of an away recipient (see
+ * `PUT /api/quick-replies/away`), at most once per thread per throttle
+ * window. Failures are logged, never reported to the sender.
+ *
+ * @async
+ * @param {Object} thread - Thread row.
+ * @param {number[]} members - Active member IDs.
+ * @param {number} senderId - Author of the incoming message.
+ * @param {number|null} productId - Product the incoming message is about.
+ * @returns {Promise<void>}
+ */
+async function sendAutoReply(thread, members, senderId, productId) {
+  if (thread.is_group) return;
+  const awayId = members.find((id) => id !== senderId);
+  if (!awayId) return;
+
+  try {
+    const settings = await quickReplies.getAwaySettings(awayId);
+    if (!ChatQuickReplyRepository.isAway(settings)) return;
+    const claimed = await quickReplies.claimAutoReply(
+      thread.id,
+      awayId,
+      settings.throttle_minutes
+    );
+    if (!claimed) return;
+
+    const vars = await templateVars(thread, members, awayId, productId);
+    await deliverMessage(null, {
+      thread,
+      members,
+      hidden: new Set(),
+      senderId: awayId,
+      content: renderTemplate(settings.message, vars),
+      extraData: { auto_reply: true },
+    });
+  } catch (e) {
+    console.error("❌ Auto-reply error:", e.message);
+  }
+}
+
+/**
+ * Delivers a due scheduled message through `deliverMessage()`, after
+ * checking again that its author may still write in the thread. The author
+ * is told the outcome (`scheduled_message_sent` / `scheduled_message_failed`).
+ *
+ * @async
+ * @param {Object} item - Claimed `chat_scheduled_messages` row.
+ * @returns {Promise<void>}
+ */
+async function sendScheduledMessage(item) {
+  const authorId = Number(item.sent_by || item.sender_id);
+  const senderId = Number(item.sender_id);
+  const fail = async (error) => {
+    await scheduledMessages.markFailed(item.id, error);
+    sendToUser(authorId, {
+      type: "scheduled_message_failed",
+      scheduled_id: item.id,
+      thread_id: item.thread_id,
+      error,
+    });
+  };
+
+  const thread = await threads.getThread(item.thread_id);
+  if (!thread) return fail("not_found");
+  const members = await threads.getMemberIds(thread);
+  if ((await actingUserId(thread, members, authorId)) !== senderId) {
+    return fail("forbidden");
+  }
+  const hidden = await blocks.getSeparatedIds(senderId);
+  if (!thread.is_group && members.some((id) => hidden.has(String(id)))) {
+    return fail("blocked");
+  }
+
+  // The quoted message may have been deleted since: the reply shows it so
+  const replyToId = item.reply_to_message_id || null;
+  const replyTo = replyToId
+    ? (await chatMessages.getReplyPreviews([replyToId])).get(replyToId) || null
+    : null;
+
+  const payload = await deliverMessage(null, {
+    thread,
+    members,
+    hidden,
+    senderId,
+    sentBy: item.sent_by || null,
+    content: item.content || "",
+    imageUrls: item.image_urls,
+    replyToId: replyTo ? replyToId : null,
+    replyTo,
+    expiresIn: item.expires_in || null,
+  });
+  await scheduledMessages.markSent(item.id, payload.id);
+  sendToUser(authorId, {
+    type: "scheduled_message_sent",
+    scheduled_id: item.id,
+    thread_id: payload.thread_id,
+    message_id: payload.id,
+  });
+
+  attachLinkPreview(payload);
+  await sendAutoReply(thread, members, senderId, null);
+}
+
+/**
+ * Sends the scheduled messages that are due. Each one is claimed first, so
+ * several instances never send the same message.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function dispatchScheduledMessages() {
+  for (const item of await scheduledMessages.listDue(JOB_BATCH)) {
+    if (!(await scheduledMessages.claim(item.id))) continue;
+    try {
+      await sendScheduledMessage(item);
+    } catch (e) {
+      console.error("❌ Scheduled message error:", e.message);
+      await scheduledMessages.markFailed(item.id, "internal_error");
+    }
+  }
+}
+
+/**
+ * Purges the disappearing messages that expired: content, images (files
+ * included when the author uploaded them and nothing else uses them, see
+ * `ChatUploadRepository#releaseFiles`) and their traces in the event log,
+ * then tells the thread with `message_deleted`.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function purgeExpiredMessages() {
+  for (const msg of await chatMessages.purgeExpired(JOB_BATCH)) {
+    await chatEvents.scrubMessage(msg.thread_id, msg.id);
+    await uploads.releaseFiles(msg.image_urls, [msg.sender_id, msg.sent_by]);
+    await emitMessageDeleted(msg, null);
+  }
+}
+
+/**
+ * Inbound frame handlers, keyed by canonical frame type (see
+ * `FRAME_SCHEMAS` in ws/chatFrames.js). Each receives the socket and the
+ * validated frame; thrown errors are answered with `internal_error`.
+ *
+ * @type {Record<string, (ws: import("ws").WebSocket, frame: Object) => Promise<void>>}
+ */
+const handlers = {
+  // ---- Auth handshake ----
+  async auth(ws, frame) {
+    if (rejectOtherUser(ws, frame, "user_id")) return;
+
+    safeSend(ws, {
+      type: "auth_ok",
+      user_id: ws.user_id,
+      ts: Date.now(),
+    });
+
+    const counts = await getNavCounts(ws.user_id);
+    safeSend(ws, { type: "nav_counts", payload: counts });
+  },
+
+  // ---- Echo (diagnostic) ----
+  async echo(ws, frame) {
+    safeSend(ws, { type: "echo", data: frame.data || null, ts: Date.now() });
+  },
+
+  // ---- Ask fresh nav counts ----
+  async nav_counts(ws) {
+    try {
+      const counts = await getNavCounts(ws.user_id);
+      safeSend(ws, { type: "nav_counts", payload: counts });
+    } catch {}
+  },
+
+  // ---- Who is online ----
+  async who_is_online(ws) {
+    const online = await getClusterOnlineUserIds();
+    const hidden = await blocks.getSeparatedIds(ws.user_id);
+    safeSend(ws, {
+      type: "online_users",
+      users: online.filter((id) => !hidden.has(String(id))),
+    });
+  },
+
+  // ---- Channel subscriptions (reserved) ----
+  async subscribe(ws, frame) {
+    ws.subscriptions = frame.channels || [];
+    safeSend(ws, { type: "subscribed", channels: ws.subscriptions });
+  },
+
+  // ---- Typing indicator (direct: `to`, group: `thread_id`) ----
+  async typing(ws, frame) {
+    if (rejectOtherUser(ws, frame, "from")) return;
+    const { to, thread_id } = frame;
+    const from = Number(ws.user_id);
+    const hidden = await blocks.getSeparatedIds(from);
+    if (thread_id) {
+      const members = await threads.getMemberIds(thread_id);
+      if (!members.includes(from)) return;
+      sendToUsers(
+        members.filter((id) => id !== from && !hidden.has(String(id))),
+        { type: "typing", from, thread_id }
+      );
+      return;
+    }
+    if (hidden.has(String(to))) return;
+    sendToUser(to, { type: "typing", from });
+  },
+
+  // ---- Mark messages as seen in a thread ----
+  async message_seen(ws, frame) {
+    if (rejectOtherUser(ws, frame, "user_id")) return;
+    const { thread_id } = frame;
+    const user_id = Number(ws.user_id);
+    const upToId = frame.up_to_id || null;
+
+    const thread = await threads.getThread(thread_id);
+    if (!thread) {
+      sendError(ws, "not_found", "Thread not found", { ref: thread_id });
+      return;
+    }
+    // Shop staff read on behalf of the shop
+    const members = await threads.getMemberIds(thread);
+    const reader = await actingUserId(thread, members, user_id);
+    if (!reader) {
+      sendError(ws, "forbidden", "Not a member of this thread", {
+        ref: thread_id,
+        thread_id,
+      });
+      return;
+    }
+
+    // Direct threads keep the legacy `seen` flag used by unread counters
+    if (!thread.is_group) {
+      await pool.query(
+        `UPDATE chat_messages SET seen = 1
+         WHERE thread_id = ? AND sender_id != ? AND seen = 0
+         ${upToId ? "AND id <= ?" : ""}`,
+        upToId ? [thread.id, reader, upToId] : [thread.id, reader]
+      );
+    }
+
+    // Read cursor + read_at, `messages_seen` to the other members
+    await markReadUpTo(thread, reader, upToId);
+  },
+
+  // ---- Group threads: create ----
+  async group_create(ws, frame) {
+    const refs = frameRef("group_create", frame);
+
+    // Nobody is put in a group with a user they blocked or who blocked them
+    const hidden = await blocks.getSeparatedIds(ws.user_id);
+    if (frame.member_ids.some((id) => hidden.has(String(id)))) {
+      sendError(ws, "blocked", "You cannot add this user", refs);
+      return;
+    }
+
+    let thread_id;
+    try {
+      thread_id = await threads.createGroup({
+        creatorId: ws.user_id,
+        title: frame.title,
+        memberIds: frame.member_ids,
+      });
+    } catch (e) {
+      if (!(e instanceof ChatThreadRepository.GroupError)) throw e;
+      sendError(ws, e.code, e.message, refs);
+      return;
+    }
+    const members = await threads.getMemberIds(thread_id);
+    const thread = await threads.getThread(thread_id);
+    sendToUsers(members, {
+      type: "group_created",
+      thread_id,
+      title: thread?.title || null,
+      created_by: Number(ws.user_id),
+      member_ids: members,
+    });
+  },
+
+  // ---- Group threads: add / remove members ----
+  group_add_member: manageGroupMember,
+  group_remove_member: manageGroupMember,
+
+  // ---- Edit own message ----
+  async message_edit(ws, frame) {
+    const messageId = frame.message_id;
+    const edit = { messageId, editorId: ws.user_id, content: frame.content };
+
+    // Only edits that can succeed are moderated (and recorded)
+    const check = await chatMessages.checkEdit(edit);
+    if (EDIT_ERRORS[check.status]) {
+      const [code, msg] = EDIT_ERRORS[check.status];
+      sendError(ws, code, msg, { ref: messageId });
+      return;
+    }
+    if (check.status !== "ok") return; // unchanged
+
+    const verdict = await moderation.moderateEdit({
+      message: check.message,
+      editorId: ws.user_id,
+      content: frame.content,
+      locale: ws.locale,
+    });
+    if (verdict.action === "reject") {
+      sendError(ws, "moderation_rejected", "Edit rejected by moderation", {
+        ref: messageId,
+        reasons: verdict.reasons,
+      });
+      return;
+    }
+
+    const out = await chatMessages.editMessage({
+      ...edit,
+      content: verdict.content,
+    });
+    if (EDIT_ERRORS[out.status]) {
+      const [code, msg] = EDIT_ERRORS[out.status];
+      sendError(ws, code, msg, { ref: messageId });
+      return;
+    }
+    if (out.status !== "ok") return; // unchanged
+    await moderation.attachTarget(verdict.decisionId, messageId);
+
+    const event = await emitMessageEdited(out.message, ws.user_id, ws);
+    safeSend(ws, event);
+    attachLinkPreview(out.message);
+  },
+
+  // ---- Offline resync ----
+  async sync(ws, frame) {
+    const page = await buildSyncPage(ws.user_id, {
+      cursor: frame.cursor,
+      threads: frame.threads,
+      limit: frame.limit,
+    });
+    for (const event of page.frames) safeSend(ws, event);
+    safeSend(ws, {
+      type: "sync_done",
+      cursor: page.cursor,
+      has_more: page.has_more,
+    });
+
+    // The client is now up to date: everything pending is delivered
+    if (!page.has_more) await deliverPending(ws.user_id);
+  },
+
+  // ---- Lazy-loaded history page ----
+  async history_request(ws, frame) {
+    const ref = frame.ref ?? null;
+    const cursor = ChatMessageRepository.parseHistoryCursor(frame);
+
+    let thread = null;
+    if (frame.thread_id) thread = await threads.getThread(frame.thread_id);
+    else {
+      thread = await threads.findDirectThread(ws.user_id, frame.receiver_id);
+      if (!thread) {
+        safeSend(ws, {
+          type: "history",
+          ref,
+          thread_id: null,
+          messages: [],
+          has_more: false,
+        });
+        return;
+      }
+    }
+    if (!thread) {
+      sendError(ws, "not_found", "Thread not found", { ref });
+      return;
+    }
+    const members = await threads.getMemberIds(thread);
+    if (!(await actingUserId(thread, members, ws.user_id))) {
+      sendError(ws, "forbidden", "Not a member of this thread", {
+        ref,
+        thread_id: thread.id,
+      });
+      return;
+    }
+
+    const page = await chatMessages.listThreadMessages(thread.id, {
+      ...cursor,
+      viewerId: ws.user_id,
+    });
+    safeSend(ws, {
+      type: "history",
+      ref,
+      thread_id: thread.id,
+      messages: page.messages,
+      has_more: page.has_more,
+    });
+  },
+
+  // ---- Emoji reactions ----
+  reaction_add: toggleReaction,
+  reaction_remove: toggleReaction,
+
+  // ---- Send message (text/images/product card/offer/checkout link) ----
+  async message_send(ws, frame) {
+    const {
+      receiver_id,
+      image_urls = [],
+      temp_id = null,
+      extra_data = null,
+    } = frame;
+    let { content = "" } = frame;
+    const refs = frameRef("message_send", frame);
+
+    let { thread_id } = frame;
+
+    if (rejectOtherUser(ws, frame, "sender_id")) return;
+    const authorId = Number(ws.user_id);
+
+    // Find the direct thread if not specified (never with a blocked user).
+    // A new one is only created once the message is accepted, below.
+    let thread;
+    if (thread_id) thread = await threads.getThread(thread_id);
+    else {
+      if (await blocks.isSeparated(authorId, receiver_id)) {
+        sendError(ws, "blocked", "You cannot message this user", refs);
+        return;
+      }
+      thread = (await threads.findDirectThread(authorId, receiver_id)) || {
+        id: null,
+        user1_id: Math.min(authorId, receiver_id),
+        user2_id: Math.max(authorId, receiver_id),
+        is_group: 0,
+      };
+      thread_id = thread.id;
+    }
+    if (!thread) {
+      sendError(ws, "not_found", "Thread not found", { ...refs, thread_id });
+      return;
+    }
+    // Shop staff write as the shop (`sent_by` keeps who wrote it)
+    const members = await threads.getMemberIds(thread);
+    const sender_id = await actingUserId(thread, members, authorId);
+    if (!sender_id) {
+      sendError(ws, "forbidden", "Not a member of this thread", {
+        ...refs,
+        thread_id,
+      });
+      return;
+    }
+
+    // Blocks: direct threads are frozen, group members are skipped
+    const hidden = await blocks.getSeparatedIds(sender_id);
+    if (!thread.is_group && members.some((id) => hidden.has(String(id)))) {
+      sendError(ws, "blocked", "You cannot message this user", {
+        ...refs,
+        thread_id,
+      });
+      return;
+    }
+
+    // Saved reply template, filled for this conversation
+    if (frame.quick_reply_id) {
+      const template = await quickReplies.get(frame.quick_reply_id, authorId);
+      if (!template) {
+        sendError(ws, "not_found", "Quick reply not found", {
+          ...refs,
+          thread_id,
+        });
+        return;
+      }
+      const vars = await templateVars(
+        thread,
+        members,
+        sender_id,
+        extra_data?.product_id
+      );
+      content = renderTemplate(template.body, vars);
+    }
+
+    // Optional quoted message (must live in the same thread)
+    const replyToId = frame.reply_to_message_id || null;
+    let replyTo = null;
+    if (replyToId) {
+      const quoted = await chatMessages.getMessage(replyToId);
+      if (!quoted || Number(quoted.thread_id) !== Number(thread_id)) {
+        sendError(
+          ws,
+          "invalid_reply",
+          "reply_to_message_id must reference a message of this thread",
+          { ...refs, thread_id }
+        );
+        return;
+      }
+      replyTo =
+        (await chatMessages.getReplyPreviews([replyToId])).get(replyToId) ||
+        null;
+    }
+
+    const sendAt = frame.send_at
+      ? ChatScheduledMessageRepository.parseSendAt(frame.send_at)
+      : null;
+    if (frame.send_at && !sendAt) {
+      sendError(
+        ws,
+        "invalid_payload",
+        `send_at: must be a future ISO 8601 date within ${ChatScheduledMessageRepository.MAX_SCHEDULE_DAYS} days`,
+        { ...refs, thread_id }
+      );
+      return;
+    }
+
+    // Moderation: masked, held for review or rejected before anything is
+    // stored. Structured messages cannot wait for review.
+    const kind = frame.kind || "text";
+    let verdict = null;
+    if (content.trim()) {
+      verdict = await moderation.moderate({
+        targetType: "message",
+        userId: authorId,
+        threadId: thread_id,
+        content,
+        locale: ws.locale,
+        payload: {
+          sender_id,
+          sent_by: sender_id !== authorId ? authorId : null,
+          image_urls,
+          reply_to_message_id: replyToId,
+          expires_in: frame.expires_in ?? null,
+          send_at: sendAt ? sendAt.toISOString() : null,
+        },
+        holdable: kind === "text",
+      });
+      if (verdict.action === "reject") {
+        sendError(ws, "moderation_rejected", "Message rejected by moderation", {
+          ...refs,
+          thread_id,
+          reasons: verdict.reasons,
+        });
+        return;
+      }
+      content = verdict.content;
+    }
+
+    // Structured messages (product card, offer, checkout link)
+    let productId = extra_data?.product_id ?? null;
+    let extraData = null;
+    let prepared = null;
+    if (kind !== "text" && !sendAt) {
+      prepared = await commerce.prepareMessage(kind, {
+        thread,
+        members,
+        senderId: sender_id,
+        extra: extra_data,
+      });
+      if (prepared.status !== "ok") {
+        sendError(ws, COMMERCE_ERRORS[prepared.status], prepared.message, {
+          ...refs,
+          thread_id,
+        });
+        return;
+      }
+      productId = prepared.productId;
+      extraData = prepared.extraData;
+    }
+
+    // The message is accepted: a new direct thread can now be created
+    if (!thread.id) {
+      thread_id = await ensureThreadId(authorId, receiver_id);
+      thread = await threads.getThread(thread_id);
+      safeSend(ws, { type: "new_thread", thread_id });
+      if (verdict) await moderation.attachThread(verdict.decisionId, thread_id);
+    }
+
+    if (verdict?.action === "hold") {
+      const event = {
+        type: "message_held",
+        temp_id,
+        thread_id: Number(thread_id),
+        decision_id: verdict.decisionId,
+        reasons: verdict.reasons,
+      };
+      sendToUser(authorId, event, ws);
+      safeSend(ws, event);
+      return;
+    }
+
+    // Scheduled message: stored now, delivered by the dispatcher
+    if (sendAt) {
+      const out = await scheduledMessages.create({
+        threadId: thread_id,
+        senderId: sender_id,
+        sentBy: sender_id !== authorId ? authorId : null,
+        content,
+        imageUrls: image_urls,
+        replyToId,
+        expiresIn: frame.expires_in ?? null,
+        sendAt,
+      });
+      if (out.status === "limit") {
+        sendError(ws, "forbidden", "Too many scheduled messages", {
+          ...refs,
+          thread_id,
+        });
+        return;
+      }
+      const event = { type: "message_scheduled", temp_id, ...out.scheduled };
+      sendToUser(authorId, event, ws);
+      safeSend(ws, event);
+      return;
+    }
+
+    let offerId = null;
+    if (prepared?.offer) {
+      offerId = await commerce.createOffer({
+        ...prepared.offer,
+        threadId: Number(thread_id),
+      });
+      extraData = { offer_id: offerId, ...extraData, status: "pending" };
+    }
+
+    const payload = await deliverMessage(ws, {
+      thread,
+      members,
+      hidden,
+      senderId: sender_id,
+      sentBy: sender_id !== authorId ? authorId : null,
+      content,
+      imageUrls: image_urls,
+      kind,
+      extraData,
+      productId,
+      replyToId,
+      replyTo,
+      expiresIn: frame.expires_in ?? null,
+      tempId: temp_id,
+    });
+    if (offerId) await commerce.attachMessage(offerId, payload.id);
+    if (verdict) await moderation.attachTarget(verdict.decisionId, payload.id);
+
+    attachLinkPreview(payload); // not awaited: the preview follows the message
+
+    await sendAutoReply(thread, members, sender_id, productId);
+  },
+
+  // ---- Answer an offer (accept / decline / counter / withdraw) ----
+  async offer_respond(ws, frame) {
+    const { offer_id: offerId, action } = frame;
+    const refs = frameRef("offer_respond", frame);
+
+    if (
+      action === "counter" &&
+      ChatCommerceRepository.parseAmount(frame.amount) === null
+    ) {
+      sendError(
+        ws,
+        "invalid_payload",
+        "amount: must be a positive amount",
+        refs
+      );
+      return;
+    }
+
+    // Direct threads with a blocked user are frozen
+    const current = await commerce.getOffer(offerId);
+    const thread = current && (await threads.getThread(current.thread_id));
+    if (!thread) {
+      sendError(ws, "not_found", OFFER_ERROR_MESSAGES.not_found, refs);
+      return;
+    }
+    // Shop staff answer as the shop
+    const members = await threads.getMemberIds(thread);
+    const userId = await actingUserId(thread, members, ws.user_id);
+    if (!userId) {
+      sendError(ws, "forbidden", OFFER_ERROR_MESSAGES.forbidden, {
+        ...refs,
+        thread_id: thread.id,
+      });
+      return;
+    }
+    const hidden = await blocks.getSeparatedIds(userId);
+    if (members.some((id) => hidden.has(String(id)))) {
+      sendError(ws, "blocked", "You cannot message this user", {
+        ...refs,
+        thread_id: thread.id,
+      });
+      return;
+    }
+
+    // A counter-offer is checked before the offer it answers is closed
+    let prepared = null;
+    if (action === "counter") {
+      prepared = await commerce.prepareMessage("offer", {
+        thread,
+        members,
+        senderId: userId,
+        extra: {
+          product_id: current.product_id,
+          amount: frame.amount,
+          currency: frame.currency || current.currency,
+        },
+        parentOfferId: Number(current.id),
+      });
+      if (prepared.status !== "ok") {
+        sendError(ws, COMMERCE_ERRORS[prepared.status], prepared.message, {
+          ...refs,
+          thread_id: thread.id,
+        });
+        return;
+      }
+    }
+
+    const out = await commerce.respondToOffer(offerId, userId, action);
+    if (out.status !== "ok") {
+      sendError(
+        ws,
+        COMMERCE_ERRORS[out.status],
+        OFFER_ERROR_MESSAGES[out.status],
+        { ...refs, thread_id: thread.id }
+      );
+      return;
+    }
+
+    const offer = out.offer;
+    if (action !== "counter") {
+      await emitOfferUpdated(offer);
+      return;
+    }
+
+    // Counter: the responder sends a new offer on the same product
+    const counterId = await commerce.createOffer(prepared.offer);
+    await emitOfferUpdated(offer, { counter_offer_id: counterId });
+    const payload = await deliverMessage(ws, {
+      thread,
+      members,
+      hidden,
+      senderId: userId,
+      sentBy: userId !== Number(ws.user_id) ? Number(ws.user_id) : null,
+      kind: "offer",
+      extraData: {
+        offer_id: counterId,
+        ...prepared.extraData,
+        status: "pending",
+      },
+      productId: prepared.productId,
+      tempId: frame.temp_id ?? null,
+    });
+    await commerce.attachMessage(counterId, payload.id);
+  },
+};
+
 /**
  * WebSocket gateway factory. Attaches connection handlers to a `ws` server instance.
  *
@@ -139,238 +1550,160 @@ module.exports = function (wss) {
       } catch {}
     }
   }, 30_000);
-  wss.on("close", () => clearInterval(heartbeat));
+
+  const bus = getBus();
+
+  /**
+   * Sends a presence event to every client of this instance except `skip`
+   * and the users separated from the event's user by a block.
+   *
+   * @async
+   * @param {{ type: string, user_id: string }} event - Presence event.
+   * @param {import("ws").WebSocket} [skip] - Socket to leave out.
+   * @returns {Promise<void>}
+   */
+  async function broadcastPresenceLocal(event, skip) {
+    const hidden = await blocks.getSeparatedIds(event.user_id);
+    wss.clients.forEach((client) => {
+      if (client.readyState !== 1 || client === skip) return;
+      if (hidden.has(client.user_id)) return;
+      safeSend(client, event);
+    });
+  }
+
+  // Presence flips announced by the other instances
+  const unsubscribePresence = bus.subscribe("chat:presence", (d) => {
+    if (d && d.user_id != null) broadcastPresenceLocal(d).catch(() => {});
+  });
+  // --- Event log retention (see CHAT_EVENT_RETENTION_DAYS) ---
+  const pruneEvents = setInterval(() => {
+    chatEvents.prune().catch((e) => {
+      console.error("❌ Chat event prune error:", e.message);
+    });
+  }, 60 * 60 * 1000);
+  pruneEvents.unref();
+
+  // --- Disappearing messages & scheduled messages ---
+  const purgeExpired = setInterval(() => {
+    purgeExpiredMessages().catch((e) => {
+      console.error("❌ Expired message purge error:", e.message);
+    });
+  }, PURGE_INTERVAL_MS);
+  purgeExpired.unref();
+  const dispatchScheduled = setInterval(() => {
+    dispatchScheduledMessages().catch((e) => {
+      console.error("❌ Scheduled message dispatch error:", e.message);
+    });
+  }, SCHEDULE_INTERVAL_MS);
+  dispatchScheduled.unref();
+
+  wss.on("close", () => {
+    clearInterval(heartbeat);
+    clearInterval(pruneEvents);
+    clearInterval(purgeExpired);
+    clearInterval(dispatchScheduled);
+    unsubscribePresence();
+  });
+
+  /**
+   * Broadcasts a presence flip to the whole cluster, unless the user still
+   * has (or already had) a device on another instance.
+   *
+   * @async
+   * @param {"user_online"|"user_offline"} type - Presence event type.
+   * @param {import("ws").WebSocket} ws - Socket that triggered the flip.
+   * @returns {Promise<void>}
+   */
+  async function announcePresence(type, ws) {
+    if (bus.enabled && (await isOnlineElsewhere(ws.user_id))) return;
+    const event = { type, user_id: ws.user_id };
+    await broadcastPresenceLocal(event, ws);
+    bus.publish("chat:presence", event);
+  }
+
+  /**
+   * Unregisters a socket from its user and broadcasts `user_offline`
+   * once the user's last device is gone.
+   *
+   * @param {import("ws").WebSocket} ws - Socket being released.
+   * @returns {void}
+   */
+  function releaseSocket(ws) {
+    const remaining = removeConnection(ws.user_id, ws);
+    if (remaining > 0) return;
+    announcePresence("user_offline", ws).catch(() => {});
+  }
 
   // --- Connection lifecycle ---
-  wss.on("connection", function (ws) {
+  wss.on("connection", function (ws, req) {
     ws.isAlive = true;
     ws.on("pong", () => (ws.isAlive = true));
 
-    ws.on("message", async function (message) {
+    // Identity was verified during the HTTP upgrade (see server.js)
+    if (!req?.wsUserId) {
       try {
-        const data = JSON.parse(message);
-
-        // ---- Auth handshake ----
-        if (data.type === "auth") {
-          ws.user_id = String(data.user_id);
-          connectedUsers.set(ws.user_id, ws);
-
-          safeSend(ws, {
-            type: "auth_ok",
-            user_id: ws.user_id,
-            ts: Date.now(),
-          });
-
-          const counts = await getNavCounts(ws.user_id);
-          safeSend(ws, { type: "nav_counts", payload: counts });
-
-          // Presence broadcast (others see user online)
-          wss.clients.forEach((client) => {
-            if (client.readyState === 1 && client !== ws) {
-              safeSend(client, { type: "user_online", user_id: ws.user_id });
-            }
-          });
-          return;
-        }
+        ws.close(1008, "unauthorized");
+      } catch {}
+      return;
+    }
+    ws.user_id = String(req.wsUserId);
+    ws.locale = req.headers?.["accept-language"] || null; // moderation word lists
 
-        // ---- Echo (diagnostic) ----
-        if (data.type === "echo") {
-          safeSend(ws, {
-            type: "echo",
-            data: data.data || null,
-            ts: Date.now(),
-          });
-          return;
-        }
+    // Presence broadcast (others see user online) — first device only
+    if (addConnection(ws.user_id, ws) === 1) {
+      announcePresence("user_online", ws).catch(() => {});
+    }
 
-        // ---- Ask fresh nav counts ----
-        if (data.type === "nav_counts") {
-          if (!ws.user_id) return;
+    ws.on("message", async function (message) {
+      let data = null;
+      try {
+        data = JSON.parse(message);
+      } catch {}
+      const check = data === null ? null : validateFrame(data);
+
+      // Flood protection: per user (all devices) and per frame type
+      const type = check?.ok ? check.type : "*";
+      const quota = limiter.consume(ws.user_id, type);
+      if (!quota.ok) {
+        sendError(ws, "rate_limited", "Too many frames, slow down", {
+          ...(check?.ok ? frameRef(type, check.frame) : { ref: null }),
+          retry_after_ms: quota.retryAfterMs,
+        });
+        if (limiter.strike(ws.user_id)) {
+          limiter.recordDisconnect();
           try {
-            const counts = await getNavCounts(ws.user_id);
-            safeSend(ws, { type: "nav_counts", payload: counts });
+            ws.close(1008, "rate_limited");
           } catch {}
-          return;
-        }
-
-        // ---- Who is online ----
-        if (data.type === "who_is_online") {
-          const online = Array.from(connectedUsers.keys());
-          safeSend(ws, { type: "online_users", users: online });
-          return;
-        }
-
-        // ---- Channel subscriptions (reserved) ----
-        if (data.type === "subscribe") {
-          ws.subscriptions = Array.isArray(data.channels) ? data.channels : [];
-          safeSend(ws, { type: "subscribed", channels: ws.subscriptions });
-          return;
-        }
-
-        // ---- Typing indicator ----
-        if (data.type === "typing") {
-          const { from, to } = data;
-          const target = connectedUsers.get(String(to));
-          safeSend(target, { type: "typing", from });
-          return;
         }
+        return;
+      }
 
-        // ---- Mark messages as seen in a thread ----
-        if (data.type === "message_seen") {
-          const { thread_id, user_id } = data;
-          if (!thread_id || !user_id) return;
-
-          await pool.query(
-            `UPDATE chat_messages SET seen = 1 WHERE thread_id = ? AND sender_id != ? AND seen = 0`,
-            [thread_id, user_id]
-          );
-
-          const [[row]] = await pool.query(
-            `SELECT user1_id, user2_id FROM chat_threads WHERE id = ? LIMIT 1`,
-            [thread_id]
-          );
-          if (row) {
-            const other =
-              user_id === row.user1_id ? row.user2_id : row.user1_id;
-            const target = connectedUsers.get(String(other));
-            safeSend(target, {
-              type: "messages_seen",
-              thread_id,
-              seen_by: user_id,
-            });
-          }
-          return;
-        }
+      if (!check) {
+        sendError(ws, "invalid_json", "Frame is not valid JSON", { ref: null });
+        return;
+      }
+      if (!check.ok) {
+        const { code, message: reason, ok, ...refs } = check;
+        sendError(ws, code, reason, refs);
+        return;
+      }
 
-        // ---- Send message (text/images/optional product) ----
-        if (data.type === "message_send" || data.type === "message") {
-          const {
-            sender_id,
-            receiver_id,
-            content = "",
-            image_urls = [],
-            temp_id = null,
-            extra_data = null,
-          } = data;
-
-          let { thread_id } = data;
-
-          // Minimal payload validation
-          if (
-            !sender_id ||
-            (!content && (!image_urls || image_urls.length === 0))
-          )
-            return;
-
-          // Create/find thread if not specified
-          if (!thread_id && receiver_id) {
-            thread_id = await ensureThreadId(sender_id, receiver_id);
-            safeSend(ws, { type: "new_thread", thread_id });
-          }
-          if (!thread_id) return;
-
-          // Optional product context
-          const productId = extra_data?.product_id ?? null;
-
-          // Persist message
-          const [result] = await pool.query(
-            `INSERT INTO chat_messages (thread_id, sender_id, content, image_urls, product_id)
-             VALUES (?, ?, ?, ?, ?)`,
-            [
-              thread_id,
-              sender_id,
-              content,
-              JSON.stringify(image_urls || []),
-              productId,
-            ]
-          );
-
-          const insertedId = result.insertId;
-          const payload = {
-            type: "new_message",
-            id: insertedId,
-            thread_id,
-            sender_id,
-            content,
-            image_urls,
-            created_at: new Date().toISOString(),
-            ...(productId ? { extra_data: { product_id: productId } } : {}),
-          };
-
-          // Client-side optimistic ACK
-          if (temp_id) {
-            safeSend(ws, {
-              type: "message_ack",
-              temp_id,
-              message_id: insertedId,
-              thread_id,
-            });
-          }
-
-          // Echo back to sender
-          safeSend(ws, payload);
-
-          // Deliver to receiver if online + side effects
-          const [[row]] = await pool.query(
-            `SELECT user1_id, user2_id FROM chat_threads WHERE id = ? LIMIT 1`,
-            [thread_id]
-          );
-          if (row) {
-            const other =
-              sender_id === row.user1_id ? row.user2_id : row.user1_id;
-            const receiverWS = connectedUsers.get(String(other));
-
-            // Persist notification (fallback to pull channels)
-            await createNotification({
-              user_id: other,
-              title: "New message",
-              body: "You have received a message.",
-              type: "chat",
-              related_id: thread_id,
-            });
-
-            // Push live message to receiver
-            safeSend(receiverWS, payload);
-
-            // Stop typing hint
-            safeSend(receiverWS, { type: "stop_typing", from: sender_id });
-
-            // In-app notification event for receiver UI
-            safeSend(receiverWS, {
-              type: "notification",
-              payload: {
-                recipient_id: other,
-                title: "New Message",
-                body: "You’ve got a new message.",
-                type: "chat",
-                related_id: thread_id,
-                created_at: new Date().toISOString(),
-              },
-            });
-
-            // Refresh receiver counters
-            try {
-              const counts = await getNavCounts(other);
-              safeSend(receiverWS, { type: "nav_counts", payload: counts });
-            } catch {}
-          }
-          return;
-        }
+      try {
+        await handlers[check.type](ws, check.frame);
       } catch (err) {
         console.error("❌ WebSocket error:", err.message);
+        sendError(
+          ws,
+          "internal_error",
+          "Frame could not be processed",
+          frameRef(check.type, check.frame)
+        );
       }
     });
 
     // ---- Disconnect / presence ----
     ws.on("close", function () {
-      if (ws.user_id) {
-        connectedUsers.delete(ws.user_id);
-        wss.clients.forEach((client) => {
-          if (client.readyState === 1 && client !== ws) {
-            safeSend(client, { type: "user_offline", user_id: ws.user_id });
-          }
-        });
-      }
+      if (ws.user_id) releaseSocket(ws);
     });
   });
 };
@@ -0,0 +1,432 @@
+/**
+ * @file ws/chatEvents.js
+ * @description
+ * Helpers to push chat events to the members of a thread from anywhere in
+ * the app (WebSocket gateway **and** REST routes).
+ *
+ * Delivery goes through `sendToUser()` (ws/userState.js), so every device of
+ * every member receives the event, on any instance when Redis is configured.
+ * Staff of a shop taking part in a direct thread receive its events as well
+ * (shared team inbox, `repositories/ChatTeamInboxRepository.js`).
+ *
+ * Receipts: `markDelivered()` / `markReadUpTo()` move the member's cursors,
+ * stamp `delivered_at` / `read_at` on messages and notify the other members
+ * (`message_delivered` / `messages_seen`).
+ *
+ * Thread events that matter for offline clients are first appended to the
+ * event log (`repositories/ChatEventRepository.js`) and carry its ID as
+ * `event_id`: a reconnecting client sends the last one it processed in a
+ * `sync` frame and `buildSyncPage()` replays what it missed, in order.
+ *
+ * ## Example
+ * ```js
+ * const { emitToThread, recordEvent } = require("../ws/chatEvents");
+ * const event = await recordEvent({ type: "message_edited", id: 981, thread_id: 9, ... }, { messageId: 981 });
+ * await emitToThread(9, event);
+ * ```
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+const { sendToUser } = require("./userState");
+const ChatThreadRepository = require("../repositories/ChatThreadRepository");
+const ChatMessageRepository = require("../repositories/ChatMessageRepository");
+const ChatEventRepository = require("../repositories/ChatEventRepository");
+const ChatTeamInboxRepository = require("../repositories/ChatTeamInboxRepository");
+const ChatBlockRepository = require("../repositories/ChatBlockRepository");
+const LinkPreviewRepository = require("../repositories/LinkPreviewRepository");
+
+const threads = new ChatThreadRepository();
+const chatMessages = new ChatMessageRepository();
+const events = new ChatEventRepository();
+const team = new ChatTeamInboxRepository();
+const blocks = new ChatBlockRepository();
+const linkPreviews = new LinkPreviewRepository();
+
+/**
+ * Appends a thread event to the log and returns the payload stamped with
+ * its `event_id`. Logging failures never block live delivery: the payload
+ * is then returned unstamped.
+ *
+ * @async
+ * @param {Object} payload - Outbound frame (must carry `type` and `thread_id`).
+ * @param {Object} [meta]
+ * @param {number} [meta.messageId] - Related message.
+ * @param {number|string} [meta.actorId] - User who caused the event.
+ * @returns {Promise<Object>} `{ ...payload, event_id }`
+ */
+async function recordEvent(payload, { messageId = null, actorId = null } = {}) {
+  try {
+    const event_id = await events.append({
+      threadId: payload.thread_id,
+      type: payload.type,
+      messageId,
+      actorId,
+      payload,
+    });
+    return { ...payload, event_id };
+  } catch (e) {
+    console.error("❌ Chat event log error:", e.message);
+    return payload;
+  }
+}
+
+/**
+ * Sends a payload to every active member of a thread and to the staff of
+ * the shops taking part in it.
+ *
+ * @async
+ * @param {number|string|Object} threadOrId - Thread ID or loaded thread row.
+ * @param {any} payload - JSON-serializable event.
+ * @param {Object} [options]
+ * @param {number|string} [options.exceptUserId] - Member to skip entirely.
+ * @param {import("ws").WebSocket} [options.exceptSocket] - Single socket to skip (originating device).
+ * @returns {Promise<number[]>} IDs of the users the event was addressed to.
+ */
+async function emitToThread(threadOrId, payload, options = {}) {
+  const { exceptUserId = null, exceptSocket } = options;
+  const thread =
+    typeof threadOrId === "object" && threadOrId
+      ? threadOrId
+      : await threads.getThread(threadOrId);
+  const members = await threads.getMemberIds(thread);
+  const staff = [...(await team.getThreadStaff(thread)).values()].flat();
+  const recipients = [...new Set([...members, ...staff])].filter(
+    (uid) => exceptUserId === null || String(uid) !== String(exceptUserId)
+  );
+  for (const uid of recipients) sendToUser(uid, payload, exceptSocket);
+  return recipients;
+}
+
+/**
+ * Broadcasts a `message_edited` event to every member of the message's thread
+ * (including the editor's other devices).
+ *
+ * @async
+ * @param {Object} message - Updated `chat_messages` row.
+ * @param {number|string} editorId - User who edited the message.
+ * @param {import("ws").WebSocket} [exceptSocket] - Originating socket (answered directly).
+ * @returns {Promise<Object>} The emitted event.
+ */
+async function emitMessageEdited(message, editorId, exceptSocket) {
+  const event = await recordEvent(
+    {
+      type: "message_edited",
+      id: message.id,
+      thread_id: message.thread_id,
+      content: message.content,
+      edited_at: message.edited_at,
+      edited_by: Number(editorId),
+    },
+    { messageId: message.id, actorId: editorId }
+  );
+  await emitToThread(message.thread_id, event, { exceptSocket });
+  return event;
+}
+
+/**
+ * Broadcasts the new reaction totals of a message to every member of its
+ * thread. Totals carry no `me` flag (it differs per recipient): clients
+ * derive it from `user_id` / `action`.
+ *
+ * @async
+ * @param {Object} message - `chat_messages` row (`id`, `thread_id`).
+ * @param {number|string} userId - User who reacted.
+ * @param {string} emoji - Reaction emoji.
+ * @param {"add"|"remove"} action - What the user did.
+ * @returns {Promise<Object>} The emitted event.
+ */
+async function emitReactionUpdate(message, userId, emoji, action) {
+  const summaries = await chatMessages.getReactionSummaries([message.id]);
+  const event = await recordEvent(
+    {
+      type: "reaction_update",
+      message_id: message.id,
+      thread_id: message.thread_id,
+      user_id: Number(userId),
+      emoji,
+      action,
+      reactions: (summaries.get(Number(message.id)) || []).map(
+        ({ emoji, count }) => ({ emoji, count })
+      ),
+    },
+    { messageId: message.id, actorId: userId }
+  );
+  await emitToThread(message.thread_id, event);
+  return event;
+}
+
+/**
+ * Broadcasts a `message_deleted` event to every member of the message's thread.
+ *
+ * @async
+ * @param {Object} message - `chat_messages` row (`id`, `thread_id`).
+ * @param {number|string|null} userId - User who deleted the message, `null`
+ *        when a disappearing message expired (the event then carries `expired: true`).
+ * @returns {Promise<Object>} The emitted event.
+ */
+async function emitMessageDeleted(message, userId) {
+  const expired = userId === null;
+  const event = await recordEvent(
+    {
+      type: "message_deleted",
+      id: message.id,
+      thread_id: message.thread_id,
+      deleted_by: expired ? null : Number(userId),
+      ...(expired ? { expired: true } : {}),
+    },
+    { messageId: message.id, actorId: userId }
+  );
+  await emitToThread(message.thread_id, event);
+  return event;
+}
+
+/**
+ * Broadcasts the link preview of a message (set after the message was
+ * sent, or changed by an edit; `link_preview: null` removes it).
+ *
+ * @async
+ * @param {Object} message - Message (`id`, `thread_id`).
+ * @param {Object|null} preview - `{ url, title, description, image_url, site_name }`.
+ * @returns {Promise<Object>} The emitted event.
+ */
+async function emitLinkPreview(message, preview) {
+  const event = await recordEvent(
+    {
+      type: "message_preview",
+      id: message.id,
+      thread_id: message.thread_id,
+      link_preview: preview,
+    },
+    { messageId: message.id }
+  );
+  await emitToThread(message.thread_id, event);
+  return event;
+}
+
+/**
+ * Unfurls the first link of a message (see `LinkPreviewRepository`) and
+ * pushes it with `message_preview`, for messages sent or edited over the
+ * gateway or REST. Runs after delivery so a slow site never delays the
+ * message; after an edit it also removes a preview whose link is gone.
+ * Failures are logged only.
+ *
+ * @async
+ * @param {Object} message - `{ id, thread_id, content, edited_at? }`.
+ * @returns {Promise<void>}
+ */
+async function attachLinkPreview(message) {
+  try {
+    const preview = await linkPreviews.resolveText(message.content);
+    if (!preview && !message.edited_at) return;
+    if (await chatMessages.setLinkPreview(message.id, preview)) {
+      await emitLinkPreview(message, preview);
+    }
+  } catch (e) {
+    console.error("❌ Link preview error:", e.message);
+  }
+}
+
+/**
+ * Broadcasts the new state of an offer to both sides of its thread (every
+ * device), logged for offline resync like message events.
+ *
+ * @async
+ * @param {Object} offer - Updated `chat_offers` row.
+ * @param {Object} [extra] - Extra fields (`counter_offer_id` after a counter).
+ * @returns {Promise<Object>} The emitted event.
+ */
+async function emitOfferUpdated(offer, extra = {}) {
+  const event = await recordEvent(
+    {
+      type: "offer_updated",
+      thread_id: Number(offer.thread_id),
+      offer_id: Number(offer.id),
+      message_id: offer.message_id === null ? null : Number(offer.message_id),
+      status: offer.status,
+      responded_by:
+        offer.responded_by === null ? null : Number(offer.responded_by),
+      responded_at: offer.responded_at,
+      ...extra,
+    },
+    { messageId: offer.message_id, actorId: offer.responded_by }
+  );
+  await emitToThread(offer.thread_id, event);
+  return event;
+}
+
+/**
+ * Records that a member received the messages of a thread up to `upToId`
+ * and tells the other members (the senders) with `message_delivered`.
+ *
+ * @async
+ * @param {Object} thread - Thread row.
+ * @param {number|string} userId - Recipient.
+ * @param {number} [upToId] - Last message received (defaults to the latest).
+ * @returns {Promise<Object|null>} The emitted event, or `null` if nothing changed.
+ */
+async function markDelivered(thread, userId, upToId = null) {
+  const cursor = await threads.advanceCursors(thread, userId, { upToId });
+  if (!cursor.changed) return null;
+  await chatMessages.markDelivered(thread.id, userId, cursor.upToId);
+
+  const event = await recordEvent(
+    {
+      type: "message_delivered",
+      thread_id: thread.id,
+      user_id: Number(userId),
+      up_to_id: cursor.upToId,
+      delivered_at: new Date().toISOString(),
+    },
+    { actorId: userId }
+  );
+  await emitToThread(thread, event, { exceptUserId: userId });
+  return event;
+}
+
+/**
+ * Records that a member read the messages of a thread up to `upToId`
+ * (read implies delivered) and tells the other members with `messages_seen`.
+ *
+ * @async
+ * @param {Object} thread - Thread row.
+ * @param {number|string} readerId - Reader.
+ * @param {number} [upToId] - Last message read (defaults to the latest).
+ * @returns {Promise<Object|null>} The emitted event, or `null` if nothing changed.
+ */
+async function markReadUpTo(thread, readerId, upToId = null) {
+  const cursor = await threads.advanceCursors(thread, readerId, {
+    upToId,
+    read: true,
+  });
+  if (!cursor.changed) return null;
+  await chatMessages.markRead(thread.id, readerId, cursor.upToId);
+
+  const event = await recordEvent(
+    {
+      type: "messages_seen",
+      thread_id: thread.id,
+      seen_by: Number(readerId),
+      up_to_id: cursor.upToId,
+      read_at: new Date().toISOString(),
+    },
+    { actorId: readerId }
+  );
+  await emitToThread(thread, event, { exceptUserId: readerId });
+  return event;
+}
+
+/**
+ * Marks everything pending for a user as delivered (after a resync), thread
+ * by thread.
+ *
+ * @async
+ * @param {number|string} userId - Recipient.
+ * @returns {Promise<number>} Number of threads whose delivery cursor moved.
+ */
+async function deliverPending(userId) {
+  let moved = 0;
+  for (const { thread_id, last_id } of await threads.listUndelivered(userId)) {
+    const thread = await threads.getThread(thread_id);
+    if (thread && (await markDelivered(thread, userId, last_id))) moved++;
+  }
+  return moved;
+}
+
+/**
+ * Builds one page of events a reconnecting client missed.
+ *
+ * Either resume from a global `cursor` (last `event_id` processed), or from
+ * the last message the client has in each thread (`threads`). In the latter
+ * case events of the listed threads up to that message are skipped, and
+ * events of threads the client does not know yet are replayed too.
+ * Without both, nothing is replayed and the current cursor is returned.
+ *
+ * Replayed frames are the original ones with `replayed: true`; the content
+ * of messages deleted since then is scrubbed. Events caused by a user
+ * separated from the reader by a block, or about their messages, are
+ * skipped, as they are live.
+ *
+ * @async
+ * @param {number|string} userId - Reconnecting user.
+ * @param {Object} params
+ * @param {number} [params.cursor] - Global cursor.
+ * @param {Object<string, number>} [params.threads] - `{ [thread_id]: last_message_id }`.
+ * @param {number} [params.limit] - Page size.
+ * @returns {Promise<{ frames: Object[], cursor: number, has_more: boolean }>}
+ */
+async function buildSyncPage(userId, { cursor, threads: seen, limit } = {}) {
+  const perThread = new Map();
+  if (seen && typeof seen === "object") {
+    for (const [tid, lastId] of Object.entries(seen)) {
+      if (Number(tid) > 0 && Number(lastId) > 0) {
+        perThread.set(Number(tid), await events.cursorForMessage(tid, lastId));
+      }
+    }
+  }
+
+  let afterId = Number(cursor) || 0;
+  if (!afterId && perThread.size) afterId = Math.min(...perThread.values());
+  if (!afterId && !perThread.size) {
+    return {
+      frames: [],
+      cursor: await events.latestCursor(userId),
+      has_more: false,
+    };
+  }
+
+  const page = await events.listForUser(userId, { afterId, limit });
+  const hidden = await blocks.getSeparatedIds(userId);
+  const visible = page.events.filter(
+    (e) =>
+      (!perThread.has(e.thread_id) || e.id > perThread.get(e.thread_id)) &&
+      ![e.actor_id, e.message_sender_id, e.message_sent_by].some(
+        (id) => id != null && hidden.has(String(id))
+      )
+  );
+  const deleted = await events.deletedMessageIds(
+    visible.flatMap((e) => [e.message_id, e.payload?.reply_to?.id])
+  );
+
+  const frames = visible.map((e) => {
+    const frame = { ...e.payload, event_id: e.id, replayed: true };
+    if (e.type !== "message_deleted" && deleted.has(Number(e.message_id))) {
+      if ("content" in frame) frame.content = null;
+      if ("image_urls" in frame) frame.image_urls = [];
+      if ("link_preview" in frame) frame.link_preview = null;
+      frame.deleted = true;
+    }
+    if (frame.reply_to && deleted.has(Number(frame.reply_to.id))) {
+      frame.reply_to = {
+        ...frame.reply_to,
+        excerpt: null,
+        image_url: null,
+        deleted: true,
+      };
+    }
+    return frame;
+  });
+
+  const last = page.events[page.events.length - 1];
+  return {
+    frames,
+    cursor: last ? last.id : afterId,
+    has_more: page.has_more,
+  };
+}
+
+module.exports = {
+  emitToThread,
+  recordEvent,
+  emitMessageEdited,
+  emitReactionUpdate,
+  emitMessageDeleted,
+  emitLinkPreview,
+  attachLinkPreview,
+  emitOfferUpdated,
+  markDelivered,
+  markReadUpTo,
+  deliverPending,
+  buildSyncPage,
+};
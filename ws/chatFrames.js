@@ -0,0 +1,370 @@
+/**
+ * @file ws/chatFrames.js
+ * @description
+ * Declarative schemas for the inbound frames of the `/ws/chat` gateway and
+ * the validator applied before any frame reaches its handler.
+ *
+ * Each frame type declares its fields (`id`, `integer`, `number`, `string`
+ * (optionally an `enum`), `array`, `object`, `map`, `ref`, `any`), which are
+ * required unless marked `optional`, plus optional cross-field rules
+ * (`oneOf`, `check`). Unknown
+ * fields are ignored so clients can evolve ahead of the server.
+ *
+ * Invalid frames are answered with a structured `error` frame:
+ * ```json
+ * { "type": "error", "code": "invalid_payload", "message": "content: must be a string",
+ *   "ref": "tmp-42", "temp_id": "tmp-42" }
+ * ```
+ * `ref` echoes the frame's correlation field (`temp_id`, `message_id`,
+ * `ref`, ...) so apps can fail the right pending operation.
+ *
+ * ## Error codes
+ * - `invalid_json` — the frame is not JSON.
+ * - `invalid_frame` — not an object or no `type`.
+ * - `unknown_type` — no schema for `type`.
+ * - `invalid_payload` — a field is missing or malformed.
+ *
+ * @example
+ * const { validateFrame } = require("./chatFrames");
+ * const out = validateFrame({ type: "message_edit", message_id: "981", content: "Hi" });
+ * // => { ok: true, type: "message_edit", frame: { type: "message_edit", message_id: 981, content: "Hi" } }
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+
+/**
+ * Limits shared by several frames.
+ * @type {number}
+ */
+const MAX_CONTENT_LENGTH = 5000;
+const MAX_IMAGES = 10;
+
+/**
+ * Lifetime bounds of a disappearing message (`expires_in`, seconds).
+ * @type {number}
+ */
+const MIN_EXPIRES_IN = 30;
+const MAX_EXPIRES_IN = 7 * 24 * 3600;
+
+const id = { type: "id" };
+const optId = { type: "id", optional: true };
+const content = { type: "string", maxLength: MAX_CONTENT_LENGTH };
+const reaction = {
+  ref: "message_id",
+  fields: { message_id: id, emoji: { type: "string", maxLength: 32 } },
+};
+const membership = { fields: { thread_id: id, user_id: id } };
+
+/**
+ * Inbound frame schemas, keyed by `type`.
+ * `ref` names the field echoed back in error frames.
+ *
+ * @type {Record<string, { ref?: string, fields: Object, oneOf?: string[][], check?: (frame: Object) => string|null }>}
+ */
+const FRAME_SCHEMAS = {
+  auth: { fields: { user_id: optId } },
+  echo: { fields: { data: { type: "any", optional: true } } },
+  nav_counts: { fields: {} },
+  who_is_online: { fields: {} },
+  subscribe: {
+    fields: {
+      channels: {
+        type: "array",
+        items: { type: "string", maxLength: 100 },
+        maxItems: 50,
+        optional: true,
+      },
+    },
+  },
+  typing: {
+    fields: { from: optId, to: optId, thread_id: optId },
+    oneOf: [["to", "thread_id"]],
+  },
+  message_seen: {
+    ref: "thread_id",
+    fields: { thread_id: id, user_id: optId, up_to_id: optId },
+  },
+  message_send: {
+    ref: "temp_id",
+    fields: {
+      sender_id: optId,
+      receiver_id: optId,
+      thread_id: optId,
+      content: { ...content, optional: true },
+      image_urls: {
+        type: "array",
+        items: { type: "string", maxLength: 1000 },
+        maxItems: MAX_IMAGES,
+        optional: true,
+      },
+      temp_id: { type: "ref", optional: true },
+      kind: {
+        type: "string",
+        enum: ["text", "product", "offer", "checkout"],
+        optional: true,
+      },
+      extra_data: { type: "object", optional: true },
+      reply_to_message_id: optId,
+      quick_reply_id: optId,
+      expires_in: {
+        type: "integer",
+        min: MIN_EXPIRES_IN,
+        max: MAX_EXPIRES_IN,
+        optional: true,
+      },
+      send_at: { type: "string", maxLength: 40, optional: true },
+    },
+    oneOf: [["thread_id", "receiver_id"]],
+    check: (f) => {
+      if (f.kind && f.kind !== "text") {
+        if (f.expires_in || f.send_at) {
+          return "expires_in and send_at are only allowed on text messages";
+        }
+        return f.extra_data ? null : `extra_data is required for ${f.kind}`;
+      }
+      return !(f.content && f.content.trim()) &&
+        !(f.image_urls || []).length &&
+        !f.quick_reply_id
+        ? "content, image_urls or quick_reply_id is required"
+        : null;
+    },
+  },
+  message_edit: { ref: "message_id", fields: { message_id: id, content } },
+  reaction_add: reaction,
+  reaction_remove: reaction,
+  history_request: {
+    ref: "ref",
+    fields: {
+      thread_id: optId,
+      receiver_id: optId,
+      before_id: optId,
+      after_id: optId,
+      limit: { type: "integer", min: 1, max: 200, optional: true },
+      ref: { type: "ref", optional: true },
+    },
+    oneOf: [["thread_id", "receiver_id"]],
+    check: (f) =>
+      f.before_id && f.after_id
+        ? "before_id and after_id are mutually exclusive"
+        : null,
+  },
+  sync: {
+    fields: {
+      cursor: { type: "integer", min: 0, optional: true },
+      threads: { type: "map", optional: true },
+      limit: { type: "integer", min: 1, max: 500, optional: true },
+    },
+  },
+  group_create: {
+    fields: {
+      title: { type: "string", maxLength: 120, optional: true },
+      member_ids: { type: "array", items: id, minItems: 1, maxItems: 100 },
+    },
+  },
+  group_add_member: membership,
+  group_remove_member: membership,
+  offer_respond: {
+    ref: "offer_id",
+    fields: {
+      offer_id: id,
+      action: {
+        type: "string",
+        enum: ["accept", "decline", "counter", "withdraw"],
+      },
+      amount: { type: "number", min: 0.01, optional: true },
+      currency: { type: "string", maxLength: 3, optional: true },
+      temp_id: { type: "ref", optional: true },
+    },
+    check: (f) =>
+      f.action === "counter" && f.amount === undefined
+        ? "amount is required to counter"
+        : null,
+  },
+};
+
+/**
+ * Legacy frame names accepted as aliases.
+ * @type {Record<string, string>}
+ */
+const FRAME_ALIASES = { message: "message_send" };
+
+/**
+ * Checks (and normalizes) a single value against a field spec.
+ *
+ * @param {Object} spec - Field spec.
+ * @param {any} value - Raw value (not `undefined`/`null`).
+ * @returns {{ value?: any, error?: string }}
+ */
+function checkValue(spec, value) {
+  switch (spec.type) {
+    case "id": {
+      const n =
+        typeof value === "string" && /^\d+$/.test(value) ? +value : value;
+      return Number.isInteger(n) && n > 0
+        ? { value: n }
+        : { error: "must be a positive integer id" };
+    }
+    case "integer": {
+      if (!Number.isInteger(value)) return { error: "must be an integer" };
+      if (spec.min !== undefined && value < spec.min) {
+        return { error: `must be >= ${spec.min}` };
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return { error: `must be <= ${spec.max}` };
+      }
+      return { value };
+    }
+    case "number": {
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return { error: "must be a number" };
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return { error: `must be >= ${spec.min}` };
+      }
+      return { value };
+    }
+    case "string":
+      if (typeof value !== "string") return { error: "must be a string" };
+      if (spec.maxLength && value.length > spec.maxLength) {
+        return { error: `must be at most ${spec.maxLength} characters` };
+      }
+      if (spec.enum && !spec.enum.includes(value)) {
+        return { error: `must be one of: ${spec.enum.join(", ")}` };
+      }
+      return { value };
+    case "ref":
+      return (typeof value === "string" && value.length <= 100) ||
+        Number.isFinite(value)
+        ? { value }
+        : { error: "must be a string (max 100) or a number" };
+    case "object":
+      return typeof value === "object" && !Array.isArray(value)
+        ? { value }
+        : { error: "must be an object" };
+    case "map": {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        return { error: "must be an object of { id: id }" };
+      }
+      for (const [k, v] of Object.entries(value)) {
+        if (checkValue(id, k).error || checkValue(id, v).error) {
+          return { error: "must be an object of { id: id }" };
+        }
+      }
+      return { value };
+    }
+    case "array": {
+      if (!Array.isArray(value)) return { error: "must be an array" };
+      if (spec.minItems && value.length < spec.minItems) {
+        return { error: `must have at least ${spec.minItems} item(s)` };
+      }
+      if (spec.maxItems && value.length > spec.maxItems) {
+        return { error: `must have at most ${spec.maxItems} items` };
+      }
+      const out = [];
+      for (const item of value) {
+        const r = checkValue(spec.items, item);
+        if (r.error) return { error: `items ${r.error}` };
+        out.push(r.value);
+      }
+      return { value: out };
+    }
+    default:
+      return { value };
+  }
+}
+
+/**
+ * Correlation fields to echo in an error frame for a (possibly invalid) frame.
+ *
+ * @param {string} type - Canonical frame type.
+ * @param {Object} frame - Frame as sent by the client.
+ * @returns {{ ref: any, temp_id?: any }}
+ */
+function frameRef(type, frame) {
+  const field = FRAME_SCHEMAS[type]?.ref;
+  const out = { ref: field ? frame?.[field] ?? null : null };
+  if (frame?.temp_id !== undefined && frame?.temp_id !== null) {
+    out.temp_id = frame.temp_id;
+  }
+  return out;
+}
+
+/**
+ * Validates an inbound frame against its schema.
+ *
+ * @param {any} data - Parsed JSON frame.
+ * @returns {{ ok: true, type: string, frame: Object } |
+ *           { ok: false, code: string, message: string, ref: any, temp_id?: any }}
+ *          On success `frame` is a copy with normalized values (ids as numbers)
+ *          and `type` the canonical frame type.
+ */
+function validateFrame(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return {
+      ok: false,
+      code: "invalid_frame",
+      message: "Frame must be a JSON object",
+      ref: null,
+    };
+  }
+  if (typeof data.type !== "string" || !data.type) {
+    return {
+      ok: false,
+      code: "invalid_frame",
+      message: "Frame type is required",
+      ...frameRef(null, data),
+    };
+  }
+
+  const type = FRAME_ALIASES[data.type] || data.type;
+  const schema = FRAME_SCHEMAS[type];
+  if (!schema) {
+    return {
+      ok: false,
+      code: "unknown_type",
+      message: `Unknown frame type "${data.type}"`,
+      ...frameRef(null, data),
+    };
+  }
+
+  const fail = (message) => ({
+    ok: false,
+    code: "invalid_payload",
+    message,
+    ...frameRef(type, data),
+  });
+
+  const frame = { ...data, type };
+  for (const [name, spec] of Object.entries(schema.fields)) {
+    const value = data[name];
+    if (value === undefined || value === null) {
+      if (!spec.optional) return fail(`${name}: is required`);
+      continue;
+    }
+    const r = checkValue(spec, value);
+    if (r.error) return fail(`${name}: ${r.error}`);
+    frame[name] = r.value;
+  }
+
+  for (const group of schema.oneOf || []) {
+    if (
+      !group.some((name) => frame[name] !== undefined && frame[name] !== null)
+    ) {
+      return fail(`one of ${group.join(", ")} is required`);
+    }
+  }
+
+  const problem = schema.check ? schema.check(frame) : null;
+  if (problem) return fail(problem);
+
+  return { ok: true, type, frame };
+}
+
+module.exports = {
+  FRAME_SCHEMAS,
+  FRAME_ALIASES,
+  MAX_CONTENT_LENGTH,
+  validateFrame,
+  frameRef,
+};
@@ -9,10 +9,18 @@
  * - Maintain client liveness via ping/pong heartbeat.
  * - Allow clients to **subscribe/unsubscribe** to product like streams.
  * - Push the latest like counts on subscription and on demand.
+ * - Rate limit frames and cap subscriptions per client (user ID when the
+ *   upgrade carries a token or ticket, IP otherwise), across all of its
+ *   sockets (see `utils/rateLimiter.js`).
  *
  * ## Environment Variables
  * - `NODE_LIKES_TABLE` — MySQL table name for product likes
  *   (default: `"node_product_likes"`).
+ * - `WS_LIKES_MAX_SUBSCRIPTIONS` — products a client may follow at once,
+ *   all its sockets together (default: `200`).
+ * - `WS_TRUSTED_PROXY_HOPS` — trusted reverse proxies; the client IP is only
+ *   read from `X-Forwarded-For` when set (default: `0`).
+ * - `WS_RATE_LIMITS` — token-bucket overrides (`likes.like:subscribe=100:10`).
  *
  * ## Inbound WS Messages
  * - `{ type: "ping", t?: number }`
@@ -24,12 +32,16 @@
  * - `{ type: "like:subscribed", product_id }`
  * - `{ type: "like:unsubscribed", product_id }`
  * - `{ type: "like:update", product_id, likes_count }`
+ * - `{ type: "error", code, message, ref, retry_after_ms? }`
+ *   (`rate_limited`, `too_many_subscriptions`); clients that keep flooding
+ *   are disconnected with close code `1008`.
  *
  * @version 1.0.0
  * @license MIT
  */
 
 const pool = require("../db/mysql");
+const { clientAddress, createRateLimiter } = require("../utils/rateLimiter");
 
 /**
  * Table name to query for product likes.
@@ -37,6 +49,61 @@ const pool = require("../db/mysql");
  */
 const LIKE_TABLE = process.env.NODE_LIKES_TABLE || "node_product_likes";
 
+/**
+ * Maximum number of products a client may follow, all its sockets together.
+ * @type {number}
+ */
+const MAX_SUBSCRIPTIONS = parseInt(
+  process.env.WS_LIKES_MAX_SUBSCRIPTIONS || "200",
+  10
+);
+
+/**
+ * Per-client token buckets `[burst, perSec]` by frame type; `*` covers the
+ * other frames. Overridable with `WS_RATE_LIMITS`.
+ * @type {Object<string, [number, number]>}
+ */
+const LIKES_RATE_LIMITS = {
+  "like:subscribe": [100, 10],
+  "like:unsubscribe": [100, 10],
+  "*": [60, 10],
+};
+
+const limiter = createRateLimiter("likes", LIKES_RATE_LIMITS);
+
+/**
+ * Products followed per client key, over all of the client's sockets, so
+ * opening more sockets does not raise the cap.
+ * @type {Map<string, number>}
+ */
+const subscriptionsByClient = new Map();
+
+/**
+ * Adjusts a client's subscription count (entry dropped at zero).
+ *
+ * @param {string} key - Client key.
+ * @param {number} delta - Subscriptions added (negative when removed).
+ * @returns {void}
+ */
+function countSubscriptions(key, delta) {
+  const n = (subscriptionsByClient.get(key) || 0) + delta;
+  if (n > 0) subscriptionsByClient.set(key, n);
+  else subscriptionsByClient.delete(key);
+}
+
+/**
+ * Rate-limit key of a connection: its user when the upgrade was
+ * authenticated, its IP address otherwise (`X-Forwarded-For` only behind
+ * trusted proxies, see `clientAddress()`).
+ *
+ * @param {import("http").IncomingMessage} req - Upgrade request.
+ * @returns {string}
+ */
+function clientKey(req) {
+  if (req?.wsUserId) return `u:${req.wsUserId}`;
+  return `ip:${clientAddress(req)}`;
+}
+
 /**
  * Retrieves the aggregate number of likes for a given product.
  *
@@ -77,9 +144,10 @@ module.exports = (wss) => {
   wss.on("close", () => clearInterval(heartbeat));
 
   // ---- Connection lifecycle ----
-  wss.on("connection", (ws) => {
+  wss.on("connection", (ws, req) => {
     ws.isAlive = true;
     ws.subscribedProducts = new Set();
+    ws.rateKey = clientKey(req);
 
     ws.on("pong", () => (ws.isAlive = true));
 
@@ -87,13 +155,34 @@ module.exports = (wss) => {
       let msg;
       try {
         msg = JSON.parse(raw);
-      } catch {
-        return;
-      }
+      } catch {}
 
       const type = msg?.type;
       const id = Number(msg?.product_id);
 
+      // Flood protection (unknown types share the `*` bucket)
+      const quota = limiter.consume(
+        ws.rateKey,
+        LIKES_RATE_LIMITS[type] ? type : "*"
+      );
+      if (!quota.ok) {
+        safeSend(ws, {
+          type: "error",
+          code: "rate_limited",
+          message: "Too many frames, slow down",
+          ref: Number.isInteger(id) ? id : null,
+          retry_after_ms: quota.retryAfterMs,
+        });
+        if (limiter.strike(ws.rateKey)) {
+          limiter.recordDisconnect();
+          try {
+            ws.close(1008, "rate_limited");
+          } catch (_) {}
+        }
+        return;
+      }
+      if (!msg) return;
+
       // Keep-alive
       if (type === "ping") {
         safeSend(ws, { type: "pong", t: msg?.t || Date.now() });
@@ -102,7 +191,22 @@ module.exports = (wss) => {
 
       // Subscribe to a product like stream
       if (type === "like:subscribe" && Number.isInteger(id)) {
-        ws.subscribedProducts.add(id);
+        if (
+          !ws.subscribedProducts.has(id) &&
+          (subscriptionsByClient.get(ws.rateKey) || 0) >= MAX_SUBSCRIPTIONS
+        ) {
+          safeSend(ws, {
+            type: "error",
+            code: "too_many_subscriptions",
+            message: `At most ${MAX_SUBSCRIPTIONS} products can be followed`,
+            ref: id,
+          });
+          return;
+        }
+        if (!ws.subscribedProducts.has(id)) {
+          ws.subscribedProducts.add(id);
+          countSubscriptions(ws.rateKey, 1);
+        }
         safeSend(ws, { type: "like:subscribed", product_id: id });
 
         // Send immediate snapshot
@@ -119,12 +223,19 @@ module.exports = (wss) => {
 
       // Unsubscribe from a product like stream
       if (type === "like:unsubscribe" && Number.isInteger(id)) {
-        ws.subscribedProducts.delete(id);
+        if (ws.subscribedProducts.delete(id)) {
+          countSubscriptions(ws.rateKey, -1);
+        }
         safeSend(ws, { type: "like:unsubscribed", product_id: id });
         return;
       }
     });
 
+    ws.on("close", () => {
+      countSubscriptions(ws.rateKey, -ws.subscribedProducts.size);
+      ws.subscribedProducts.clear();
+    });
+
     ws.on("error", () => {});
   });
 };
@@ -5,46 +5,289 @@
  *
  * This module provides a shared `Map` instance (`connectedUsers`) that
  * maintains an index of currently active WebSocket clients, keyed by
- * their unique user IDs.
+ * their unique user IDs. Each user maps to a **set of sockets**, one per
+ * open device/tab, so a second tab or phone no longer replaces the first.
  *
  * It acts as a **lightweight presence registry**, allowing any part of
  * the WebSocket system (e.g., chat, notifications, analytics) to:
- * - Broadcast presence updates (`user_online`, `user_offline`).
- * - Send direct messages or events to specific connected users.
- * - Track total online user count in real time.
+ * - Broadcast presence updates (`user_online`, `user_offline`) only when a
+ *   user's first device connects / last device disconnects.
+ * - Send direct messages or events to every device of a connected user.
+ * - Track total online user count (and devices per user) in real time.
  *
- * ⚠️ **Note:** This store is in-memory and local to the current Node.js process.
- * In distributed or clustered deployments, use a shared state backend
- * (e.g., Redis Pub/Sub or Socket.io adapter) for proper synchronization.
+ * ## Multi-instance deployments
+ * The socket map itself is local to the current Node.js process. When
+ * `REDIS_URL` is set, the registry is extended through `ws/bus.js`:
+ * - `sendToUser()` also relays the payload to the other instances, which
+ *   deliver it to the devices connected there.
+ * - Device counts are mirrored in a per-instance Redis hash, so
+ *   `getClusterOnlineUserIds()`, `getClusterDeviceCounts()` and
+ *   `isOnlineElsewhere()` see the whole cluster.
+ * Without Redis everything stays in-process, as before.
  *
  * ## Example
  * ```js
- * const { connectedUsers } = require("./userState");
+ * const { addConnection, removeConnection, sendToUser } = require("./userState");
  *
- * // Register a connected user
- * connectedUsers.set("123", ws);
+ * // Register a connected device (returns the user's device count)
+ * const devices = addConnection("123", ws); // 1 => user just came online
  *
- * // Send a message to a specific user
- * const userSocket = connectedUsers.get("123");
- * if (userSocket && userSocket.readyState === 1) {
- *   userSocket.send(JSON.stringify({ type: "ping" }));
- * }
+ * // Send a message to every device of a user
+ * sendToUser("123", { type: "ping" });
  *
- * // Remove user on disconnect
- * connectedUsers.delete("123");
+ * // Remove the device on disconnect (returns remaining devices)
+ * if (removeConnection("123", ws) === 0) {
+ *   // last device gone => user is offline
+ * }
  * ```
  *
  * @version 1.0.0
  * @license MIT
  */
 
+const { getBus, PRESENCE_TTL_SEC } = require("./bus");
+
 /**
- * A Map that associates connected user IDs with their WebSocket instances.
+ * A Map that associates connected user IDs with the set of their open WebSockets.
+ * Entries are removed as soon as a user's last socket disconnects.
  *
- * @type {Map<string, import("ws").WebSocket>}
+ * @type {Map<string, Set<import("ws").WebSocket>>}
  */
 const connectedUsers = new Map();
 
+/**
+ * Mirrors a user's local device count into this instance's Redis presence hash.
+ * The hash gets its TTL on every write, not only on the bus heartbeat.
+ * No-op when the bus is disabled.
+ *
+ * @param {string} key - User ID.
+ * @param {number} devices - Local device count (0 removes the entry).
+ */
+function syncPresence(key, devices) {
+  const bus = getBus();
+  if (!bus.enabled) return;
+  const op =
+    devices > 0
+      ? bus.redis
+          .multi()
+          .hset(bus.presenceKey, key, devices)
+          .expire(bus.presenceKey, PRESENCE_TTL_SEC)
+          .exec()
+      : bus.redis.hdel(bus.presenceKey, key);
+  op.catch(() => {});
+}
+
+/**
+ * Registers a socket for a user.
+ *
+ * @param {number|string} userId - User ID (stored as string key).
+ * @param {import("ws").WebSocket} ws - The user's socket.
+ * @returns {number} Number of devices the user has after registration.
+ */
+function addConnection(userId, ws) {
+  const key = String(userId);
+  let sockets = connectedUsers.get(key);
+  if (!sockets) {
+    sockets = new Set();
+    connectedUsers.set(key, sockets);
+  }
+  sockets.add(ws);
+  syncPresence(key, sockets.size);
+  return sockets.size;
+}
+
+/**
+ * Unregisters a socket for a user.
+ *
+ * @param {number|string} userId - User ID.
+ * @param {import("ws").WebSocket} ws - The socket being closed.
+ * @returns {number} Number of devices the user still has (0 => offline).
+ */
+function removeConnection(userId, ws) {
+  const key = String(userId);
+  const sockets = connectedUsers.get(key);
+  if (!sockets) return 0;
+  sockets.delete(ws);
+  if (sockets.size === 0) connectedUsers.delete(key);
+  syncPresence(key, sockets.size);
+  return sockets.size;
+}
+
+/**
+ * Returns the open sockets of a user.
+ *
+ * @param {number|string} userId - User ID.
+ * @returns {import("ws").WebSocket[]} Possibly empty list of sockets.
+ */
+function getConnections(userId) {
+  const sockets = connectedUsers.get(String(userId));
+  return sockets ? Array.from(sockets) : [];
+}
+
+/**
+ * Number of open devices for a user.
+ *
+ * @param {number|string} userId - User ID.
+ * @returns {number}
+ */
+function getDeviceCount(userId) {
+  return connectedUsers.get(String(userId))?.size || 0;
+}
+
+/**
+ * Whether the user has at least one open socket.
+ *
+ * @param {number|string} userId - User ID.
+ * @returns {boolean}
+ */
+function isOnline(userId) {
+  return getDeviceCount(userId) > 0;
+}
+
+/**
+ * IDs of all users with at least one open socket.
+ *
+ * @returns {string[]}
+ */
+function getOnlineUserIds() {
+  return Array.from(connectedUsers.keys());
+}
+
+/**
+ * Writes a JSON payload to the sockets of a user connected to **this** instance.
+ *
+ * @param {number|string} userId - Recipient user ID.
+ * @param {any} obj - JSON-serializable payload.
+ * @param {import("ws").WebSocket} [except] - Optional socket to skip.
+ * @returns {number} Number of sockets the payload was written to.
+ */
+function deliverLocal(userId, obj, except) {
+  const sockets = connectedUsers.get(String(userId));
+  if (!sockets || sockets.size === 0) return 0;
+
+  let data;
+  try {
+    data = JSON.stringify(obj);
+  } catch {
+    return 0;
+  }
+
+  let sent = 0;
+  for (const ws of sockets) {
+    if (ws === except || ws.readyState !== 1) continue;
+    try {
+      ws.send(data);
+      sent++;
+    } catch {}
+  }
+  return sent;
+}
+
+/**
+ * Sends a JSON payload to every open device of a user, on any instance.
+ *
+ * @param {number|string} userId - Recipient user ID.
+ * @param {any} obj - JSON-serializable payload.
+ * @param {import("ws").WebSocket} [except] - Optional socket to skip (e.g. the originating device).
+ * @returns {number} Number of **local** sockets the payload was written to.
+ */
+function sendToUser(userId, obj, except) {
+  getBus().publish("user", { user_id: String(userId), payload: obj });
+  return deliverLocal(userId, obj, except);
+}
+
+/**
+ * Reads the other instances' presence hashes and sums device counts per user.
+ *
+ * @async
+ * @returns {Promise<Map<string, number>>} Empty when the bus is disabled or Redis fails.
+ */
+async function getRemotePresence() {
+  const bus = getBus();
+  const devices = new Map();
+  if (!bus.enabled) return devices;
+
+  try {
+    const keys = await bus.peerPresenceKeys();
+    if (!keys.length) return devices;
+    const pipeline = bus.redis.pipeline();
+    for (const key of keys) pipeline.hgetall(key);
+    for (const [err, hash] of await pipeline.exec()) {
+      if (err) throw err;
+      for (const [id, n] of Object.entries(hash)) {
+        devices.set(id, (devices.get(id) || 0) + Number(n || 0));
+      }
+    }
+  } catch (e) {
+    console.warn("⚠️ Presence lookup failed:", e.message);
+  }
+  return devices;
+}
+
+/**
+ * Device counts of every user online on any instance (local only without Redis).
+ *
+ * @async
+ * @returns {Promise<Map<string, number>>} `userId => devices`
+ */
+async function getClusterDeviceCounts() {
+  const devices = await getRemotePresence();
+  for (const [id, sockets] of connectedUsers) {
+    devices.set(id, (devices.get(id) || 0) + sockets.size);
+  }
+  return devices;
+}
+
+/**
+ * IDs of all users online on any instance (local only without Redis).
+ *
+ * @async
+ * @returns {Promise<string[]>}
+ */
+async function getClusterOnlineUserIds() {
+  return Array.from((await getClusterDeviceCounts()).keys());
+}
+
+/**
+ * Whether the user has an open socket on another instance: one `HEXISTS` per
+ * live peer, in a single round trip (hot path of message delivery).
+ *
+ * @async
+ * @param {number|string} userId - User ID.
+ * @returns {Promise<boolean>}
+ */
+async function isOnlineElsewhere(userId) {
+  const bus = getBus();
+  if (!bus.enabled) return false;
+
+  try {
+    const keys = await bus.peerPresenceKeys();
+    if (!keys.length) return false;
+    const pipeline = bus.redis.pipeline();
+    for (const key of keys) pipeline.hexists(key, String(userId));
+    return (await pipeline.exec()).some(([err, found]) => !err && found === 1);
+  } catch (e) {
+    console.warn("⚠️ Presence lookup failed:", e.message);
+    return false;
+  }
+}
+
+// Payloads relayed by the other instances.
+getBus().subscribe("user", (d) => {
+  if (d && d.user_id != null) deliverLocal(d.user_id, d.payload);
+});
+
 module.exports = {
   connectedUsers,
+  addConnection,
+  removeConnection,
+  getConnections,
+  getDeviceCount,
+  isOnline,
+  getOnlineUserIds,
+  getClusterOnlineUserIds,
+  getClusterDeviceCounts,
+  isOnlineElsewhere,
+  deliverLocal,
+  sendToUser,
 };